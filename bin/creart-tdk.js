@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+const { calistir } = require("../lib/cli");
+
+calistir(process.argv.slice(2)).then(kod => {
+  // null: sunucu çalışmaya devam ediyor
+  if (kod !== null) process.exitCode = kod;
+});
@@ -0,0 +1,491 @@
+// Bu dosya scripts/tipleri-uret.js ile lib/semalar.js şemalarından üretilir; elle düzenlemeyin.
+
+export type HataKodu = 'SUNUCU_HATASI' | 'GECERSIZ_GIRDI' | 'YETKISIZ' | 'ERISIM_YASAK' | 'BULUNAMADI' | 'KELIME_BULUNAMADI' | 'CAKISMA' | 'COK_FAZLA_ISTEK' | 'KOTA_ASILDI' | 'UPSTREAM_HATASI' | 'DEVRE_ACIK' | 'UPSTREAM_ZAMAN_ASIMI';
+
+/** Her sonuçta timestamp vardır; diğer alanlar metoda göre değişir */
+export interface Metadata {
+  timestamp: string;
+  /** Sadece /v2 cevaplarında */
+  apiSurumu?: "v2";
+  /** Paket sürümü (sadece /v2 cevaplarında) */
+  surum?: string;
+  /** X-Request-Id (sadece /v2 cevaplarında) */
+  istekId?: string;
+  [alan: string]: unknown;
+}
+
+export interface HataDetayi {
+  code: HataKodu;
+  message: string;
+  details: string | null;
+  /** Alan bazlı doğrulama hataları */
+  alanlar?: {
+    alan: string;
+    mesaj: string;
+  }[];
+}
+
+export interface HataSonucu {
+  success: false;
+  error: HataDetayi;
+  metadata: Metadata;
+}
+
+/** TDK'nın ham kaydı; alanları TDK belirler */
+export type TdkKaydi = Record<string, unknown>;
+
+export interface TemelBilgiler {
+  madde: string;
+  lisan?: string | null;
+  ozel_mi?: string | null;
+  cogul_mu?: string | null;
+  birlesikler?: string | null;
+}
+
+export interface Anlam {
+  sira: number;
+  anlam: string;
+  ornekler: TdkKaydi[];
+  kullanim: string | null;
+  fiiller: TdkKaydi[];
+  atasozleri: TdkKaydi[];
+}
+
+export interface KaynakDurumu {
+  islemSuresi: string;
+  veriKaynaklari: number;
+  tamVeri: boolean;
+  kaynaklar: {
+    istenen: string[];
+    basarili: string[];
+    basarisiz: string[];
+    zamanAsimi: string[];
+    onbellekten: string[];
+  };
+  bulunamadi: boolean;
+}
+
+export interface KelimeSonucu {
+  kelime: string;
+  temelBilgiler: TemelBilgiler | null;
+  anlamlar: Anlam[];
+  ornekler: TdkKaydi[];
+  atasozleri: TdkKaydi[];
+  deyimler: TdkKaydi[];
+  birlesikler: string[];
+  etimoloji: TdkKaydi[] | TdkKaydi | null;
+  telaffuz: string | null;
+  sesDosyasi?: string | null;
+  kullanimTuru: string[];
+  derleme: Array<{
+    madde?: string | null;
+    anlam?: string | null;
+    yoreler?: string[];
+    ornek?: string | null;
+  }>;
+  terimler: Array<{
+    terim?: string | null;
+    anlam?: string | null;
+    alan?: string | null;
+    kaynak?: string | null;
+    yabanciKarsilik?: string | null;
+  }>;
+  batiKarsiliklari: Array<{
+    kelime?: string | null;
+    kokenDil?: string | null;
+    karsiliklar?: string[];
+    anlam?: string | null;
+  }>;
+  yazimKilavuzu: Array<{
+    yazilis?: string | null;
+    ek?: string | null;
+    karsiliklar?: string[];
+  }>;
+  /** Kaynak durumu (/v2'de zarfın metadata alanına taşınır) */
+  metadata?: KaynakDurumu;
+}
+
+/** Tek kelimenin ara sonucu (başarılı ya da hata zarfı) */
+export type AraSonucu = {
+  success: true;
+  data: KelimeSonucu;
+  metadata: Metadata;
+} | HataSonucu;
+
+export interface Ek {
+  ek: string;
+  desen?: string;
+  ad: string;
+  tur?: string;
+}
+
+export interface Cozumleme {
+  kok: string;
+  govde?: string;
+  tur?: "isim" | "fiil";
+  ekler: Ek[];
+}
+
+export interface YazimOnerisi {
+  kelime: string;
+  mesafe: number;
+  skor: number;
+}
+
+export interface YazimSonucu {
+  kelime: string;
+  dogru: boolean;
+  oneriler: YazimOnerisi[];
+  kok?: string;
+  ekler?: Ek[];
+  /** Kelime denetlenemediyse hata kodu */
+  hata?: HataKodu;
+}
+
+export interface YabanciKelimeSonucu {
+  kelime: string;
+  /** Kelimenin bulunduğu madde başı (çekimli biçimlerde kök) */
+  madde: string | null;
+  /** TDK'da bulunamadıysa null */
+  yabanci: boolean | null;
+  /** Köken dili (örn. "Arapça") */
+  dil: string | null;
+  /** Kaynak dildeki biçim (örn. "kitāb") */
+  koken: string | null;
+  /** TDK'nın önerdiği Türkçe karşılıklar */
+  oneriler: string[];
+  /** Kelime aranamadıysa hata kodu */
+  hata?: HataKodu;
+}
+
+export interface Is {
+  id: string;
+  durum: "bekliyor" | "calisiyor" | "tamamlandi" | "iptal" | "hata";
+  toplam: number;
+  tamamlanan: number;
+  basarili: number;
+  basarisiz: number;
+  /** Yüzde */
+  ilerleme: number;
+  /** Saklanan sonuçların JSON boyutu (bayt) */
+  sonucBoyutu?: number;
+  olusturulma: string;
+  baslama?: string | null;
+  bitis?: string | null;
+  /** Bu zamandan sonra iş silinir */
+  sonaErme?: string | null;
+  hata?: string;
+}
+
+export interface GununKelimesi {
+  kelime: string;
+  anlam: string | null;
+  /** UTC gün */
+  tarih: string;
+  /** 'TDK Günün Sözü' ya da TDK'ya ulaşılamadıysa 'Madde başı indeksi' */
+  kaynak: string;
+}
+
+/** TDK sonuç olmadığında 200 ile bu nesneyi döndürür */
+export interface BulunamadiCevabi {
+  error: string;
+}
+
+export interface KokCozumu {
+  kelime: string;
+  kok: string;
+  ekler: Ek[];
+  cozumlemeler: Cozumleme[];
+}
+
+/** Kelime sırasıyla her kelimenin ara sonucu */
+export type TopluAramaSonuclari = AraSonucu[];
+
+export interface TamamlamaSonucu {
+  onEk: string;
+  oneriler: {
+    kelime: string;
+    skor: number;
+  }[];
+  sayi: number;
+  toplamAday: number;
+}
+
+export interface GununKelimesiGecmisi {
+  /** Yeniden eskiye */
+  kayitlar: GununKelimesi[];
+  sayfa: number;
+  sayfaBoyutu: number;
+  toplamKayit: number;
+  toplamSayfa: number;
+}
+
+export interface YazimDenetimiSonucu {
+  metin: string;
+  sonuclar: YazimSonucu[];
+  istatistik: {
+    toplamKelime: number;
+    dogruKelime: number;
+    hataliKelime: number;
+    /** Yüzde, iki basamak (örn. "50.00") */
+    dogrulukOrani: string;
+  };
+}
+
+export interface YabanciKelimeAnalizi {
+  metin: string;
+  sonuclar: YabanciKelimeSonucu[];
+  istatistik: {
+    toplamKelime: number;
+    yabanciKelime: number;
+    yerliKelime: number;
+    bilinmeyenKelime: number;
+    /** Bulunan kelimeler içinde yüzde, iki basamak (örn. "25.00") */
+    yabanciOrani: string;
+    /** Köken diline göre yabancı kelime sayısı */
+    diller: Record<string, number>;
+  };
+}
+
+export interface AtasozuSonucu {
+  anahtar: string;
+  atasozleri: TdkKaydi[];
+  deyimler: TdkKaydi[];
+  toplam: number;
+}
+
+export interface BenzerKelimeler {
+  anaKelime: string;
+  benzerKelimeler: string[];
+  sayi: number;
+}
+
+export interface HarfKelimeleri {
+  harf: string;
+  sayfa: number;
+  sayfaBoyutu: number;
+  kelimeler: string[];
+  toplamKelime: number;
+  toplamSayfa: number;
+}
+
+export interface DesenSonucu {
+  desen: string;
+  uzunluk: number | null;
+  sayfa: number;
+  sayfaBoyutu: number;
+  kelimeler: string[];
+  toplamEslesme: number;
+  toplamSayfa: number;
+}
+
+export type PopulerAramalar = {
+  kelime: string;
+  aramaSayisi: number;
+}[];
+
+export interface RastgeleKelime {
+  kelime: string;
+  detay: KelimeSonucu | null;
+}
+
+export interface SesBilgisi {
+  kelime: string;
+  sesDosyasi: string | null;
+  telaffuz: string | null;
+  dinlemeLinki: string;
+}
+
+export interface DisaAktarim {
+  icerik: string;
+  icerikTuru: string;
+  dosyaAdi: string;
+}
+
+export interface KelimeIndeksiBilgisi {
+  kelimeSayisi: number;
+  kaynak: string;
+  sonGuncelleme: string;
+}
+
+export interface OnbellekIstatistigi {
+  hits: number;
+  misses: number;
+  keys: number;
+  ksize?: number;
+  vsize?: number;
+  evictions: number | null;
+  /** Süren aramaya bağlanan çağrılar: toplam, tür başına ve şu an süren */
+  birlestirilen: {
+    toplam: number;
+    suren: number;
+    [alan: string]: number;
+  };
+}
+
+export interface Basarili<T> {
+  success: true;
+  data: T;
+  metadata: Metadata;
+}
+
+/** Her public metodun sonucu: başarılı zarf ya da hata zarfı */
+export type Sonuc<T> = Basarili<T> | HataSonucu;
+
+export interface Gunluk {
+  debug(...args: unknown[]): void;
+  info(...args: unknown[]): void;
+  warn(...args: unknown[]): void;
+  error(...args: unknown[]): void;
+}
+
+export interface TDKSozlukSecenekleri {
+  /** pino/winston uyumlu günlük; false ya da 'sessiz' ile kapatılır */
+  logger?: false | 'sessiz' | Gunluk;
+  /** TDK adresi (varsayılan https://sozluk.gov.tr/) */
+  baseURL?: string;
+  /** İstek zaman aşımı (ms) */
+  timeout?: number;
+  /** Yeniden deneme sayısı */
+  retryCount?: number;
+  /** İlk yeniden deneme beklemesi (ms) */
+  retryDelay?: number;
+  /** En uzun yeniden deneme beklemesi (ms) */
+  maxRetryDelay?: number;
+  /** false ile önbellek kapatılır */
+  cache?: boolean;
+  /** bellek, dosya, redis ya da hazır bir adaptör */
+  cacheAdapter?: unknown;
+  /** Saniye */
+  onbellekSureleri?: { ara?: number; atasozu?: number; gununKelimesi?: number; desen?: number };
+  /** Süresi dolan aramaların bayat sunulacağı süre (sn) */
+  staleTTL?: number;
+  /** Bulunamayan kelimelerin önbellek süresi (sn) */
+  negatifTTL?: number;
+  /** Kaynak başına süre sınırı (ms) */
+  kaynakZamanAsimi?: number | Record<string, number>;
+  /** Kalıcı verilerin klasörü; verilmezse dosyaya yazılmaz */
+  veriKlasoru?: string | false;
+  /** Madde başı indeksi dosyası */
+  kelimeDosyasi?: string;
+  /** false ile indeks TDK'dan tazelenmez */
+  kelimeIndeksiGuncelle?: boolean;
+  /** İndeks tazeleme aralığı (sn) */
+  kelimeIndeksiTTL?: number;
+  /** Bundan küçük indeks tohum sayılır, ilk kullanımda TDK listesi beklenir */
+  kelimeIndeksiEnAz?: number;
+  /** Hazır bir SorguIstatistik */
+  sorguIstatistik?: unknown;
+  /** SorguIstatistik seçenekleri */
+  istatistik?: Record<string, unknown>;
+  /** Aynı anda TDK'ya gidebilecek istek sayısı */
+  esZamanliIstek?: number;
+  /** topluAra'da aynı anda aranan kelime sayısı */
+  topluEsZamanli?: number;
+  /** Endpoint devre kesici ayarları */
+  devreKesici?: { esik?: number; beklemeSuresi?: number };
+  /** Prometheus MetrikKaydi */
+  metrikler?: unknown;
+  /** TDK cevaplarının yazılacağı kaset dosyası */
+  kasetKaydi?: string;
+  /** Günün kelimesi arşivi; dosya ya da veriKlasoru verilmezse sadece bellekte */
+  arsiv?: { dosya?: string | false };
+  /** Hazır bir GununKelimesiArsivi */
+  gununKelimesiArsivi?: unknown;
+  /** Sonuçları ve TDK cevaplarını şemalarla denetler (varsayılan NODE_ENV=development) */
+  semaDenetimi?: boolean;
+}
+
+export interface AraSecenekleri {
+  /** Bulunamayan kelimeyi köküyle arar (varsayılan true) */
+  kokBul?: boolean;
+  /** Aramayı popüler aramalara sayar (varsayılan true) */
+  istatistik?: boolean;
+  /** Sorgulanacak kaynaklar (varsayılan TDKSozluk.kaynaklar) */
+  kaynaklar?: string[];
+  telaffuz?: boolean;
+  signal?: AbortSignal;
+}
+
+export interface TopluAraSecenekleri extends AraSecenekleri {
+  esZamanli?: number;
+}
+
+declare class TDKSozluk {
+  constructor(options?: TDKSozlukSecenekleri);
+  static readonly kaynaklar: string[];
+  readonly semaDenetimi: boolean;
+  ara(kelime: string, options?: AraSecenekleri): Promise<Sonuc<KelimeSonucu>>;
+  kokBul(kelime: string): Promise<Sonuc<KokCozumu>>;
+  topluAra(kelimeler: string[], options?: TopluAraSecenekleri): Promise<Sonuc<TopluAramaSonuclari>>;
+  topluAraAkisi(kelimeler: string[], options?: TopluAraSecenekleri): AsyncGenerator<{ index: number; kelime: string; sonuc: Sonuc<KelimeSonucu> }>;
+  otomatikTamamla(onEk: string, options?: { limit?: number }): Promise<Sonuc<TamamlamaSonucu>>;
+  gununKelimesi(): Promise<Sonuc<GununKelimesi>>;
+  tarihliGununKelimesi(tarih: string): Promise<Sonuc<GununKelimesi>>;
+  gununKelimesiGecmisi(options?: { sayfa?: number; limit?: number }): Promise<Sonuc<GununKelimesiGecmisi>>;
+  yazimDenetimi(metin: string, options?: { oneriSayisi?: number }): Promise<Sonuc<YazimDenetimiSonucu>>;
+  yabanciKelimeAnalizi(metin: string, options?: { esZamanli?: number }): Promise<Sonuc<YabanciKelimeAnalizi>>;
+  atasozuAra(anahtar: string, options?: Record<string, unknown>): Promise<Sonuc<AtasozuSonucu>>;
+  benzerKelimeler(kelime: string, limit?: number): Promise<Sonuc<BenzerKelimeler>>;
+  harfeGoreKelimeler(harf: string, sayfa?: number, limit?: number): Promise<Sonuc<HarfKelimeleri>>;
+  desenAra(desen: string, options?: { sayfa?: number; limit?: number }): Promise<Sonuc<DesenSonucu>>;
+  asteriskAra(desen: string, options?: { sayfa?: number; limit?: number }): Promise<Sonuc<DesenSonucu>>;
+  populerAramalar(limit?: number, options?: { pencere?: 'saat' | 'gun' | 'hafta' | 'tum' }): Promise<Sonuc<PopulerAramalar>>;
+  rastgeleKelime(): Promise<Sonuc<RastgeleKelime>>;
+  sesGetir(kelime: string): Promise<Sonuc<SesBilgisi>>;
+  disaAktar(sonuclar: Sonuc<KelimeSonucu> | Sonuc<KelimeSonucu>[], format: 'csv' | 'tsv' | 'markdown' | 'html' | 'anki', options?: { baslik?: string }): Sonuc<DisaAktarim>;
+  kelimeIndeksiniGuncelle(options?: { kaydet?: boolean }): Promise<Sonuc<KelimeIndeksiBilgisi>>;
+  devreDurumu(): Record<string, Record<string, unknown>>;
+  cacheTemizle(pattern?: string | null): Promise<number | null>;
+  cacheIstatistik(): Promise<Sonuc<OnbellekIstatistigi>>;
+  kapat(options?: { beklemeSuresi?: number }): Promise<{ bosaldi: boolean }>;
+}
+
+export interface SozlukRouter {
+  (req: unknown, res: unknown, next: (err?: unknown) => void): void;
+  isler: unknown;
+  endpointler: string[];
+  kapat(): Promise<void>;
+}
+
+export interface Sunucu {
+  app: unknown;
+  router: SozlukRouter;
+  server: import("http").Server;
+  tdk: TDKSozluk;
+  isler: unknown;
+  ayarlar: Record<string, unknown>;
+  kapat(): Promise<void>;
+}
+
+export declare class SozlukHatasi extends Error {
+  constructor(message?: string, options?: { code?: HataKodu; details?: string | null; alanlar?: HataDetayi["alanlar"]; cause?: unknown });
+  code: HataKodu;
+  details: string | null;
+  readonly status: number;
+  toJSON(): HataDetayi;
+}
+export declare class GecersizGirdi extends SozlukHatasi {}
+export declare class YetkisizErisim extends SozlukHatasi {}
+export declare class ErisimYasak extends SozlukHatasi {}
+export declare class Bulunamadi extends SozlukHatasi {}
+export declare class KelimeBulunamadi extends SozlukHatasi {}
+export declare class Cakisma extends SozlukHatasi {}
+export declare class IstekSiniriAsildi extends SozlukHatasi {}
+export declare class KotaAsildi extends SozlukHatasi {}
+export declare class UpstreamHatasi extends SozlukHatasi {}
+export declare class DevreAcik extends SozlukHatasi {}
+export declare class UpstreamZamanAsimi extends SozlukHatasi {}
+
+export declare function createRouter(tdk: TDKSozluk, options?: Record<string, unknown>): SozlukRouter;
+export declare function createServer(options?: Record<string, unknown>): Sunucu;
+export declare function ayarlariYukle(options?: Record<string, unknown>, ortam?: Record<string, string | undefined>, uyar?: (bilinmeyenler: string[]) => void): Record<string, unknown>;
+export declare function sonucSemasi(metod: string): Record<string, unknown>;
+export declare function sonucDogrula(metod: string, sonuc: unknown): Array<{ alan: string; mesaj: string }>;
+export declare function v2Zarfi<T>(govde: T, ek?: Record<string, unknown>): T;
+export declare function durumKodu(kod: string): number;
+export declare function hataDonustur(hata: unknown): SozlukHatasi;
+export declare const HATA_KODLARI: HataKodu[];
+
+export { TDKSozluk };
+export default TDKSozluk;
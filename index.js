@@ -1,9 +1,78 @@
 const axios = require("axios");
+const path = require("path");
 const express = require("express");
+const crypto = require("crypto");
 const cors = require("cors");
 const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
-const NodeCache = require("node-cache");
+const { desenCozumle, desenEslesir } = require("./lib/desen");
+const { katla, kucukHarf } = require("./lib/turkce");
+const KelimeIndeksi = require("./lib/kelimeIndeksi");
+const DevreKesici = require("./lib/devreKesici");
+const { onbellekOlustur } = require("./lib/onbellek");
+const { OneriMotoru } = require("./lib/oneri");
+const { MorfolojikCozumleyici } = require("./lib/morfoloji");
+const SorguIstatistik = require("./lib/sorguIstatistik");
+const GununKelimesiArsivi = require("./lib/gununKelimesiArsivi");
+const { bugun, gecerliTarih, tarihliRastgele } = require("./lib/gununKelimesiArsivi");
+const { BESLEME_TURLERI, rssYaz, atomYaz } = require("./lib/besleme");
+const { kelimelereAyir, kokenCozumle, turkceKarsiliklar } = require("./lib/yabanciKelime");
+const hatalar = require("./lib/hatalar");
+const { gunlukOlustur, istekBaglami, istekBaglamiAl } = require("./lib/gunluk");
+const MetrikKaydi = require("./lib/metrikler");
+const disaAktarim = require("./lib/disaAktar");
+const Havuz = require("./lib/havuz");
+const IsYoneticisi = require("./lib/isler");
+const IstekBirlestirici = require("./lib/birlestirici");
+const AnahtarDeposu = require("./lib/anahtarlar");
+const { ayarlariYukle } = require("./lib/ayarlar");
+const { kaydediciEkle } = require("./lib/kaset");
+const { VERI_SEMALARI, sonucSemasi, sonucDogrula, upstreamDogrula } = require("./lib/semalar");
+const { API_SURUMU, v2Zarfi } = require("./lib/zarf");
+const { istekDogrulayici } = require("./lib/dogrulama");
+const { rotalariOlustur, openapiBelgesi, dokumanSayfasi, dokumanBetigi, SWAGGER_UI_CDN } = require("./lib/openapi");
+const paket = require("./package.json");
+
+const {
+  GecersizGirdi,
+  Bulunamadi,
+  KelimeBulunamadi,
+  IstekSiniriAsildi,
+  KotaAsildi,
+  YetkisizErisim,
+  ErisimYasak,
+  UpstreamHatasi,
+  durumKodu,
+  hataDonustur
+} = hatalar;
+
+// Router içindeki /v2 ön eki
+const V2_ONEKI = new RegExp(`^/${API_SURUMU}(?=/|$)`);
+
+// Arama istatistiklerine sayılmayacak istemciler
+const BOT_DESENI = /bot|crawl|spider|slurp|facebookexternalhit|preview|headless/i;
+
+const YENIDEN_DENENEBILIR_DURUMLAR = [408, 429, 500, 502, 503, 504];
+
+// ara'nın sorguladığı kaynaklar (endpoint anahtarları) ve ek TDK parametreleri
+const ARA_KAYNAKLARI = {
+  gts: '',
+  atasozu: '',
+  deyim: '',
+  derleme: '',
+  terim: 'eser_ad=t%C3%BCm%C3%BC&',
+  bati: '',
+  kilavuz: 'prm=ysk&',
+  etms: ''
+};
+
+// Önbellek süreleri (saniye); onbellekSureleri seçeneğiyle değiştirilir
+const ONBELLEK_SURELERI = {
+  ara: 1800,
+  atasozu: 3600,
+  gununKelimesi: 86400,
+  desen: 3600
+};
 
 /**
  * Gelişmiş TDK Sözlük API Modülü ve Sunucusu
@@ -13,14 +82,57 @@ const NodeCache = require("node-cache");
  */
 class TDKSozluk {
   constructor(options = {}) {
+    // pino/winston uyumlu günlük; varsayılan JSON, false ya da 'sessiz' ile kapatılır
+    this.logger = gunlukOlustur(options.logger);
     this.baseURL = options.baseURL || "https://sozluk.gov.tr/";
     this.timeout = options.timeout || 15000;
-    this.retryCount = options.retryCount || 3;
+    this.retryCount = options.retryCount ?? 3;
+    this.retryDelay = options.retryDelay || 300;
+    this.maxRetryDelay = options.maxRetryDelay || 10000;
     this.cacheEnabled = options.cache !== false;
-    this.cache = new NodeCache({ 
-      stdTTL: 3600, 
-      checkperiod: 600,
-      useClones: false 
+    // Önbellek adaptörü: bellek (varsayılan), dosya, redis ya da hazır bir adaptör
+    this.cache = onbellekOlustur(options.cacheAdapter, { logger: this.logger });
+    this.onbellekSureleri = { ...ONBELLEK_SURELERI, ...(options.onbellekSureleri || {}) };
+    // Süresi dolan arama sonuçları bu kadar saniye daha bayat olarak sunulur
+    this.staleTTL = options.staleTTL ?? 86400;
+    // TDK'da bulunmayan kelimeler için kısa süreli negatif önbellek
+    this.negatifTTL = options.negatifTTL ?? 300;
+    // Kaynak başına toplam süre sınırı (ms): tek sayı ya da { gts: 3000, etms: 5000 }
+    this.kaynakZamanAsimi = options.kaynakZamanAsimi || null;
+    this._yenilenenler = new Set();
+    // Eş zamanlı aynı aramalar tek TDK isteğini paylaşır
+    this.birlestirici = new IstekBirlestirici({ turler: ['ara', 'atasozu', 'ses', 'yazim'] });
+
+    // Kalıcı veriler (TDK'dan kurulan madde başı indeksi) bu klasöre yazılır; verilmezse hiçbir şey yazılmaz
+    this.veriKlasoru = options.veriKlasoru || null;
+
+    // Madde başı indeksi: veri klasöründen (yoksa paketteki tohum listeden) yüklenir, TDK listesinden tazelenir
+    this.kelimeIndeksi = new KelimeIndeksi({
+      dosya: options.kelimeDosyasi || (this.veriKlasoru ? path.join(this.veriKlasoru, 'kelimeler.txt') : undefined)
+    });
+    this.kelimeIndeksiGuncelle = options.kelimeIndeksiGuncelle !== false;
+    this.kelimeIndeksiTTL = options.kelimeIndeksiTTL || 86400;
+    // Bundan küçük indeks tam sayılmaz (tohum liste); ilk kullanımda TDK listesi beklenir
+    this.kelimeIndeksiEnAz = options.kelimeIndeksiEnAz ?? 10000;
+    this._indeksKaydet = !options.kelimeDosyasi && Boolean(this.veriKlasoru);
+    this._indeksYukleniyor = null;
+    this._indeksGuncelleniyor = null;
+    this._indeksSonDeneme = 0;
+    this._oneriMotoru = null;
+    this.morfoloji = new MorfolojikCozumleyici({
+      gecerliMi: kelime => this.kelimeIndeksi.icerir(kelime)
+    });
+
+    // Başarılı aramaların istatistikleri (popüler aramalar, tamamlama ve öneri sıralaması)
+    this.sorguIstatistik = options.sorguIstatistik ||
+      new SorguIstatistik({ logger: this.logger, ...(options.istatistik || {}) });
+
+    // Her günün kelimesi arşivlenir; veri klasörü ya da `arsiv: { dosya }` verilirse
+    // dosyaya yazılır, verilmezse sadece bellektedir
+    this.gununKelimesiArsivi = options.gununKelimesiArsivi || new GununKelimesiArsivi({
+      logger: this.logger,
+      dosya: this.veriKlasoru ? path.join(this.veriKlasoru, 'gunun-kelimeleri.json') : null,
+      ...(options.arsiv || {})
     });
 
     this.axiosConfig = {
@@ -39,11 +151,43 @@ class TDKSozluk {
     };
 
     this.client = axios.create(this.axiosConfig);
+
+    // Aynı anda TDK'ya gidebilecek istek sayısı; fazlası sırada bekler (yeniden denemeler dahil)
+    this.havuz = new Havuz({ limit: options.esZamanliIstek ?? 8 });
+    // topluAra'da aynı anda aranan kelime sayısı
+    this.topluEsZamanli = options.topluEsZamanli || 4;
+    // kapat() beklemeyi bırakınca kendi sinyali olmayan TDK istekleri bununla iptal edilir
+    this._kapanis = new AbortController();
     
     // Request interceptor
     this.client.interceptors.request.use(
-      (config) => {
-        config.metadata = { startTime: Date.now() };
+      async (config) => {
+        const endpoint = this._endpointAnahtari(config.url);
+        config.metadata = { endpoint };
+        if (!config.signal) config.signal = this._kapanis.signal;
+
+        // Eş zamanlı TDK isteği sınırı: yer açılana kadar bekle
+        try {
+          await this.havuz.al(config.signal);
+        } catch (error) {
+          error.config = config;
+          throw error;
+        }
+        config.metadata.havuzda = true;
+        config.metadata.startTime = Date.now();
+
+        const baglam = istekBaglamiAl();
+        if (baglam) baglam.upstream++;
+
+        // Açık devre: TDK'yı hiç yormadan hemen hata ver
+        const devre = endpoint && this.devreKesiciler[endpoint];
+        if (devre && !devre.izinVar()) {
+          const error = new Error(`"${endpoint}" devresi açık, istek gönderilmedi`);
+          error.code = 'DEVRE_ACIK';
+          error.config = config;
+          throw error;
+        }
+
         return config;
       },
       (error) => Promise.reject(error)
@@ -52,21 +196,63 @@ class TDKSozluk {
     // Response interceptor
     this.client.interceptors.response.use(
       (response) => {
+        this._havuzuBirak(response.config);
         const endTime = Date.now();
         const duration = endTime - response.config.metadata.startTime;
-        console.log(`✅ ${response.config.url} - ${response.status} (${duration}ms)`);
+        this.logger.debug({
+          url: response.config.url,
+          status: response.status,
+          sureMs: duration
+        }, 'TDK cevabı');
+        this._upstreamMetrikKaydet(response.config, response.status);
+        if (this.semaDenetimi) this._semaDenetle('upstream', response.config.metadata.endpoint, response.data);
+
+        const devre = this.devreKesiciler[response.config.metadata.endpoint];
+        if (devre) devre.basarili();
+
         return response;
       },
       async (error) => {
+        const havuzdaydi = this._havuzuBirak(error.config);
         const endTime = Date.now();
         const duration = endTime - (error.config?.metadata?.startTime || endTime);
+
+        // Sırada beklerken iptal edildi: TDK'ya hiç gitmedi
+        if (!havuzdaydi && error.code === 'ERR_CANCELED') {
+          return Promise.reject(error);
+        }
+
+        if (error.code === 'DEVRE_ACIK') {
+          this.logger.warn({ endpoint: error.config?.metadata?.endpoint }, error.message);
+          this._upstreamMetrikKaydet(error.config, null, error);
+          return Promise.reject(error);
+        }
         
-        if (error.response) {
-          console.error(`❌ ${error.config?.url || 'Unknown'} - ${error.response.status} (${duration}ms)`);
-        } else if (error.request) {
-          console.error(`🌐 ${error.config?.url || 'Unknown'} - No response (${duration}ms)`);
-        } else {
-          console.error(`⚠️ Request error: ${error.message}`);
+        this.logger.warn({
+          url: error.config?.url || null,
+          status: error.response ? error.response.status : null,
+          code: error.code || null,
+          sureMs: duration
+        }, error.response ? 'TDK hata döndürdü' : 'TDK cevap vermedi');
+        this._upstreamMetrikKaydet(error.config, error.response ? error.response.status : null, error);
+
+        const config = error.config;
+        if (this._yenidenDenenebilir(error)) {
+          config.__deneme = (config.__deneme || 0) + 1;
+          const bekleme = this._beklemeSuresi(error, config.__deneme);
+          this.logger.info({ url: config.url, deneme: config.__deneme, beklemeMs: bekleme }, 'TDK isteği yeniden deneniyor');
+          if (this._metrik) this._metrik.upstreamYenidenDeneme.artir({ endpoint: config.metadata?.endpoint || 'diger' });
+
+          await new Promise(resolve => setTimeout(resolve, bekleme));
+          return this.client(config);
+        }
+
+        // Yeniden denemeler tükendi: sadece TDK kaynaklı hatalar devreye yazılır
+        const devre = config && this.devreKesiciler[config.metadata?.endpoint];
+        if (devre && this._upstreamHatasi(error)) {
+          devre.basarisiz(error);
+        } else if (devre && error.response) {
+          devre.basarili();
         }
         
         return Promise.reject(error);
@@ -85,128 +271,478 @@ class TDKSozluk {
       etms: 'etms',
       yazim: 'yazim',
       ses: 'ses',
-      gunun: 'gunun-sozu'
+      gunun: 'gunun-sozu',
+      autocomplete: 'autocomplete.json'
     };
+
+    // Her endpoint için ayrı devre kesici
+    const devreAyarlari = options.devreKesici || {};
+    this.devreKesiciler = {};
+    Object.keys(this.endpoints).forEach(anahtar => {
+      this.devreKesiciler[anahtar] = new DevreKesici({
+        ad: anahtar,
+        esik: devreAyarlari.esik,
+        beklemeSuresi: devreAyarlari.beklemeSuresi
+      });
+    });
+
+    // Prometheus metrikleri (isteğe bağlı): TDK çağrıları, önbellek, devreler
+    this.metrikler = options.metrikler || null;
+    this._metrik = this.metrikler ? this._metrikleriTanimla(this.metrikler) : null;
+
+    // Kayıt modu: TDK cevapları testlerde oynatılmak üzere kasete yazılır (bkz. lib/kaset.js)
+    this.kaset = options.kasetKaydi ? kaydediciEkle(this.client, { dosya: options.kasetKaydi }) : null;
+
+    // Geliştirmede sonuçlar ve TDK cevapları şemalarıyla denetlenir (bkz. lib/semalar.js)
+    this.semaDenetimi = options.semaDenetimi ?? process.env.NODE_ENV === 'development';
+    if (this.semaDenetimi) this._sonucDenetiminiKur();
+  }
+
+  /**
+   * ara'nın sorgulayabildiği kaynaklar
+   * @returns {Array<string>}
+   */
+  static get kaynaklar() {
+    return Object.keys(ARA_KAYNAKLARI);
   }
 
   // ========== PUBLIC METHODS ==========
 
   /**
    * Ana kelime arama metodu
+   *
+   * Kelime TDK'da yoksa ekleri ayıklanıp köküyle aranır (kitaplarımızdan → kitap);
+   * bu durumda metadata.kok ve metadata.ekler doldurulur.
+   *
+   * `kaynaklar` ile sadece istenen kaynaklar sorgulanır (örn. ['gts', 'etms']),
+   * `kaynakZamanAsimi` her kaynağa ayrı süre sınırı koyar. Kaynak cevapları ayrı
+   * ayrı önbelleğe alınır; daha fazla kaynak isteyen sonraki arama sadece
+   * eksikleri TDK'dan çeker. `signal` iptal edilince TDK istekleri durdurulur;
+   * aynı kelimeyi bekleyen başka arama varsa ortak istek sürer.
    * @param {string} word - Aranacak kelime
-   * @param {Object} options - Ek seçenekler
+   * @param {Object} options - Ek seçenekler ({ kokBul: false } ile kök araması kapatılır)
    * @returns {Promise<Object>} - Sözlük verileri
    */
   async ara(word, options = {}) {
-    const cacheKey = this.cacheEnabled ? `ara_${word}_${JSON.stringify(options)}` : null;
+    const { kokBul = true, istatistik = true, ...aramaSecenekleri } = options;
+    const sonuc = await this._araTekil(word, aramaSecenekleri);
+
+    if (sonuc.success || !kokBul || sonuc.error?.code !== 'KELIME_BULUNAMADI') {
+      if (istatistik) this._aramaKaydet(sonuc);
+      return sonuc;
+    }
+
+    const cozum = await this._kokCozumle(word);
+    if (!cozum) return sonuc;
+
+    const kokSonuc = await this._araTekil(cozum.kok, aramaSecenekleri);
+    if (!kokSonuc.success) return sonuc;
+
+    if (istatistik) this._aramaKaydet(kokSonuc);
+    return {
+      ...kokSonuc,
+      metadata: {
+        ...kokSonuc.metadata,
+        arananKelime: this.kelimeTemizle(word),
+        kok: cozum.kok,
+        ekler: cozum.ekler
+      }
+    };
+  }
+
+  /**
+   * Kelimenin kökünü ve eklerini bulur
+   * @param {string} kelime - Çekimli kelime
+   * @returns {Promise<Object>} - Kök, ek zinciri ve diğer olası çözümlemeler
+   */
+  async kokBul(kelime) {
+    const temizKelime = this.kelimeTemizle(kelime);
+    await this._kelimeIndeksiHazirla();
+
+    const cozumlemeler = this.morfoloji.cozumle(temizKelime);
+    const madde = this.kelimeIndeksi.icerir(temizKelime);
+
+    if (!madde && cozumlemeler.length === 0) {
+      return this._hataSonucu(
+        new KelimeBulunamadi("Kök bulunamadı", { details: `"${temizKelime}" için kök bulunamadı` }),
+        { kelime: temizKelime }
+      );
+    }
+
+    return {
+      success: true,
+      data: {
+        kelime: temizKelime,
+        kok: madde ? temizKelime : cozumlemeler[0].kok,
+        ekler: madde ? [] : cozumlemeler[0].ekler,
+        cozumlemeler: cozumlemeler
+      },
+      metadata: {
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  async _araTekil(word, { signal, ...secenekler } = {}) {
+    const temizKelime = this.kelimeTemizle(word);
+    const kaynaklar = this._kaynaklariCozumle(secenekler.kaynaklar);
+
+    if (!kaynaklar) {
+      return this._hataSonucu(
+        new GecersizGirdi("Geçersiz kaynak", { details: `Geçerli kaynaklar: ${TDKSozluk.kaynaklar.join(', ')}` }),
+        { searchWord: word }
+      );
+    }
+
+    // Tüm kaynaklar istendiyse önbellek anahtarı eskisiyle aynı kalsın
+    const options = {
+      ...secenekler,
+      kaynaklar: kaynaklar.length === TDKSozluk.kaynaklar.length ? undefined : kaynaklar
+    };
+    const { kaynakZamanAsimi, ...anahtarSecenekleri } = options;
+    const anahtar = `${temizKelime}_${JSON.stringify(anahtarSecenekleri)}`;
+    const cacheKey = this.cacheEnabled ? `ara_${anahtar}` : null;
     
     if (this.cacheEnabled) {
-      const cached = this.cache.get(cacheKey);
-      if (cached) {
-        console.log(`📦 Cache hit: ${word}`);
-        return cached;
+      const kayit = await this._onbellekOku(cacheKey);
+      if (kayit && kayit.sonuc) {
+        const bayat = Date.now() >= kayit.tazeBitis;
+        this.logger.debug({ kelime: temizKelime, bayat }, 'Önbellekten sunuldu');
+
+        // Bayat kaydı hemen sun, arka planda tazele
+        if (bayat) this._arkaPlandaYenile(cacheKey, temizKelime, options);
+
+        return bayat ? this._bayatSonuc(kayit) : kayit.sonuc;
       }
     }
 
     try {
-      const temizKelime = this.kelimeTemizle(word);
-      
-      const result = {
-        success: true,
-        data: await this.tumVerileriGetir(temizKelime, options),
-        metadata: {
-          source: "TDK Sözlük",
-          version: "2.5.0",
-          timestamp: new Date().toISOString(),
-          searchWord: temizKelime,
-          processingTime: null
+      // Aynı kelime için süren arama varsa ona bağlan, TDK'ya ikinci kez gitme
+      const { sonuc } = await this.birlestirici.calistir('ara', anahtar,
+        ortakSinyal => this._araVeOnbellegeYaz(cacheKey, temizKelime, { ...options, signal: ortakSinyal }), signal);
+      return sonuc;
+
+    } catch (error) {
+      this.logger.warn({ kelime: temizKelime, err: error }, 'Arama başarısız');
+      return this._hataSonucu(hataDonustur(error, "Sözlük sorgulanırken hata oluştu"), { searchWord: word });
+    }
+  }
+
+  /**
+   * Çoklu kelime arama; sonuçlar kelime sırasıyla döner
+   * @param {Array<string>} kelimeler - Aranacak kelimeler
+   * @param {Object} options - ara seçenekleri, { esZamanli, signal }
+   * @returns {Promise<Object>} - Kelime başına ara sonuçları
+   */
+  async topluAra(kelimeler, options = {}) {
+    const sonuclar = new Array(kelimeler.length).fill(null);
+    for await (const { index, sonuc } of this.topluAraAkisi(kelimeler, options)) {
+      sonuclar[index] = sonuc;
+    }
+
+    return {
+      success: true,
+      data: sonuclar,
+      metadata: {
+        timestamp: new Date().toISOString(),
+        toplamKelime: kelimeler.length,
+        basarili: sonuclar.filter(s => s && s.success).length
+      }
+    };
+  }
+
+  /**
+   * Çoklu kelime arama; her kelimenin sonucu hazır olur olmaz verilir
+   *
+   * Aynı anda en fazla `esZamanli` kelime aranır (varsayılan `topluEsZamanli`).
+   * Sonuçlar bitiş sırasıyla gelir, `index` kelimenin listedeki yeridir.
+   * `signal` iptal edilince ya da döngüden çıkılınca yeni kelime başlatılmaz,
+   * süren aramaların TDK istekleri durdurulur.
+   * @param {Array<string>} kelimeler - Aranacak kelimeler
+   * @param {Object} options - ara seçenekleri, { esZamanli, signal }
+   * @returns {AsyncGenerator<Object>} - { index, kelime, sonuc }
+   */
+  async *topluAraAkisi(kelimeler, options = {}) {
+    const { esZamanli = this.topluEsZamanli, signal, ...araSecenekleri } = options;
+    const durdur = new AbortController();
+    const iptalEt = () => durdur.abort();
+    if (signal) signal.addEventListener('abort', iptalEt, { once: true });
+
+    const hazir = [];
+    let uyandir = null;
+    let siradaki = 0;
+    let bitti = false;
+
+    const haberVer = () => {
+      if (uyandir) uyandir();
+      uyandir = null;
+    };
+
+    const calisan = async () => {
+      while (siradaki < kelimeler.length && !durdur.signal.aborted) {
+        const index = siradaki++;
+        const kelime = kelimeler[index];
+        let sonuc;
+        try {
+          sonuc = await this.ara(kelime, { ...araSecenekleri, signal: durdur.signal });
+        } catch (error) {
+          sonuc = this._hataSonucu(hataDonustur(error, "Sözlük sorgulanırken hata oluştu"), { searchWord: kelime });
         }
-      };
+        hazir.push({ index, kelime, sonuc });
+        haberVer();
+      }
+    };
+
+    const calisanSayisi = Math.min(Math.max(Number(esZamanli) || 1, 1), kelimeler.length);
+    Promise.all(Array.from({ length: calisanSayisi }, calisan)).then(() => {
+      bitti = true;
+      haberVer();
+    });
 
-      if (this.cacheEnabled && cacheKey) {
-        this.cache.set(cacheKey, result, options.cacheTTL || 1800);
+    try {
+      while (hazir.length > 0 || !bitti) {
+        if (hazir.length === 0) {
+          await new Promise(resolve => { uyandir = resolve; });
+          continue;
+        }
+        yield hazir.shift();
       }
+    } finally {
+      durdur.abort();
+      if (signal) signal.removeEventListener('abort', iptalEt);
+    }
+  }
 
-      return result;
+  /**
+   * Ön ek ile otomatik tamamlama (bellekteki madde başı indeksinden)
+   * @param {string} onEk - Yazılan ön ek
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} - Sıralı tamamlama önerileri
+   */
+  async otomatikTamamla(onEk, options = {}) {
+    const baslangic = Date.now();
+    const limit = Math.min(Math.max(parseInt(options.limit) || 10, 1), 50);
+    const katliOnEk = katla(onEk);
+
+    if (!katliOnEk) {
+      return this._hataSonucu(new GecersizGirdi("Geçersiz ön ek"));
+    }
+
+    try {
+      const indeks = await this._kelimeIndeksiHazirla();
+      // Hiç aranmamış kelimelerin skoru uzadıkça düşer: en kısa `limit` kelimenin seviyesinden
+      // 5 harf (şapka eşleşmesi puanı) uzunu yetişemez. Aranmış kelimeler uzunluktan bağımsız eklenir.
+      const adaylar = new Set(indeks.kisadanUzuna(katliOnEk, { limit, fazlaSeviye: 5 }));
+      this.sorguIstatistik.onEkIle(katliOnEk).forEach(katli => {
+        const kelime = indeks.yazilis(katli);
+        if (kelime) adaylar.add(kelime);
+      });
+      const yazilan = String(onEk).trim().toLocaleLowerCase('tr-TR');
+
+      const oneriler = [...adaylar]
+        .map(kelime => ({ kelime, skor: this._tamamlamaSkoru(kelime, katliOnEk, yazilan) }))
+        .sort((a, b) => b.skor - a.skor)
+        .slice(0, limit);
 
-    } catch (error) {
-      console.error('Arama hatası:', error);
       return {
-        success: false,
-        error: {
-          message: "Sözlük sorgulanırken hata oluştu",
-          details: error.message,
-          code: error.code || "UNKNOWN_ERROR"
+        success: true,
+        data: {
+          onEk: katliOnEk,
+          oneriler: oneriler,
+          sayi: oneriler.length,
+          toplamAday: indeks.sayi(katliOnEk)
         },
         metadata: {
           timestamp: new Date().toISOString(),
-          searchWord: word
+          islemSuresi: `${Date.now() - baslangic}ms`
         }
       };
+
+    } catch (error) {
+      return this._hataSonucu(hataDonustur(error, "Otomatik tamamlama yapılamadı"));
     }
   }
 
   /**
    * Günün kelimesini getirir
+   *
+   * Bugünün kelimesi arşivdeyse TDK'ya gidilmez; TDK'dan gelen kelime arşive yazılır.
+   * TDK'ya ulaşılamazsa madde başı indeksinden tarihe göre tohumlanmış bir kelime
+   * seçilir (aynı gün hep aynı kelime); bu durumda metadata.source 'yedek' olur.
    * @returns {Promise<Object>} - Günün kelimesi
    */
   async gununKelimesi() {
-    const cacheKey = 'gunun_kelimesi_daily';
-    const cached = this.cache.get(cacheKey);
+    const tarih = bugun();
+    const cacheKey = `gunun_kelimesi_${tarih}`;
+    const cached = await this._onbellekOku(cacheKey);
     if (cached) return cached;
 
     try {
-      const response = await this.client.get(this.endpoints.gunun);
+      let kayit = await this.gununKelimesiArsivi.getir(tarih);
+      let kaynak = 'arsiv';
+      let sebep = null;
+
+      if (!kayit) {
+        try {
+          kayit = await this._gununSozuGetir(tarih);
+          kaynak = 'gunun-sozu';
+          await this.gununKelimesiArsivi.ekle(kayit).catch(error => {
+            this.logger.warn({ err: error }, 'Günün kelimesi arşive yazılamadı');
+          });
+        } catch (error) {
+          const hata = hataDonustur(error, "Günün kelimesi alınamadı");
+          kayit = hata.status >= 500 ? await this._yedekGununKelimesi(tarih) : null;
+          if (!kayit) throw hata;
+          this.logger.warn({ code: hata.code, kelime: kayit.kelime }, 'Günün kelimesi TDK yerine indeksten seçildi');
+          kaynak = 'yedek';
+          sebep = hata.code;
+        }
+      }
+
       const result = {
         success: true,
-        data: {
-          kelime: response.data.madde || response.data.kelime,
-          anlam: response.data.anlam,
-          tarih: new Date().toISOString().split('T')[0],
-          kaynak: 'TDK Günün Sözü'
-        },
+        data: kayit,
         metadata: {
           timestamp: new Date().toISOString(),
-          source: 'gunun-sozu'
+          source: kaynak,
+          ...(sebep ? { sebep } : {})
         }
       };
 
-      this.cache.set(cacheKey, result, 86400); // 24 saat cache
+      // Yedek seçim kısa süre saklanır ki TDK düzelince gerçek kelime alınsın
+      await this._onbellekYaz(cacheKey, result, sebep ? this.negatifTTL : this.onbellekSureleri.gununKelimesi);
       return result;
 
     } catch (error) {
+      return this._hataSonucu(hataDonustur(error, "Günün kelimesi alınamadı"));
+    }
+  }
+
+  /**
+   * Geçmiş bir günün kelimesini arşivden getirir (bugün için gununKelimesi)
+   * @param {string} tarih - YYYY-MM-DD (UTC)
+   * @returns {Promise<Object>} - Günün kelimesi
+   */
+  async tarihliGununKelimesi(tarih) {
+    try {
+      if (!gecerliTarih(tarih)) {
+        throw new GecersizGirdi("Geçersiz tarih", { details: 'Tarih YYYY-MM-DD biçiminde olmalı' });
+      }
+
+      const simdi = bugun();
+      if (tarih === simdi) return await this.gununKelimesi();
+      if (tarih > simdi) {
+        throw new GecersizGirdi("Geçersiz tarih", { details: `Tarih bugünden (${simdi}) sonra olamaz` });
+      }
+
+      const kayit = await this.gununKelimesiArsivi.getir(tarih);
+      if (!kayit) throw new Bulunamadi("Bu tarihin kelimesi arşivde yok", { details: tarih });
+
+      return {
+        success: true,
+        data: kayit,
+        metadata: {
+          timestamp: new Date().toISOString(),
+          source: 'arsiv'
+        }
+      };
+
+    } catch (error) {
+      return this._hataSonucu(hataDonustur(error, "Günün kelimesi alınamadı"));
+    }
+  }
+
+  /**
+   * Arşivdeki günün kelimeleri, yeniden eskiye
+   *
+   * Bugünün kelimesi henüz alınmadıysa önce o alınır.
+   * @param {Object} options - { sayfa, limit }
+   * @returns {Promise<Object>} - Sayfalı arşiv
+   */
+  async gununKelimesiGecmisi(options = {}) {
+    try {
+      const sayfa = Math.max(parseInt(options.sayfa, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(options.limit, 10) || 30, 1), 100);
+
+      await this.gununKelimesi();
+      const { kayitlar, toplam } = await this.gununKelimesiArsivi.liste({ sayfa, limit });
+
       return {
-        success: false,
-        error: "Günün kelimesi alınamadı",
-        metadata: { timestamp: new Date().toISOString() }
+        success: true,
+        data: {
+          kayitlar: kayitlar,
+          sayfa: sayfa,
+          sayfaBoyutu: limit,
+          toplamKayit: toplam,
+          toplamSayfa: Math.ceil(toplam / limit)
+        },
+        metadata: {
+          timestamp: new Date().toISOString(),
+          source: 'arsiv'
+        }
       };
+
+    } catch (error) {
+      return this._hataSonucu(hataDonustur(error, "Günün kelimesi arşivi alınamadı"));
     }
   }
 
   /**
    * Yazım denetimi yapar
+   *
+   * Metin kelimelere ayrılır; noktalama ve kesme işaretinden sonraki ekler
+   * denetlenmez.
    * @param {string} metin - Denetlenecek metin
+   * @param {Object} options - { oneriSayisi }
    * @returns {Promise<Object>} - Denetim sonuçları
    */
-  async yazimDenetimi(metin) {
-    const kelimeler = metin.split(/\s+/).filter(k => k.trim());
+  async yazimDenetimi(metin, options = {}) {
+    if (typeof metin !== 'string' || !metin.trim()) {
+      return this._hataSonucu(new GecersizGirdi("Geçersiz metin parametresi"));
+    }
+
+    const oneriSayisi = Math.max(parseInt(options.oneriSayisi) || 5, 1);
+    // Noktalama TDK'ya gitmesin ("kitap," → kitap, "Ankara'da" → Ankara)
+    const kelimeler = kelimelereAyir(metin).map(k => k.kelime);
+    if (kelimeler.length === 0) {
+      return this._hataSonucu(new GecersizGirdi("Metinde kelime yok"));
+    }
     const sonuclar = [];
+    const denetimHatalari = [];
     
     for (const kelime of kelimeler) {
       try {
-        const response = await this.client.get(`${this.endpoints.yazim}?ara=${encodeURIComponent(kelime)}`);
+        const sorgu = this._sorguAnahtari(kelime);
+        const response = await this.birlestirici.calistir('yazim', sorgu,
+          () => this.client.get(`${this.endpoints.yazim}?ara=${encodeURIComponent(sorgu)}`));
         const dogruMu = response.data && response.data.length > 0;
         
+        // TDK sadece madde başlarını tanır; çekimli biçimi köküne indir
+        const cozum = dogruMu ? null : await this._kokCozumle(kelime);
+
+        if (cozum) {
+          sonuclar.push({ kelime: kelime, dogru: true, oneriler: [], kok: cozum.kok, ekler: cozum.ekler });
+          continue;
+        }
+
         sonuclar.push({
           kelime: kelime,
           dogru: dogruMu,
-          oneriler: dogruMu ? [] : await this._onerilerGetir(kelime)
+          oneriler: dogruMu ? [] : await this._onerilerGetir(kelime, oneriSayisi)
         });
       } catch (error) {
-        sonuclar.push({ kelime: kelime, dogru: false, oneriler: [] });
+        // Denetlenemeyen kelime yanlış sayılmasın diye hata kodu eklenir
+        const hata = hataDonustur(error, "Yazım denetimi yapılamadı");
+        denetimHatalari.push(hata);
+        sonuclar.push({ kelime: kelime, dogru: false, oneriler: [], hata: hata.code });
       }
     }
 
+    // Hiçbir kelime denetlenemediyse TDK'ya ulaşılamamıştır
+    if (denetimHatalari.length === kelimeler.length) {
+      return this._hataSonucu(denetimHatalari[0]);
+    }
+
     return {
       success: true,
       data: {
@@ -225,6 +761,75 @@ class TDKSozluk {
     };
   }
 
+  /**
+   * Metindeki yabancı kökenli kelimeleri bulur ve Türkçe karşılıklarını önerir
+   *
+   * Her farklı kelime bir kez, gts, bati ve kilavuz kaynaklarıyla aranır (çekimli
+   * biçimler köküyle). Köken GTS'nin `lisan` alanından gelir. Öneriler Batı kökenli
+   * kelimelere karşılıklar (bati) ile yabancı sözlere karşılıklar (kilavuz)
+   * kılavuzlarının birleşimidir; aynı karşılık bir kez yer alır. TDK'da bulunamayan kelimelerin
+   * `yabanci` alanı null'dır ve orana katılmaz.
+   * @param {string} metin - İncelenecek metin
+   * @param {Object} options - { esZamanli }
+   * @returns {Promise<Object>} - Kelime bazlı sonuçlar ve yabancı kelime oranı
+   */
+  async yabanciKelimeAnalizi(metin, options = {}) {
+    if (typeof metin !== 'string' || !metin.trim()) {
+      return this._hataSonucu(new GecersizGirdi("Geçersiz metin parametresi"));
+    }
+
+    const kelimeler = kelimelereAyir(metin);
+    if (kelimeler.length === 0) {
+      return this._hataSonucu(new GecersizGirdi("Metinde kelime yok"));
+    }
+
+    const anahtarlar = [...new Set(kelimeler.map(k => k.anahtar))];
+    const incelemeler = new Map();
+    const aramaHatalari = [];
+
+    for await (const { kelime, sonuc } of this.topluAraAkisi(anahtarlar, {
+      kaynaklar: ['gts', 'bati', 'kilavuz'],
+      istatistik: false,
+      esZamanli: options.esZamanli
+    })) {
+      incelemeler.set(kelime, this._kokenIncele(sonuc));
+      if (!sonuc.success && sonuc.error.code !== 'KELIME_BULUNAMADI') aramaHatalari.push(sonuc.error);
+    }
+
+    // Hiçbir kelime aranamadıysa TDK'ya ulaşılamamıştır
+    if (aramaHatalari.length === anahtarlar.length) {
+      return { success: false, error: aramaHatalari[0], metadata: { timestamp: new Date().toISOString() } };
+    }
+
+    const sonuclar = kelimeler.map(({ kelime, anahtar }) => ({ kelime, ...incelemeler.get(anahtar) }));
+    const yabancilar = sonuclar.filter(s => s.yabanci === true);
+    const yerliler = sonuclar.filter(s => s.yabanci === false);
+    const incelenen = yabancilar.length + yerliler.length;
+
+    const diller = {};
+    yabancilar.forEach(s => { diller[s.dil] = (diller[s.dil] || 0) + 1; });
+
+    return {
+      success: true,
+      data: {
+        metin: metin,
+        sonuclar: sonuclar,
+        istatistik: {
+          toplamKelime: sonuclar.length,
+          yabanciKelime: yabancilar.length,
+          yerliKelime: yerliler.length,
+          bilinmeyenKelime: sonuclar.length - incelenen,
+          yabanciOrani: (incelenen > 0 ? yabancilar.length / incelenen * 100 : 0).toFixed(2),
+          diller: diller
+        }
+      },
+      metadata: {
+        timestamp: new Date().toISOString(),
+        farkliKelime: anahtarlar.length
+      }
+    };
+  }
+
   /**
    * Atasözü ve deyim arama
    * @param {string} anahtar - Anahtar kelime
@@ -232,39 +837,42 @@ class TDKSozluk {
    * @returns {Promise<Object>} - Atasözü/deyim sonuçları
    */
   async atasozuAra(anahtar, options = {}) {
-    const cacheKey = `atasozu_${anahtar}`;
-    const cached = this.cache.get(cacheKey);
+    const sorgu = this._sorguAnahtari(anahtar);
+    const cacheKey = `atasozu_${sorgu}`;
+    const cached = await this._onbellekOku(cacheKey);
     if (cached) return cached;
 
     try {
-      const [atasozuRes, deyimRes] = await Promise.allSettled([
-        this.client.get(`${this.endpoints.atasozu}?ara=${encodeURIComponent(anahtar)}`),
-        this.client.get(`${this.endpoints.deyim}?ara=${encodeURIComponent(anahtar)}`)
-      ]);
+      const [atasozuRes, deyimRes] = await this.birlestirici.calistir('atasozu', sorgu, () => Promise.allSettled([
+        this.client.get(`${this.endpoints.atasozu}?ara=${encodeURIComponent(sorgu)}`),
+        this.client.get(`${this.endpoints.deyim}?ara=${encodeURIComponent(sorgu)}`)
+      ]));
+
+      if (atasozuRes.status === 'rejected' && deyimRes.status === 'rejected') {
+        throw atasozuRes.reason;
+      }
+
+      const atasozleri = atasozuRes.status === 'fulfilled' ? this._kayitlar(atasozuRes.value.data) : [];
+      const deyimler = deyimRes.status === 'fulfilled' ? this._kayitlar(deyimRes.value.data) : [];
 
       const result = {
         success: true,
         data: {
-          anahtar: anahtar,
-          atasozleri: atasozuRes.status === 'fulfilled' ? atasozuRes.value.data || [] : [],
-          deyimler: deyimRes.status === 'fulfilled' ? deyimRes.value.data || [] : [],
-          toplam: (atasozuRes.status === 'fulfilled' ? atasozuRes.value.data?.length || 0 : 0) + 
-                  (deyimRes.status === 'fulfilled' ? deyimRes.value.data?.length || 0 : 0)
+          anahtar: sorgu,
+          atasozleri: atasozleri,
+          deyimler: deyimler,
+          toplam: atasozleri.length + deyimler.length
         },
         metadata: {
           timestamp: new Date().toISOString()
         }
       };
 
-      this.cache.set(cacheKey, result, 3600);
+      await this._onbellekYaz(cacheKey, result, this.onbellekSureleri.atasozu);
       return result;
 
     } catch (error) {
-      return {
-        success: false,
-        error: "Atasözü/deyim arama hatası",
-        metadata: { timestamp: new Date().toISOString() }
-      };
+      return this._hataSonucu(hataDonustur(error, "Atasözü/deyim arama hatası"));
     }
   }
 
@@ -276,27 +884,19 @@ class TDKSozluk {
    */
   async benzerKelimeler(kelime, limit = 10) {
     try {
-      // TDK'nın benzer kelime endpoint'i yoksa, harfe göre listeleme yapabiliriz
-      const temizKelime = this.kelimeTemizle(kelime);
-      const ilkHarf = temizKelime.charAt(0);
-      
-      const response = await this.harfeGoreKelimeler(ilkHarf, 1, 50);
-      
-      if (!response.success) {
-        return response;
-      }
+      // TDK'nın benzer kelime endpoint'i yok, madde başı indeksi üzerinde arıyoruz
+      const temizKelime = katla(this.kelimeTemizle(kelime));
+      const indeks = await this._kelimeIndeksiHazirla();
+
+      // Önce aynı ön eki paylaşanlar, sonra içinde ortak hece geçenler
+      const onEkli = indeks.onEkIle(temizKelime.substring(0, 3), { limit: limit + 1 });
+      const ortaHece = temizKelime.substring(1, 4);
+      const icerenler = ortaHece.length < 3 ? [] : indeks.tumKelimeler()
+        .filter(k => katla(k).includes(ortaHece));
 
-      // Benzerlik algoritması (basit versiyon)
-      const benzerler = response.data.kelimeler
-        .filter(k => {
-          const kelimeObj = typeof k === 'string' ? { kelime: k } : k;
-          const digerKelime = this.kelimeTemizle(kelimeObj.kelime || '');
-          return digerKelime !== temizKelime && 
-                 (digerKelime.startsWith(temizKelime.substring(0, 3)) || 
-                  digerKelime.includes(temizKelime.substring(1, 4)));
-        })
-        .slice(0, limit)
-        .map(k => typeof k === 'string' ? k : k.kelime);
+      const benzerler = [...new Set([...onEkli, ...icerenler])]
+        .filter(k => katla(k) !== temizKelime)
+        .slice(0, limit);
 
       return {
         success: true,
@@ -312,11 +912,7 @@ class TDKSozluk {
       };
 
     } catch (error) {
-      return {
-        success: false,
-        error: "Benzer kelimeler bulunamadı",
-        metadata: { timestamp: new Date().toISOString() }
-      };
+      return this._hataSonucu(hataDonustur(error, "Benzer kelimeler bulunamadı"));
     }
   }
 
@@ -328,91 +924,124 @@ class TDKSozluk {
    * @returns {Promise<Object>} - Kelime listesi
    */
   async harfeGoreKelimeler(harf, sayfa = 1, limit = 50) {
-    const cacheKey = `harf_${harf}_${sayfa}`;
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
-
     try {
-      // TDK'da böyle bir endpoint yok, alternatif yaklaşım
-      // GTS'den rastgele kelimeler alıp filtreleyebiliriz
-      const populerKelimeler = await this.populerAramalar(100);
-      
-      if (!populerKelimeler.success) {
-        return populerKelimeler;
-      }
-
-      const filtrelenmis = populerKelimeler.data
-        .filter(item => {
-          const kelime = item.kelime || item;
-          return kelime.toLowerCase().startsWith(harf.toLowerCase());
-        })
-        .slice((sayfa - 1) * limit, sayfa * limit);
+      // TDK'da harf bazlı endpoint yok, madde başı indeksinden listeliyoruz
+      const indeks = await this._kelimeIndeksiHazirla();
+      const onEk = katla(harf);
+      const toplam = indeks.sayi(onEk);
 
       const result = {
         success: true,
         data: {
-          harf: harf.toUpperCase(),
+          harf: onEk.toLocaleUpperCase('tr-TR'),
           sayfa: sayfa,
           sayfaBoyutu: limit,
-          kelimeler: filtrelenmis,
-          toplamKelime: filtrelenmis.length
+          kelimeler: indeks.onEkIle(onEk, { atla: (sayfa - 1) * limit, limit }),
+          toplamKelime: toplam,
+          toplamSayfa: Math.ceil(toplam / limit)
         },
         metadata: {
           timestamp: new Date().toISOString(),
-          not: "TDK harf bazlı endpoint'i olmadığı için popüler kelimelerden filtrelenmiştir"
+          kaynak: indeks.kaynak
         }
       };
 
-      this.cache.set(cacheKey, result, 1800);
       return result;
 
     } catch (error) {
+      return this._hataSonucu(hataDonustur(error, "Harfe göre kelimeler alınamadı"));
+    }
+  }
+
+  /**
+   * Asterisk/joker desen ile kelime arama
+   * @param {string} desen - Desen (örn: "k?tap", "k*p,5")
+   * @param {Object} options - { sayfa, limit }
+   * @returns {Promise<Object>} - Desene uyan kelimeler
+   */
+  async desenAra(desen, options = {}) {
+    const sayfa = Math.max(parseInt(options.sayfa) || 1, 1);
+    const limit = Math.max(parseInt(options.limit) || 50, 1);
+    const cozum = desenCozumle(desen);
+
+    if (!cozum) {
+      return this._hataSonucu(
+        new GecersizGirdi("Geçersiz desen", { details: "Harf, boşluk, tire, ? ve * kullanılabilir; uzunluk için sona ,N eklenir" }),
+        { desen: desen }
+      );
+    }
+
+    try {
+      const indeks = await this._kelimeIndeksiHazirla();
+      const cacheKey = `desen_${indeks.surum}_${cozum.desen}_${cozum.uzunluk}`;
+      let eslesmeler = await this._onbellekOku(cacheKey);
+
+      if (!eslesmeler) {
+        // Joker öncesindeki sabit ön ek adayları trie üzerinden daraltır
+        eslesmeler = indeks.onEkIle(cozum.onEk).filter(k => desenEslesir(cozum, k));
+        await this._onbellekYaz(cacheKey, eslesmeler, this.onbellekSureleri.desen);
+      }
+
       return {
-        success: false,
-        error: "Harfe göre kelimeler alınamadı",
-        metadata: { timestamp: new Date().toISOString() }
+        success: true,
+        data: {
+          desen: cozum.desen,
+          uzunluk: cozum.uzunluk,
+          sayfa: sayfa,
+          sayfaBoyutu: limit,
+          kelimeler: eslesmeler.slice((sayfa - 1) * limit, sayfa * limit),
+          toplamEslesme: eslesmeler.length,
+          toplamSayfa: Math.ceil(eslesmeler.length / limit)
+        },
+        metadata: {
+          timestamp: new Date().toISOString()
+        }
       };
+
+    } catch (error) {
+      return this._hataSonucu(hataDonustur(error, "Desen araması yapılamadı"), { desen: desen });
     }
   }
 
   /**
-   * Popüler aramaları getirir
+   * desenAra için geriye dönük uyumlu isim (README'deki asteriskAra)
+   * @param {string} desen - Desen
+   * @param {Object} options - { sayfa, limit }
+   * @returns {Promise<Object>}
+   */
+  asteriskAra(desen, options = {}) {
+    return this.desenAra(desen, options);
+  }
+
+  /**
+   * Popüler aramaları getirir (bu sunucuda yapılan gerçek aramalardan)
    * @param {number} limit - Limit
+   * @param {Object} options - { pencere: 'saat' | 'gun' | 'hafta' | 'tum' }
    * @returns {Promise<Object>} - Popüler aramalar
    */
-  async populerAramalar(limit = 20) {
-    const cacheKey = `populer_${limit}`;
-    const cached = this.cache.get(cacheKey);
-    if (cached) return cached;
+  async populerAramalar(limit = 20, options = {}) {
+    const pencere = options.pencere || 'tum';
 
-    try {
-      // TDK'da popüler aramalar endpoint'i yok, örnek veri
-      const populerKelimeler = [
-        "merhaba", "teşekkür", "sevgi", "aşk", "mutluluk", "kelime", 
-        "türkçe", "dil", "edebiyat", "şiir", "roman", "hikaye",
-        "bilim", "teknoloji", "sanat", "müzik", "resim", "heykel",
-        "doğa", "hayvan", "bitki", "ağaç", "çiçek", "su", "hava",
-        "toprak", "güneş", "ay", "yıldız", "gezegen", "evren"
-      ].slice(0, limit).map(kelime => ({ kelime, aramaSayisi: Math.floor(Math.random() * 1000) + 100 }));
+    if (!SorguIstatistik.pencereler.includes(pencere)) {
+      return this._hataSonucu(
+        new GecersizGirdi("Geçersiz pencere", { details: `Geçerli pencereler: ${SorguIstatistik.pencereler.join(', ')}` })
+      );
+    }
 
+    try {
       const result = {
         success: true,
-        data: populerKelimeler.sort((a, b) => b.aramaSayisi - a.aramaSayisi),
+        data: this.sorguIstatistik.enCok(pencere, limit),
         metadata: {
           timestamp: new Date().toISOString(),
-          not: "Örnek popüler kelime listesi"
+          pencere: pencere
         }
       };
 
-      this.cache.set(cacheKey, result, 3600);
       return result;
 
     } catch (error) {
-      return {
-        success: false,
-        error: "Popüler aramalar alınamadı",
-        metadata: { timestamp: new Date().toISOString() }
-      };
+      return this._hataSonucu(hataDonustur(error, "Popüler aramalar alınamadı"));
     }
   }
 
@@ -422,13 +1051,11 @@ class TDKSozluk {
    */
   async rastgeleKelime() {
     try {
-      const populer = await this.populerAramalar(100);
-      if (!populer.success) throw new Error("Popüler kelimeler alınamadı");
-
-      const rastgeleIndex = Math.floor(Math.random() * populer.data.length);
-      const rastgeleKelime = populer.data[rastgeleIndex].kelime;
+      const indeks = await this._kelimeIndeksiHazirla();
+      const rastgeleKelime = indeks.rastgele();
+      if (!rastgeleKelime) throw new Bulunamadi("Rastgele kelime bulunamadı", { details: "Madde başı indeksi boş" });
 
-      const detay = await this.ara(rastgeleKelime);
+      const detay = await this.ara(rastgeleKelime, { istatistik: false });
 
       return {
         success: true,
@@ -443,11 +1070,7 @@ class TDKSozluk {
       };
 
     } catch (error) {
-      return {
-        success: false,
-        error: "Rastgele kelime bulunamadı",
-        metadata: { timestamp: new Date().toISOString() }
-      };
+      return this._hataSonucu(hataDonustur(error, "Rastgele kelime bulunamadı"));
     }
   }
 
@@ -458,8 +1081,12 @@ class TDKSozluk {
    */
   async sesGetir(kelime) {
     try {
-      const encodedKelime = encodeURIComponent(kelime);
-      const response = await this.client.get(`${this.endpoints.ses}?ara=${encodedKelime}`);
+      const encodedKelime = encodeURIComponent(this._sorguAnahtari(kelime));
+      const response = await this.birlestirici.calistir('ses', encodedKelime,
+        () => this.client.get(`${this.endpoints.ses}?ara=${encodedKelime}`));
+      if (!response.data || response.data.error) {
+        throw new Bulunamadi("Ses dosyası bulunamadı", { details: `"${kelime}" için ses kaydı yok` });
+      }
 
       return {
         success: true,
@@ -475,35 +1102,121 @@ class TDKSozluk {
       };
 
     } catch (error) {
-      return {
-        success: false,
-        error: "Ses dosyası bulunamadı",
-        metadata: { timestamp: new Date().toISOString() }
+      return this._hataSonucu(hataDonustur(error, "Ses dosyası alınamadı"), { kelime: kelime });
+    }
+  }
+
+  /**
+   * ara/batch sonuçlarını CSV, TSV, Markdown, HTML ya da Anki dosyasına çevirir
+   * @param {Object|Array<Object>} sonuclar - ara sonucu ya da sonuç listesi
+   * @param {string} format - csv, tsv, markdown, html, anki
+   * @param {Object} options - { baslik: HTML/Markdown başlığı }
+   * @returns {Object} - { icerik, icerikTuru, dosyaAdi }
+   */
+  disaAktar(sonuclar, format, options = {}) {
+    if (!disaAktarim.FORMATLAR[format]) {
+      return this._hataSonucu(
+        new GecersizGirdi("Geçersiz format", { details: `Geçerli formatlar: ${Object.keys(disaAktarim.FORMATLAR).join(', ')}` })
+      );
+    }
+
+    const aktarim = disaAktarim.disaAktar(sonuclar, format, options);
+    if (aktarim.kelimeSayisi === 0) {
+      return this._hataSonucu(new Bulunamadi("Dışa aktarılacak kelime yok"), { atlanan: aktarim.atlanan });
+    }
+
+    return {
+      success: true,
+      data: {
+        icerik: aktarim.icerik,
+        icerikTuru: aktarim.icerikTuru,
+        dosyaAdi: aktarim.dosyaAdi
+      },
+      metadata: {
+        timestamp: new Date().toISOString(),
+        format: format,
+        kelimeSayisi: aktarim.kelimeSayisi,
+        atlanan: aktarim.atlanan
+      }
+    };
+  }
+
+  /**
+   * Madde başı indeksini TDK'nın otomatik tamamlama listesinden tazeler
+   * @param {Object} options - { kaydet: true ise yerel dosyaya da yazılır }
+   * @returns {Promise<Object>} - İndeks bilgileri
+   */
+  async kelimeIndeksiniGuncelle(options = {}) {
+    try {
+      const response = await this.client.get(this.endpoints.autocomplete);
+      const liste = (Array.isArray(response.data) ? response.data : [])
+        .map(item => (typeof item === 'string' ? item : item.madde))
+        .filter(Boolean);
+
+      if (liste.length === 0) throw new UpstreamHatasi("Kelime indeksi güncellenemedi", { details: "Otomatik tamamlama listesi boş" });
+
+      this.kelimeIndeksi.yukle(liste, 'tdk');
+      if (options.kaydet) {
+        await this.kelimeIndeksi.kaydet();
+      }
+
+      return {
+        success: true,
+        data: {
+          kelimeSayisi: this.kelimeIndeksi.boyut,
+          kaynak: this.kelimeIndeksi.kaynak,
+          sonGuncelleme: this.kelimeIndeksi.sonGuncelleme.toISOString()
+        },
+        metadata: { timestamp: new Date().toISOString() }
       };
+
+    } catch (error) {
+      return this._hataSonucu(hataDonustur(error, "Kelime indeksi güncellenemedi"));
     }
   }
 
+  /**
+   * Endpoint devre kesicilerinin durumu
+   * @returns {Object} - Endpoint anahtarına göre devre durumları
+   */
+  devreDurumu() {
+    const durumlar = {};
+    Object.entries(this.devreKesiciler).forEach(([anahtar, devre]) => {
+      durumlar[anahtar] = devre.ozet();
+    });
+    return durumlar;
+  }
+
   /**
    * Cache'i temizler
    * @param {string} pattern - Temizlenecek cache pattern'i
+   * @returns {Promise<number|null>} - Silinen kayıt sayısı (tümü silindiyse null)
    */
-  cacheTemizle(pattern = null) {
+  async cacheTemizle(pattern = null) {
     if (!pattern) {
-      this.cache.flushAll();
-      console.log('✅ Tüm cache temizlendi');
-    } else {
-      const keys = this.cache.keys().filter(key => key.includes(pattern));
-      keys.forEach(key => this.cache.del(key));
-      console.log(`✅ "${pattern}" pattern'ine sahip ${keys.length} cache kaydı temizlendi`);
+      await this.cache.flush();
+      this.logger.info('Tüm önbellek temizlendi');
+      return null;
     }
+
+    const keys = (await this.cache.keys()).filter(key => key.includes(pattern));
+    await Promise.all(keys.map(key => this.cache.del(key)));
+    this.logger.info({ pattern, silinen: keys.length }, 'Önbellek kayıtları temizlendi');
+    return keys.length;
   }
 
   /**
    * Cache istatistikleri
-   * @returns {Object} - Cache istatistikleri
+   * @returns {Promise<Object>} - Cache istatistikleri
    */
-  cacheIstatistik() {
-    const stats = this.cache.getStats();
+  async cacheIstatistik() {
+    let stats;
+    try {
+      stats = await this.cache.stats();
+    } catch (error) {
+      return this._hataSonucu(hataDonustur(error, "Cache istatistikleri alınamadı"), { cacheEnabled: this.cacheEnabled });
+    }
+
     return {
       success: true,
       data: {
@@ -511,33 +1224,55 @@ class TDKSozluk {
         misses: stats.misses,
         keys: stats.keys,
         ksize: stats.ksize,
-        vsize: stats.vsize
+        vsize: stats.vsize,
+        evictions: stats.evictions ?? null,
+        birlestirilen: this.birlestirici.istatistik()
       },
       metadata: {
         timestamp: new Date().toISOString(),
-        cacheEnabled: this.cacheEnabled
+        cacheEnabled: this.cacheEnabled,
+        adapter: this.cache.tur || 'ozel'
       }
     };
   }
 
+  /**
+   * Süren TDK isteklerini bekler, sonra önbelleği ve istatistik deposunu kapatır
+   *
+   * `beklemeSuresi` dolunca kendi iptal sinyali olmayan istekler iptal edilir.
+   * Kapatılan örnekle yeni TDK isteği yapılamaz.
+   * @param {Object} options - { beklemeSuresi: ms (varsayılan 10000) }
+   * @returns {Promise<Object>} - { bosaldi: süren istekler beklenebildi mi }
+   */
+  async kapat(options = {}) {
+    const beklemeSuresi = options.beklemeSuresi ?? 10000;
+    let zamanlayici;
+    const bosaldi = await Promise.race([
+      this.havuz.bosalinca().then(() => true),
+      new Promise(resolve => { zamanlayici = setTimeout(resolve, beklemeSuresi, false); })
+    ]);
+    clearTimeout(zamanlayici);
+
+    if (!bosaldi) {
+      this.logger.warn({ aktif: this.havuz.aktif, bekleyen: this.havuz.bekleyen }, 'TDK istekleri beklenmeden iptal ediliyor');
+    }
+    this._kapanis.abort();
+
+    if (typeof this.cache.kapat === 'function') await this.cache.kapat().catch(() => {});
+    await this.sorguIstatistik.kapat().catch(() => {});
+    await this.gununKelimesiArsivi.kapat().catch(() => {});
+    return { bosaldi };
+  }
+
   // ========== PRIVATE METHODS ==========
 
-  async tumVerileriGetir(kelime, options) {
-    const encodedKelime = encodeURIComponent(kelime);
+  async tumVerileriGetir(kelime, options = {}) {
     const startTime = Date.now();
-    
-    const requests = [
-      { key: 'temel', promise: this.client.get(`${this.endpoints.gts}?ara=${encodedKelime}`) },
-      { key: 'atasozleri', promise: this.client.get(`${this.endpoints.atasozu}?ara=${encodedKelime}`) },
-      { key: 'deyimler', promise: this.client.get(`${this.endpoints.deyim}?ara=${encodedKelime}`) },
-      { key: 'derleme', promise: this.client.get(`${this.endpoints.derleme}?ara=${encodedKelime}`) },
-      { key: 'terim', promise: this.client.get(`${this.endpoints.terim}?eser_ad=t%C3%BCm%C3%BC&ara=${encodedKelime}`) },
-      { key: 'bati', promise: this.client.get(`${this.endpoints.bati}?ara=${encodedKelime}`) },
-      { key: 'kilavuz', promise: this.client.get(`${this.endpoints.kilavuz}?prm=ysk&ara=${encodedKelime}`) },
-      { key: 'etimoloji', promise: this.client.get(`${this.endpoints.etms}?ara=${encodedKelime}`) }
-    ];
-
-    const results = await Promise.allSettled(requests.map(r => r.promise));
+    const kaynaklar = options.kaynaklar || TDKSozluk.kaynaklar;
+
+    const sonuclar = await Promise.all(
+      kaynaklar.map(kaynak => this._kaynakGetir(kaynak, kelime, options))
+    );
     const endTime = Date.now();
 
     const processedData = {
@@ -550,25 +1285,40 @@ class TDKSozluk {
       birlesikler: [],
       etimoloji: null,
       telaffuz: null,
-      kullanimTuru: []
+      kullanimTuru: [],
+      derleme: [],
+      terimler: [],
+      batiKarsiliklari: [],
+      yazimKilavuzu: []
     };
 
-    results.forEach((result, index) => {
-      if (result.status === 'fulfilled' && result.value.data) {
-        const key = requests[index].key;
-        
-        switch(key) {
-          case 'temel':
-            this._temelBilgilerIsle(result.value.data, processedData);
+    sonuclar.forEach(sonuc => {
+      if (sonuc.durum === 'basarili' && sonuc.veri) {
+        switch(sonuc.kaynak) {
+          case 'gts':
+            this._temelBilgilerIsle(sonuc.veri, processedData);
+            break;
+          case 'atasozu':
+            processedData.atasozleri = this._kayitlar(sonuc.veri);
+            break;
+          case 'deyim':
+            processedData.deyimler = this._kayitlar(sonuc.veri);
             break;
-          case 'atasozleri':
-            processedData.atasozleri = result.value.data || [];
+          case 'etms':
+            // Sonuç yoksa gelen { error: "Sonuç bulunamadı" } etimoloji sayılmasın
+            processedData.etimoloji = sonuc.veri && !sonuc.veri.error ? sonuc.veri : null;
             break;
-          case 'deyimler':
-            processedData.deyimler = result.value.data || [];
+          case 'derleme':
+            processedData.derleme = this._derlemeIsle(sonuc.veri);
             break;
-          case 'etimoloji':
-            processedData.etimoloji = result.value.data || null;
+          case 'terim':
+            processedData.terimler = this._terimIsle(sonuc.veri);
+            break;
+          case 'bati':
+            processedData.batiKarsiliklari = this._batiIsle(sonuc.veri);
+            break;
+          case 'kilavuz':
+            processedData.yazimKilavuzu = this._kilavuzIsle(sonuc.veri);
             break;
         }
       }
@@ -583,17 +1333,36 @@ class TDKSozluk {
       }
     }
 
+    const durumu = durum => sonuclar.filter(s => s.durum === durum).map(s => s.kaynak);
+    const basarili = durumu('basarili');
+
+    // Ana madde (GTS) ya da istenen kaynakların hiçbiri alınamadıysa boş sonuç yerine hata
+    const gtsHatasi = sonuclar.find(s => s.kaynak === 'gts' && s.durum !== 'basarili');
+    if (gtsHatasi || basarili.length === 0) {
+      throw (gtsHatasi || sonuclar[0]).hata;
+    }
+
     processedData.metadata = {
       islemSuresi: `${endTime - startTime}ms`,
-      veriKaynaklari: results.filter(r => r.status === 'fulfilled').length,
-      tamVeri: results.every(r => r.status === 'fulfilled')
+      veriKaynaklari: basarili.length,
+      tamVeri: basarili.length === sonuclar.length,
+      kaynaklar: {
+        istenen: [...kaynaklar],
+        basarili: basarili,
+        basarisiz: durumu('basarisiz'),
+        zamanAsimi: durumu('zamanAsimi'),
+        onbellekten: sonuclar.filter(s => s.onbellekten).map(s => s.kaynak)
+      },
+      // GTS cevap verdi ama madde yok: TDK'ya göre böyle bir kelime yok
+      bulunamadi: basarili.includes('gts') && !processedData.temelBilgiler
     };
 
     return processedData;
   }
 
   _temelBilgilerIsle(data, processedData) {
-    if (!data || data.length === 0) return;
+    // Bulunamayan kelimelerde TDK dizi yerine { error: "Sonuç bulunamadı" } döner
+    if (!Array.isArray(data) || data.length === 0) return;
 
     const [anaVeri] = data;
     
@@ -627,6 +1396,88 @@ class TDKSozluk {
     }
   }
 
+  /**
+   * Derleme Sözlüğü (ağız) kayıtları
+   * @returns {Array<Object>} - [{ madde, anlam, yoreler, ornek }]
+   */
+  _derlemeIsle(data) {
+    return this._kayitlar(data).map(kayit => ({
+      madde: this._alan(kayit, 'madde', 'kelime'),
+      anlam: this._htmlTemizle(this._alan(kayit, 'anlam', 'anlami')),
+      yoreler: this._listeyeCevir(this._alan(kayit, 'yer', 'yer_adi', 'yoreler', 'il')),
+      ornek: this._htmlTemizle(this._alan(kayit, 'ornek', 'ornek_cumle'))
+    }));
+  }
+
+  /**
+   * Bilim ve Sanat Terimleri kayıtları
+   * @returns {Array<Object>} - [{ terim, anlam, alan, kaynak, yabanciKarsilik }]
+   */
+  _terimIsle(data) {
+    return this._kayitlar(data).map(kayit => {
+      const kaynak = this._alan(kayit, 'eser_ad', 'sozluk', 'kaynak');
+      return {
+        terim: this._alan(kayit, 'madde', 'terim'),
+        anlam: this._htmlTemizle(this._alan(kayit, 'anlam', 'aciklama')),
+        // "Fizik Terimleri Sözlüğü" → "Fizik"
+        alan: kaynak ? kaynak.replace(/\s*Terim(ler)?i?\s*Sözlüğü\s*$/i, '').trim() || kaynak : null,
+        kaynak: kaynak,
+        yabanciKarsilik: this._alan(kayit, 'ingilizce', 'yabanci', 'karsilik')
+      };
+    });
+  }
+
+  /**
+   * Batı Kökenli Kelimelere Karşılıklar kayıtları
+   * @returns {Array<Object>} - [{ kelime, kokenDil, karsiliklar, anlam }]
+   */
+  _batiIsle(data) {
+    return this._kayitlar(data).map(kayit => ({
+      kelime: this._alan(kayit, 'kelime', 'madde', 'yabanci'),
+      kokenDil: this._alan(kayit, 'dil', 'kok_dil', 'lisan'),
+      karsiliklar: this._listeyeCevir(this._alan(kayit, 'karsilik', 'karsiliklar', 'turkce')),
+      anlam: this._htmlTemizle(this._alan(kayit, 'anlam', 'aciklama'))
+    }));
+  }
+
+  /**
+   * Kılavuz kayıtları (yabancı sözlere önerilen karşılıklar dahil)
+   * @returns {Array<Object>} - [{ yazilis, ek, karsiliklar }]
+   */
+  _kilavuzIsle(data) {
+    return this._kayitlar(data).map(kayit => ({
+      yazilis: this._alan(kayit, 'sozu', 'madde', 'kelime'),
+      ek: this._alan(kayit, 'ek'),
+      karsiliklar: this._listeyeCevir(this._alan(kayit, 'karsilik', 'karsiligi', 'karsiliklar', 'turkce'))
+    }));
+  }
+
+  _kayitlar(data) {
+    // Sonuç yoksa TDK dizi yerine { error: "Sonuç bulunamadı" } döner
+    return Array.isArray(data) ? data.filter(kayit => kayit && typeof kayit === 'object') : [];
+  }
+
+  _alan(kayit, ...alanlar) {
+    for (const alan of alanlar) {
+      const deger = kayit[alan];
+      if (deger !== undefined && deger !== null && String(deger).trim() !== '') {
+        return typeof deger === 'string' ? deger.trim() : deger;
+      }
+    }
+    return null;
+  }
+
+  _listeyeCevir(deger) {
+    if (!deger) return [];
+    if (Array.isArray(deger)) return deger.map(d => String(d).trim()).filter(Boolean);
+    return String(deger).split(/[,;]/).map(d => d.trim()).filter(Boolean);
+  }
+
+  _htmlTemizle(metin) {
+    if (typeof metin !== 'string') return metin;
+    return metin.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+  }
+
   _kullanimTuruBelirle(anlam) {
     const ozellikler = anlam.ozelliklerListe || [];
     
@@ -641,16 +1492,515 @@ class TDKSozluk {
     return null;
   }
 
-  async _onerilerGetir(kelime) {
+  _kokenIncele(sonuc) {
+    if (!sonuc.success) {
+      return sonuc.error.code === 'KELIME_BULUNAMADI'
+        ? { madde: null, yabanci: null, dil: null, koken: null, oneriler: [] }
+        : { madde: null, yabanci: null, dil: null, koken: null, oneriler: [], hata: sonuc.error.code };
+    }
+
+    const veri = sonuc.data;
+    const madde = (veri.temelBilgiler && veri.temelBilgiler.madde) || veri.kelime;
+    // Batı kökenli kelimeler kılavuzu ile yabancı sözlere karşılıklar kılavuzunun önerileri birleşir
+    const oneriler = turkceKarsiliklar(madde, [
+      ...veri.batiKarsiliklari,
+      ...(veri.yazimKilavuzu || []).map(kayit => ({ kelime: kayit.yazilis, karsiliklar: kayit.karsiliklar }))
+    ]);
+    const koken = kokenCozumle(veri.temelBilgiler && veri.temelBilgiler.lisan);
+
+    // GTS'de köken yazmasa da Batı kökenli karşılıklar kılavuzundaki kelime yabancıdır
+    const bati = !koken && oneriler.length > 0
+      ? veri.batiKarsiliklari.find(kayit => kayit.kokenDil && katla(kayit.kelime) === katla(madde)) || null
+      : null;
+
+    return {
+      madde: madde,
+      yabanci: Boolean(koken) || oneriler.length > 0,
+      dil: koken ? koken.dil : (bati ? bati.kokenDil : null),
+      koken: koken ? koken.koken : null,
+      oneriler: oneriler
+    };
+  }
+
+  async _gununSozuGetir(tarih) {
+    const response = await this.client.get(this.endpoints.gunun);
+    // TDK tek kayıt ya da tek elemanlı liste döndürebilir; sonuç yoksa { error: "..." }
+    const kayit = Array.isArray(response.data) ? response.data[0] : response.data;
+    const kelime = kayit && (kayit.madde || kayit.kelime);
+    if (!kelime) {
+      throw new UpstreamHatasi("Günün kelimesi alınamadı", {
+        details: kayit && kayit.error ? `TDK: ${kayit.error}` : 'TDK cevabında madde yok'
+      });
+    }
+
+    return {
+      kelime: kelime,
+      anlam: kayit.anlam ?? null,
+      tarih: tarih,
+      kaynak: 'TDK Günün Sözü'
+    };
+  }
+
+  async _yedekGununKelimesi(tarih) {
+    // Aynı indeksle aynı gün hep aynı kelime seçilir
+    const indeks = await this._kelimeIndeksiHazirla();
+    const kelime = indeks.rastgele(tarihliRastgele(tarih));
+    if (!kelime) return null;
+
+    return {
+      kelime: kelime,
+      anlam: null,
+      tarih: tarih,
+      kaynak: 'Madde başı indeksi'
+    };
+  }
+
+  async _kelimeIndeksiHazirla() {
+    if (!this._indeksYukleniyor) {
+      this._indeksYukleniyor = this.kelimeIndeksi.dosyadanYukle().catch(error => {
+        this.logger.warn({ dosya: this.kelimeIndeksi.dosya, err: error }, 'Yerel kelime listesi okunamadı');
+        return 0;
+      });
+    }
+    await this._indeksYukleniyor;
+
+    const indeks = this.kelimeIndeksi;
+    const eskimis = !indeks.sonGuncelleme ||
+      Date.now() - indeks.sonGuncelleme.getTime() > this.kelimeIndeksiTTL * 1000;
+
+    // Başarısız denemeden sonra TDK'yı her çağrıda yeniden yoklama
+    const denenebilir = Date.now() - this._indeksSonDeneme > 5 * 60 * 1000;
+
+    if (this.kelimeIndeksiGuncelle && eskimis && denenebilir && !this._indeksGuncelleniyor) {
+      // Arka planda tazele; bu sırada yerel liste ile cevap verilir
+      this._indeksSonDeneme = Date.now();
+      this._indeksGuncelleniyor = this._kelimeIndeksiniTazele()
+        .finally(() => { this._indeksGuncelleniyor = null; });
+    }
+
+    // Elde sadece tohum liste varsa TDK'dan tam listenin kurulmasını bekle
+    if (indeks.boyut < this.kelimeIndeksiEnAz && this._indeksGuncelleniyor) {
+      await this._indeksGuncelleniyor;
+    }
+
+    return indeks;
+  }
+
+  async _kelimeIndeksiniTazele() {
+    const sonuc = await this.kelimeIndeksiniGuncelle();
+    if (!sonuc.success) {
+      this.logger.warn({ err: sonuc.error }, 'Kelime indeksi TDK\'dan tazelenemedi');
+      return;
+    }
+
+    // Yeniden başlatmada tohum listeye düşmemek için veri klasörüne yaz
+    if (this._indeksKaydet) {
+      await this.kelimeIndeksi.kaydet().catch(error => {
+        this.logger.warn({ dosya: this.kelimeIndeksi.dosya, err: error }, 'Kelime indeksi kaydedilemedi');
+      });
+    }
+  }
+
+  async _araVeOnbellegeYaz(cacheKey, temizKelime, options) {
+    const data = await this.tumVerileriGetir(temizKelime, options);
+    const metadata = {
+      source: "TDK Sözlük",
+      version: paket.version,
+      timestamp: new Date().toISOString(),
+      searchWord: temizKelime,
+      processingTime: data.metadata.islemSuresi
+    };
+
+    if (data.metadata.bulunamadi) {
+      const sonuc = {
+        success: false,
+        error: new KelimeBulunamadi("Kelime bulunamadı", {
+          details: `"${temizKelime}" TDK sözlüğünde bulunamadı`
+        }).toJSON(),
+        metadata: metadata
+      };
+      await this._aramaOnbellegeYaz(cacheKey, sonuc, this.negatifTTL, { negatif: true });
+      return { sonuc, yazildi: true };
+    }
+
+    const sonuc = { success: true, data: data, metadata: metadata };
+
+    // Eksik sonucu önbelleğe alma: başarılı kaynaklar zaten ayrı ayrı
+    // önbellekte, sonraki arama sadece eksik kaynakları yeniden dener
+    if (!data.metadata.tamVeri) {
+      return { sonuc, yazildi: false };
+    }
+
+    await this._aramaOnbellegeYaz(cacheKey, sonuc, options.cacheTTL || this.onbellekSureleri.ara);
+    return { sonuc, yazildi: true };
+  }
+
+  _hataSonucu(hata, metadata = {}) {
+    return {
+      success: false,
+      error: hata.toJSON(),
+      metadata: {
+        timestamp: new Date().toISOString(),
+        ...metadata
+      }
+    };
+  }
+
+  async _kaynakGetir(kaynak, kelime, options) {
+    const cacheKey = `kaynak_${kaynak}_${kelime}`;
+    const kayit = await this._onbellekOku(cacheKey);
+    if (kayit) {
+      return { kaynak, durum: 'basarili', veri: kayit.veri, onbellekten: true };
+    }
+
+    const url = `${this.endpoints[kaynak]}?${ARA_KAYNAKLARI[kaynak]}ara=${encodeURIComponent(kelime)}`;
+    const sure = this._kaynakZamanAsimi(kaynak, options.kaynakZamanAsimi);
+    const controller = sure || options.signal ? new AbortController() : null;
+    const iptalEt = () => controller.abort(options.signal.reason);
+    let zamanlayici = null;
+
+    if (options.signal) {
+      if (options.signal.aborted) iptalEt();
+      else options.signal.addEventListener('abort', iptalEt, { once: true });
+    }
+
+    try {
+      const istek = this.client.get(url, controller ? { signal: controller.signal } : undefined);
+      let response;
+
+      if (sure) {
+        // Süre yeniden denemeler dahil toplam süredir; dolunca istek iptal edilir
+        const zamanAsimi = new Promise((resolve, reject) => {
+          zamanlayici = setTimeout(() => {
+            controller.abort();
+            const error = new Error(`"${kaynak}" kaynağı ${sure}ms içinde cevap vermedi`);
+            error.code = 'KAYNAK_ZAMAN_ASIMI';
+            reject(error);
+          }, sure);
+        });
+        istek.catch(() => {});
+        response = await Promise.race([istek, zamanAsimi]);
+      } else {
+        response = await istek;
+      }
+
+      if (response.data) {
+        await this._onbellekYaz(cacheKey, { veri: response.data }, options.cacheTTL || this.onbellekSureleri.ara);
+      }
+      return { kaynak, durum: 'basarili', veri: response.data, onbellekten: false };
+
+    } catch (error) {
+      const hata = hataDonustur(error, "Sözlük sorgulanırken hata oluştu");
+      hata.details = `${kaynak}: ${hata.details}`;
+      const durum = hata.code === 'UPSTREAM_ZAMAN_ASIMI' ? 'zamanAsimi' : 'basarisiz';
+      return { kaynak, durum, hata, onbellekten: false };
+
+    } finally {
+      clearTimeout(zamanlayici);
+      if (options.signal) options.signal.removeEventListener('abort', iptalEt);
+    }
+  }
+
+  _kaynakZamanAsimi(kaynak, ayar = this.kaynakZamanAsimi) {
+    const sure = ayar && typeof ayar === 'object' ? ayar[kaynak] : ayar;
+    return Number(sure) > 0 ? Number(sure) : null;
+  }
+
+  _kaynaklariCozumle(kaynaklar) {
+    if (kaynaklar === undefined || kaynaklar === null) return TDKSozluk.kaynaklar;
+
+    const liste = (Array.isArray(kaynaklar) ? kaynaklar : String(kaynaklar).split(','))
+      .map(k => String(k).trim().toLowerCase())
+      .filter(Boolean);
+
+    if (liste.length === 0 || liste.some(k => !(k in ARA_KAYNAKLARI))) return null;
+
+    // Sıra önbellek anahtarını etkilemesin
+    return TDKSozluk.kaynaklar.filter(k => liste.includes(k));
+  }
+
+  async _aramaOnbellegeYaz(cacheKey, sonuc, ttl, ek = {}) {
+    if (!cacheKey) return;
+
+    const simdi = Date.now();
+    // Negatif kayıtlar bayat sunulmaz, süresi dolunca silinir
+    const fizikselTTL = ek.negatif ? ttl : ttl + this.staleTTL;
+
+    await this._onbellekYaz(cacheKey, {
+      sonuc: sonuc,
+      olusturma: simdi,
+      tazeBitis: simdi + ttl * 1000,
+      bitis: simdi + fizikselTTL * 1000,
+      negatif: Boolean(ek.negatif),
+      upstreamHatasi: null
+    }, fizikselTTL);
+  }
+
+  _bayatSonuc(kayit) {
+    // Önbellekteki nesneyi değiştirmeden işaretli bir kopya döndür
+    return {
+      ...kayit.sonuc,
+      metadata: {
+        ...kayit.sonuc.metadata,
+        bayat: true,
+        onbellekYasi: Math.round((Date.now() - kayit.olusturma) / 1000),
+        upstreamHatasi: kayit.upstreamHatasi
+      }
+    };
+  }
+
+  _arkaPlandaYenile(cacheKey, temizKelime, options) {
+    if (this._yenilenenler.has(cacheKey)) return;
+    this._yenilenenler.add(cacheKey);
+
+    this._araVeOnbellegeYaz(cacheKey, temizKelime, options)
+      .then(({ yazildi }) => {
+        if (!yazildi) throw new Error("TDK'dan güncel veri alınamadı");
+      })
+      .catch(async (error) => {
+        // TDK'ya ulaşılamadı: bayat kayıt korunur, hata metadata'da gösterilir
+        this.logger.warn({ kelime: temizKelime, err: error }, 'Arka plan yenilemesi başarısız');
+        const kayit = await this._onbellekOku(cacheKey);
+        if (kayit && kayit.sonuc) {
+          const kalan = Math.ceil((kayit.bitis - Date.now()) / 1000);
+          if (kalan > 0) {
+            await this._onbellekYaz(cacheKey, { ...kayit, upstreamHatasi: new Date().toISOString() }, kalan);
+          }
+        }
+      })
+      .finally(() => {
+        this._yenilenenler.delete(cacheKey);
+      });
+  }
+
+  /**
+   * Birleştirme ve önbellek anahtarı; büyük/küçük harf, Unicode biçimi ve
+   * boşluk farkı olan istekler aynı TDK sorgusunu paylaşır
+   * @param {string} metin - Kullanıcının girdiği kelime ya da anahtar
+   * @returns {string} - Türkçe küçük harfli, NFC, kırpılmış metin
+   */
+  _sorguAnahtari(metin) {
+    return kucukHarf(metin).normalize('NFC').trim();
+  }
+
+  async _onbellekOku(key) {
+    if (!this.cacheEnabled || !key) return undefined;
+
+    // Önbellek erişilemezse (örn. Redis kapalı) kayıt yokmuş gibi devam et
+    try {
+      const deger = await this.cache.get(key);
+
+      const sonuc = deger === undefined ? 'miss' : 'hit';
+      const baglam = istekBaglamiAl();
+      if (baglam) baglam.onbellek[sonuc]++;
+      if (this._metrik) this._metrik.onbellek[sonuc].artir();
+
+      return deger;
+    } catch (error) {
+      this.logger.warn({ key, err: error }, 'Önbellek okunamadı');
+      return undefined;
+    }
+  }
+
+  async _onbellekYaz(key, value, ttl) {
+    if (!this.cacheEnabled || !key) return;
+
+    try {
+      await this.cache.set(key, value, ttl);
+    } catch (error) {
+      this.logger.warn({ key, err: error }, 'Önbelleğe yazılamadı');
+    }
+  }
+
+  _metrikleriTanimla(kayit) {
+    const metrik = {
+      upstreamIstek: kayit.sayac('tdk_upstream_requests_total', 'TDK requests per endpoint and HTTP status (each retry counts)', ['endpoint', 'status']),
+      upstreamSure: kayit.histogram('tdk_upstream_request_duration_seconds', 'TDK request latency per endpoint', ['endpoint']),
+      upstreamHata: kayit.sayac('tdk_upstream_errors_total', 'Failed TDK requests per endpoint and error code', ['endpoint', 'code']),
+      upstreamYenidenDeneme: kayit.sayac('tdk_upstream_retries_total', 'TDK request retries per endpoint', ['endpoint']),
+      havuzAktif: kayit.gosterge('tdk_upstream_in_flight', 'TDK requests currently in flight'),
+      havuzBekleyen: kayit.gosterge('tdk_upstream_queued', 'TDK requests waiting for a free concurrency slot'),
+      devreDurumu: kayit.gosterge('tdk_circuit_breaker_state', 'Circuit breaker state per endpoint (0 = closed, 1 = half-open, 2 = open)', ['endpoint']),
+      onbellek: {
+        hit: kayit.sayac('tdk_cache_hits_total', 'Cache lookups that found an entry'),
+        miss: kayit.sayac('tdk_cache_misses_total', 'Cache lookups that found nothing')
+      },
+      onbellekTahliye: kayit.sayac('tdk_cache_evictions_total', 'Cache entries dropped because they expired'),
+      birlestirilen: kayit.sayac('tdk_coalesced_requests_total', 'Calls that joined an identical in-flight lookup instead of calling TDK', ['type']),
+      semaIhlali: kayit.sayac('tdk_schema_violations_total', 'Results (kind=result) or TDK responses (kind=upstream) that did not match their schema', ['kind', 'name'])
+    };
+
+    const DEVRE_DEGERLERI = { kapali: 0, 'yari-acik': 1, acik: 2 };
+    kayit.toplayici(() => {
+      metrik.havuzAktif.ayarla({}, this.havuz.aktif);
+      metrik.havuzBekleyen.ayarla({}, this.havuz.bekleyen);
+      Object.entries(this.birlestirici.sayaclar).forEach(([tur, sayi]) => {
+        metrik.birlestirilen.ayarla({ type: tur }, sayi);
+      });
+      Object.entries(this.devreKesiciler).forEach(([endpoint, devre]) => {
+        metrik.devreDurumu.ayarla({ endpoint }, DEVRE_DEGERLERI[devre.durum]);
+      });
+      // Tahliyeyi sadece sayabilen adaptörler raporlar (redis sayamaz)
+      if (typeof this.cache.evictions === 'number') {
+        metrik.onbellekTahliye.ayarla({}, this.cache.evictions);
+      }
+    });
+
+    return metrik;
+  }
+
+  _sonucDenetiminiKur() {
+    // Şeması olan her metot sarılır; sonuç değişmeden döner, uymazsa sadece uyarılır
+    Object.keys(VERI_SEMALARI).forEach(metod => {
+      const orijinal = this[metod];
+      this[metod] = (...args) => {
+        const sonuc = orijinal.apply(this, args);
+        if (!sonuc || typeof sonuc.then !== 'function') {
+          this._semaDenetle('sonuc', metod, sonuc);
+          return sonuc;
+        }
+        return sonuc.then(deger => {
+          this._semaDenetle('sonuc', metod, deger);
+          return deger;
+        });
+      };
+    });
+  }
+
+  _semaDenetle(tur, ad, deger) {
+    const hatalar = tur === 'upstream' ? upstreamDogrula(ad, deger) : sonucDogrula(ad, deger);
+    if (hatalar.length === 0) return;
+
+    this.logger.warn({ tur, ad, hatalar: hatalar.slice(0, 10) },
+      tur === 'upstream' ? 'TDK cevabının şekli beklenenden farklı' : 'Sonuç şemasına uymuyor');
+    if (this._metrik) this._metrik.semaIhlali.artir({ kind: tur === 'upstream' ? 'upstream' : 'result', name: ad || 'diger' });
+  }
+
+  _upstreamMetrikKaydet(config, status, error) {
+    if (!this._metrik || !config) return;
+    const endpoint = config.metadata?.endpoint || 'diger';
+
+    // Açık devrede istek gönderilmedi: sadece hata sayılır
+    if (error && error.code === 'DEVRE_ACIK') {
+      this._metrik.upstreamHata.artir({ endpoint, code: 'DEVRE_ACIK' });
+      return;
+    }
+
+    this._metrik.upstreamIstek.artir({ endpoint, status: status || 'none' });
+    this._metrik.upstreamSure.gozlemle({ endpoint }, (Date.now() - config.metadata.startTime) / 1000);
+    if (error) this._metrik.upstreamHata.artir({ endpoint, code: hataDonustur(error).code });
+  }
+
+  // İstek havuzdan yer aldıysa bırakır; yer bir kez bırakılır
+  _havuzuBirak(config) {
+    if (!config || !config.metadata || !config.metadata.havuzda) return false;
+    config.metadata.havuzda = false;
+    this.havuz.birak();
+    return true;
+  }
+
+  _endpointAnahtari(url) {
+    if (!url) return null;
+    const yol = url.split('?')[0].replace(/^\/+/, '');
+    return Object.keys(this.endpoints).find(anahtar => this.endpoints[anahtar] === yol) || null;
+  }
+
+  _upstreamHatasi(error) {
+    if (!error.response) return error.code !== 'ERR_CANCELED';
+    return error.response.status >= 500 || error.response.status === 429;
+  }
+
+  _yenidenDenenebilir(error) {
+    const config = error.config;
+    if (!config || error.code === 'ERR_CANCELED') return false;
+
+    // Sadece idempotent GET istekleri yeniden denenir
+    if ((config.method || 'get').toLowerCase() !== 'get') return false;
+    if ((config.__deneme || 0) >= this.retryCount) return false;
+
+    // Yarı açık devrede tek deneme hakkı var, sonucu devreye yazılmalı
+    const devre = this.devreKesiciler[config.metadata?.endpoint];
+    if (devre && devre.durum !== 'kapali') return false;
+
+    if (!error.response) return true;
+    return YENIDEN_DENENEBILIR_DURUMLAR.includes(error.response.status);
+  }
+
+  _beklemeSuresi(error, deneme) {
+    const status = error.response?.status;
+    const retryAfter = error.response?.headers?.['retry-after'];
+
+    // 429/503'te TDK'nın istediği süreye uy
+    if ((status === 429 || status === 503) && retryAfter) {
+      const saniye = Number(retryAfter);
+      const ms = Number.isFinite(saniye)
+        ? saniye * 1000
+        : new Date(retryAfter).getTime() - Date.now();
+      if (Number.isFinite(ms) && ms >= 0) return Math.min(ms, this.maxRetryDelay);
+    }
+
+    // Üstel geri çekilme + jitter: tavanın yarısı sabit, yarısı rastgele
+    const tavan = Math.min(this.retryDelay * 2 ** (deneme - 1), this.maxRetryDelay);
+    return Math.round(tavan / 2 + Math.random() * (tavan / 2));
+  }
+
+  _aramaKaydet(sonuc) {
+    const madde = sonuc && sonuc.success && sonuc.data.temelBilgiler && sonuc.data.temelBilgiler.madde;
+    if (!madde) return;
+
+    this.sorguIstatistik.ekle(madde);
+  }
+
+  _tamamlamaSkoru(kelime, katliOnEk, yazilan) {
+    const katli = katla(kelime);
+    const fazlaHarf = Array.from(katli).length - Array.from(katliOnEk).length;
+    let skor = 0;
+
+    // Yazılanın kendisi bir madde ise en üste
+    if (katli === katliOnEk) skor += 100;
+
+    // Şapka ve büyük/küçük harf dahil birebir ön ek eşleşmesi
+    if (kelime.toLocaleLowerCase('tr-TR').startsWith(yazilan)) skor += 10;
+
+    // Kısa kelimeler ve sık aranan kelimeler öne
+    skor -= fazlaHarf * 2;
+    skor += Math.log2(1 + this.sorguIstatistik.sayi(katli)) * 8;
+
+    return Math.round(skor * 100) / 100;
+  }
+
+  async _kokCozumle(kelime) {
+    try {
+      await this._kelimeIndeksiHazirla();
+      return this.morfoloji.kokBul(this.kelimeTemizle(kelime));
+    } catch {
+      return null;
+    }
+  }
+
+  async _onerilerGetir(kelime, limit = 5) {
     try {
-      // Basit bir öneri algoritması
-      const benzerler = await this.benzerKelimeler(kelime, 5);
-      return benzerler.success ? benzerler.data.benzerKelimeler : [];
+      const motor = await this._oneriMotoruHazirla();
+      return motor.oner(this.kelimeTemizle(kelime), { limit });
     } catch {
       return [];
     }
   }
 
+  async _oneriMotoruHazirla() {
+    const indeks = await this._kelimeIndeksiHazirla();
+
+    // İndeks tazelendiyse motoru yeni listeyle yeniden kur
+    if (!this._oneriMotoru || this._oneriMotoru.surum !== indeks.surum) {
+      this._oneriMotoru = new OneriMotoru(indeks.tumKelimeler(), {
+        frekans: katli => this.sorguIstatistik.sayi(katli)
+      });
+      this._oneriMotoru.surum = indeks.surum;
+    }
+
+    return this._oneriMotoru;
+  }
+
   kelimeTemizle(word) {
     if (!word || typeof word !== 'string') return '';
     
@@ -666,60 +2016,348 @@ class TDKSozluk {
 
 // ========== EXPRESS SERVER SETUP ==========
 
-function createServer(options = {}) {
-  const app = express();
-  const tdk = new TDKSozluk(options.tdk || {});
-  
-  const serverPort = options.port || process.env.PORT || 3000;
-  const apiPath = options.apiPath || '/api';
+/**
+ * İstekteki API anahtarı (Authorization: Bearer/ApiKey <anahtar> ya da X-API-Key)
+ * @param {Object} req - Express isteği
+ * @returns {string|null}
+ */
+function apiAnahtariAl(req) {
+  const authorization = req.get('authorization') || '';
+  const eslesme = authorization.match(/^(?:Bearer|ApiKey)\s+(.+)$/i);
+  if (eslesme) return eslesme[1].trim();
+  return req.get('x-api-key') || null;
+}
+
+/**
+ * 401 hatasını WWW-Authenticate başlığıyla hata işleyiciye iletir
+ * @param {Object} res - Express cevabı
+ * @param {Function} next - Express next
+ * @param {YetkisizErisim} hata - Gönderilecek hata
+ */
+function yetkisiz(res, next, hata) {
+  res.set('WWW-Authenticate', 'Bearer realm="Creart TDK API"');
+  next(hata);
+}
+
+/**
+ * Sınıflı hatayı uygun HTTP durum koduyla gönderir
+ * @param {Object} res - Express cevabı
+ * @param {Error} error - Hata (sınıfsız hatalar SozlukHatasi'na çevrilir)
+ * @param {string} mesaj - Sınıfsız hatalar için mesaj
+ * @param {Object} metadata - Ek metadata
+ */
+function hataGonder(res, error, mesaj, metadata = {}) {
+  const hata = hataDonustur(error, mesaj || undefined);
+  res.status(hata.status).json({
+    success: false,
+    error: hata.toJSON(),
+    metadata: {
+      timestamp: new Date().toISOString(),
+      ...metadata
+    }
+  });
+}
+
+/**
+ * Metod sonucunu gönderir; başarısız sonuçlarda durum kodu hata kodundan bulunur
+ * @param {Object} res - Express cevabı
+ * @param {Object} sonuc - { success, data | error, metadata }
+ */
+function sonucGonder(res, sonuc) {
+  const status = sonuc.success ? 200 : durumKodu(sonuc.error && sonuc.error.code);
+  res.status(status).json(sonuc);
+}
+
+/**
+ * Sonucu ?format= ile istenen dosya olarak gönderir
+ * @param {Object} res - Express cevabı
+ * @param {TDKSozluk} tdk - Sözlük örneği
+ * @param {Object|Array<Object>} sonuc - ara sonucu ya da batch sonuçları
+ * @param {string} format - csv, tsv, markdown, html, anki
+ */
+function dosyaGonder(res, tdk, sonuc, format) {
+  const aktarim = tdk.disaAktar(sonuc, format);
+  if (!aktarim.success) {
+    // Tek kelimede asıl hata (bulunamadı, TDK hatası) dışa aktarım hatasından anlamlıdır
+    return sonucGonder(res, sonuc.success === false ? sonuc : aktarim);
+  }
+
+  res.attachment(aktarim.data.dosyaAdi);
+  res.type(aktarim.data.icerikTuru);
+  res.send(aktarim.data.icerik);
+}
+
+/**
+ * Toplu arama sonuçlarını hazır oldukça NDJSON ya da SSE olarak yazar
+ *
+ * Her kelime için `sonuc`, en sonda `ozet` olayı gönderilir. İstemci bağlantıyı
+ * kapatırsa yeni kelime aranmaz.
+ * @param {Object} res - Express cevabı
+ * @param {string} tur - 'ndjson' ya da 'sse'
+ * @param {Function} baslat - (signal) => topluAraAkisi
+ * @param {number} toplam - Kelime sayısı
+ * @param {Function} zarf - Her sonucu yazmadan önce çeviren fonksiyon (/v2 için v2Zarfi)
+ */
+async function akisGonder(res, tur, baslat, toplam, zarf = null) {
+  const durdur = new AbortController();
+  res.on('close', () => durdur.abort());
+
+  res.status(200).set({
+    'Content-Type': tur === 'sse' ? 'text/event-stream; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    // Ters vekil sunucular (nginx) akışı tamponlamasın
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const yaz = (olay, veri) => {
+    if (tur === 'sse') res.write(`event: ${olay}\ndata: ${JSON.stringify(veri)}\n\n`);
+    else res.write(JSON.stringify({ tur: olay, ...veri }) + '\n');
+  };
+
+  let tamamlanan = 0;
+  let basarili = 0;
+  for await (const { index, kelime, sonuc } of baslat(durdur.signal)) {
+    if (durdur.signal.aborted) break;
+    tamamlanan++;
+    if (sonuc.success) basarili++;
+    yaz('sonuc', { index, kelime, sonuc: zarf ? zarf(sonuc) : sonuc });
+  }
+
+  if (durdur.signal.aborted) return;
+  yaz('ozet', { toplamKelime: toplam, tamamlanan, basarili, timestamp: new Date().toISOString() });
+  res.end();
+}
+
+function httpMetrikleriTanimla(kayit) {
+  const metrik = {
+    istek: kayit.sayac('tdk_http_requests_total', 'HTTP requests per route and status', ['method', 'route', 'status']),
+    sure: kayit.histogram('tdk_http_request_duration_seconds', 'HTTP request latency per route', ['method', 'route']),
+    sinirRed: kayit.sayac('tdk_rate_limit_rejections_total', 'Requests rejected by the rate limiter'),
+    bellek: kayit.gosterge('tdk_process_memory_bytes', 'Process memory usage', ['type']),
+    calismaSuresi: kayit.gosterge('tdk_process_uptime_seconds', 'Process uptime')
+  };
+
+  kayit.toplayici(() => {
+    const bellek = process.memoryUsage();
+    metrik.bellek.ayarla({ type: 'rss' }, bellek.rss);
+    metrik.bellek.ayarla({ type: 'heap_used' }, bellek.heapUsed);
+    metrik.bellek.ayarla({ type: 'heap_total' }, bellek.heapTotal);
+    metrik.calismaSuresi.ayarla({}, Math.round(process.uptime()));
+  });
+
+  return metrik;
+}
+
+/**
+ * Sözlük API'sinin Express router'ı
+ *
+ * Başka bir Express uygulamasına bağlanabilir: `app.use('/sozluk', createRouter(tdk))`.
+ * CORS, gövde ayrıştırma, API anahtarı, hız sınırı, doğrulama ve hata cevapları
+ * router'ın içindedir; helmet ve port dinleme bağlayan uygulamaya kalır.
+ * Her rota `/v2` altında da sunulur; oradaki cevaplar normalize zarftadır (bkz. lib/zarf.js).
+ * Router'ın `isler` (IsYoneticisi), `kapat()` (işleri durdurur) ve `endpointler`
+ * ("GET /kelime/:kelime" biçiminde rota listesi) alanları vardır.
+ * @param {TDKSozluk} tdk - Sözlük örneği
+ * @param {Object} options - { corsOrigin, rateLimitMax, rateLimitWindow, kimlikDogrulama, isler,
+ *   istatistikHaric, dokumanArayuzu, onbellekSureleri: { toplu }, metrikler: MetrikKaydi }
+ * @returns {express.Router}
+ */
+function createRouter(tdk, options = {}) {
+  const router = express.Router();
+  // Verilmezse sözlüğün kayıt defteri kullanılır: HTTP ve TDK metrikleri aynı /metrics'te
+  const metrikler = options.metrikler instanceof MetrikKaydi ? options.metrikler : tdk.metrikler;
+
+  // Arka plan toplu arama işleri: { esZamanliIs, saklamaSuresi, maxIs, maxKelime }
+  const isAyarlari = { maxKelime: 10000, ...(options.isler || {}) };
+  const isler = new IsYoneticisi({ tdk, ...isAyarlari });
+  const logger = tdk.logger;
+  const httpMetrik = metrikler ? httpMetrikleriTanimla(metrikler) : null;
+  const topluTTL = (options.onbellekSureleri && options.onbellekSureleri.toplu) || 300;
+
+  // API anahtarları: { anahtarlar, dosya, zorunlu, varsayilanKota }
+  const kimlikAyarlari = options.kimlikDogrulama || {};
+  const anahtarlar = new AnahtarDeposu(kimlikAyarlari);
+
+  // Rota tanımları OpenAPI belgesini, istek doğrulamasını ve yetki kontrolünü besler
+  const rotalar = rotalariOlustur({ kaynaklar: TDKSozluk.kaynaklar, maxIsKelime: isAyarlari.maxKelime });
+  const dogrula = (method, yol) => {
+    const tanim = rotalar.find(r => r.method === method && r.yol === yol);
+    if (!tanim) throw new Error(`Rota tanımı yok: ${method.toUpperCase()} ${yol}`);
+    return tanim.yetki ? [yetkiGerekli(tanim.yetki), istekDogrulayici(tanim)] : istekDogrulayici(tanim);
+  };
+
+  // Anahtar zorunlu olsa da anahtarsız çağrılabilen yollar (health, belge, Swagger UI)
+  const acikYollar = rotalar.filter(r => r.herkeseAcik).map(r => r.yol);
+  const herkeseAcik = (req) => {
+    const yol = req.path.replace(V2_ONEKI, '');
+    return acikYollar.includes(yol) || yol.startsWith('/docs');
+  };
+
+  // Popüler aramalara sayılmayacak istemciler
+  const istatistikHaric = {
+    botlar: true,
+    apiAnahtarlari: [],
+    ...(options.istatistikHaric || {})
+  };
+
+  const istatistikSayilsin = (req) => {
+    if (istatistikHaric.botlar && BOT_DESENI.test(req.get('user-agent') || '')) return false;
+    const anahtar = apiAnahtariAl(req);
+    return !(anahtar && istatistikHaric.apiAnahtarlari.includes(anahtar));
+  };
   
+  // İstek kimliği ve istek sonu günlük satırı
+  router.use((req, res, next) => {
+    const gelenId = req.get('x-request-id');
+    const istekId = gelenId && /^[\w.:-]{1,128}$/.test(gelenId) ? gelenId : crypto.randomUUID();
+    const baslangic = process.hrtime.bigint();
+
+    req.istekId = istekId;
+    req.baglam = { istekId, upstream: 0, onbellek: { hit: 0, miss: 0 } };
+    res.set('X-Request-Id', istekId);
+
+    res.on('finish', () => {
+      const sureMs = Number(process.hrtime.bigint() - baslangic) / 1e6;
+      const seviye = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+
+      const rota = req.route ? req.baseUrl + req.route.path : null;
+      if (httpMetrik) {
+        const etiketler = { method: req.method, route: rota || 'unmatched' };
+        httpMetrik.istek.artir({ ...etiketler, status: res.statusCode });
+        httpMetrik.sure.gozlemle(etiketler, sureMs / 1000);
+      }
+
+      logger[seviye]({
+        istekId,
+        method: req.method,
+        rota: rota,
+        url: req.originalUrl,
+        status: res.statusCode,
+        sureMs: Math.round(sureMs * 10) / 10,
+        upstream: req.baglam.upstream,
+        onbellek: req.baglam.onbellek
+      }, 'İstek tamamlandı');
+    });
+
+    next();
+  });
+
+  // /v2 cevapları normalize zarfla yazılır (bkz. lib/zarf.js); ara katman hataları dahil
+  router.use((req, res, next) => {
+    if (!V2_ONEKI.test(req.path)) return next();
+
+    res.locals.apiSurumu = API_SURUMU;
+    const json = res.json.bind(res);
+    res.json = (govde) => json(v2Zarfi(govde, { istekId: req.istekId }));
+    next();
+  });
+
   // Middleware'ler
-  app.use(helmet({
-    contentSecurityPolicy: {
-      directives: {
-        defaultSrc: ["'self'"],
-        styleSrc: ["'self'", "'unsafe-inline'"],
-        scriptSrc: ["'self'"],
-      },
-    },
-  }));
-  
-  app.use(cors({
-    origin: options.corsOrigin || '*',
-    methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+  const corsOrigin = [].concat(options.corsOrigin || '*');
+  router.use(cors({
+    origin: corsOrigin.includes('*') ? '*' : corsOrigin,
+    methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'],
+    exposedHeaders: ['X-Request-Id', 'X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Reset']
   }));
   
-  app.use(express.json({ limit: '10mb' }));
-  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+  router.use(express.json({ limit: '10mb' }));
+  router.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // Gövde okunduktan sonra bağlamı aç: TDK çağrıları ve önbellek erişimleri bu isteğe yazılır
+  router.use((req, res, next) => istekBaglami.run(req.baglam, next));
   
-  // Rate limiting
+  // API anahtarı: geçersiz anahtar her zaman, eksik anahtar sadece zorunluysa reddedilir
+  router.use((req, res, next) => {
+    const anahtar = apiAnahtariAl(req);
+    if (anahtar) {
+      req.apiAnahtari = anahtarlar.bul(anahtar);
+      if (!req.apiAnahtari) return yetkisiz(res, next, new YetkisizErisim("API anahtarı geçersiz"));
+    } else if (kimlikAyarlari.zorunlu && !herkeseAcik(req)) {
+      return yetkisiz(res, next, new YetkisizErisim(undefined, {
+        details: 'Anahtarı "Authorization: Bearer <anahtar>" başlığıyla gönderin'
+      }));
+    }
+    next();
+  });
+
+  // Rate limiting: anahtarlı istemciler kendi limitiyle, diğerleri IP başına sayılır
+  const varsayilanLimit = options.rateLimitMax || 100;
+  const pencere = options.rateLimitWindow || 15 * 60 * 1000;
   const limiter = rateLimit({
-    windowMs: options.rateLimitWindow || 15 * 60 * 1000,
-    max: options.rateLimitMax || 100,
-    message: {
-      success: false,
-      error: 'Çok fazla istek gönderdiniz. Lütfen 15 dakika sonra tekrar deneyin.'
+    windowMs: pencere,
+    max: (req) => (req.apiAnahtari && req.apiAnahtari.limit) || varsayilanLimit,
+    keyGenerator: (req) => (req.apiAnahtari ? `anahtar:${req.apiAnahtari.ad}` : req.ip),
+    handler: (req, res) => {
+      if (httpMetrik) httpMetrik.sinirRed.artir();
+      if (req.apiAnahtari) anahtarlar.hizReddi(req.apiAnahtari.ad);
+      hataGonder(res, new IstekSiniriAsildi(
+        `Çok fazla istek gönderdiniz. Lütfen ${Math.max(Math.round(pencere / 60000), 1)} dakika sonra tekrar deneyin.`
+      ));
     },
     standardHeaders: true,
     legacyHeaders: false
   });
   
-  app.use(`${apiPath}/`, limiter);
+  router.use(limiter);
+
+  // Günlük kota (UTC günü); hız sınırına takılan istekler kotadan düşmez
+  router.use((req, res, next) => {
+    if (!req.apiAnahtari) return next();
+
+    const kota = anahtarlar.kotaKullan(req.apiAnahtari.ad);
+    if (kota.kota) {
+      res.set({
+        'X-Quota-Limit': String(kota.kota),
+        'X-Quota-Remaining': String(kota.kalan),
+        'X-Quota-Reset': String(Math.ceil(kota.sifirlanma.getTime() / 1000))
+      });
+    }
+    if (!kota.izin) {
+      res.set('Retry-After', String(Math.ceil((kota.sifirlanma.getTime() - Date.now()) / 1000)));
+      return next(new KotaAsildi(undefined, {
+        details: `Günlük ${kota.kota} isteklik kota ${kota.sifirlanma.toISOString()} tarihinde yenilenir`
+      }));
+    }
+    next();
+  });
+
+  // Rota tanımında yetki: 'admin' olan rotalar
+  function yetkiGerekli(rol) {
+    return (req, res, next) => {
+      if (!req.apiAnahtari) {
+        const details = anahtarlar.adminVar ? null : 'Sunucuda yönetici anahtarı tanımlı değil';
+        return yetkisiz(res, next, new YetkisizErisim("Yönetici API anahtarı gerekli", { details }));
+      }
+      if (req.apiAnahtari.rol !== rol) {
+        return next(new ErisimYasak(undefined, { details: `"${req.apiAnahtari.ad}" anahtarının rolü: ${req.apiAnahtari.rol}` }));
+      }
+      next();
+    };
+  }
   
   // ========== API ROUTES ==========
+
+  // Rotalar hem kökte (v1) hem /v2 altında sunulur
+  const api = express.Router();
+
   
   // Health check
-  app.get(`${apiPath}/health`, (req, res) => {
+  api.get('/health', dogrula('get', '/health'), async (req, res) => {
+    const devreler = tdk.devreDurumu();
+    const acikDevre = Object.values(devreler).some(d => d.durum !== 'kapali');
+
     res.json({
       success: true,
       data: {
         service: 'Creart TDK API',
-        version: '2.5.0',
-        status: 'operational',
+        version: paket.version,
+        status: acikDevre ? 'degraded' : 'operational',
         uptime: process.uptime(),
         memory: process.memoryUsage(),
-        cacheStats: tdk.cacheIstatistik().data
+        cacheStats: (await tdk.cacheIstatistik()).data || null,
+        devreKesiciler: devreler
       },
       metadata: {
         timestamp: new Date().toISOString()
@@ -728,267 +2366,461 @@ function createServer(options = {}) {
   });
   
   // Ana kelime arama
-  app.get(`${apiPath}/kelime/:kelime`, async (req, res) => {
+  api.get('/kelime/:kelime', dogrula('get', '/kelime/:kelime'), async (req, res) => {
     try {
+      const { query } = req.gecerli;
       const options = {
-        telaffuz: req.query.telaffuz === 'true',
-        cacheTTL: parseInt(req.query.cacheTTL) || undefined
+        telaffuz: query.telaffuz,
+        cacheTTL: query.cacheTTL,
+        kaynaklar: query.kaynaklar,
+        istatistik: istatistikSayilsin(req)
       };
       
-      const sonuc = await tdk.ara(req.params.kelime, options);
-      res.json(sonuc);
+      const sonuc = await tdk.ara(req.gecerli.params.kelime, options);
+      if (query.format) dosyaGonder(res, tdk, sonuc, query.format);
+      else sonucGonder(res, sonuc);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: "Sunucu hatası",
-        metadata: { timestamp: new Date().toISOString() }
-      });
+      hataGonder(res, error, "Sunucu hatası");
     }
   });
   
   // Günün kelimesi
-  app.get(`${apiPath}/gunun-kelimesi`, async (req, res) => {
+  api.get('/gunun-kelimesi', dogrula('get', '/gunun-kelimesi'), async (req, res) => {
     try {
       const sonuc = await tdk.gununKelimesi();
-      res.json(sonuc);
+      sonucGonder(res, sonuc);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: "Günün kelimesi alınamadı",
-        metadata: { timestamp: new Date().toISOString() }
-      });
+      hataGonder(res, error, "Günün kelimesi alınamadı");
     }
   });
   
-  // Yazım denetimi (POST)
-  app.post(`${apiPath}/yazim-denetimi`, async (req, res) => {
+  // Günün kelimesi arşivi (/:tarih'ten önce tanımlanmalı)
+  api.get('/gunun-kelimesi/gecmis', dogrula('get', '/gunun-kelimesi/gecmis'), async (req, res) => {
     try {
-      const { metin } = req.body;
-      
-      if (!metin || typeof metin !== 'string') {
-        return res.status(400).json({
-          success: false,
-          error: "Geçersiz metin parametresi",
-          metadata: { timestamp: new Date().toISOString() }
-        });
+      const { sayfa, limit } = req.gecerli.query;
+      const sonuc = await tdk.gununKelimesiGecmisi({ sayfa, limit });
+      sonucGonder(res, sonuc);
+    } catch (error) {
+      hataGonder(res, error, "Günün kelimesi arşivi alınamadı");
+    }
+  });
+
+  // RSS ve Atom beslemeleri; bağlantılar isteğin geldiği adrese göre yazılır
+  Object.entries({ rss: rssYaz, atom: atomYaz }).forEach(([tur, yaz]) => {
+    api.get(`/gunun-kelimesi/${tur}`, dogrula('get', `/gunun-kelimesi/${tur}`), async (req, res) => {
+      try {
+        const sonuc = await tdk.gununKelimesiGecmisi({ limit: req.gecerli.query.limit });
+        if (!sonuc.success) return sonucGonder(res, sonuc);
+
+        const adres = `${req.protocol}://${req.get('host')}${req.baseUrl}/gunun-kelimesi`;
+        res.type(BESLEME_TURLERI[tur]);
+        res.send(yaz(sonuc.data.kayitlar, {
+          baslik: 'TDK Günün Kelimesi',
+          aciklama: "Türk Dil Kurumu sözlüğünden her gün bir kelime",
+          adres: adres,
+          kendi: `${adres}/${tur}`
+        }));
+      } catch (error) {
+        hataGonder(res, error, "Besleme oluşturulamadı");
       }
-      
-      const sonuc = await tdk.yazimDenetimi(metin);
-      res.json(sonuc);
+    });
+  });
+
+  // Geçmiş bir günün kelimesi
+  api.get('/gunun-kelimesi/:tarih', dogrula('get', '/gunun-kelimesi/:tarih'), async (req, res) => {
+    try {
+      const sonuc = await tdk.tarihliGununKelimesi(req.gecerli.params.tarih);
+      sonucGonder(res, sonuc);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: "Yazım denetimi hatası",
-        metadata: { timestamp: new Date().toISOString() }
-      });
+      hataGonder(res, error, "Günün kelimesi alınamadı");
+    }
+  });
+  
+  // Yazım denetimi (POST)
+  api.post('/yazim-denetimi', dogrula('post', '/yazim-denetimi'), async (req, res) => {
+    try {
+      const { metin, oneriSayisi } = req.gecerli.body;
+      const sonuc = await tdk.yazimDenetimi(metin, { oneriSayisi });
+      sonucGonder(res, sonuc);
+    } catch (error) {
+      hataGonder(res, error, "Yazım denetimi hatası");
+    }
+  });
+
+  // Yabancı kelime analizi (POST)
+  api.post('/yabanci-kelime', dogrula('post', '/yabanci-kelime'), async (req, res) => {
+    try {
+      const sonuc = await tdk.yabanciKelimeAnalizi(req.gecerli.body.metin);
+      sonucGonder(res, sonuc);
+    } catch (error) {
+      hataGonder(res, error, "Yabancı kelime analizi hatası");
     }
   });
   
   // Atasözü arama
-  app.get(`${apiPath}/atasozu/:anahtar`, async (req, res) => {
+  api.get('/atasozu/:anahtar', dogrula('get', '/atasozu/:anahtar'), async (req, res) => {
     try {
-      const sonuc = await tdk.atasozuAra(req.params.anahtar);
-      res.json(sonuc);
+      const sonuc = await tdk.atasozuAra(req.gecerli.params.anahtar);
+      sonucGonder(res, sonuc);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: "Atasözü arama hatası",
-        metadata: { timestamp: new Date().toISOString() }
-      });
+      hataGonder(res, error, "Atasözü arama hatası");
     }
   });
   
   // Benzer kelimeler
-  app.get(`${apiPath}/benzer/:kelime`, async (req, res) => {
+  api.get('/benzer/:kelime', dogrula('get', '/benzer/:kelime'), async (req, res) => {
     try {
-      const limit = parseInt(req.query.limit) || 10;
-      const sonuc = await tdk.benzerKelimeler(req.params.kelime, limit);
-      res.json(sonuc);
+      const { params, query } = req.gecerli;
+      const sonuc = await tdk.benzerKelimeler(params.kelime, query.limit);
+      sonucGonder(res, sonuc);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: "Benzer kelimeler bulunamadı",
-        metadata: { timestamp: new Date().toISOString() }
-      });
+      hataGonder(res, error, "Benzer kelimeler bulunamadı");
     }
   });
   
   // Harfe göre kelimeler
-  app.get(`${apiPath}/harf/:harf`, async (req, res) => {
+  api.get('/harf/:harf', dogrula('get', '/harf/:harf'), async (req, res) => {
     try {
-      const sayfa = parseInt(req.query.sayfa) || 1;
-      const limit = parseInt(req.query.limit) || 50;
-      const sonuc = await tdk.harfeGoreKelimeler(req.params.harf, sayfa, limit);
-      res.json(sonuc);
+      const { params, query } = req.gecerli;
+      const sonuc = await tdk.harfeGoreKelimeler(params.harf, query.sayfa, query.limit);
+      sonucGonder(res, sonuc);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: "Harfe göre kelimeler alınamadı",
-        metadata: { timestamp: new Date().toISOString() }
+      hataGonder(res, error, "Harfe göre kelimeler alınamadı");
+    }
+  });
+  
+  // Desen (asterisk) arama
+  const desenRoute = async (req, res) => {
+    try {
+      const { params, query } = req.gecerli;
+      const sonuc = await tdk.desenAra(params.pattern, {
+        sayfa: query.sayfa,
+        limit: query.limit
       });
+      sonucGonder(res, sonuc);
+    } catch (error) {
+      hataGonder(res, error, "Desen araması yapılamadı");
+    }
+  };
+
+  api.get('/desen/:pattern', dogrula('get', '/desen/:pattern'), desenRoute);
+  api.get('/asterisk/:pattern', dogrula('get', '/asterisk/:pattern'), desenRoute);
+  
+  // Otomatik tamamlama
+  api.get('/tamamla', dogrula('get', '/tamamla'), async (req, res) => {
+    try {
+      const { query } = req.gecerli;
+      const sonuc = await tdk.otomatikTamamla(query.q, { limit: query.limit });
+      sonucGonder(res, sonuc);
+    } catch (error) {
+      hataGonder(res, error, "Otomatik tamamlama yapılamadı");
     }
   });
   
   // Popüler aramalar
-  app.get(`${apiPath}/populer`, async (req, res) => {
+  api.get('/populer', dogrula('get', '/populer'), async (req, res) => {
     try {
-      const limit = parseInt(req.query.limit) || 20;
-      const sonuc = await tdk.populerAramalar(limit);
-      res.json(sonuc);
+      const { query } = req.gecerli;
+      const sonuc = await tdk.populerAramalar(query.limit, { pencere: query.pencere });
+      sonucGonder(res, sonuc);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: "Popüler aramalar alınamadı",
-        metadata: { timestamp: new Date().toISOString() }
-      });
+      hataGonder(res, error, "Popüler aramalar alınamadı");
     }
   });
   
   // Rastgele kelime
-  app.get(`${apiPath}/rastgele`, async (req, res) => {
+  api.get('/rastgele', dogrula('get', '/rastgele'), async (req, res) => {
     try {
       const sonuc = await tdk.rastgeleKelime();
-      res.json(sonuc);
+      sonucGonder(res, sonuc);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: "Rastgele kelime bulunamadı",
-        metadata: { timestamp: new Date().toISOString() }
-      });
+      hataGonder(res, error, "Rastgele kelime bulunamadı");
     }
   });
   
   // Ses/telaffuz
-  app.get(`${apiPath}/ses/:kelime`, async (req, res) => {
+  api.get('/ses/:kelime', dogrula('get', '/ses/:kelime'), async (req, res) => {
     try {
-      const sonuc = await tdk.sesGetir(req.params.kelime);
-      res.json(sonuc);
+      const sonuc = await tdk.sesGetir(req.gecerli.params.kelime);
+      sonucGonder(res, sonuc);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: "Ses dosyası bulunamadı",
-        metadata: { timestamp: new Date().toISOString() }
-      });
+      hataGonder(res, error, "Ses dosyası bulunamadı");
     }
   });
   
-  // Cache yönetimi (admin)
-  app.delete(`${apiPath}/cache`, (req, res) => {
-    const { pattern } = req.query;
-    tdk.cacheTemizle(pattern);
-    
-    res.json({
-      success: true,
-      message: pattern ? `"${pattern}" cache temizlendi` : 'Tüm cache temizlendi',
-      metadata: { timestamp: new Date().toISOString() }
-    });
+  // Cache yönetimi (admin anahtarı gerekir)
+  api.delete('/cache', dogrula('delete', '/cache'), async (req, res) => {
+    try {
+      const { pattern } = req.gecerli.query;
+      const silinen = await tdk.cacheTemizle(pattern);
+      
+      res.json({
+        success: true,
+        message: pattern ? `"${pattern}" cache temizlendi` : 'Tüm cache temizlendi',
+        metadata: { timestamp: new Date().toISOString(), silinenKayit: silinen }
+      });
+    } catch (error) {
+      hataGonder(res, error, "Cache temizlenemedi");
+    }
   });
   
   // Cache istatistikleri
-  app.get(`${apiPath}/cache/stats`, (req, res) => {
-    const stats = tdk.cacheIstatistik();
-    res.json(stats);
+  api.get('/cache/stats', dogrula('get', '/cache/stats'), async (req, res) => {
+    const stats = await tdk.cacheIstatistik();
+    sonucGonder(res, stats);
   });
   
   // Batch işlemler (çoklu kelime arama)
-  app.post(`${apiPath}/batch`, async (req, res) => {
+  api.post('/batch', dogrula('post', '/batch'), async (req, res) => {
     try {
-      const { kelimeler } = req.body;
-      
-      if (!Array.isArray(kelimeler) || kelimeler.length > 50) {
-        return res.status(400).json({
-          success: false,
-          error: "Geçersiz kelime listesi (max 50 kelime)",
-          metadata: { timestamp: new Date().toISOString() }
-        });
+      const { kelimeler } = req.gecerli.body;
+      const { format } = req.gecerli.query;
+      const secenekler = { cacheTTL: topluTTL, istatistik: istatistikSayilsin(req) };
+
+      // ?akis= ya da Accept: application/x-ndjson / text/event-stream
+      const akis = req.gecerli.query.akis ||
+        { 'application/x-ndjson': 'ndjson', 'text/event-stream': 'sse' }[
+          req.accepts(['application/json', 'application/x-ndjson', 'text/event-stream'])
+        ];
+
+      if (akis && format) {
+        return hataGonder(res, new GecersizGirdi("format ve akış birlikte kullanılamaz"));
       }
-      
-      const sonuclar = await Promise.all(
-        kelimeler.map(kelime => tdk.ara(kelime, { cacheTTL: 300 }))
-      );
-      
+
+      if (akis) {
+        return await akisGonder(res, akis, signal => tdk.topluAraAkisi(kelimeler, { ...secenekler, signal }), kelimeler.length,
+          res.locals.apiSurumu ? v2Zarfi : null);
+      }
+
+      const sonuc = await tdk.topluAra(kelimeler, secenekler);
+      if (format) return dosyaGonder(res, tdk, sonuc.data, format);
+      sonucGonder(res, sonuc);
+    } catch (error) {
+      if (res.headersSent) return res.end();
+      hataGonder(res, error, "Batch işlemi hatası");
+    }
+  });
+
+  // Arka plan işleri (büyük listeler)
+  api.post('/jobs', dogrula('post', '/jobs'), (req, res) => {
+    try {
+      const ozet = isler.olustur(req.gecerli.body.kelimeler, { istatistik: istatistikSayilsin(req) });
+
+      res.status(202).location(`${req.baseUrl}/jobs/${ozet.id}`).json({
+        success: true,
+        data: ozet,
+        metadata: { timestamp: new Date().toISOString() }
+      });
+    } catch (error) {
+      hataGonder(res, error, "İş oluşturulamadı");
+    }
+  });
+
+  api.get('/jobs/:id', dogrula('get', '/jobs/:id'), (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: isler.getir(req.gecerli.params.id),
+        metadata: { timestamp: new Date().toISOString() }
+      });
+    } catch (error) {
+      hataGonder(res, error, "İş alınamadı");
+    }
+  });
+
+  api.get('/jobs/:id/sonuclar', dogrula('get', '/jobs/:id/sonuclar'), (req, res) => {
+    try {
+      const { is, sonuclar } = isler.sonuclar(req.gecerli.params.id);
+      if (req.gecerli.query.format) return dosyaGonder(res, tdk, sonuclar, req.gecerli.query.format);
+
       res.json({
         success: true,
         data: sonuclar,
-        metadata: {
-          timestamp: new Date().toISOString(),
-          toplamKelime: kelimeler.length,
-          basarili: sonuclar.filter(s => s.success).length
-        }
+        metadata: { timestamp: new Date().toISOString(), is: is }
       });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: "Batch işlemi hatası",
+      hataGonder(res, error, "İş sonuçları alınamadı");
+    }
+  });
+
+  api.delete('/jobs/:id', dogrula('delete', '/jobs/:id'), (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: isler.sil(req.gecerli.params.id),
         metadata: { timestamp: new Date().toISOString() }
       });
+    } catch (error) {
+      hataGonder(res, error, "İş silinemedi");
     }
   });
   
-  // 404 handler
-  app.use(`${apiPath}/*`, (req, res) => {
-    res.status(404).json({
-      success: false,
-      error: "Endpoint bulunamadı",
-      metadata: {
-        timestamp: new Date().toISOString(),
-        requestedPath: req.originalUrl
-      }
+  // Anahtar başına kullanım (admin anahtarı gerekir)
+  api.get('/admin/kullanim', dogrula('get', '/admin/kullanim'), (req, res) => {
+    res.json({
+      success: true,
+      data: { anahtarlar: anahtarlar.kullanim() },
+      metadata: { timestamp: new Date().toISOString(), anahtarZorunlu: Boolean(kimlikAyarlari.zorunlu) }
+    });
+  });
+
+  // OpenAPI belgesi
+  // Yollar router'ın bağlandığı yere göre yazılır (/v2 ayrı belge); her bağlantı noktası için bir kez üretilir
+  const belgeler = new Map();
+  api.get('/openapi.json', dogrula('get', '/openapi.json'), (req, res) => {
+    if (!belgeler.has(req.baseUrl)) {
+      belgeler.set(req.baseUrl, openapiBelgesi(rotalar, {
+        apiPath: req.baseUrl,
+        surum: paket.version,
+        anahtarZorunlu: kimlikAyarlari.zorunlu,
+        apiSurumu: res.locals.apiSurumu
+      }));
+    }
+    res.json(belgeler.get(req.baseUrl));
+  });
+
+  // Swagger UI (isteğe bağlı, CDN'den yüklenir)
+  if (options.dokumanArayuzu) {
+    api.get('/docs', (req, res) => {
+      res.set('Content-Security-Policy', [
+        "default-src 'self'",
+        `script-src 'self' ${SWAGGER_UI_CDN}/`,
+        `style-src 'self' 'unsafe-inline' ${SWAGGER_UI_CDN}/`,
+        "img-src 'self' data:"
+      ].join('; '));
+      res.type('html').send(dokumanSayfasi(`${req.baseUrl}/docs/baslat.js`));
+    });
+
+    api.get('/docs/baslat.js', (req, res) => {
+      res.type('application/javascript').send(dokumanBetigi(`${req.baseUrl}/openapi.json`));
     });
+  }
+  
+  // 404 handler
+  api.use((req, res) => {
+    hataGonder(res, new Bulunamadi("Endpoint bulunamadı"), null, { requestedPath: req.originalUrl });
   });
+
+  router.use(`/${API_SURUMU}`, api);
+  router.use(api);
   
   // Error handler
-  app.use((err, req, res, next) => {
-    console.error('🚨 Sunucu hatası:', err);
-    
-    res.status(err.status || 500).json({
-      success: false,
-      error: err.message || "Sunucu hatası",
-      metadata: {
-        timestamp: new Date().toISOString(),
-        path: req.path
-      }
-    });
+  router.use((err, req, res, next) => {
+    const hata = hataDonustur(err);
+    if (hata.status >= 500) logger.error({ err }, 'Sunucu hatası');
+
+    hataGonder(res, hata, null, { path: req.path });
+  });
+
+  router.isler = isler;
+  router.kapat = () => isler.kapat();
+  router.endpointler = api.stack
+    .filter(katman => katman.route)
+    .map(katman => `${Object.keys(katman.route.methods).join(',').toUpperCase()} ${katman.route.path}`);
+  return router;
+}
+
+/**
+ * Ayarları yükleyip sözlük API'sini kendi Express uygulamasında başlatır
+ *
+ * Ayarlar varsayılanlar, ayar dosyası, ortam değişkenleri ve `options` sırasıyla
+ * birleştirilir (bkz. lib/ayarlar.js). `kapat()` yeni bağlantıları keser, işleri
+ * durdurur, süren HTTP ve TDK isteklerini `kapanisSuresi` kadar bekler.
+ * `kapanisSinyalleri` (varsayılan SIGTERM) gelince kapat() çağrılıp süreç sonlandırılır;
+ * `kapanisSinyalleri: []` ile kapanış tamamen çağırana bırakılır.
+ * @param {Object} options - Sunucu ayarları
+ * @returns {Object} - { app, router, server, tdk, isler, ayarlar, kapat }
+ */
+function createServer(options = {}) {
+  let bilinmeyenAyarlar = [];
+  const ayarlar = ayarlariYukle(options, process.env, yollar => { bilinmeyenAyarlar = yollar; });
+  const app = express();
+
+  // Prometheus metrikleri: true, { yol } ya da hazır bir MetrikKaydi
+  const metrikAyarlari = ayarlar.metrikler;
+  const metrikler = metrikAyarlari instanceof MetrikKaydi
+    ? metrikAyarlari
+    : (metrikAyarlari ? new MetrikKaydi() : null);
+
+  const tdk = new TDKSozluk({
+    logger: ayarlar.logger,
+    metrikler,
+    onbellekSureleri: ayarlar.onbellekSureleri,
+    veriKlasoru: ayarlar.veriKlasoru,
+    arsiv: ayarlar.arsiv,
+    ...(ayarlar.tdk || {})
   });
+  const logger = tdk.logger;
+  if (bilinmeyenAyarlar.length > 0) {
+    logger.warn({ ayarlar: bilinmeyenAyarlar }, 'Bilinmeyen ayarlar yok sayıldı');
+  }
+
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        styleSrc: ["'self'", "'unsafe-inline'"],
+        scriptSrc: ["'self'"],
+      },
+    },
+  }));
+
+  // Prometheus metrikleri (API yolu dışında, hız sınırı uygulanmaz)
+  if (metrikler) {
+    app.get(metrikAyarlari.yol || '/metrics', async (req, res) => {
+      res.set('Content-Type', MetrikKaydi.icerikTuru);
+      res.send(await metrikler.metin());
+    });
+  }
+
+  const router = createRouter(tdk, { ...ayarlar, metrikler });
+  app.use(ayarlar.apiPath, router);
   
   // Start server
-  const server = app.listen(serverPort, () => {
-    console.log(`
-    🚀 Creart TDK API v1.4.0
-    📡 Port: ${serverPort}
-    🔗 Ana URL: http://localhost:${serverPort}
-    📚 API Path: ${apiPath}
-    🏓 Health: http://localhost:${serverPort}${apiPath}/health
-    📦 Cache: ${tdk.cacheEnabled ? 'Aktif' : 'Pasif'}
-    
-    📋 Kullanılabilir Endpoint'ler:
-    GET  ${apiPath}/kelime/:kelime
-    GET  ${apiPath}/gunun-kelimesi
-    POST ${apiPath}/yazim-denetimi
-    GET  ${apiPath}/atasozu/:anahtar
-    GET  ${apiPath}/benzer/:kelime
-    GET  ${apiPath}/harf/:harf
-    GET  ${apiPath}/populer
-    GET  ${apiPath}/rastgele
-    GET  ${apiPath}/ses/:kelime
-    POST ${apiPath}/batch
-    GET  ${apiPath}/cache/stats
-    DELETE ${apiPath}/cache
-    
-    ⚡ Hazır!
-    `);
+  const server = app.listen(ayarlar.port, () => {
+    const endpointler = router.endpointler.map(endpoint => endpoint.replace(' ', ` ${ayarlar.apiPath}`));
+
+    logger.info({
+      port: server.address().port,
+      apiPath: ayarlar.apiPath,
+      v2: `${ayarlar.apiPath}/${API_SURUMU}`,
+      onbellek: tdk.cacheEnabled ? tdk.cache.tur || 'ozel' : null,
+      endpointler: endpointler
+    }, 'Creart TDK API hazır');
   });
-  
-  // Graceful shutdown
-  process.on('SIGTERM', () => {
-    console.log('🔄 SIGTERM alındı, sunucu kapatılıyor...');
-    server.close(() => {
-      console.log('✅ Sunucu kapatıldı');
-      process.exit(0);
+
+  // Graceful shutdown: bir kez çalışır, tekrar çağrılarda aynı söz döner
+  let kapanis = null;
+  const kapat = () => {
+    if (kapanis) return kapanis;
+    kapanis = (async () => {
+      const sonTarih = Date.now() + ayarlar.kapanisSuresi;
+      logger.info({ beklemeSuresi: ayarlar.kapanisSuresi }, 'Sunucu kapatılıyor');
+      router.kapat();
+
+      // Yeni bağlantı alınmaz, süren cevaplar beklenir; cevabı biten keep-alive bağlantıları
+      // kapatılır, süre dolunca kalan bağlantılar da kesilir
+      const bosta = setInterval(() => server.closeIdleConnections(), 100);
+      const zamanlayici = setTimeout(() => server.closeAllConnections(), ayarlar.kapanisSuresi);
+      await new Promise(resolve => server.close(() => resolve()));
+      clearInterval(bosta);
+      clearTimeout(zamanlayici);
+
+      // Arka plan yenilemeleri gibi cevaba bağlı olmayan TDK istekleri
+      const { bosaldi } = await tdk.kapat({ beklemeSuresi: Math.max(sonTarih - Date.now(), 0) });
+      logger.info({ bosaldi }, 'Sunucu kapatıldı');
+    })();
+    return kapanis;
+  };
+
+  ayarlar.kapanisSinyalleri.forEach(sinyal => {
+    process.once(sinyal, () => {
+      logger.info({ sinyal }, 'Kapanış sinyali alındı');
+      kapat().finally(() => process.exit(0));
     });
   });
   
-  return { app, server, tdk };
+  return { app, router, server, tdk, isler: router.isler, ayarlar, kapat };
 }
 
 // ========== MODULE EXPORTS ==========
@@ -996,6 +2828,17 @@ function createServer(options = {}) {
 module.exports = TDKSozluk;
 module.exports.TDKSozluk = TDKSozluk;
 module.exports.createServer = createServer;
+module.exports.createRouter = createRouter;
+module.exports.ayarlariYukle = ayarlariYukle;
+module.exports.SorguIstatistik = SorguIstatistik;
+module.exports.MetrikKaydi = MetrikKaydi;
+module.exports.IsYoneticisi = IsYoneticisi;
+module.exports.AnahtarDeposu = AnahtarDeposu;
+module.exports.GununKelimesiArsivi = GununKelimesiArsivi;
+module.exports.sonucSemasi = sonucSemasi;
+module.exports.sonucDogrula = sonucDogrula;
+module.exports.v2Zarfi = v2Zarfi;
+Object.assign(module.exports, hatalar);
 module.exports.default = TDKSozluk;
 
 if (require.main === module) {
@@ -0,0 +1,191 @@
+const fs = require("fs");
+const crypto = require("crypto");
+
+const ROLLER = ['kullanici', 'admin'];
+
+/**
+ * API anahtarı deposu
+ *
+ * Anahtarlar seçeneklerden ve/veya yerel bir JSON dosyasından okunur. Dosyada
+ * anahtarın kendisi yerine SHA-256 özeti (`sha256`) saklanabilir; gelen anahtar
+ * her zaman özetiyle aranır. Her anahtarın kendi hız sınırı (`limit`, hız
+ * penceresi başına istek) ve günlük kotası (`gunlukKota`, UTC gününe göre)
+ * olabilir. Kullanım sayaçları bellekte tutulur, yeniden başlatmada sıfırlanır.
+ *
+ * Kayıt: { ad, anahtar | sha256, rol: 'kullanici' | 'admin', limit, gunlukKota }
+ */
+class AnahtarDeposu {
+  /**
+   * @param {Object} options - { anahtarlar, dosya, varsayilanKota }
+   */
+  constructor(options = {}) {
+    this.varsayilanKota = options.varsayilanKota || null;
+    this.kayitlar = new Map();
+
+    const kayitlar = [...(options.anahtarlar || [])];
+    if (options.dosya) kayitlar.push(...dosyaOku(options.dosya));
+    kayitlar.forEach((kayit, index) => this._ekle(kayit, index));
+  }
+
+  /**
+   * Anahtarın saklanacak özeti
+   * @param {string} anahtar - API anahtarı
+   * @returns {string} - SHA-256 (hex)
+   */
+  static ozet(anahtar) {
+    return crypto.createHash('sha256').update(String(anahtar)).digest('hex');
+  }
+
+  /**
+   * Yeni rastgele anahtar üretir
+   * @returns {Object} - { anahtar, sha256 }
+   */
+  static uret() {
+    const anahtar = `tdk_${crypto.randomBytes(24).toString('base64url')}`;
+    return { anahtar, sha256: AnahtarDeposu.ozet(anahtar) };
+  }
+
+  /**
+   * Tanımlı anahtar sayısı
+   * @returns {number}
+   */
+  get boyut() {
+    return this.kayitlar.size;
+  }
+
+  /**
+   * Yönetici anahtarı tanımlı mı
+   * @returns {boolean}
+   */
+  get adminVar() {
+    return [...this.kayitlar.values()].some(kayit => kayit.rol === 'admin');
+  }
+
+  /**
+   * Anahtarın kaydını bulur
+   * @param {string} anahtar - İstekle gelen anahtar
+   * @returns {Object|null} - { ad, rol, limit, gunlukKota } ya da null
+   */
+  bul(anahtar) {
+    if (!anahtar) return null;
+    const kayit = this.kayitlar.get(AnahtarDeposu.ozet(anahtar));
+    return kayit ? kayit.bilgi : null;
+  }
+
+  /**
+   * İsteği günlük kotaya yazar
+   * @param {string} ad - Anahtar adı
+   * @param {number} zaman - İstek zamanı (ms)
+   * @returns {Object} - { izin, kota, kalan, sifirlanma: Date }
+   */
+  kotaKullan(ad, zaman = Date.now()) {
+    const kayit = this._kayit(ad);
+    const kullanim = kayit.kullanim;
+    const gun = new Date(zaman).toISOString().slice(0, 10);
+    if (kullanim.gun !== gun) {
+      kullanim.gun = gun;
+      kullanim.bugun = 0;
+    }
+
+    const sifirlanma = new Date(`${gun}T00:00:00.000Z`);
+    sifirlanma.setUTCDate(sifirlanma.getUTCDate() + 1);
+    const kota = kayit.bilgi.gunlukKota;
+
+    if (kota && kullanim.bugun >= kota) {
+      kullanim.reddedilen.kota++;
+      return { izin: false, kota, kalan: 0, sifirlanma };
+    }
+
+    kullanim.bugun++;
+    kullanim.toplam++;
+    kullanim.sonIstek = new Date(zaman);
+    return { izin: true, kota, kalan: kota ? kota - kullanim.bugun : null, sifirlanma };
+  }
+
+  /**
+   * Hız sınırına takılan isteği sayar
+   * @param {string} ad - Anahtar adı
+   */
+  hizReddi(ad) {
+    this._kayit(ad).kullanim.reddedilen.hiz++;
+  }
+
+  /**
+   * Anahtar başına kullanım sayaçları (anahtarların kendisi dönmez)
+   * @returns {Array<Object>}
+   */
+  kullanim() {
+    const bugun = new Date().toISOString().slice(0, 10);
+    return [...this.kayitlar.values()].map(({ bilgi, kullanim }) => {
+      const bugunku = kullanim.gun === bugun ? kullanim.bugun : 0;
+      return {
+        ad: bilgi.ad,
+        rol: bilgi.rol,
+        limit: bilgi.limit,
+        gunlukKota: bilgi.gunlukKota,
+        toplamIstek: kullanim.toplam,
+        bugun: {
+          tarih: bugun,
+          istek: bugunku,
+          kalan: bilgi.gunlukKota ? Math.max(bilgi.gunlukKota - bugunku, 0) : null
+        },
+        reddedilen: { ...kullanim.reddedilen },
+        sonIstek: kullanim.sonIstek ? kullanim.sonIstek.toISOString() : null
+      };
+    });
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  _ekle(kayit, index) {
+    const konum = `API anahtarı #${index + 1}`;
+    if (!kayit || (!kayit.anahtar && !kayit.sha256)) {
+      throw new Error(`${konum}: "anahtar" ya da "sha256" gerekli`);
+    }
+
+    const rol = kayit.rol || 'kullanici';
+    if (!ROLLER.includes(rol)) {
+      throw new Error(`${konum}: geçersiz rol "${rol}" (${ROLLER.join(', ')})`);
+    }
+
+    const ozet = kayit.sha256 ? String(kayit.sha256).toLowerCase() : AnahtarDeposu.ozet(kayit.anahtar);
+    const ad = kayit.ad || `anahtar-${ozet.slice(0, 8)}`;
+    if (this.kayitlar.has(ozet)) throw new Error(`${konum}: "${ad}" anahtarı iki kez tanımlı`);
+    if ([...this.kayitlar.values()].some(k => k.bilgi.ad === ad)) {
+      throw new Error(`${konum}: "${ad}" adı başka bir anahtarda kullanılıyor`);
+    }
+
+    this.kayitlar.set(ozet, {
+      bilgi: {
+        ad: ad,
+        rol: rol,
+        limit: Number(kayit.limit) > 0 ? Number(kayit.limit) : null,
+        gunlukKota: Number(kayit.gunlukKota) > 0 ? Number(kayit.gunlukKota) : (this.varsayilanKota || null)
+      },
+      kullanim: {
+        gun: null,
+        bugun: 0,
+        toplam: 0,
+        reddedilen: { hiz: 0, kota: 0 },
+        sonIstek: null
+      }
+    });
+  }
+
+  _kayit(ad) {
+    const kayit = [...this.kayitlar.values()].find(k => k.bilgi.ad === ad);
+    if (!kayit) throw new Error(`Bilinmeyen API anahtarı: "${ad}"`);
+    return kayit;
+  }
+}
+
+// Dosya bir liste ya da { anahtarlar: [...] } olabilir
+function dosyaOku(dosya) {
+  const icerik = JSON.parse(fs.readFileSync(dosya, 'utf8'));
+  const liste = Array.isArray(icerik) ? icerik : icerik.anahtarlar;
+  if (!Array.isArray(liste)) throw new Error(`${dosya}: anahtar listesi bulunamadı`);
+  return liste;
+}
+
+module.exports = AnahtarDeposu;
+module.exports.AnahtarDeposu = AnahtarDeposu;
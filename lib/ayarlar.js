@@ -0,0 +1,186 @@
+const fs = require("fs");
+const { semaDogrula } = require("./dogrulama");
+const { GecersizGirdi } = require("./hatalar");
+
+/**
+ * Sunucu ayarları
+ *
+ * Katmanlar sırasıyla birleştirilir, sonraki öncekini ezer:
+ * varsayılanlar → ayar dosyası (JSON) → ortam değişkenleri → koddan verilen seçenekler.
+ * Dosya `ayarDosyasi` seçeneğiyle ya da TDK_CONFIG ortam değişkeniyle verilir.
+ * Sonuç AYAR_SEMASI ile doğrulanır; hatalı alanlar sunucu başlamadan
+ * GecersizGirdi ile bildirilir. Bilinmeyen alanlar (yazım hatası ya da eski
+ * sürümden kalan ayar) başlatmayı durdurmaz: ayıklanır ve uyarı olarak bildirilir.
+ */
+
+const SURE = { type: 'integer', minimum: 1, maximum: 30 * 86400 };
+
+const AYAR_SEMASI = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    ayarDosyasi: { type: 'string', minLength: 1 },
+    port: { type: 'integer', minimum: 0, maximum: 65535, default: 3000 },
+    apiPath: { type: 'string', pattern: '^/[\\w\\-./]*$', default: '/api' },
+    corsOrigin: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1, default: ['*'] },
+    rateLimitMax: { type: 'integer', minimum: 1, maximum: 1000000, default: 100 },
+    rateLimitWindow: { type: 'integer', minimum: 1000, maximum: 86400000, default: 15 * 60 * 1000 },
+    // Saniye; toplu: /batch aramalarının süresi
+    onbellekSureleri: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { ara: SURE, atasozu: SURE, gununKelimesi: SURE, desen: SURE, toplu: SURE }
+    },
+    dokumanArayuzu: { type: 'boolean', default: false },
+    // true, { yol } ya da hazır bir MetrikKaydi
+    metrikler: {},
+    // Kapanışta süren isteklerin bekleneceği en uzun süre (ms)
+    kapanisSuresi: { type: 'integer', minimum: 0, maximum: 600000, default: 10000 },
+    kapanisSinyalleri: {
+      type: 'array',
+      items: { type: 'string', enum: ['SIGTERM', 'SIGINT', 'SIGHUP'] },
+      default: ['SIGTERM']
+    },
+    // Madde başı indeksi ve günün kelimesi arşivinin yazıldığı klasör (tdk.veriKlasoru)
+    veriKlasoru: { type: 'string', minLength: 1 },
+    arsiv: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { dosya: { type: 'string', minLength: 1 } }
+    },
+    tdk: { type: 'object' },
+    isler: { type: 'object' },
+    kimlikDogrulama: { type: 'object' },
+    istatistikHaric: { type: 'object' },
+    logger: {}
+  }
+};
+
+// Ortam değişkeni → ayar yolu
+const ORTAM_DEGISKENLERI = {
+  PORT: 'port',
+  TDK_API_PATH: 'apiPath',
+  TDK_CORS_ORIGIN: 'corsOrigin',
+  TDK_RATE_LIMIT_MAX: 'rateLimitMax',
+  TDK_RATE_LIMIT_WINDOW: 'rateLimitWindow',
+  TDK_CACHE_TTL_ARA: 'onbellekSureleri.ara',
+  TDK_CACHE_TTL_ATASOZU: 'onbellekSureleri.atasozu',
+  TDK_CACHE_TTL_GUNUN_KELIMESI: 'onbellekSureleri.gununKelimesi',
+  TDK_CACHE_TTL_DESEN: 'onbellekSureleri.desen',
+  TDK_CACHE_TTL_TOPLU: 'onbellekSureleri.toplu',
+  TDK_DOCS: 'dokumanArayuzu',
+  TDK_METRICS: 'metrikler',
+  TDK_SHUTDOWN_TIMEOUT: 'kapanisSuresi',
+  TDK_API_KEYS_FILE: 'kimlikDogrulama.dosya',
+  TDK_DATA_DIR: 'veriKlasoru',
+  TDK_ARCHIVE_FILE: 'arsiv.dosya'
+};
+
+// Bir seviye derine kadar birleştirilen nesne ayarları
+const NESNE_AYARLARI = ['onbellekSureleri', 'arsiv', 'tdk', 'isler', 'kimlikDogrulama', 'istatistikHaric'];
+
+/**
+ * Katmanları birleştirip doğrular
+ * @param {Object} options - Koddan verilen seçenekler (createServer seçenekleri)
+ * @param {Object} ortam - Ortam değişkenleri (varsayılan process.env)
+ * @param {Function} uyar - Yok sayılan bilinmeyen alanların yollarıyla çağrılır (örn. ['prot', 'onbellekSureleri.x'])
+ * @returns {Object} - Doğrulanmış ve varsayılanları doldurulmuş ayarlar
+ */
+function ayarlariYukle(options = {}, ortam = process.env, uyar = () => {}) {
+  const dosya = options.ayarDosyasi || ortam.TDK_CONFIG;
+  const katmanlar = [
+    dosya ? dosyaOku(dosya) : {},
+    ortamAyarlari(ortam),
+    tanimliAlanlar(options)
+  ];
+
+  const birlesik = katmanlar.reduce((sonuc, katman) => {
+    Object.entries(katman).forEach(([ad, deger]) => {
+      sonuc[ad] = NESNE_AYARLARI.includes(ad) && duzNesne(sonuc[ad]) && duzNesne(deger)
+        ? { ...sonuc[ad], ...deger }
+        : deger;
+    });
+    return sonuc;
+  }, {});
+
+  // Tek origin metin olarak da verilebilir
+  if (typeof birlesik.corsOrigin === 'string') birlesik.corsOrigin = [birlesik.corsOrigin];
+
+  const bilinmeyenler = [];
+  const bilinen = bilinmeyenleriAyikla(AYAR_SEMASI, birlesik, '', bilinmeyenler);
+  if (bilinmeyenler.length > 0) uyar(bilinmeyenler);
+
+  const { deger, hatalar } = semaDogrula(AYAR_SEMASI, bilinen, 'ayarlar');
+  if (hatalar.length > 0) {
+    throw new GecersizGirdi("Geçersiz sunucu ayarları", {
+      details: hatalar.map(h => `${h.alan}: ${h.mesaj}`).join('; '),
+      alanlar: hatalar
+    });
+  }
+
+  return deger;
+}
+
+// ========== YARDIMCILAR ==========
+
+function dosyaOku(dosya) {
+  let icerik;
+  try {
+    icerik = JSON.parse(fs.readFileSync(dosya, 'utf8'));
+  } catch (error) {
+    throw new GecersizGirdi("Ayar dosyası okunamadı", { details: `${dosya}: ${error.message}`, cause: error });
+  }
+  if (!duzNesne(icerik)) {
+    throw new GecersizGirdi("Ayar dosyası okunamadı", { details: `${dosya}: JSON nesnesi olmalı` });
+  }
+  return icerik;
+}
+
+// Ortam değerleri metindir; şemadaki türe çevrilir ("20" → 20, "a,b" → ['a', 'b'])
+function ortamAyarlari(ortam) {
+  const sonuc = {};
+
+  Object.entries(ORTAM_DEGISKENLERI).forEach(([degisken, yol]) => {
+    const ham = ortam[degisken];
+    if (ham === undefined || ham === '') return;
+
+    const [ad, altAd] = yol.split('.');
+    const sema = altAd ? (AYAR_SEMASI.properties[ad].properties || {})[altAd] : AYAR_SEMASI.properties[ad];
+    // Türü serbest olan metrikler ortamdan sadece açılıp kapatılabilir
+    const zorlama = sema && sema.type ? sema : (ad === 'metrikler' ? { type: 'boolean' } : {});
+    const { deger } = semaDogrula(zorlama, ham, degisken, { zorla: true });
+
+    if (altAd) sonuc[ad] = { ...(sonuc[ad] || {}), [altAd]: deger };
+    else sonuc[ad] = deger;
+  });
+
+  return sonuc;
+}
+
+// Şemada olmayan alanları çıkarır, yollarını bulunanlar'a ekler
+function bilinmeyenleriAyikla(sema, deger, yol, bulunanlar) {
+  if (!sema.properties || sema.additionalProperties !== false || !duzNesne(deger)) return deger;
+
+  const sonuc = {};
+  Object.entries(deger).forEach(([ad, alt]) => {
+    const altYol = yol ? `${yol}.${ad}` : ad;
+    if (sema.properties[ad]) sonuc[ad] = bilinmeyenleriAyikla(sema.properties[ad], alt, altYol, bulunanlar);
+    else bulunanlar.push(altYol);
+  });
+  return sonuc;
+}
+
+// undefined seçenekler alt katmanları ezmesin
+function tanimliAlanlar(nesne) {
+  return Object.fromEntries(Object.entries(nesne).filter(([, deger]) => deger !== undefined));
+}
+
+function duzNesne(deger) {
+  return deger !== null && typeof deger === 'object' && !Array.isArray(deger);
+}
+
+module.exports = {
+  ayarlariYukle,
+  AYAR_SEMASI,
+  ORTAM_DEGISKENLERI
+};
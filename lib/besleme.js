@@ -0,0 +1,109 @@
+/**
+ * Günün kelimesi arşivinden RSS 2.0 ve Atom beslemeleri
+ *
+ * Kayıtlar yeniden eskiye verilir; her kaydın bağlantısı o günün JSON
+ * adresidir (`<adres>/<tarih>`). Anlamdaki HTML etiketleri temizlenir.
+ */
+
+const BESLEME_TURLERI = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8'
+};
+
+/**
+ * RSS 2.0 beslemesi yazar
+ * @param {Array<Object>} kayitlar - [{ tarih, kelime, anlam }]
+ * @param {Object} kanal - { baslik, aciklama, adres: kayıt bağlantılarının kökü, kendi: beslemenin adresi }
+ * @returns {string} - XML
+ */
+function rssYaz(kayitlar, kanal) {
+  const ogeler = kayitlar.map(kayit => [
+    '    <item>',
+    `      <title>${xmlKacis(kayit.kelime)}</title>`,
+    `      <link>${xmlKacis(kayitAdresi(kanal, kayit))}</link>`,
+    `      <guid isPermaLink="true">${xmlKacis(kayitAdresi(kanal, kayit))}</guid>`,
+    `      <pubDate>${gunBaslangici(kayit.tarih).toUTCString()}</pubDate>`,
+    `      <description>${xmlKacis(anlamMetni(kayit))}</description>`,
+    '    </item>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${xmlKacis(kanal.baslik)}</title>`,
+    `    <link>${xmlKacis(kanal.adres)}</link>`,
+    `    <description>${xmlKacis(kanal.aciklama)}</description>`,
+    '    <language>tr</language>',
+    `    <atom:link href="${xmlKacis(kanal.kendi)}" rel="self" type="application/rss+xml"/>`,
+    ...(kayitlar.length > 0 ? [`    <lastBuildDate>${gunBaslangici(kayitlar[0].tarih).toUTCString()}</lastBuildDate>`] : []),
+    ...ogeler,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Atom beslemesi yazar
+ * @param {Array<Object>} kayitlar - [{ tarih, kelime, anlam }]
+ * @param {Object} kanal - { baslik, aciklama, adres, kendi }
+ * @returns {string} - XML
+ */
+function atomYaz(kayitlar, kanal) {
+  const girdiler = kayitlar.map(kayit => [
+    '  <entry>',
+    `    <title>${xmlKacis(kayit.kelime)}</title>`,
+    `    <id>${xmlKacis(kayitAdresi(kanal, kayit))}</id>`,
+    `    <link href="${xmlKacis(kayitAdresi(kanal, kayit))}"/>`,
+    `    <updated>${gunBaslangici(kayit.tarih).toISOString()}</updated>`,
+    `    <summary>${xmlKacis(anlamMetni(kayit))}</summary>`,
+    '  </entry>'
+  ].join('\n'));
+
+  const guncelleme = kayitlar.length > 0 ? gunBaslangici(kayitlar[0].tarih) : new Date(0);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="tr">',
+    `  <title>${xmlKacis(kanal.baslik)}</title>`,
+    `  <subtitle>${xmlKacis(kanal.aciklama)}</subtitle>`,
+    `  <id>${xmlKacis(kanal.kendi)}</id>`,
+    `  <link href="${xmlKacis(kanal.kendi)}" rel="self"/>`,
+    `  <link href="${xmlKacis(kanal.adres)}"/>`,
+    `  <updated>${guncelleme.toISOString()}</updated>`,
+    `  <author><name>${xmlKacis(kanal.baslik)}</name></author>`,
+    ...girdiler,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+function kayitAdresi(kanal, kayit) {
+  return `${kanal.adres}/${kayit.tarih}`;
+}
+
+function gunBaslangici(tarih) {
+  return new Date(`${tarih}T00:00:00Z`);
+}
+
+function anlamMetni(kayit) {
+  return kayit.anlam ? String(kayit.anlam).replace(/<[^>]*>/g, '').trim() : kayit.kelime;
+}
+
+function xmlKacis(deger) {
+  // XML 1.0'da geçersiz kontrol karakterleri atılır
+  return String(deger ?? '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+  BESLEME_TURLERI,
+  rssYaz,
+  atomYaz
+};
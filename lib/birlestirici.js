@@ -0,0 +1,99 @@
+/**
+ * Eş zamanlı aynı isteklerin birleştirilmesi (single-flight)
+ *
+ * Aynı anahtarla süren bir iş varken gelen çağrılar yeni iş başlatmaz, süren
+ * işin sonucunu bekler. İş bitince anahtar bırakılır; sonraki çağrı önbelleğe
+ * ya da TDK'ya yeniden gider.
+ *
+ * Çağıran `signal` verirse iptal edildiğinde sadece kendi beklemesi biter.
+ * Ortak iş, bağlı çağıranların hepsi iptal edince durdurulur.
+ */
+class IstekBirlestirici {
+  /**
+   * @param {Object} options - { turler: istatistikte her zaman görünecek türler }
+   */
+  constructor(options = {}) {
+    this.suren = new Map();
+    this.sayaclar = {};
+    (options.turler || []).forEach(tur => { this.sayaclar[tur] = 0; });
+  }
+
+  /**
+   * fn'i çalıştırır; aynı anahtarla süren iş varsa onun sonucunu döner
+   * @param {string} tur - İstatistik türü (ara, atasozu, ses, yazim)
+   * @param {string} anahtar - Normalize edilmiş istek anahtarı
+   * @param {Function} fn - async (signal) => sonuç; signal ortak işin iptal sinyali
+   * @param {AbortSignal} signal - Bu çağıranın iptal sinyali
+   * @returns {Promise<*>}
+   */
+  calistir(tur, anahtar, fn, signal = null) {
+    const tamAnahtar = `${tur}:${anahtar}`;
+    let suren = this.suren.get(tamAnahtar);
+
+    if (suren) {
+      this.sayaclar[tur] = (this.sayaclar[tur] || 0) + 1;
+    } else {
+      suren = { anahtar: tamAnahtar, durdur: new AbortController(), bagli: 0 };
+      suren.is = Promise.resolve()
+        .then(() => {
+          suren.durdur.signal.throwIfAborted();
+          return fn(suren.durdur.signal);
+        })
+        .finally(() => this._sil(suren));
+      // Bağlı kalan olmayabilir; iptal edilen işin hatası sahipsiz kalmasın
+      suren.is.catch(() => {});
+      this.suren.set(tamAnahtar, suren);
+    }
+
+    return this._bagla(suren, signal);
+  }
+
+  /**
+   * Birleştirilen (TDK'ya gitmeden süren işe bağlanan) çağrı sayıları
+   * @returns {Object} - { toplam, [tur]: sayı, suren }
+   */
+  istatistik() {
+    const toplam = Object.values(this.sayaclar).reduce((a, b) => a + b, 0);
+    return { toplam, ...this.sayaclar, suren: this.suren.size };
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  _bagla(suren, signal) {
+    suren.bagli++;
+    // Sinyalsiz çağıran iş bitene kadar bağlı kalır
+    if (!signal) return suren.is;
+
+    if (signal.aborted) {
+      this._birak(suren);
+      return Promise.reject(signal.reason);
+    }
+
+    return new Promise((resolve, reject) => {
+      const iptalEt = () => {
+        this._birak(suren);
+        reject(signal.reason);
+      };
+      signal.addEventListener('abort', iptalEt, { once: true });
+      suren.is
+        .finally(() => signal.removeEventListener('abort', iptalEt))
+        .then(resolve, reject);
+    });
+  }
+
+  _birak(suren) {
+    suren.bagli--;
+    if (suren.bagli > 0) return;
+
+    // Bekleyen kalmadı: işi durdur, yeni çağrılar durdurulmuş işe bağlanmasın
+    suren.durdur.abort();
+    this._sil(suren);
+  }
+
+  _sil(suren) {
+    if (this.suren.get(suren.anahtar) === suren) this.suren.delete(suren.anahtar);
+  }
+}
+
+module.exports = IstekBirlestirici;
+module.exports.IstekBirlestirici = IstekBirlestirici;
@@ -0,0 +1,519 @@
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { JsonGunluk } = require("./gunluk");
+const { FORMATLAR } = require("./disaAktar");
+
+/**
+ * creart-tdk komut satırı aracı
+ *
+ * Komutlar kütüphanenin metodlarını sarar; `--json` ile metodların döndürdüğü
+ * zarf olduğu gibi yazılır. Çıkış kodları CI'da kullanılabilsin diye sabittir.
+ */
+
+const CIKIS_KODLARI = {
+  BASARILI: 0,
+  // Yazım hatası bulundu ya da kelime/atasözü yok
+  BULGU: 1,
+  KULLANIM: 2,
+  // TDK'ya ulaşılamadı, zaman aşımı vb.
+  HATA: 3
+};
+
+const YARDIM = `Kullanım: creart-tdk <komut> [seçenekler]
+
+Komutlar:
+  ara <kelime|->            Kelimenin anlamları, atasözleri, deyimler ve kökeni
+  denetle <dosya...|->      Metnin yazım denetimi (hata varsa çıkış kodu 1)
+  atasozu <anahtar>         Atasözü ve deyim arama
+  gunun-kelimesi            Günün kelimesi
+  sunucu                    REST API sunucusunu başlatır
+
+Seçenekler:
+  --json                    Sonucu JSON olarak yaz
+  --no-color                Renkleri kapat (NO_COLOR ortam değişkeni de geçerli)
+  --kaynaklar <liste>       ara: sorgulanacak kaynaklar (örn. gts,etms)
+  --telaffuz                ara: telaffuz ve ses dosyası ekle
+  --format <biçim>          ara: csv, tsv, markdown, html ya da anki olarak yaz
+  --oneri <sayı>            denetle: kelime başına öneri sayısı (varsayılan 3)
+  --port <port>             sunucu: dinlenecek port (varsayılan PORT ya da 3000)
+  --docs                    sunucu: /api/docs altında Swagger UI
+  --metrics                 sunucu: /metrics altında Prometheus metrikleri
+  --anahtarlar <dosya>      sunucu: API anahtarlarını bu JSON dosyasından oku
+  --config <dosya>          sunucu: ayar dosyası (varsayılan TDK_CONFIG)
+  -h, --help                Bu yardımı göster
+  -v, --version             Sürümü göster
+
+Argüman yerine "-" verilirse ya da argüman verilmeden girdi yönlendirilirse
+standart girdi okunur: ara her satırı ayrı kelime, denetle tümünü metin sayar.
+
+Çıkış kodları: 0 başarılı, 1 yazım hatası/bulunamadı, 2 kullanım hatası, 3 TDK hatası
+`;
+
+const SECENEKLER = {
+  json: { type: 'boolean', default: false },
+  'no-color': { type: 'boolean', default: false },
+  kaynaklar: { type: 'string' },
+  telaffuz: { type: 'boolean', default: false },
+  format: { type: 'string' },
+  oneri: { type: 'string' },
+  port: { type: 'string' },
+  docs: { type: 'boolean', default: false },
+  metrics: { type: 'boolean', default: false },
+  anahtarlar: { type: 'string' },
+  config: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false },
+  version: { type: 'boolean', short: 'v', default: false }
+};
+
+const ANSI = {
+  kalin: [1, 22],
+  soluk: [2, 22],
+  kirmizi: [31, 39],
+  yesil: [32, 39],
+  sari: [33, 39],
+  camgobegi: [36, 39]
+};
+
+function renkler(acik) {
+  const sonuc = {};
+  Object.entries(ANSI).forEach(([ad, [ac, kapat]]) => {
+    sonuc[ad] = metin => (acik ? `\x1b[${ac}m${metin}\x1b[${kapat}m` : String(metin));
+  });
+  return sonuc;
+}
+
+class KullanimHatasi extends Error {}
+
+/**
+ * Komut satırını çalıştırır
+ * @param {Array<string>} argv - Komut satırı argümanları (process.argv.slice(2))
+ * @param {Object} ortam - { stdin, stdout, stderr, env, tdk } (testlerde değiştirilebilir)
+ * @returns {Promise<number|null>} - Çıkış kodu; sunucu çalışmaya devam ediyorsa null
+ */
+async function calistir(argv, ortam = {}) {
+  const stdin = ortam.stdin || process.stdin;
+  const stdout = ortam.stdout || process.stdout;
+  const stderr = ortam.stderr || process.stderr;
+  const env = ortam.env || process.env;
+  let tdk = ortam.tdk || null;
+
+  let argumanlar;
+  try {
+    argumanlar = parseArgs({ args: argv, options: SECENEKLER, allowPositionals: true });
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${YARDIM}`);
+    return CIKIS_KODLARI.KULLANIM;
+  }
+
+  const { values: secenekler, positionals } = argumanlar;
+  const [komut, ...girdiler] = positionals;
+
+  if (secenekler.version) {
+    stdout.write(`${require("../package.json").version}\n`);
+    return CIKIS_KODLARI.BASARILI;
+  }
+
+  if (secenekler.help || !komut) {
+    (komut || secenekler.help ? stdout : stderr).write(YARDIM);
+    return secenekler.help ? CIKIS_KODLARI.BASARILI : CIKIS_KODLARI.KULLANIM;
+  }
+
+  const renkAcik = !secenekler['no-color'] && !secenekler.json && !env.NO_COLOR &&
+    (Boolean(env.FORCE_COLOR) || Boolean(stdout.isTTY));
+
+  const baglam = {
+    secenekler,
+    girdiler,
+    stdin,
+    stdout,
+    env,
+    r: renkler(renkAcik),
+    yaz: metin => stdout.write(`${metin}\n`),
+    hataYaz: metin => stderr.write(`${metin}\n`),
+    tdk: () => {
+      if (!tdk) tdk = yeniSozluk(env, stderr);
+      return tdk;
+    }
+  };
+
+  const komutlar = {
+    ara: araKomutu,
+    denetle: denetleKomutu,
+    atasozu: atasozuKomutu,
+    'gunun-kelimesi': gununKelimesiKomutu,
+    sunucu: sunucuKomutu
+  };
+
+  if (!komutlar[komut]) {
+    stderr.write(`Bilinmeyen komut: ${komut}\n\n${YARDIM}`);
+    return CIKIS_KODLARI.KULLANIM;
+  }
+
+  try {
+    return await komutlar[komut](baglam);
+  } catch (error) {
+    if (error instanceof KullanimHatasi) {
+      baglam.hataYaz(`${error.message}\nYardım için: creart-tdk --help`);
+      return CIKIS_KODLARI.KULLANIM;
+    }
+    baglam.hataYaz(baglam.r.kirmizi(`✖ ${error.message}${error.details ? `: ${error.details}` : ''}`));
+    return CIKIS_KODLARI.HATA;
+  } finally {
+    // Dışarıdan verilen örnek çağıranındır
+    if (komut !== 'sunucu' && tdk && tdk !== ortam.tdk) await tdk.kapat({ beklemeSuresi: 0 });
+  }
+}
+
+// ========== KOMUTLAR ==========
+
+async function araKomutu(baglam) {
+  const { secenekler, r } = baglam;
+  if (secenekler.format && !FORMATLAR[secenekler.format]) {
+    throw new KullanimHatasi(`--format şunlardan biri olmalı: ${Object.keys(FORMATLAR).join(', ')}`);
+  }
+  const kelimeler = await girdiListesi(baglam, 'ara <kelime>');
+  const tdk = baglam.tdk();
+
+  const sonuclar = [];
+  for (const kelime of kelimeler) {
+    sonuclar.push(await tdk.ara(kelime, {
+      kaynaklar: secenekler.kaynaklar,
+      telaffuz: secenekler.telaffuz,
+      istatistik: false
+    }));
+  }
+
+  if (secenekler.format) {
+    const aktarim = tdk.disaAktar(sonuclar, secenekler.format);
+    if (!aktarim.success) {
+      baglam.hataYaz(r.kirmizi(`✖ ${hataMetni(aktarim.error)}`));
+      return sonucKodu(sonuclar);
+    }
+    baglam.stdout.write(aktarim.data.icerik);
+    // Bulunamayan kelimeler dosyaya girmez ama çıkış koduna yansır
+    aktarim.metadata.atlanan.forEach(kelime => baglam.hataYaz(r.sari(`${kelime} atlandı`)));
+  } else if (secenekler.json) {
+    baglam.yaz(JSON.stringify(sonuclar.length === 1 ? sonuclar[0] : sonuclar, null, 2));
+  } else {
+    sonuclar.forEach((sonuc, i) => {
+      if (i > 0) baglam.yaz('');
+      if (sonuc.success) kelimeYaz(baglam, sonuc.data);
+      else baglam.hataYaz(r.kirmizi(`✖ ${kelimeler[i]}: ${hataMetni(sonuc.error)}`));
+    });
+  }
+
+  return sonucKodu(sonuclar);
+}
+
+async function denetleKomutu(baglam) {
+  const { secenekler, r } = baglam;
+  const oneriSayisi = secenekler.oneri === undefined ? 3 : pozitifSayi(secenekler.oneri, '--oneri');
+  const metinler = await metinGirdileri(baglam);
+
+  // Her kelime bir kez denetlenir, hatalar geçtiği her yerde raporlanır
+  const konumlar = metinler.flatMap(({ dosya, metin }) => kelimeKonumlari(metin)
+    .map(konum => ({ dosya, ...konum })));
+  const farkliKelimeler = [...new Set(konumlar.map(k => k.kelime))];
+
+  let denetim = { success: true, data: { sonuclar: [] } };
+  if (farkliKelimeler.length > 0) {
+    denetim = await baglam.tdk().yazimDenetimi(farkliKelimeler.join(' '), { oneriSayisi });
+  }
+
+  if (!denetim.success) {
+    if (secenekler.json) baglam.yaz(JSON.stringify(denetim, null, 2));
+    else baglam.hataYaz(r.kirmizi(`✖ ${hataMetni(denetim.error)}`));
+    return CIKIS_KODLARI.HATA;
+  }
+
+  const sonucMap = new Map(denetim.data.sonuclar.map(s => [s.kelime, s]));
+  const hatalar = [];
+  const denetlenemeyen = [];
+
+  konumlar.forEach(konum => {
+    const sonuc = sonucMap.get(konum.kelime);
+    if (!sonuc || sonuc.dogru) return;
+    if (sonuc.hata) {
+      denetlenemeyen.push({ ...konum, hata: sonuc.hata });
+    } else {
+      hatalar.push({ ...konum, oneriler: (sonuc.oneriler || []).map(oneriMetni) });
+    }
+  });
+
+  const istatistik = {
+    toplamKelime: konumlar.length,
+    farkliKelime: farkliKelimeler.length,
+    hataliKelime: hatalar.length,
+    denetlenemeyen: denetlenemeyen.length
+  };
+
+  if (secenekler.json) {
+    baglam.yaz(JSON.stringify({
+      success: true,
+      data: { hatalar, denetlenemeyen, istatistik },
+      metadata: { timestamp: new Date().toISOString() }
+    }, null, 2));
+  } else {
+    hatalar.forEach(h => {
+      const oneriler = h.oneriler.length ? ` → ${h.oneriler.join(', ')}` : '';
+      baglam.yaz(`${r.soluk(`${h.dosya}:${h.satir}:${h.sutun}`)}  ${r.kirmizi(h.kelime)}${r.yesil(oneriler)}`);
+    });
+    denetlenemeyen.forEach(h => {
+      baglam.hataYaz(r.sari(`${h.dosya}:${h.satir}:${h.sutun}  ${h.kelime} denetlenemedi (${h.hata})`));
+    });
+
+    if (hatalar.length > 0) {
+      baglam.yaz(r.kirmizi(`✖ ${hatalar.length} yazım hatası (${istatistik.toplamKelime} kelime denetlendi)`));
+    } else {
+      baglam.yaz(r.yesil(`✔ Yazım hatası bulunamadı (${istatistik.toplamKelime} kelime denetlendi)`));
+    }
+  }
+
+  if (hatalar.length > 0) return CIKIS_KODLARI.BULGU;
+  return denetlenemeyen.length > 0 ? CIKIS_KODLARI.HATA : CIKIS_KODLARI.BASARILI;
+}
+
+async function atasozuKomutu(baglam) {
+  const { secenekler, r } = baglam;
+  const anahtar = baglam.girdiler.join(' ').trim();
+  if (!anahtar) throw new KullanimHatasi('Kullanım: creart-tdk atasozu <anahtar>');
+
+  const sonuc = await baglam.tdk().atasozuAra(anahtar);
+
+  if (secenekler.json) {
+    baglam.yaz(JSON.stringify(sonuc, null, 2));
+  } else if (!sonuc.success) {
+    baglam.hataYaz(r.kirmizi(`✖ ${hataMetni(sonuc.error)}`));
+  } else {
+    const atasozleri = liste(sonuc.data.atasozleri);
+    const deyimler = liste(sonuc.data.deyimler);
+
+    if (atasozleri.length === 0 && deyimler.length === 0) {
+      baglam.hataYaz(r.sari(`"${anahtar}" için atasözü ya da deyim bulunamadı`));
+    }
+    bolumYaz(baglam, 'Atasözleri', atasozleri);
+    bolumYaz(baglam, 'Deyimler', deyimler);
+  }
+
+  if (!sonuc.success) return sonucKodu([sonuc]);
+  return sonuc.data.toplam > 0 ? CIKIS_KODLARI.BASARILI : CIKIS_KODLARI.BULGU;
+}
+
+async function gununKelimesiKomutu(baglam) {
+  const { secenekler, r } = baglam;
+  const sonuc = await baglam.tdk().gununKelimesi();
+
+  if (secenekler.json) {
+    baglam.yaz(JSON.stringify(sonuc, null, 2));
+  } else if (sonuc.success) {
+    baglam.yaz(`${r.kalin(sonuc.data.kelime)}  ${r.soluk(sonuc.data.tarih)}`);
+    if (sonuc.data.anlam) baglam.yaz(`  ${htmlTemizle(sonuc.data.anlam)}`);
+  } else {
+    baglam.hataYaz(r.kirmizi(`✖ ${hataMetni(sonuc.error)}`));
+  }
+
+  return sonucKodu([sonuc]);
+}
+
+async function sunucuKomutu(baglam) {
+  const { secenekler } = baglam;
+  const { createServer } = require("../index");
+
+  // Verilmeyen bayraklar undefined kalır; ayar dosyası ve ortam değişkenleri geçerli olur
+  createServer({
+    ayarDosyasi: secenekler.config,
+    port: secenekler.port === undefined ? undefined : portNumarasi(secenekler.port),
+    dokumanArayuzu: secenekler.docs || undefined,
+    metrikler: secenekler.metrics || undefined,
+    kimlikDogrulama: secenekler.anahtarlar ? { dosya: secenekler.anahtarlar } : undefined
+  });
+
+  // Sunucu SIGTERM'e kadar çalışır
+  return null;
+}
+
+// ========== YARDIMCILAR ==========
+
+function yeniSozluk(env, stderr) {
+  const TDKSozluk = require("../index");
+  // Günlük kayıtları çıktıya karışmasın: sadece LOG_LEVEL verilirse stderr'e yazılır
+  const logger = env.LOG_LEVEL ? new JsonGunluk({ seviye: env.LOG_LEVEL, cikti: stderr }) : false;
+  // Kök bulma ve öneriler tohum listeyle sınırlı kalmasın: indeks TDK'dan bellekte kurulur.
+  // Komutlar bulunulan klasöre kendiliğinden veri yazmaz; TDK_DATA_DIR verilirse
+  // indeks oraya kaydedilip sonraki çalıştırmalarda oradan okunur, arşiv de oraya yazılır
+  return new TDKSozluk({ logger, kelimeIndeksiGuncelle: true, veriKlasoru: env.TDK_DATA_DIR || null });
+}
+
+async function stdinOku(stdin) {
+  let metin = '';
+  stdin.setEncoding('utf8');
+  for await (const parca of stdin) metin += parca;
+  return metin;
+}
+
+function stdinKullan(baglam) {
+  const { girdiler, stdin } = baglam;
+  return (girdiler.length === 1 && girdiler[0] === '-') || (girdiler.length === 0 && !stdin.isTTY);
+}
+
+async function girdiListesi(baglam, kullanim) {
+  if (stdinKullan(baglam)) {
+    const satirlar = (await stdinOku(baglam.stdin)).split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+    if (satirlar.length === 0) throw new KullanimHatasi('Standart girdi boş');
+    return satirlar;
+  }
+
+  const kelime = baglam.girdiler.join(' ').trim();
+  if (!kelime) throw new KullanimHatasi(`Kullanım: creart-tdk ${kullanim}`);
+  return [kelime];
+}
+
+async function metinGirdileri(baglam) {
+  if (stdinKullan(baglam)) {
+    return [{ dosya: '<stdin>', metin: await stdinOku(baglam.stdin) }];
+  }
+
+  if (baglam.girdiler.length === 0) {
+    throw new KullanimHatasi('Kullanım: creart-tdk denetle <dosya...|->');
+  }
+
+  return Promise.all(baglam.girdiler.map(async dosya => {
+    try {
+      const metin = await fs.promises.readFile(dosya, 'utf8');
+      return { dosya, metin: markdownMu(dosya) ? markdownKodlariniSil(metin) : metin };
+    } catch (error) {
+      throw new KullanimHatasi(`${dosya} okunamadı: ${error.code === 'ENOENT' ? 'dosya yok' : error.message}`);
+    }
+  }));
+}
+
+function markdownMu(dosya) {
+  return ['.md', '.markdown'].includes(path.extname(dosya).toLowerCase());
+}
+
+// Kod blokları ve satır içi kodlar denetlenmez; satır/sütun değişmesin diye boşlukla değiştirilir
+function markdownKodlariniSil(metin) {
+  const bosalt = parca => parca.replace(/[^\n]/g, ' ');
+  return metin
+    .replace(/^(```|~~~)[^\n]*\n[\s\S]*?^\1[^\n]*$/gm, bosalt)
+    .replace(/`[^`\n]+`/g, bosalt);
+}
+
+/**
+ * Metindeki kelimeler ve konumları
+ *
+ * Bağlantılar atlanır, noktalama kelimeye dahil edilmez; kesme işaretinden
+ * sonraki ek denetlenmez (Ankara'ya → Ankara).
+ */
+function kelimeKonumlari(metin) {
+  const konumlar = [];
+  metin.split(/\r?\n/).forEach((satir, i) => {
+    const temiz = satir.replace(/\b(?:https?:\/\/|www\.)\S+/g, parca => ' '.repeat(parca.length));
+    for (const eslesme of temiz.matchAll(/[\p{L}\p{M}]+(?:['’][\p{L}\p{M}]+)?/gu)) {
+      const kelime = eslesme[0].split(/['’]/)[0];
+      if (Array.from(kelime).length < 2) continue;
+      konumlar.push({ kelime, satir: i + 1, sutun: eslesme.index + 1 });
+    }
+  });
+  return konumlar;
+}
+
+function kelimeYaz(baglam, veri) {
+  const { r } = baglam;
+  const baslik = veri.temelBilgiler && veri.temelBilgiler.madde || veri.kelime;
+  const lisan = veri.temelBilgiler && veri.temelBilgiler.lisan;
+
+  baglam.yaz(`${r.kalin(baslik)}${lisan ? `  ${r.soluk(`(${lisan})`)}` : ''}`);
+  if (veri.telaffuz) baglam.yaz(`  ${r.soluk(`Telaffuz: ${veri.telaffuz}`)}`);
+
+  veri.anlamlar.forEach(anlam => {
+    const kullanim = anlam.kullanim ? ` ${r.sari(`[${anlam.kullanim}]`)}` : '';
+    baglam.yaz(`  ${r.camgobegi(`${anlam.sira}.`)} ${htmlTemizle(anlam.anlam)}${kullanim}`);
+    liste(anlam.ornekler).forEach(ornek => {
+      const yazar = ornek.yazar && ornek.yazar[0] && ornek.yazar[0].tam_adi;
+      baglam.yaz(`     ${r.soluk(`"${htmlTemizle(ornek.ornek)}"${yazar ? ` — ${yazar}` : ''}`)}`);
+    });
+  });
+
+  if (veri.metadata && veri.metadata.bulunamadi) {
+    baglam.hataYaz(r.sari('TDK Güncel Türkçe Sözlük\'te madde bulunamadı'));
+  }
+
+  if (veri.birlesikler.length > 0) {
+    baglam.yaz('');
+    baglam.yaz(`${r.kalin('Birleşik kelimeler:')} ${veri.birlesikler.join(', ')}`);
+  }
+
+  bolumYaz(baglam, 'Atasözleri', liste(veri.atasozleri));
+  bolumYaz(baglam, 'Deyimler', liste(veri.deyimler));
+
+  if (veri.metadata && veri.metadata.tamVeri === false) {
+    const eksik = [...veri.metadata.kaynaklar.basarisiz, ...veri.metadata.kaynaklar.zamanAsimi];
+    baglam.hataYaz(r.sari(`Alınamayan kaynaklar: ${eksik.join(', ')}`));
+  }
+}
+
+function bolumYaz(baglam, baslik, kayitlar) {
+  if (kayitlar.length === 0) return;
+
+  baglam.yaz('');
+  baglam.yaz(baglam.r.kalin(`${baslik}:`));
+  kayitlar.forEach(kayit => {
+    const anlam = kayit.anlamlarListe && kayit.anlamlarListe[0] && kayit.anlamlarListe[0].anlam;
+    baglam.yaz(`  • ${maddeAdi(kayit)}${anlam ? baglam.r.soluk(` — ${htmlTemizle(anlam)}`) : ''}`);
+  });
+}
+
+// TDK bulunamayan aramalarda dizi yerine { error } döner
+function liste(veri) {
+  return Array.isArray(veri) ? veri : [];
+}
+
+function maddeAdi(kayit) {
+  if (typeof kayit === 'string') return kayit;
+  return kayit.madde || kayit.sozum || kayit.kelime || JSON.stringify(kayit);
+}
+
+function oneriMetni(oneri) {
+  return typeof oneri === 'string' ? oneri : oneri.kelime || oneri.madde || String(oneri);
+}
+
+function hataMetni(hata) {
+  return hata.details ? `${hata.message} (${hata.details})` : hata.message;
+}
+
+function htmlTemizle(metin) {
+  return String(metin || '').replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function sonucKodu(sonuclar) {
+  const hatali = sonuclar.filter(s => !s.success);
+  if (hatali.length === 0) return CIKIS_KODLARI.BASARILI;
+
+  const bulgu = ['KELIME_BULUNAMADI', 'BULUNAMADI'];
+  if (hatali.every(s => bulgu.includes(s.error.code))) return CIKIS_KODLARI.BULGU;
+  if (hatali.some(s => s.error.code === 'GECERSIZ_GIRDI')) return CIKIS_KODLARI.KULLANIM;
+  return CIKIS_KODLARI.HATA;
+}
+
+function pozitifSayi(deger, ad) {
+  if (!/^\d+$/.test(deger) || Number(deger) < 1) {
+    throw new KullanimHatasi(`${ad} pozitif bir tam sayı olmalı`);
+  }
+  return Number(deger);
+}
+
+function portNumarasi(deger) {
+  if (!/^\d+$/.test(deger) || Number(deger) > 65535) {
+    throw new KullanimHatasi('--port 0-65535 arasında bir sayı olmalı');
+  }
+  return Number(deger);
+}
+
+module.exports = {
+  calistir,
+  yeniSozluk,
+  kelimeKonumlari,
+  CIKIS_KODLARI
+};
@@ -0,0 +1,64 @@
+const { katla } = require("./turkce");
+
+/**
+ * Asterisk/joker desen ayrıştırıcısı
+ *
+ * Kurallar:
+ * - `?`  Tek bir harf
+ * - `*`  Sıfır veya daha fazla harf
+ * - `,N` Uzunluk belirteci (örn. `k*p,5`)
+ */
+
+/**
+ * Deseni çözümler
+ * @param {string} desen - Örn: "k?tap", "k???p", "k*p,5"
+ * @returns {Object|null} - { desen, uzunluk, onEk, regex } ya da geçersizse null
+ */
+function desenCozumle(desen) {
+  if (!desen || typeof desen !== 'string') return null;
+
+  let govde = katla(desen);
+  let uzunluk = null;
+
+  const virgul = govde.lastIndexOf(',');
+  if (virgul !== -1) {
+    const sayi = govde.slice(virgul + 1).trim();
+    if (!/^\d+$/.test(sayi)) return null;
+    uzunluk = parseInt(sayi, 10);
+    govde = govde.slice(0, virgul).trim();
+  }
+
+  // Sadece harf, boşluk, tire ve joker karakterlere izin verilir
+  if (!govde || /[^?*\p{L}\s-]/u.test(govde)) return null;
+
+  const harfler = Array.from(govde);
+  const kaynak = harfler
+    .map(h => (h === '?' ? '\\S' : h === '*' ? '\\S*' : h))
+    .join('');
+
+  const jokerIndex = harfler.findIndex(h => h === '?' || h === '*');
+
+  return {
+    desen: govde,
+    uzunluk,
+    onEk: jokerIndex === -1 ? govde : harfler.slice(0, jokerIndex).join(''),
+    regex: new RegExp(`^${kaynak}$`, 'u')
+  };
+}
+
+/**
+ * Kelimenin çözümlenmiş desene uyup uymadığını kontrol eder
+ * @param {Object} cozum - desenCozumle çıktısı
+ * @param {string} kelime - Kelime
+ * @returns {boolean}
+ */
+function desenEslesir(cozum, kelime) {
+  const katli = katla(kelime);
+  if (cozum.uzunluk !== null && Array.from(katli).length !== cozum.uzunluk) return false;
+  return cozum.regex.test(katli);
+}
+
+module.exports = {
+  desenCozumle,
+  desenEslesir
+};
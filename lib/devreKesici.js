@@ -0,0 +1,91 @@
+/**
+ * Basit devre kesici (circuit breaker)
+ *
+ * Durumlar:
+ * - kapali:    İstekler serbest, art arda hatalar sayılır
+ * - acik:      Eşik aşıldı, istekler beklemeden reddedilir
+ * - yari-acik: Bekleme süresi doldu, tek bir deneme isteğine izin verilir
+ */
+class DevreKesici {
+  constructor(options = {}) {
+    this.ad = options.ad || 'varsayilan';
+    this.esik = options.esik || 5;
+    this.beklemeSuresi = options.beklemeSuresi || 30000;
+    this.durum = 'kapali';
+    this.hataSayisi = 0;
+    this.acilmaZamani = null;
+    this.sonHata = null;
+    this._denemeBaslangic = null;
+  }
+
+  /**
+   * İsteğin geçmesine izin var mı
+   * @returns {boolean}
+   */
+  izinVar() {
+    if (this.durum === 'kapali') return true;
+
+    if (this.durum === 'acik' && Date.now() - this.acilmaZamani >= this.beklemeSuresi) {
+      this.durum = 'yari-acik';
+      this._denemeBaslangic = null;
+    }
+
+    // Sonucu hiç bildirilmeyen (iptal edilen) deneme devreyi kilitlemesin
+    const denemeSurerken = this._denemeBaslangic !== null &&
+      Date.now() - this._denemeBaslangic < this.beklemeSuresi;
+
+    if (this.durum === 'yari-acik' && !denemeSurerken) {
+      this._denemeBaslangic = Date.now();
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Başarılı isteği bildirir, devreyi kapatır
+   */
+  basarili() {
+    this.durum = 'kapali';
+    this.hataSayisi = 0;
+    this.acilmaZamani = null;
+    this._denemeBaslangic = null;
+  }
+
+  /**
+   * Başarısız isteği bildirir, gerekirse devreyi açar
+   * @param {Error} error - Hata
+   */
+  basarisiz(error) {
+    this.hataSayisi++;
+    this.sonHata = {
+      mesaj: error ? error.message : null,
+      zaman: new Date().toISOString()
+    };
+
+    if (this.durum === 'yari-acik' || this.hataSayisi >= this.esik) {
+      this.durum = 'acik';
+      this.acilmaZamani = Date.now();
+      this._denemeBaslangic = null;
+    }
+  }
+
+  /**
+   * Devrenin anlık durumu
+   * @returns {Object}
+   */
+  ozet() {
+    return {
+      durum: this.durum,
+      hataSayisi: this.hataSayisi,
+      sonHata: this.sonHata,
+      acilmaZamani: this.acilmaZamani ? new Date(this.acilmaZamani).toISOString() : null,
+      yenidenDeneme: this.acilmaZamani
+        ? new Date(this.acilmaZamani + this.beklemeSuresi).toISOString()
+        : null
+    };
+  }
+}
+
+module.exports = DevreKesici;
+module.exports.DevreKesici = DevreKesici;
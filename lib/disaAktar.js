@@ -0,0 +1,216 @@
+/**
+ * ara sonuçlarını dosya biçimlerine aktarma
+ *
+ * Girdi tek bir `ara` sonucu, `data` nesnesi ya da bunların listesi (batch)
+ * olabilir; başarısız sonuçlar atlanır. CSV/TSV ve Markdown her anlamı ayrı
+ * satıra yazar, Anki dosyası her kelimeyi ön/arka yüzlü tek karta çevirir.
+ */
+
+const FORMATLAR = {
+  csv: { icerikTuru: 'text/csv; charset=utf-8', uzanti: 'csv' },
+  tsv: { icerikTuru: 'text/tab-separated-values; charset=utf-8', uzanti: 'tsv' },
+  markdown: { icerikTuru: 'text/markdown; charset=utf-8', uzanti: 'md' },
+  html: { icerikTuru: 'text/html; charset=utf-8', uzanti: 'html' },
+  // Anki'nin "Metin dosyası" içe aktarımı: sekmeyle ayrılmış, başlık satırlı düz metin
+  anki: { icerikTuru: 'text/plain; charset=utf-8', uzanti: 'txt' }
+};
+
+const TABLO_BASLIKLARI = ['kelime', 'sira', 'anlam', 'kullanim', 'ornekler', 'koken'];
+
+/**
+ * Sonuçları istenen biçimde metne çevirir
+ * @param {Object|Array<Object>} sonuclar - ara sonucu, data nesnesi ya da listesi
+ * @param {string} format - csv, tsv, markdown, html, anki
+ * @param {Object} options - { baslik: HTML/Markdown başlığı }
+ * @returns {Object} - { icerik, icerikTuru, dosyaAdi, kelimeSayisi, atlanan }
+ */
+function disaAktar(sonuclar, format, options = {}) {
+  const ayar = FORMATLAR[format];
+  if (!ayar) throw new Error(`Geçersiz format: "${format}"`);
+
+  const { kelimeler, atlanan } = kelimeleriTopla(sonuclar);
+  const baslik = options.baslik || 'TDK Sözlük';
+
+  const yazicilar = {
+    // Excel'in Türkçe karakterleri doğru açması için BOM
+    csv: () => '\ufeff' + tabloSatirlari(kelimeler).map(satir => satir.map(csvAlani).join(',')).join('\r\n') + '\r\n',
+    tsv: () => tabloSatirlari(kelimeler).map(satir => satir.map(tsvAlani).join('\t')).join('\n') + '\n',
+    markdown: () => markdownYaz(kelimeler, baslik),
+    html: () => htmlYaz(kelimeler, baslik),
+    anki: () => ankiYaz(kelimeler)
+  };
+
+  return {
+    icerik: yazicilar[format](),
+    icerikTuru: ayar.icerikTuru,
+    dosyaAdi: `${kelimeler.length === 1 ? madde(kelimeler[0]) : 'tdk-sozluk'}.${ayar.uzanti}`,
+    kelimeSayisi: kelimeler.length,
+    atlanan: atlanan
+  };
+}
+
+function kelimeleriTopla(sonuclar) {
+  const liste = Array.isArray(sonuclar) ? sonuclar : [sonuclar];
+  const kelimeler = [];
+  const atlanan = [];
+
+  liste.forEach(sonuc => {
+    if (!sonuc) return;
+    const veri = sonuc.success !== undefined ? (sonuc.success ? sonuc.data : null) : sonuc;
+
+    if (veri && Array.isArray(veri.anlamlar)) {
+      kelimeler.push(veri);
+    } else {
+      atlanan.push(sonuc.metadata?.searchWord || veri?.kelime || null);
+    }
+  });
+
+  return { kelimeler, atlanan };
+}
+
+function madde(veri) {
+  return (veri.temelBilgiler && veri.temelBilgiler.madde) || veri.kelime;
+}
+
+function koken(veri) {
+  return (veri.temelBilgiler && veri.temelBilgiler.lisan) || '';
+}
+
+function ornekMetni(ornek) {
+  const yazar = ornek.yazar && ornek.yazar[0] && ornek.yazar[0].tam_adi;
+  return `${metin(ornek.ornek)}${yazar ? ` — ${yazar}` : ''}`;
+}
+
+function tabloSatirlari(kelimeler) {
+  const satirlar = [TABLO_BASLIKLARI];
+  kelimeler.forEach(veri => {
+    veri.anlamlar.forEach(anlam => {
+      satirlar.push([
+        madde(veri),
+        String(anlam.sira),
+        metin(anlam.anlam),
+        anlam.kullanim || '',
+        (anlam.ornekler || []).map(ornekMetni).join(' | '),
+        koken(veri)
+      ]);
+    });
+  });
+  return satirlar;
+}
+
+function csvAlani(deger) {
+  const alan = String(deger);
+  return /[",\r\n]/.test(alan) ? `"${alan.replace(/"/g, '""')}"` : alan;
+}
+
+function tsvAlani(deger) {
+  return String(deger).replace(/[\t\r\n]+/g, ' ');
+}
+
+function markdownKacis(deger) {
+  return String(deger).replace(/([\\`*_[\]<>#|])/g, '\\$1');
+}
+
+function markdownYaz(kelimeler, baslik) {
+  const satirlar = [`# ${markdownKacis(baslik)}`, ''];
+
+  kelimeler.forEach(veri => {
+    satirlar.push(`## ${markdownKacis(madde(veri))}`, '');
+    if (koken(veri)) satirlar.push(`*${markdownKacis(koken(veri))}*`, '');
+
+    veri.anlamlar.forEach(anlam => {
+      const kullanim = anlam.kullanim ? ` *(${markdownKacis(anlam.kullanim)})*` : '';
+      satirlar.push(`${anlam.sira}. ${markdownKacis(metin(anlam.anlam))}${kullanim}`);
+      (anlam.ornekler || []).forEach(ornek => {
+        satirlar.push(`   > ${markdownKacis(ornekMetni(ornek))}`);
+      });
+    });
+
+    if (veri.birlesikler && veri.birlesikler.length > 0) {
+      satirlar.push('', `**Birleşik kelimeler:** ${veri.birlesikler.map(markdownKacis).join(', ')}`);
+    }
+    satirlar.push('');
+  });
+
+  return satirlar.join('\n');
+}
+
+function htmlKacis(deger) {
+  return String(deger)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Anlam listesi; HTML sayfası ve Anki kartının arka yüzü ortak kullanır
+function anlamlarHtml(veri) {
+  const maddeler = veri.anlamlar.map(anlam => {
+    const kullanim = anlam.kullanim ? ` <em>(${htmlKacis(anlam.kullanim)})</em>` : '';
+    const ornekler = (anlam.ornekler || [])
+      .map(ornek => `<br><small>“${htmlKacis(ornekMetni(ornek))}”</small>`)
+      .join('');
+    return `<li>${htmlKacis(metin(anlam.anlam))}${kullanim}${ornekler}</li>`;
+  });
+  return `<ol>${maddeler.join('')}</ol>`;
+}
+
+function htmlYaz(kelimeler, baslik) {
+  const bolumler = kelimeler.map(veri => {
+    const kokenSatiri = koken(veri) ? `\n  <p class="koken">${htmlKacis(koken(veri))}</p>` : '';
+    const birlesikler = veri.birlesikler && veri.birlesikler.length > 0
+      ? `\n  <p><strong>Birleşik kelimeler:</strong> ${htmlKacis(veri.birlesikler.join(', '))}</p>`
+      : '';
+    return `<section>
+  <h2>${htmlKacis(madde(veri))}</h2>${kokenSatiri}
+  ${anlamlarHtml(veri)}${birlesikler}
+</section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="tr">
+<head>
+<meta charset="utf-8">
+<title>${htmlKacis(baslik)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+h2 { margin-bottom: 0.25rem; }
+.koken { color: #666; margin-top: 0; font-style: italic; }
+small { color: #555; }
+</style>
+</head>
+<body>
+<h1>${htmlKacis(baslik)}</h1>
+${bolumler.join('\n')}
+</body>
+</html>
+`;
+}
+
+function ankiYaz(kelimeler) {
+  const satirlar = [
+    '#separator:tab',
+    '#html:true',
+    '#columns:Ön\tArka\tEtiketler',
+    '#tags column:3'
+  ];
+
+  kelimeler.forEach(veri => {
+    const arka = (koken(veri) ? `<i>${htmlKacis(koken(veri))}</i>` : '') + anlamlarHtml(veri);
+    const etiketler = (veri.kullanimTuru || []).map(tur => String(tur).replace(/\s+/g, '_'));
+    satirlar.push([htmlKacis(madde(veri)), arka, etiketler.join(' ')].map(tsvAlani).join('\t'));
+  });
+
+  return satirlar.join('\n') + '\n';
+}
+
+// TDK anlamlarındaki HTML etiketlerini ve fazla boşlukları temizler
+function metin(deger) {
+  return String(deger || '').replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+  disaAktar,
+  FORMATLAR
+};
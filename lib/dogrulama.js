@@ -0,0 +1,232 @@
+const { GecersizGirdi } = require("./hatalar");
+
+/**
+ * OpenAPI (JSON Schema alt kümesi) şemalarıyla girdi doğrulama
+ *
+ * Desteklenen anahtar kelimeler: type (tek ya da liste, 'null' dahil), enum,
+ * const, minimum, maximum, minLength, maxLength, pattern, items, minItems,
+ * maxItems, properties, required, additionalProperties (false), default,
+ * nullable, $ref, anyOf, oneOf (anyOf gibi denetlenir) ve allOf. `$ref`
+ * adresinin son parçası `tanimlar` seçeneğinde aranır (#/$defs/Ad ya da
+ * #/components/schemas/Ad). Yol ve sorgu parametreleri metin olarak geldiği
+ * için `zorla` ile şemadaki türe çevrilir ("20" → 20, "true" → true,
+ * "gts,etms" → ['gts', 'etms']).
+ */
+
+const TUR_ADLARI = {
+  string: 'metin',
+  integer: 'tam sayı',
+  number: 'sayı',
+  boolean: 'true/false',
+  array: 'liste',
+  object: 'nesne',
+  null: 'null'
+};
+
+function turZorla(sema, deger) {
+  if (typeof deger !== 'string') return deger;
+
+  switch (turlerAl(sema).find(tur => tur !== 'null')) {
+    case 'integer':
+      return /^-?\d+$/.test(deger.trim()) ? Number(deger) : deger;
+    case 'number':
+      return deger.trim() !== '' && Number.isFinite(Number(deger)) ? Number(deger) : deger;
+    case 'boolean':
+      if (deger === 'true' || deger === '1') return true;
+      if (deger === 'false' || deger === '0') return false;
+      return deger;
+    case 'array':
+      return deger.split(',').map(parca => parca.trim()).filter(Boolean);
+    default:
+      return deger;
+  }
+}
+
+function turlerAl(sema) {
+  return sema.type === undefined ? [] : [].concat(sema.type);
+}
+
+function turUygun(tur, deger) {
+  switch (tur) {
+    case 'null':
+      return deger === null;
+    case 'string':
+      return typeof deger === 'string';
+    case 'integer':
+      return Number.isInteger(deger);
+    case 'number':
+      return typeof deger === 'number' && Number.isFinite(deger);
+    case 'boolean':
+      return typeof deger === 'boolean';
+    case 'array':
+      return Array.isArray(deger);
+    case 'object':
+      return deger !== null && typeof deger === 'object' && !Array.isArray(deger);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Değeri şemaya göre doğrular
+ * @param {Object} sema - Şema
+ * @param {*} deger - Değer
+ * @param {string} alan - Hata mesajlarındaki alan yolu (örn. "query.limit")
+ * @param {Object} options - { zorla: metinleri şemadaki türe çevir, tanimlar: $ref ile başvurulan şemalar }
+ * @returns {Object} - { deger, hatalar: [{ alan, mesaj }] }
+ */
+function semaDogrula(sema, deger, alan, options = {}) {
+  const hatalar = [];
+  const hata = (mesaj, hataAlani = alan) => hatalar.push({ alan: hataAlani, mesaj });
+
+  if (sema.$ref) {
+    const hedef = (options.tanimlar || {})[sema.$ref.split('/').pop()];
+    if (!hedef) {
+      hata(`tanımsız şema: ${sema.$ref}`);
+      return { deger, hatalar };
+    }
+    return semaDogrula(hedef, deger, alan, options);
+  }
+
+  const turler = turlerAl(sema);
+  if (deger === null && (sema.nullable || turler.includes('null'))) {
+    return { deger, hatalar };
+  }
+
+  if (options.zorla) {
+    deger = Array.isArray(deger) && turler.includes('array')
+      ? deger.flatMap(d => turZorla(sema, d))
+      : turZorla(sema, Array.isArray(deger) ? deger[deger.length - 1] : deger);
+  }
+
+  (sema.allOf || []).forEach(altSema => {
+    const sonuc = semaDogrula(altSema, deger, alan, options);
+    hatalar.push(...sonuc.hatalar);
+  });
+
+  // Hiçbir seçeneğe uymuyorsa en az hatalı seçeneğin hataları bildirilir
+  const secenekler = sema.anyOf || sema.oneOf;
+  if (secenekler) {
+    const denemeler = secenekler.map(altSema => semaDogrula(altSema, deger, alan, options));
+    const enYakin = denemeler.reduce((a, b) => (b.hatalar.length < a.hatalar.length ? b : a));
+    hatalar.push(...enYakin.hatalar);
+    deger = enYakin.deger;
+  }
+
+  if (turler.length > 0 && !turler.some(tur => turUygun(tur, deger))) {
+    hata(`${turler.map(tur => TUR_ADLARI[tur] || tur).join(' ya da ')} olmalı`);
+    return { deger, hatalar };
+  }
+
+  if (sema.const !== undefined && deger !== sema.const) {
+    hata(`${JSON.stringify(sema.const)} olmalı`);
+  }
+
+  if (sema.enum && !sema.enum.includes(deger)) {
+    hata(`şu değerlerden biri olmalı: ${sema.enum.join(', ')}`);
+  }
+
+  if (typeof deger === 'number') {
+    if (sema.minimum !== undefined && deger < sema.minimum) hata(`en az ${sema.minimum} olmalı`);
+    if (sema.maximum !== undefined && deger > sema.maximum) hata(`en fazla ${sema.maximum} olmalı`);
+  }
+
+  if (typeof deger === 'string') {
+    const uzunluk = Array.from(deger).length;
+    if (sema.minLength !== undefined && uzunluk < sema.minLength) hata(`en az ${sema.minLength} karakter olmalı`);
+    if (sema.maxLength !== undefined && uzunluk > sema.maxLength) hata(`en fazla ${sema.maxLength} karakter olmalı`);
+    if (sema.pattern && !new RegExp(sema.pattern, 'u').test(deger)) hata('biçimi geçersiz');
+  }
+
+  if (Array.isArray(deger)) {
+    if (sema.minItems !== undefined && deger.length < sema.minItems) hata(`en az ${sema.minItems} eleman içermeli`);
+    if (sema.maxItems !== undefined && deger.length > sema.maxItems) hata(`en fazla ${sema.maxItems} eleman içermeli`);
+    if (sema.items) {
+      deger = deger.map((eleman, i) => {
+        const sonuc = semaDogrula(sema.items, eleman, `${alan}[${i}]`, options);
+        hatalar.push(...sonuc.hatalar);
+        return sonuc.deger;
+      });
+    }
+  }
+
+  if (turler.includes('object') && turUygun('object', deger)) {
+    const sonuc = { ...deger };
+    (sema.required || []).forEach(ad => {
+      if (deger[ad] === undefined) hata('zorunlu alan', `${alan}.${ad}`);
+    });
+
+    Object.entries(sema.properties || {}).forEach(([ad, altSema]) => {
+      if (deger[ad] === undefined) {
+        if (altSema.default !== undefined) sonuc[ad] = altSema.default;
+        return;
+      }
+      const alt = semaDogrula(altSema, deger[ad], `${alan}.${ad}`, options);
+      hatalar.push(...alt.hatalar);
+      sonuc[ad] = alt.deger;
+    });
+
+    if (sema.additionalProperties === false) {
+      Object.keys(deger)
+        .filter(ad => !(sema.properties && ad in sema.properties))
+        .forEach(ad => hata('bilinmeyen alan', `${alan}.${ad}`));
+    }
+
+    deger = sonuc;
+  }
+
+  return { deger, hatalar };
+}
+
+/**
+ * Rota tanımındaki params/query/govde şemalarıyla isteği doğrulayan ara katman
+ *
+ * Geçerli ve türüne çevrilmiş değerler `req.gecerli = { params, query, body }`
+ * olarak yazılır; hatalı istek alan bazında `GecersizGirdi` ile reddedilir.
+ * @param {Object} tanim - Rota tanımı (bkz. lib/openapi.js)
+ * @returns {Function} - Express ara katmanı
+ */
+function istekDogrulayici(tanim) {
+  return (req, res, next) => {
+    const hatalar = [];
+    const gecerli = { params: {}, query: {}, body: undefined };
+
+    ['params', 'query'].forEach(konum => {
+      Object.entries(tanim[konum] || {}).forEach(([ad, parametre]) => {
+        const ham = req[konum][ad];
+        const zorunlu = konum === 'params' || parametre.zorunlu;
+
+        if (ham === undefined || ham === '') {
+          if (zorunlu) hatalar.push({ alan: `${konum}.${ad}`, mesaj: 'zorunlu alan' });
+          else if (parametre.sema.default !== undefined) gecerli[konum][ad] = parametre.sema.default;
+          return;
+        }
+
+        const sonuc = semaDogrula(parametre.sema, ham, `${konum}.${ad}`, { zorla: true });
+        hatalar.push(...sonuc.hatalar);
+        gecerli[konum][ad] = sonuc.deger;
+      });
+    });
+
+    if (tanim.govde) {
+      const sonuc = semaDogrula(tanim.govde, req.body === undefined ? {} : req.body, 'body');
+      hatalar.push(...sonuc.hatalar);
+      gecerli.body = sonuc.deger;
+    }
+
+    if (hatalar.length > 0) {
+      return next(new GecersizGirdi("İstek doğrulanamadı", {
+        details: hatalar.map(h => `${h.alan}: ${h.mesaj}`).join('; '),
+        alanlar: hatalar
+      }));
+    }
+
+    req.gecerli = gecerli;
+    next();
+  };
+}
+
+module.exports = {
+  semaDogrula,
+  istekDogrulayici
+};
@@ -0,0 +1,175 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+/**
+ * Yapılandırılmış günlük (logger)
+ *
+ * Varsayılan günlük her kaydı tek satır JSON olarak yazar. Yerine pino,
+ * bunyan, winston ya da console gibi `info`/`warn`/`error` metodları olan
+ * herhangi bir nesne verilebilir. Sunucu isteği içindeki kayıtlara o isteğin
+ * `istekId` alanı otomatik eklenir.
+ */
+
+const SEVIYELER = {
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  sessiz: Infinity
+};
+
+// Sunucu isteği bağlamı: { istekId, upstream, onbellek: { hit, miss } }
+const istekBaglami = new AsyncLocalStorage();
+
+/**
+ * Satır satır JSON yazan varsayılan günlük
+ */
+class JsonGunluk {
+  /**
+   * @param {Object} options - { seviye: 'debug'|'info'|'warn'|'error'|'sessiz', cikti: yazılabilir akış }
+   */
+  constructor(options = {}) {
+    this.seviye = SEVIYELER[options.seviye] !== undefined ? options.seviye : 'info';
+    this.cikti = options.cikti || process.stdout;
+  }
+
+  debug(alanlar, mesaj) {
+    this._yaz('debug', alanlar, mesaj);
+  }
+
+  info(alanlar, mesaj) {
+    this._yaz('info', alanlar, mesaj);
+  }
+
+  warn(alanlar, mesaj) {
+    this._yaz('warn', alanlar, mesaj);
+  }
+
+  error(alanlar, mesaj) {
+    this._yaz('error', alanlar, mesaj);
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  _yaz(seviye, alanlar, mesaj) {
+    if (SEVIYELER[seviye] < SEVIYELER[this.seviye]) return;
+
+    const kayit = { level: seviye, time: new Date().toISOString(), msg: mesaj };
+    Object.entries(alanlar || {}).forEach(([anahtar, deger]) => {
+      kayit[anahtar] = deger instanceof Error ? hataAlanlari(deger) : deger;
+    });
+
+    this.cikti.write(JSON.stringify(kayit) + '\n');
+  }
+}
+
+/**
+ * Hedef günlüğü saran, çağrı biçimini eşitleyen katman
+ *
+ * Modül içinde her zaman pino biçimiyle `info(alanlar, mesaj)` çağrılır;
+ * winston ve console gibi mesajı önce alan günlüklere `info(mesaj, alanlar)`
+ * olarak iletilir.
+ */
+class Gunluk {
+  constructor(hedef, alanlar = {}) {
+    this.hedef = hedef;
+    this.alanlar = alanlar;
+    this._mesajOnce = hedef === console || Boolean(hedef.transports);
+  }
+
+  debug(alanlar, mesaj) {
+    this._yaz('debug', alanlar, mesaj);
+  }
+
+  info(alanlar, mesaj) {
+    this._yaz('info', alanlar, mesaj);
+  }
+
+  warn(alanlar, mesaj) {
+    this._yaz('warn', alanlar, mesaj);
+  }
+
+  error(alanlar, mesaj) {
+    this._yaz('error', alanlar, mesaj);
+  }
+
+  /**
+   * Her kayda sabit alanlar ekleyen alt günlük
+   * @param {Object} alanlar - Sabit alanlar
+   * @returns {Gunluk}
+   */
+  child(alanlar) {
+    return new Gunluk(this.hedef, { ...this.alanlar, ...alanlar });
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  _yaz(seviye, alanlar, mesaj) {
+    if (typeof alanlar === 'string') {
+      mesaj = alanlar;
+      alanlar = {};
+    }
+
+    const baglam = istekBaglami.getStore();
+    const tumAlanlar = {
+      ...this.alanlar,
+      ...(baglam ? { istekId: baglam.istekId } : {}),
+      ...alanlar
+    };
+
+    // debug'ı olmayan günlüklerde info'ya düş
+    const metot = typeof this.hedef[seviye] === 'function' ? seviye : 'info';
+    if (typeof this.hedef[metot] !== 'function') return;
+
+    if (this._mesajOnce) {
+      this.hedef[metot](mesaj, tumAlanlar);
+    } else {
+      this.hedef[metot](tumAlanlar, mesaj);
+    }
+  }
+}
+
+function hataAlanlari(error) {
+  return {
+    type: error.name,
+    message: error.message,
+    code: error.code,
+    stack: error.stack
+  };
+}
+
+/**
+ * Seçeneğe göre günlük oluşturur
+ * @param {Object|string|boolean} secenek - Hazır günlük nesnesi, seviye adı ya da false/'sessiz'
+ * @returns {Gunluk}
+ */
+function gunlukOlustur(secenek) {
+  if (secenek instanceof Gunluk) return secenek;
+
+  if (secenek === false || secenek === 'sessiz') {
+    return new Gunluk(new JsonGunluk({ seviye: 'sessiz' }));
+  }
+
+  if (secenek === undefined || secenek === null || secenek === true || typeof secenek === 'string') {
+    const seviye = typeof secenek === 'string' ? secenek : process.env.LOG_LEVEL;
+    return new Gunluk(new JsonGunluk({ seviye }));
+  }
+
+  return new Gunluk(secenek);
+}
+
+/**
+ * Aktif sunucu isteğinin bağlamı (istek dışında undefined)
+ * @returns {Object|undefined}
+ */
+function istekBaglamiAl() {
+  return istekBaglami.getStore();
+}
+
+module.exports = {
+  gunlukOlustur,
+  Gunluk,
+  JsonGunluk,
+  istekBaglami,
+  istekBaglamiAl,
+  SEVIYELER
+};
@@ -0,0 +1,170 @@
+const fs = require("fs");
+const path = require("path");
+const { gunlukOlustur } = require("./gunluk");
+
+const TARIH_DESENI = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Günün kelimesi arşivi
+ *
+ * Her gün için bir kayıt tutulur: { tarih, kelime, anlam, kaynak }. `dosya`
+ * verilirse her yeni kayıttan sonra JSON olarak yazılır ve yeniden başlatmada
+ * geri yüklenir; verilmezse arşiv sadece bellektedir. Tarihler UTC gündür
+ * (YYYY-MM-DD), gununKelimesi sonucundaki `tarih` ile aynı.
+ */
+class GununKelimesiArsivi {
+  constructor(options = {}) {
+    this.dosya = options.dosya || null;
+    this.logger = gunlukOlustur(options.logger);
+    this.kayitlar = new Map();
+    this._yazma = Promise.resolve();
+    this._hazir = this.dosya ? this._yukle() : Promise.resolve();
+  }
+
+  /**
+   * Arşivdeki gün sayısı
+   * @returns {Promise<number>}
+   */
+  async boyut() {
+    await this._hazir;
+    return this.kayitlar.size;
+  }
+
+  /**
+   * Günün kaydını getirir
+   * @param {string} tarih - YYYY-MM-DD
+   * @returns {Promise<Object|null>}
+   */
+  async getir(tarih) {
+    await this._hazir;
+    return this.kayitlar.get(tarih) || null;
+  }
+
+  /**
+   * Günün kaydını ekler; o günün kaydı zaten varsa değiştirilmez
+   * @param {Object} kayit - { tarih, kelime, anlam, kaynak }
+   * @returns {Promise<boolean>} - Yeni eklendiyse true
+   */
+  async ekle(kayit) {
+    await this._hazir;
+    if (!gecerliTarih(kayit.tarih)) throw new Error(`Geçersiz tarih: "${kayit.tarih}"`);
+    if (this.kayitlar.has(kayit.tarih)) return false;
+
+    this.kayitlar.set(kayit.tarih, {
+      tarih: kayit.tarih,
+      kelime: kayit.kelime,
+      anlam: kayit.anlam ?? null,
+      kaynak: kayit.kaynak
+    });
+    await this.kaydet();
+    return true;
+  }
+
+  /**
+   * Yeniden eskiye sayfalı kayıt listesi
+   * @param {Object} options - { sayfa, limit }
+   * @returns {Promise<Object>} - { kayitlar, toplam }
+   */
+  async liste(options = {}) {
+    await this._hazir;
+    const sayfa = options.sayfa || 1;
+    const limit = options.limit || 30;
+
+    const tumu = [...this.kayitlar.values()].sort((a, b) => b.tarih.localeCompare(a.tarih));
+    return {
+      kayitlar: tumu.slice((sayfa - 1) * limit, sayfa * limit),
+      toplam: tumu.length
+    };
+  }
+
+  /**
+   * Arşivi dosyaya yazar; yazmalar sırayla yapılır
+   * @returns {Promise<void>}
+   */
+  kaydet() {
+    if (!this.dosya) return Promise.resolve();
+
+    this._yazma = this._yazma.catch(() => {}).then(async () => {
+      const veri = {
+        kayitlar: [...this.kayitlar.values()].sort((a, b) => a.tarih.localeCompare(b.tarih))
+      };
+
+      const gecici = `${this.dosya}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.dosya), { recursive: true });
+      await fs.promises.writeFile(gecici, JSON.stringify(veri, null, 2), 'utf8');
+      await fs.promises.rename(gecici, this.dosya);
+    });
+    return this._yazma;
+  }
+
+  async kapat() {
+    await this._hazir;
+    await this._yazma.catch(() => {});
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  async _yukle() {
+    try {
+      const veri = JSON.parse(await fs.promises.readFile(this.dosya, 'utf8'));
+      (veri.kayitlar || []).forEach(kayit => {
+        if (gecerliTarih(kayit.tarih) && kayit.kelime && !this.kayitlar.has(kayit.tarih)) {
+          this.kayitlar.set(kayit.tarih, kayit);
+        }
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn({ dosya: this.dosya, err: error }, 'Günün kelimesi arşivi okunamadı');
+      }
+    }
+  }
+}
+
+/**
+ * Bugünün UTC tarihi
+ * @param {Date} zaman - Varsayılan şimdi
+ * @returns {string} - YYYY-MM-DD
+ */
+function bugun(zaman = new Date()) {
+  return zaman.toISOString().split('T')[0];
+}
+
+/**
+ * YYYY-MM-DD biçiminde ve takvimde var olan bir gün mü
+ * @param {string} tarih - Tarih
+ * @returns {boolean}
+ */
+function gecerliTarih(tarih) {
+  if (typeof tarih !== 'string' || !TARIH_DESENI.test(tarih)) return false;
+  const zaman = new Date(`${tarih}T00:00:00Z`);
+  return !Number.isNaN(zaman.getTime()) && bugun(zaman) === tarih;
+}
+
+/**
+ * Tarihten tohumlanmış 0-1 arası sayı üreteci (mulberry32)
+ *
+ * Aynı tarih her zaman aynı diziyi üretir; KelimeIndeksi.rastgele ile
+ * kullanılınca aynı indeksten aynı gün hep aynı kelime seçilir.
+ * @param {string} tarih - YYYY-MM-DD
+ * @returns {Function} - () => number
+ */
+function tarihliRastgele(tarih) {
+  // FNV-1a ile tarihi 32 bitlik tohuma çevir
+  let tohum = 0x811c9dc5;
+  for (const karakter of String(tarih)) {
+    tohum = Math.imul(tohum ^ karakter.charCodeAt(0), 0x01000193);
+  }
+
+  return () => {
+    tohum = (tohum + 0x6d2b79f5) | 0;
+    let t = Math.imul(tohum ^ (tohum >>> 15), 1 | tohum);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = GununKelimesiArsivi;
+module.exports.GununKelimesiArsivi = GununKelimesiArsivi;
+module.exports.bugun = bugun;
+module.exports.gecerliTarih = gecerliTarih;
+module.exports.tarihliRastgele = tarihliRastgele;
@@ -0,0 +1,199 @@
+/**
+ * Hata sınıfları
+ *
+ * Metodlar hata fırlatmak yerine `{ success: false, error, metadata }` döner;
+ * `error` her zaman `{ code, message, details }` biçimindedir, alan bazlı
+ * doğrulama hatalarında `alanlar: [{ alan, mesaj }]` eklenir. `code` değerleri
+ * sabittir ve HTTP durum kodu `durumKodu(code)` ile bulunur, böylece önbellekten
+ * gelen düz nesneler de doğru durum koduyla gönderilir.
+ *
+ * SozlukHatasi
+ * ├── GecersizGirdi          GECERSIZ_GIRDI         400
+ * ├── YetkisizErisim         YETKISIZ               401
+ * ├── ErisimYasak            ERISIM_YASAK           403
+ * ├── Bulunamadi             BULUNAMADI             404
+ * │   └── KelimeBulunamadi   KELIME_BULUNAMADI      404
+ * ├── Cakisma                CAKISMA                409
+ * ├── IstekSiniriAsildi      COK_FAZLA_ISTEK        429
+ * │   └── KotaAsildi         KOTA_ASILDI            429
+ * └── UpstreamHatasi         UPSTREAM_HATASI        502
+ *     ├── DevreAcik          DEVRE_ACIK             503
+ *     └── UpstreamZamanAsimi UPSTREAM_ZAMAN_ASIMI   504
+ */
+
+const HTTP_DURUMLARI = {
+  SUNUCU_HATASI: 500,
+  GECERSIZ_GIRDI: 400,
+  YETKISIZ: 401,
+  ERISIM_YASAK: 403,
+  BULUNAMADI: 404,
+  KELIME_BULUNAMADI: 404,
+  CAKISMA: 409,
+  COK_FAZLA_ISTEK: 429,
+  KOTA_ASILDI: 429,
+  UPSTREAM_HATASI: 502,
+  DEVRE_ACIK: 503,
+  UPSTREAM_ZAMAN_ASIMI: 504
+};
+
+// Axios ve kaynak zaman aşımı kodları
+const ZAMAN_ASIMI_KODLARI = ['ECONNABORTED', 'ETIMEDOUT', 'KAYNAK_ZAMAN_ASIMI'];
+
+class SozlukHatasi extends Error {
+  /**
+   * @param {string} message - Kullanıcıya gösterilecek mesaj
+   * @param {Object} options - { code, details, alanlar, cause }
+   */
+  constructor(message = "Sunucu hatası", options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = options.code || 'SUNUCU_HATASI';
+    this.details = options.details ?? null;
+    if (options.alanlar) this.alanlar = options.alanlar;
+    if (options.cause) this.cause = options.cause;
+  }
+
+  /**
+   * HTTP durum kodu
+   * @returns {number}
+   */
+  get status() {
+    return durumKodu(this.code);
+  }
+
+  toJSON() {
+    const json = {
+      code: this.code,
+      message: this.message,
+      details: this.details
+    };
+    if (this.alanlar) json.alanlar = this.alanlar;
+    return json;
+  }
+}
+
+class GecersizGirdi extends SozlukHatasi {
+  constructor(message = "Geçersiz girdi", options = {}) {
+    super(message, { ...options, code: 'GECERSIZ_GIRDI' });
+  }
+}
+
+class YetkisizErisim extends SozlukHatasi {
+  constructor(message = "Geçerli bir API anahtarı gerekli", options = {}) {
+    super(message, { ...options, code: 'YETKISIZ' });
+  }
+}
+
+class ErisimYasak extends SozlukHatasi {
+  constructor(message = "Bu işlem için yetkiniz yok", options = {}) {
+    super(message, { ...options, code: 'ERISIM_YASAK' });
+  }
+}
+
+class Bulunamadi extends SozlukHatasi {
+  constructor(message = "Bulunamadı", options = {}) {
+    super(message, { code: 'BULUNAMADI', ...options });
+  }
+}
+
+class KelimeBulunamadi extends Bulunamadi {
+  constructor(message = "Kelime bulunamadı", options = {}) {
+    super(message, { ...options, code: 'KELIME_BULUNAMADI' });
+  }
+}
+
+class Cakisma extends SozlukHatasi {
+  constructor(message = "İstek kaynağın şu anki durumuyla çakışıyor", options = {}) {
+    super(message, { ...options, code: 'CAKISMA' });
+  }
+}
+
+class IstekSiniriAsildi extends SozlukHatasi {
+  constructor(message = "Çok fazla istek gönderdiniz", options = {}) {
+    super(message, { code: 'COK_FAZLA_ISTEK', ...options });
+  }
+}
+
+class KotaAsildi extends IstekSiniriAsildi {
+  constructor(message = "Günlük kota doldu", options = {}) {
+    super(message, { ...options, code: 'KOTA_ASILDI' });
+  }
+}
+
+class UpstreamHatasi extends SozlukHatasi {
+  constructor(message = "TDK'ya ulaşılamadı", options = {}) {
+    super(message, { code: 'UPSTREAM_HATASI', ...options });
+  }
+}
+
+class DevreAcik extends UpstreamHatasi {
+  constructor(message = "TDK geçici olarak devre dışı", options = {}) {
+    super(message, { ...options, code: 'DEVRE_ACIK' });
+  }
+}
+
+class UpstreamZamanAsimi extends UpstreamHatasi {
+  constructor(message = "TDK zamanında cevap vermedi", options = {}) {
+    super(message, { ...options, code: 'UPSTREAM_ZAMAN_ASIMI' });
+  }
+}
+
+/**
+ * Hata kodunun HTTP durum kodu
+ * @param {string} code - Hata kodu
+ * @returns {number}
+ */
+function durumKodu(code) {
+  return HTTP_DURUMLARI[code] || 500;
+}
+
+/**
+ * Herhangi bir hatayı (axios, express, Error) sınıflı hataya çevirir
+ * @param {Error} error - Yakalanan hata
+ * @param {string} mesaj - Sınıfsız hatalar için kullanıcıya gösterilecek mesaj
+ * @returns {SozlukHatasi}
+ */
+function hataDonustur(error, mesaj) {
+  if (error instanceof SozlukHatasi) return error;
+
+  const secenekler = { details: error && error.message ? error.message : null, cause: error };
+  if (!error) return new SozlukHatasi(mesaj, secenekler);
+
+  if (error.code === 'DEVRE_ACIK') {
+    return new DevreAcik(mesaj, secenekler);
+  }
+
+  if (ZAMAN_ASIMI_KODLARI.includes(error.code)) {
+    return new UpstreamZamanAsimi(mesaj, secenekler);
+  }
+
+  if (error.isAxiosError || error.response || error.request) {
+    if (error.response) secenekler.details = `TDK ${error.response.status} döndürdü`;
+    return new UpstreamHatasi(mesaj, secenekler);
+  }
+
+  // body-parser gibi express ara katmanlarının istemci hataları (bozuk JSON, büyük gövde)
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new GecersizGirdi(mesaj || "Geçersiz istek gövdesi", secenekler);
+  }
+
+  return new SozlukHatasi(mesaj, secenekler);
+}
+
+module.exports = {
+  HATA_KODLARI: Object.keys(HTTP_DURUMLARI),
+  SozlukHatasi,
+  GecersizGirdi,
+  YetkisizErisim,
+  ErisimYasak,
+  Bulunamadi,
+  KelimeBulunamadi,
+  Cakisma,
+  IstekSiniriAsildi,
+  KotaAsildi,
+  UpstreamHatasi,
+  DevreAcik,
+  UpstreamZamanAsimi,
+  durumKodu,
+  hataDonustur
+};
@@ -0,0 +1,105 @@
+/**
+ * Eş zamanlılık havuzu (semaphore)
+ *
+ * Aynı anda en fazla `limit` iş çalışır, fazlası sırayla bekler. TDK'ya giden
+ * istekleri ve toplu aramadaki kelimeleri sınırlamak için kullanılır.
+ */
+class Havuz {
+  /**
+   * @param {Object} options - { limit: aynı anda çalışacak iş sayısı (varsayılan sınırsız) }
+   */
+  constructor(options = {}) {
+    this.limit = Number(options.limit) > 0 ? Number(options.limit) : Infinity;
+    this.aktif = 0;
+    this._kuyruk = [];
+    this._bosalmaBekleyenler = [];
+  }
+
+  /**
+   * Sırada bekleyen iş sayısı
+   * @returns {number}
+   */
+  get bekleyen() {
+    return this._kuyruk.length;
+  }
+
+  /**
+   * Yer açılınca çözülür; her al() için bir birak() çağrılmalı
+   * @param {AbortSignal} signal - İptal edilirse sıradan çıkılır
+   * @returns {Promise<void>}
+   */
+  al(signal) {
+    if (signal && signal.aborted) return Promise.reject(iptalHatasi());
+
+    if (this.aktif < this.limit) {
+      this.aktif++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const bekleyen = { resolve, iptal: null };
+
+      if (signal) {
+        bekleyen.iptal = () => {
+          const index = this._kuyruk.indexOf(bekleyen);
+          if (index !== -1) this._kuyruk.splice(index, 1);
+          reject(iptalHatasi());
+        };
+        signal.addEventListener('abort', bekleyen.iptal, { once: true });
+        bekleyen.signal = signal;
+      }
+
+      this._kuyruk.push(bekleyen);
+    });
+  }
+
+  /**
+   * Yeri bırakır, sıradaki işi başlatır
+   */
+  birak() {
+    const siradaki = this._kuyruk.shift();
+    if (!siradaki) {
+      this.aktif = Math.max(this.aktif - 1, 0);
+      if (this.aktif === 0) this._bosalmaBekleyenler.splice(0).forEach(resolve => resolve());
+      return;
+    }
+
+    // Yer doğrudan sıradakine devredilir, aktif sayısı değişmez
+    if (siradaki.signal) siradaki.signal.removeEventListener('abort', siradaki.iptal);
+    siradaki.resolve();
+  }
+
+  /**
+   * Çalışan ve bekleyen iş kalmayınca çözülür
+   * @returns {Promise<void>}
+   */
+  bosalinca() {
+    if (this.aktif === 0 && this._kuyruk.length === 0) return Promise.resolve();
+    return new Promise(resolve => this._bosalmaBekleyenler.push(resolve));
+  }
+
+  /**
+   * fn'i havuzda çalıştırır
+   * @param {Function} fn - async () => sonuç
+   * @param {AbortSignal} signal - İptal sinyali
+   * @returns {Promise<*>}
+   */
+  async calistir(fn, signal) {
+    await this.al(signal);
+    try {
+      return await fn();
+    } finally {
+      this.birak();
+    }
+  }
+}
+
+// axios'un iptal hatasıyla aynı kod: yeniden denenmez, devreye yazılmaz
+function iptalHatasi() {
+  const error = new Error('İstek iptal edildi');
+  error.code = 'ERR_CANCELED';
+  return error;
+}
+
+module.exports = Havuz;
+module.exports.Havuz = Havuz;
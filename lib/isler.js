@@ -0,0 +1,192 @@
+const crypto = require("crypto");
+const { Bulunamadi, Cakisma, IstekSiniriAsildi } = require("./hatalar");
+
+/**
+ * Arka planda çalışan toplu arama işleri
+ *
+ * Binlerce kelimelik listeler tek HTTP isteğinde beklenmez: iş oluşturulur,
+ * ilerlemesi sorgulanır, bitince sonuçlar indirilir. İşler bellekte tutulur;
+ * biten işler `saklamaSuresi` sonra silinir, sunucu yeniden başlarsa kaybolur.
+ * Bir işin sakladığı sonuçlar JSON olarak `maxSonucBoyutu` baytı aşarsa iş
+ * durdurulur, sonuçları bırakılır ve durumu hata olur. Silinen işin süren
+ * TDK istekleri de iptal edilir.
+ *
+ * Durumlar: bekliyor → calisiyor → tamamlandi | iptal | hata
+ */
+class IsYoneticisi {
+  /**
+   * @param {Object} options - { tdk, esZamanliIs, saklamaSuresi (ms), maxIs, maxSonucBoyutu (bayt) }
+   */
+  constructor(options = {}) {
+    this.tdk = options.tdk;
+    // Aynı anda çalışan iş sayısı; her iş ayrıca topluEsZamanli kelimeyle sınırlı
+    this.esZamanliIs = options.esZamanliIs || 1;
+    this.saklamaSuresi = options.saklamaSuresi || 60 * 60 * 1000;
+    this.maxIs = options.maxIs || 100;
+    this.maxSonucBoyutu = options.maxSonucBoyutu || 50 * 1024 * 1024;
+    this.isler = new Map();
+  }
+
+  /**
+   * Yeni iş oluşturur ve sıraya koyar
+   * @param {Array<string>} kelimeler - Aranacak kelimeler
+   * @param {Object} options - ara seçenekleri
+   * @returns {Object} - İş özeti
+   */
+  olustur(kelimeler, options = {}) {
+    this._temizle();
+    if (this.isler.size >= this.maxIs) {
+      throw new IstekSiniriAsildi("Çok fazla iş var", { details: `En fazla ${this.maxIs} iş saklanır; biten işleri silin ya da bekleyin` });
+    }
+
+    const is = {
+      id: crypto.randomUUID(),
+      durum: 'bekliyor',
+      kelimeler: kelimeler,
+      secenekler: options,
+      sonuclar: new Array(kelimeler.length).fill(null),
+      tamamlanan: 0,
+      basarili: 0,
+      sonucBoyutu: 0,
+      olusturulma: new Date(),
+      baslama: null,
+      bitis: null,
+      durdur: new AbortController()
+    };
+
+    this.isler.set(is.id, is);
+    this._siradakileriBaslat();
+    return this._ozet(is);
+  }
+
+  /**
+   * İşin durumu ve ilerlemesi
+   * @param {string} id - İş kimliği
+   * @returns {Object} - İş özeti
+   */
+  getir(id) {
+    return this._ozet(this._bul(id));
+  }
+
+  /**
+   * Biten işin sonuçları (kelime sırasıyla)
+   * @param {string} id - İş kimliği
+   * @returns {Object} - { is: özet, sonuclar }
+   */
+  sonuclar(id) {
+    const is = this._bul(id);
+    if (is.durum !== 'tamamlandi') {
+      throw new Cakisma("İş henüz tamamlanmadı", { details: `Durum: ${is.durum}, ${is.tamamlanan}/${is.kelimeler.length} kelime` });
+    }
+    return { is: this._ozet(is), sonuclar: is.sonuclar };
+  }
+
+  /**
+   * İşi iptal eder ve siler
+   * @param {string} id - İş kimliği
+   * @returns {Object} - Silinen işin son özeti
+   */
+  sil(id) {
+    const is = this._bul(id);
+    this._iptalEt(is);
+    this.isler.delete(id);
+    return this._ozet(is);
+  }
+
+  /**
+   * Tüm işleri durdurur (sunucu kapanırken); süren ve bekleyen işler iptal olur
+   */
+  kapat() {
+    this.isler.forEach(is => this._iptalEt(is));
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  _bul(id) {
+    this._temizle();
+    const is = this.isler.get(id);
+    if (!is) throw new Bulunamadi("İş bulunamadı", { details: `"${id}" kimlikli iş yok ya da süresi doldu` });
+    return is;
+  }
+
+  _iptalEt(is) {
+    if (is.durum === 'bekliyor' || is.durum === 'calisiyor') {
+      is.durum = 'iptal';
+      is.bitis = new Date();
+    }
+    is.durdur.abort();
+  }
+
+  _siradakileriBaslat() {
+    const calisan = [...this.isler.values()].filter(is => is.durum === 'calisiyor').length;
+    const bekleyenler = [...this.isler.values()].filter(is => is.durum === 'bekliyor');
+
+    bekleyenler.slice(0, Math.max(this.esZamanliIs - calisan, 0)).forEach(is => {
+      this._calistir(is);
+    });
+  }
+
+  async _calistir(is) {
+    is.durum = 'calisiyor';
+    is.baslama = new Date();
+
+    try {
+      const akis = this.tdk.topluAraAkisi(is.kelimeler, { ...is.secenekler, signal: is.durdur.signal });
+      for await (const { index, sonuc } of akis) {
+        is.sonuclar[index] = sonuc;
+        is.tamamlanan++;
+        if (sonuc.success) is.basarili++;
+
+        is.sonucBoyutu += Buffer.byteLength(JSON.stringify(sonuc));
+        if (is.sonucBoyutu > this.maxSonucBoyutu) {
+          throw new Error(`Sonuçlar ${this.maxSonucBoyutu} bayt sınırını aştı; listeyi bölün`);
+        }
+      }
+
+      if (is.durum === 'calisiyor') {
+        is.durum = 'tamamlandi';
+        is.bitis = new Date();
+      }
+    } catch (error) {
+      // ara hataları sonuca yazılır; buraya sadece beklenmeyen hatalar düşer
+      if (is.durum === 'calisiyor') {
+        is.durum = 'hata';
+        is.bitis = new Date();
+        is.hata = error.message;
+        is.sonuclar = null;
+        is.durdur.abort();
+      }
+    } finally {
+      this._siradakileriBaslat();
+    }
+  }
+
+  _temizle() {
+    const simdi = Date.now();
+    this.isler.forEach((is, id) => {
+      if (is.bitis && simdi - is.bitis.getTime() > this.saklamaSuresi) this.isler.delete(id);
+    });
+  }
+
+  _ozet(is) {
+    const toplam = is.kelimeler.length;
+    return {
+      id: is.id,
+      durum: is.durum,
+      toplam: toplam,
+      tamamlanan: is.tamamlanan,
+      basarili: is.basarili,
+      basarisiz: is.tamamlanan - is.basarili,
+      sonucBoyutu: is.sonucBoyutu,
+      ilerleme: toplam ? Math.round(is.tamamlanan / toplam * 1000) / 10 : 100,
+      olusturulma: is.olusturulma.toISOString(),
+      baslama: is.baslama ? is.baslama.toISOString() : null,
+      bitis: is.bitis ? is.bitis.toISOString() : null,
+      sonaErme: is.bitis ? new Date(is.bitis.getTime() + this.saklamaSuresi).toISOString() : null,
+      ...(is.hata ? { hata: is.hata } : {})
+    };
+  }
+}
+
+module.exports = IsYoneticisi;
+module.exports.IsYoneticisi = IsYoneticisi;
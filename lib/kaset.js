@@ -0,0 +1,130 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * TDK cevap kasetleri (record/replay)
+ *
+ * Kaset, TDK'ya yapılan isteklerin ve cevaplarının JSON kaydıdır:
+ * { surum, kaydedildi, etkilesimler: [{ istek: { method, yol, sorgu }, cevap: { durum, icerikTuru, govde } }] }
+ * `yol` baseURL'e göre göreli endpoint'tir (gts, atasozu, gunun-sozu...).
+ * TDK'dan kaydedilmeyip elle yazılan kasetler `elleYazildi: true` ile işaretlenir;
+ * kayıt bu kasetlerin üzerine eklemez, onları gerçek cevaplarla değiştirir.
+ * Kayıt modunda axios istemcisinin cevapları kasete yazılır; SahteTdk
+ * (lib/sahteTdk.js) aynı kasetleri ağ olmadan yeniden oynatır.
+ */
+
+const KASET_SURUMU = 1;
+
+/**
+ * İsteğin kasetteki anahtarı; sorgu parametrelerinin sırası ve kodlaması önemsizdir
+ * @param {string} method - HTTP metodu
+ * @param {string} yol - Endpoint (baştaki / olmadan)
+ * @param {Object|URLSearchParams} sorgu - Sorgu parametreleri
+ * @returns {string} - Örn. "GET gts?ara=kitap"
+ */
+function etkilesimAnahtari(method, yol, sorgu = {}) {
+  const parametreler = new URLSearchParams(sorgu);
+  parametreler.sort();
+  const metin = parametreler.toString();
+  return `${String(method).toUpperCase()} ${String(yol).replace(/^\/+/, '')}${metin ? `?${metin}` : ''}`;
+}
+
+/**
+ * Kaset dosyasını işaretleriyle birlikte okur
+ * @param {string} dosya - Kaset yolu
+ * @returns {Object} - { surum, kaydedildi, elleYazildi, etkilesimler }
+ */
+function kasetIcerigi(dosya) {
+  const icerik = JSON.parse(fs.readFileSync(dosya, 'utf8'));
+  if (!icerik || !Array.isArray(icerik.etkilesimler)) {
+    throw new Error(`${dosya}: geçerli bir kaset değil ("etkilesimler" listesi yok)`);
+  }
+  return icerik;
+}
+
+/**
+ * Kaset dosyasını okur
+ * @param {string} dosya - Kaset yolu
+ * @returns {Array<Object>} - Etkileşimler
+ */
+function kasetOku(dosya) {
+  return kasetIcerigi(dosya).etkilesimler;
+}
+
+/**
+ * Etkileşimleri kaset dosyasına yazar
+ * @param {string} dosya - Kaset yolu
+ * @param {Array<Object>} etkilesimler - Etkileşimler
+ */
+function kasetYaz(dosya, etkilesimler) {
+  fs.mkdirSync(path.dirname(dosya), { recursive: true });
+  const icerik = { surum: KASET_SURUMU, kaydedildi: new Date().toISOString(), etkilesimler };
+  fs.writeFileSync(dosya, JSON.stringify(icerik, null, 2) + '\n');
+}
+
+/**
+ * axios istemcisinin cevaplarını kasete kaydeder
+ *
+ * Hata durumlu cevaplar (404, 5xx) da kaydedilir; cevap alınamayan istekler
+ * (zaman aşımı, bağlantı hatası) kaydedilmez. Aynı istek yeniden gelirse son
+ * cevap saklanır. Dosya her yeni cevapta yeniden yazılır. Elle yazılmış
+ * kasetteki kayıtlar korunmaz ki gerçek ve uydurma cevaplar karışmasın.
+ * @param {Object} client - axios örneği
+ * @param {Object} options - { dosya: kaset yolu, ekle: dosyadaki kayıtları koru (varsayılan true) }
+ * @returns {Object} - { dosya, etkilesimler: Map, birak(): kaydı durdurur }
+ */
+function kaydediciEkle(client, options = {}) {
+  if (!options.dosya) throw new Error('Kaset kaydı için "dosya" gerekli');
+
+  const etkilesimler = new Map();
+  const mevcut = options.ekle !== false && fs.existsSync(options.dosya) ? kasetIcerigi(options.dosya) : null;
+  if (mevcut && !mevcut.elleYazildi) {
+    mevcut.etkilesimler.forEach(etkilesim => {
+      const { method, yol, sorgu } = etkilesim.istek;
+      etkilesimler.set(etkilesimAnahtari(method, yol, sorgu), etkilesim);
+    });
+  }
+
+  const kaydet = (response) => {
+    const config = response.config || {};
+    const adres = new URL(config.url, config.baseURL);
+    const kok = new URL(config.baseURL || adres.origin).pathname;
+    const yol = adres.pathname.startsWith(kok) ? adres.pathname.slice(kok.length) : adres.pathname;
+    const sorgu = Object.fromEntries(adres.searchParams);
+    const method = (config.method || 'get').toUpperCase();
+
+    etkilesimler.set(etkilesimAnahtari(method, yol, sorgu), {
+      istek: { method, yol: yol.replace(/^\/+/, ''), sorgu },
+      cevap: {
+        durum: response.status,
+        icerikTuru: response.headers && response.headers['content-type'] ? String(response.headers['content-type']) : null,
+        govde: response.data
+      }
+    });
+    kasetYaz(options.dosya, [...etkilesimler.values()]);
+  };
+
+  const kimlik = client.interceptors.response.use(
+    (response) => {
+      kaydet(response);
+      return response;
+    },
+    (error) => {
+      if (error.response) kaydet(error.response);
+      return Promise.reject(error);
+    }
+  );
+
+  return {
+    dosya: options.dosya,
+    etkilesimler,
+    birak: () => client.interceptors.response.eject(kimlik)
+  };
+}
+
+module.exports = {
+  etkilesimAnahtari,
+  kasetOku,
+  kasetYaz,
+  kaydediciEkle
+};
@@ -0,0 +1,308 @@
+const fs = require("fs");
+const path = require("path");
+const { katla, harfSirasi } = require("./turkce");
+
+const VARSAYILAN_DOSYA = path.join(__dirname, "..", "data", "kelimeler.txt");
+
+/**
+ * Madde başı indeksi
+ *
+ * Kelimeler katlanmış halleriyle (küçük harf, şapkasız) bir trie'de tutulur.
+ * Her düğüm alt ağacındaki kelime sayısını bildiği için sayfalama ve
+ * rastgele seçim tüm listeyi dolaşmadan yapılır. Çocuklar Türk alfabesi
+ * sırasıyla dolaşıldığından sonuçlar her zaman alfabetik gelir.
+ *
+ * Paketteki data/kelimeler.txt tam liste değil, TDK'ya ulaşılamadığında
+ * kullanılan küçük bir tohum listedir; `dosya` yoksa ondan yüklenir.
+ */
+class KelimeIndeksi {
+  constructor(options = {}) {
+    this.dosya = options.dosya || VARSAYILAN_DOSYA;
+    this.tohumDosyasi = options.tohumDosyasi || VARSAYILAN_DOSYA;
+    this.kaynak = null;
+    this.sonGuncelleme = null;
+    this.surum = 0;
+    this._temizle();
+  }
+
+  /**
+   * İndeksteki farklı madde başı sayısı
+   * @returns {number}
+   */
+  get boyut() {
+    return this.kok.n;
+  }
+
+  /**
+   * Tek bir kelime ekler
+   * @param {string} kelime - Madde başı
+   * @returns {boolean} - Yeni eklendiyse true
+   */
+  ekle(kelime) {
+    if (!kelime || typeof kelime !== 'string') return false;
+
+    const orijinal = kelime.trim().normalize('NFC');
+    const anahtar = katla(orijinal);
+    if (!anahtar) return false;
+
+    const yol = [this.kok];
+    let dugum = this.kok;
+    for (const harf of anahtar) {
+      if (!dugum.c.has(harf)) {
+        dugum.c.set(harf, KelimeIndeksi._dugum());
+        dugum.s = null;
+      }
+      dugum = dugum.c.get(harf);
+      yol.push(dugum);
+    }
+
+    if (dugum.k) {
+      // Aynı katlanmış biçim (katip / kâtip): yazılışı ekle, sayıyı değiştirme
+      if (!dugum.k.includes(orijinal)) dugum.k.push(orijinal);
+      return false;
+    }
+
+    dugum.k = [orijinal];
+    yol.forEach(d => d.n++);
+    this._liste = null;
+    return true;
+  }
+
+  /**
+   * İndeksi verilen kelimelerle baştan kurar
+   * @param {Array<string>} kelimeler - Madde başları
+   * @param {string} kaynak - Verinin geldiği yer
+   * @returns {number} - Yüklenen kelime sayısı
+   */
+  yukle(kelimeler, kaynak = 'bellek') {
+    this._temizle();
+    kelimeler.forEach(k => this.ekle(k));
+    this.kaynak = kaynak;
+    this.sonGuncelleme = new Date();
+    this.surum++;
+    return this.boyut;
+  }
+
+  /**
+   * Yerel dosyadan yükler (satır başına bir madde); dosya yoksa tohum listeden
+   * @param {string} dosya - Dosya yolu
+   * @returns {Promise<number>} - Yüklenen kelime sayısı
+   */
+  async dosyadanYukle(dosya = this.dosya) {
+    let okunan = dosya;
+    let icerik;
+    try {
+      icerik = await fs.promises.readFile(okunan, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT' || this._tohumMu(okunan)) throw error;
+      okunan = this.tohumDosyasi;
+      icerik = await fs.promises.readFile(okunan, 'utf8');
+    }
+
+    const tohum = this._tohumMu(okunan);
+    const sayi = this.yukle(icerik.split(/\r?\n/), tohum ? 'tohum' : 'dosya');
+    // Tohum liste hep tazelenecek veri sayılır; TDK'dan kaydedilmiş liste dosya tarihiyle eskir
+    this.sonGuncelleme = tohum ? null : (await fs.promises.stat(okunan)).mtime;
+    return sayi;
+  }
+
+  /**
+   * İndeksi yerel dosyaya yazar
+   * @param {string} dosya - Dosya yolu (varsayılan indeksin dosyası)
+   * @returns {Promise<number>} - Yazılan satır sayısı
+   */
+  async kaydet(dosya) {
+    const hedef = dosya || this.dosya;
+    // Dosya verilmemiş indeks paketteki tohum listeye düşer; o liste sadece açıkça istenince yazılır
+    if (!dosya && this._tohumMu(hedef)) {
+      throw new Error("Paketteki tohum liste üzerine yazılmaz; dosya verin");
+    }
+    const satirlar = this.tumKelimeler();
+    await fs.promises.mkdir(path.dirname(hedef), { recursive: true });
+    await fs.promises.writeFile(hedef, satirlar.join('\n') + '\n', 'utf8');
+    return satirlar.length;
+  }
+
+  /**
+   * Kelime indekste var mı
+   * @param {string} kelime - Kelime
+   * @returns {boolean}
+   */
+  icerir(kelime) {
+    const dugum = this._dugumBul(katla(kelime));
+    return Boolean(dugum && dugum.k);
+  }
+
+  /**
+   * Ön ekle başlayan kelime sayısı
+   * @param {string} onEk - Ön ek
+   * @returns {number}
+   */
+  sayi(onEk = '') {
+    const dugum = this._dugumBul(katla(onEk));
+    return dugum ? dugum.n : 0;
+  }
+
+  /**
+   * Ön ekle başlayan kelimeleri alfabetik sırayla getirir
+   * @param {string} onEk - Ön ek
+   * @param {Object} options - { atla, limit }
+   * @returns {Array<string>} - Kelimeler
+   */
+  onEkIle(onEk = '', options = {}) {
+    const atla = Math.max(options.atla || 0, 0);
+    const limit = options.limit === undefined ? Infinity : options.limit;
+    const anahtar = katla(onEk);
+    const dugum = this._dugumBul(anahtar);
+    const sonuc = [];
+
+    if (!dugum || limit <= 0) return sonuc;
+
+    this._dolas(dugum, { atla, limit }, sonuc);
+    return sonuc;
+  }
+
+  /**
+   * Ön ekle başlayan kelimeleri kısadan uzuna getirir
+   *
+   * Trie seviye seviye dolaşılır; `limit` kelimeye ulaşılan seviyeden sonra
+   * `fazlaSeviye` seviye daha eklenir. Aynı uzunluktakiler alfabetik gelir.
+   * @param {string} onEk - Ön ek
+   * @param {Object} options - { limit, fazlaSeviye }
+   * @returns {Array<string>} - Kelimeler
+   */
+  kisadanUzuna(onEk = '', options = {}) {
+    const limit = options.limit === undefined ? Infinity : options.limit;
+    const fazlaSeviye = Math.max(options.fazlaSeviye || 0, 0);
+    const dugum = this._dugumBul(katla(onEk));
+    const sonuc = [];
+
+    if (!dugum || limit <= 0) return sonuc;
+
+    let seviye = [dugum];
+    let sonSeviye = Infinity;
+    for (let derinlik = 0; seviye.length > 0 && derinlik <= sonSeviye; derinlik++) {
+      const sonraki = [];
+      seviye.forEach(d => {
+        if (d.k) sonuc.push(d.k[0]);
+        this._cocuklar(d).forEach(([, cocuk]) => sonraki.push(cocuk));
+      });
+
+      if (sonSeviye === Infinity && sonuc.length >= limit) sonSeviye = derinlik + fazlaSeviye;
+      seviye = sonraki;
+    }
+
+    return sonuc;
+  }
+
+  /**
+   * Kelimenin indeksteki yazılışı (katlanmış biçimi aynı olan ilk madde)
+   * @param {string} kelime - Kelime
+   * @returns {string|null}
+   */
+  yazilis(kelime) {
+    const dugum = this._dugumBul(katla(kelime));
+    return dugum && dugum.k ? dugum.k[0] : null;
+  }
+
+  /**
+   * Tüm kelimeler, alfabetik sırada
+   * @returns {Array<string>}
+   */
+  tumKelimeler() {
+    if (!this._liste) {
+      this._liste = this.onEkIle('');
+    }
+    return this._liste;
+  }
+
+  /**
+   * Rastgele bir madde başı seçer
+   * @param {Function} rastgele - 0-1 arası sayı üreten fonksiyon
+   * @returns {string|null}
+   */
+  rastgele(rastgele = Math.random) {
+    if (this.boyut === 0) return null;
+
+    let hedef = Math.floor(rastgele() * this.boyut);
+    let dugum = this.kok;
+
+    while (dugum) {
+      if (dugum.k) {
+        if (hedef === 0) return dugum.k[0];
+        hedef--;
+      }
+
+      let sonraki = null;
+      for (const [, cocuk] of this._cocuklar(dugum)) {
+        if (hedef < cocuk.n) {
+          sonraki = cocuk;
+          break;
+        }
+        hedef -= cocuk.n;
+      }
+      dugum = sonraki;
+    }
+
+    return null;
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  static _dugum() {
+    // c: çocuklar, s: sıralı çocuk önbelleği, k: yazılışlar, n: alt ağaçtaki kelime sayısı
+    return { c: new Map(), s: null, k: null, n: 0 };
+  }
+
+  _tohumMu(dosya) {
+    return path.resolve(dosya) === path.resolve(this.tohumDosyasi);
+  }
+
+  _temizle() {
+    this.kok = KelimeIndeksi._dugum();
+    this._liste = null;
+  }
+
+  _dugumBul(anahtar) {
+    let dugum = this.kok;
+    for (const harf of anahtar) {
+      dugum = dugum.c.get(harf);
+      if (!dugum) return null;
+    }
+    return dugum;
+  }
+
+  _cocuklar(dugum) {
+    if (!dugum.s) {
+      dugum.s = [...dugum.c.entries()].sort((a, b) => harfSirasi(a[0]) - harfSirasi(b[0]));
+    }
+    return dugum.s;
+  }
+
+  _dolas(dugum, durum, sonuc) {
+    if (sonuc.length >= durum.limit) return;
+
+    // Tamamen atlanacak alt ağaçlara hiç inme
+    if (durum.atla >= dugum.n) {
+      durum.atla -= dugum.n;
+      return;
+    }
+
+    if (dugum.k) {
+      if (durum.atla > 0) {
+        durum.atla--;
+      } else {
+        sonuc.push(dugum.k[0]);
+        if (sonuc.length >= durum.limit) return;
+      }
+    }
+
+    for (const [, cocuk] of this._cocuklar(dugum)) {
+      this._dolas(cocuk, durum, sonuc);
+      if (sonuc.length >= durum.limit) return;
+    }
+  }
+}
+
+module.exports = KelimeIndeksi;
+module.exports.KelimeIndeksi = KelimeIndeksi;
@@ -0,0 +1,194 @@
+/**
+ * Prometheus metin biçiminde metrik kaydı
+ *
+ * Harici bağımlılık gerektirmeyen küçük bir kayıt: sayaç, gösterge ve
+ * histogram destekler. `toplayici` ile eklenen fonksiyonlar her okumadan
+ * önce çağrılır; önbellek tahliyeleri, devre durumları gibi başka yerde
+ * tutulan değerler bu anda metriklere aktarılır.
+ */
+
+const VARSAYILAN_KOVALAR = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function etiketKacis(deger) {
+  return String(deger).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function etiketMetni(etiketler) {
+  const ciftler = Object.entries(etiketler).map(([ad, deger]) => `${ad}="${etiketKacis(deger)}"`);
+  return ciftler.length ? `{${ciftler.join(',')}}` : '';
+}
+
+function sayiMetni(deger) {
+  if (deger === Infinity) return '+Inf';
+  if (deger === -Infinity) return '-Inf';
+  return String(deger);
+}
+
+class Metrik {
+  constructor(ad, yardim, etiketAdlari = []) {
+    this.ad = ad;
+    this.yardim = yardim;
+    this.etiketAdlari = etiketAdlari;
+    this.degerler = new Map();
+  }
+
+  _anahtar(etiketler = {}) {
+    return JSON.stringify(this.etiketAdlari.map(ad => (etiketler[ad] === undefined ? '' : String(etiketler[ad]))));
+  }
+
+  _etiketler(anahtar) {
+    const degerler = JSON.parse(anahtar);
+    const etiketler = {};
+    this.etiketAdlari.forEach((ad, i) => { etiketler[ad] = degerler[i]; });
+    return etiketler;
+  }
+
+  _baslik() {
+    return [`# HELP ${this.ad} ${this.yardim}`, `# TYPE ${this.ad} ${this.tip}`];
+  }
+}
+
+class Sayac extends Metrik {
+  get tip() {
+    return 'counter';
+  }
+
+  /**
+   * @param {Object} etiketler - Etiket değerleri
+   * @param {number} miktar - Artış
+   */
+  artir(etiketler = {}, miktar = 1) {
+    const anahtar = this._anahtar(etiketler);
+    this.degerler.set(anahtar, (this.degerler.get(anahtar) || 0) + miktar);
+  }
+
+  /**
+   * Başka yerde tutulan toplamı aktarır (sadece toplayıcılar için)
+   * @param {Object} etiketler - Etiket değerleri
+   * @param {number} deger - Toplam
+   */
+  ayarla(etiketler, deger) {
+    this.degerler.set(this._anahtar(etiketler), deger);
+  }
+
+  satirlar() {
+    const satirlar = this._baslik();
+    this.degerler.forEach((deger, anahtar) => {
+      satirlar.push(`${this.ad}${etiketMetni(this._etiketler(anahtar))} ${sayiMetni(deger)}`);
+    });
+    return satirlar;
+  }
+}
+
+class Gosterge extends Sayac {
+  get tip() {
+    return 'gauge';
+  }
+}
+
+class Histogram extends Metrik {
+  constructor(ad, yardim, etiketAdlari = [], kovalar = VARSAYILAN_KOVALAR) {
+    super(ad, yardim, etiketAdlari);
+    this.kovalar = [...kovalar].sort((a, b) => a - b);
+  }
+
+  get tip() {
+    return 'histogram';
+  }
+
+  /**
+   * @param {Object} etiketler - Etiket değerleri
+   * @param {number} deger - Gözlem (saniye)
+   */
+  gozlemle(etiketler = {}, deger) {
+    const anahtar = this._anahtar(etiketler);
+    let kayit = this.degerler.get(anahtar);
+    if (!kayit) {
+      kayit = { kovalar: new Array(this.kovalar.length).fill(0), toplam: 0, sayi: 0 };
+      this.degerler.set(anahtar, kayit);
+    }
+
+    const index = this.kovalar.findIndex(sinir => deger <= sinir);
+    if (index !== -1) kayit.kovalar[index]++;
+    kayit.toplam += deger;
+    kayit.sayi++;
+  }
+
+  satirlar() {
+    const satirlar = this._baslik();
+    this.degerler.forEach((kayit, anahtar) => {
+      const etiketler = this._etiketler(anahtar);
+      let birikimli = 0;
+
+      this.kovalar.forEach((sinir, i) => {
+        birikimli += kayit.kovalar[i];
+        satirlar.push(`${this.ad}_bucket${etiketMetni({ ...etiketler, le: sayiMetni(sinir) })} ${birikimli}`);
+      });
+      satirlar.push(`${this.ad}_bucket${etiketMetni({ ...etiketler, le: '+Inf' })} ${kayit.sayi}`);
+      satirlar.push(`${this.ad}_sum${etiketMetni(etiketler)} ${kayit.toplam}`);
+      satirlar.push(`${this.ad}_count${etiketMetni(etiketler)} ${kayit.sayi}`);
+    });
+    return satirlar;
+  }
+}
+
+class MetrikKaydi {
+  constructor() {
+    this.metrikler = new Map();
+    this.toplayicilar = [];
+  }
+
+  /**
+   * Prometheus içerik türü
+   * @returns {string}
+   */
+  static get icerikTuru() {
+    return 'text/plain; version=0.0.4; charset=utf-8';
+  }
+
+  sayac(ad, yardim, etiketAdlari) {
+    return this._kaydet(ad, () => new Sayac(ad, yardim, etiketAdlari));
+  }
+
+  gosterge(ad, yardim, etiketAdlari) {
+    return this._kaydet(ad, () => new Gosterge(ad, yardim, etiketAdlari));
+  }
+
+  histogram(ad, yardim, etiketAdlari, kovalar) {
+    return this._kaydet(ad, () => new Histogram(ad, yardim, etiketAdlari, kovalar));
+  }
+
+  /**
+   * Her okumadan önce çağrılacak fonksiyon ekler
+   * @param {Function} fn - async () => void
+   */
+  toplayici(fn) {
+    this.toplayicilar.push(fn);
+  }
+
+  /**
+   * Tüm metrikleri Prometheus metin biçiminde döner
+   * @returns {Promise<string>}
+   */
+  async metin() {
+    // Bir toplayıcının hatası diğer metrikleri engellemesin
+    await Promise.all(this.toplayicilar.map(fn => Promise.resolve().then(fn).catch(() => {})));
+
+    const satirlar = [];
+    this.metrikler.forEach(metrik => satirlar.push(...metrik.satirlar()));
+    return satirlar.join('\n') + '\n';
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  _kaydet(ad, olustur) {
+    if (!this.metrikler.has(ad)) this.metrikler.set(ad, olustur());
+    return this.metrikler.get(ad);
+  }
+}
+
+module.exports = MetrikKaydi;
+module.exports.MetrikKaydi = MetrikKaydi;
+module.exports.Sayac = Sayac;
+module.exports.Gosterge = Gosterge;
+module.exports.Histogram = Histogram;
@@ -0,0 +1,305 @@
+const { katla } = require("./turkce");
+
+/**
+ * Türkçe ek ayıklayıcı (morfolojik kök bulucu)
+ *
+ * Ekler büyük harfli ses birimleriyle yazılır ve gövdeye göre gerçekleştirilir:
+ * - A   → a / e          (büyük ünlü uyumu)
+ * - I   → ı / i / u / ü  (küçük ünlü uyumu)
+ * - D   → d / t          (sert ünsüzden sonra t)
+ * - C   → c / ç          (sert ünsüzden sonra ç)
+ * - (y), (n), (s) → gövde ünlüyle bitiyorsa kaynaştırma ünsüzü
+ * - (I), (A)      → gövde ünsüzle bitiyorsa ünlü
+ *
+ * Sondan başa doğru, ek sırası (yuva) korunarak soyulur. Kökte ünsüz
+ * yumuşaması (kitabı → kitap) ve ünlü düşmesi (ağzı → ağız) geri alınır.
+ */
+
+const INCE_UNLULER = 'eiöü';
+const UNLULER = 'aeıioöuü';
+const SERT_UNSUZLER = 'çfhkpsşt';
+const YUMUSAMA = { b: 'p', c: 'ç', d: 't', ğ: 'k', g: 'k' };
+
+// İsim ekleri, sağdan sola yuva sırasıyla
+const ISIM_YUVALARI = [
+  {
+    tur: 'kisi',
+    ekler: [
+      { desen: '(y)Im', ad: '1. tekil kişi' },
+      { desen: 'sIn', ad: '2. tekil kişi' },
+      { desen: '(y)Iz', ad: '1. çoğul kişi' },
+      { desen: 'sInIz', ad: '2. çoğul kişi' },
+      { desen: 'DIr', ad: 'bildirme' },
+      { desen: '(y)DI', ad: 'hikaye' },
+      { desen: '(y)mIş', ad: 'rivayet' },
+      { desen: '(y)sA', ad: 'şart' }
+    ]
+  },
+  { tur: 'ki', ekler: [{ desen: 'ki', ad: 'aitlik' }] },
+  {
+    tur: 'hal',
+    ekler: [
+      { desen: '(y)I', ad: 'belirtme' },
+      { desen: '(y)A', ad: 'yönelme' },
+      { desen: 'DA', ad: 'bulunma' },
+      { desen: 'DAn', ad: 'ayrılma' },
+      { desen: '(n)In', ad: 'ilgi' },
+      { desen: '(y)lA', ad: 'vasıta' },
+      { desen: 'CA', ad: 'eşitlik' },
+      // 3. kişi iyeliğinden sonra araya n girer: kitabı-n-da
+      { desen: '(n)I', ad: 'belirtme' },
+      { desen: '(n)A', ad: 'yönelme' },
+      { desen: '(n)DA', ad: 'bulunma' },
+      { desen: '(n)DAn', ad: 'ayrılma' }
+    ]
+  },
+  {
+    tur: 'iyelik',
+    ekler: [
+      { desen: '(I)m', ad: '1. tekil iyelik' },
+      { desen: '(I)n', ad: '2. tekil iyelik' },
+      { desen: '(s)I', ad: '3. tekil iyelik' },
+      { desen: '(I)mIz', ad: '1. çoğul iyelik' },
+      { desen: '(I)nIz', ad: '2. çoğul iyelik' },
+      { desen: 'lArI', ad: '3. çoğul iyelik' }
+    ]
+  },
+  { tur: 'cogul', ekler: [{ desen: 'lAr', ad: 'çoğul' }] },
+  {
+    tur: 'yapim',
+    ekler: [
+      { desen: 'lIk', ad: 'yapım (-lık)' },
+      { desen: 'lI', ad: 'yapım (-lı)' },
+      { desen: 'sIz', ad: 'yapım (-sız)' },
+      { desen: 'CI', ad: 'yapım (-cı)' },
+      { desen: 'DAş', ad: 'yapım (-daş)' }
+    ]
+  }
+];
+
+// Fiil ekleri, sağdan sola yuva sırasıyla
+const FIIL_YUVALARI = [
+  {
+    tur: 'kisi',
+    ekler: [
+      { desen: '(y)Im', ad: '1. tekil kişi' },
+      { desen: 'sIn', ad: '2. tekil kişi' },
+      { desen: '(y)Iz', ad: '1. çoğul kişi' },
+      { desen: 'sInIz', ad: '2. çoğul kişi' },
+      { desen: 'lAr', ad: '3. çoğul kişi' },
+      // -DI ve -sA'dan sonraki kısa kişi ekleri
+      { desen: 'm', ad: '1. tekil kişi' },
+      { desen: 'n', ad: '2. tekil kişi' },
+      { desen: 'k', ad: '1. çoğul kişi' },
+      { desen: 'nIz', ad: '2. çoğul kişi' }
+    ]
+  },
+  {
+    tur: 'kip',
+    ekler: [
+      { desen: '(I)yor', ad: 'şimdiki zaman' },
+      { desen: 'mIyor', ad: 'olumsuz şimdiki zaman' },
+      { desen: 'DI', ad: 'görülen geçmiş zaman' },
+      { desen: 'mIş', ad: 'öğrenilen geçmiş zaman' },
+      { desen: '(y)AcAk', ad: 'gelecek zaman' },
+      { desen: '(A)r', ad: 'geniş zaman' },
+      { desen: '(I)r', ad: 'geniş zaman' },
+      { desen: 'mAz', ad: 'olumsuz geniş zaman' },
+      { desen: 'mAlI', ad: 'gereklilik' },
+      { desen: 'sA', ad: 'şart' },
+      { desen: '(y)A', ad: 'istek' },
+      { desen: 'mAk', ad: 'mastar' },
+      { desen: '(y)Ip', ad: 'zarf-fiil' },
+      { desen: '(y)IncA', ad: 'zarf-fiil' },
+      { desen: '(y)An', ad: 'sıfat-fiil' },
+      { desen: 'DIk', ad: 'sıfat-fiil' }
+    ]
+  },
+  { tur: 'olumsuz', ekler: [{ desen: 'mA', ad: 'olumsuzluk' }] }
+];
+
+function unluMu(harf) {
+  return UNLULER.includes(harf);
+}
+
+function sonUnlu(metin) {
+  for (let i = metin.length - 1; i >= 0; i--) {
+    if (unluMu(metin[i])) return metin[i];
+  }
+  return null;
+}
+
+/**
+ * Ek desenini verilen gövdeye göre gerçekleştirir
+ * @param {string} desen - Örn: "(y)DA", "lAr"
+ * @param {string} govde - Ekin geleceği gövde (yüzey biçimi)
+ * @returns {string} - Ekin yüzey biçimi
+ */
+function ekGerceklestir(desen, govde) {
+  let sonuc = '';
+  let i = 0;
+
+  while (i < desen.length) {
+    const mevcut = govde + sonuc;
+    const son = mevcut[mevcut.length - 1] || '';
+    const unlu = sonUnlu(mevcut) || 'e';
+
+    if (desen[i] === '(') {
+      const kapanis = desen.indexOf(')', i);
+      const icerik = desen.slice(i + 1, kapanis);
+      const unluIleBiter = unluMu(son);
+
+      if (icerik === 'I' || icerik === 'A') {
+        if (!unluIleBiter) sonuc += ekGerceklestir(icerik, mevcut);
+      } else if (unluIleBiter) {
+        sonuc += icerik;
+      }
+
+      i = kapanis + 1;
+      continue;
+    }
+
+    switch (desen[i]) {
+      case 'A':
+        sonuc += INCE_UNLULER.includes(unlu) ? 'e' : 'a';
+        break;
+      case 'I':
+        sonuc += { a: 'ı', ı: 'ı', o: 'u', u: 'u', e: 'i', i: 'i', ö: 'ü', ü: 'ü' }[unlu];
+        break;
+      case 'D':
+        sonuc += SERT_UNSUZLER.includes(son) ? 't' : 'd';
+        break;
+      case 'C':
+        sonuc += SERT_UNSUZLER.includes(son) ? 'ç' : 'c';
+        break;
+      default:
+        sonuc += desen[i];
+    }
+    i++;
+  }
+
+  return sonuc;
+}
+
+class MorfolojikCozumleyici {
+  /**
+   * @param {Object} options - { gecerliMi: kelime => boolean, maxSonuc }
+   */
+  constructor(options = {}) {
+    this.gecerliMi = options.gecerliMi || (() => false);
+    this.maxSonuc = options.maxSonuc || 5;
+  }
+
+  /**
+   * Kelimeyi kök ve eklerine ayırır
+   * @param {string} kelime - Çekimli kelime (örn. "kitaplarımızdan")
+   * @returns {Array<Object>} - [{ kok, govde, tur, ekler: [{ ek, desen, ad, tur }] }], en olası ilk sırada
+   */
+  cozumle(kelime) {
+    const katli = katla(kelime);
+    if (!katli || /\s/.test(katli)) return [];
+
+    const sonuclar = [];
+    const gorulen = new Set();
+    const ekle = (cozum) => {
+      const anahtar = `${cozum.kok}|${cozum.ekler.map(e => e.ek).join('+')}`;
+      if (!gorulen.has(anahtar)) {
+        gorulen.add(anahtar);
+        sonuclar.push(cozum);
+      }
+    };
+
+    this._soy(katli, ISIM_YUVALARI, 0, [], 'isim', ekle);
+    this._soy(katli, FIIL_YUVALARI, 0, [], 'fiil', ekle);
+
+    // En uzun kök, sonra en az ek
+    return sonuclar
+      .sort((a, b) => b.govde.length - a.govde.length || a.ekler.length - b.ekler.length)
+      .slice(0, this.maxSonuc);
+  }
+
+  /**
+   * En olası çözümleme
+   * @param {string} kelime - Çekimli kelime
+   * @returns {Object|null}
+   */
+  kokBul(kelime) {
+    return this.cozumle(kelime)[0] || null;
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  _soy(govde, yuvalar, yuvaIndex, ekler, tur, ekle) {
+    if (ekler.length > 0) {
+      const kok = this._kokDogrula(govde, ekler[0], tur);
+      if (kok) ekle({ kok, govde, tur, ekler: [...ekler] });
+    }
+
+    for (let y = yuvaIndex; y < yuvalar.length; y++) {
+      const yuva = yuvalar[y];
+
+      for (const ek of yuva.ekler) {
+        for (const kalan of this._ekCikar(govde, ek.desen, ekler[0])) {
+          ekler.unshift({ ek: govde.slice(kalan.length), desen: ek.desen, ad: ek.ad, tur: yuva.tur });
+          // Aynı yuvadan ikinci ek alınmaz, bir sonraki yuvadan devam
+          this._soy(kalan, yuvalar, y + 1, ekler, tur, ekle);
+          ekler.shift();
+        }
+      }
+    }
+  }
+
+  _ekCikar(kelime, desen, sonrakiEk) {
+    const govdeler = [];
+    const sonrakiUnluIle = sonrakiEk && unluMu(sonrakiEk.ek[0]);
+
+    // Ek en fazla 7 harf olabilir; en az 2 harflik gövde bırak
+    for (let n = 1; n <= Math.min(7, kelime.length - 2); n++) {
+      const govde = kelime.slice(0, kelime.length - n);
+      const yuzey = ekGerceklestir(desen, govde);
+      const parca = kelime.slice(kelime.length - n);
+
+      if (parca === yuzey) {
+        govdeler.push(govde);
+      } else if (sonrakiUnluIle && yuzey.endsWith('k') && parca === yuzey.slice(0, -1) + 'ğ') {
+        // Ek sonu yumuşaması: gelecek-im → geleceğim, güzellik-i → güzelliği
+        govdeler.push(govde);
+      }
+    }
+
+    return govdeler;
+  }
+
+  _kokDogrula(govde, ilkEk, tur) {
+    const adaylar = [govde];
+
+    if (unluMu(ilkEk.ek[0])) {
+      const son = govde[govde.length - 1];
+      // Ünsüz yumuşaması: kitab-ı → kitap, ağac-ı → ağaç
+      if (YUMUSAMA[son]) adaylar.push(govde.slice(0, -1) + YUMUSAMA[son]);
+
+      // Ünlü düşmesi: ağz-ı → ağız, burn-u → burun
+      const onceki = govde[govde.length - 2];
+      if (son && onceki && !unluMu(son) && !unluMu(onceki)) {
+        const dar = ekGerceklestir('I', govde.slice(0, -1));
+        adaylar.push(govde.slice(0, -1) + dar + son);
+      }
+    }
+
+    for (const aday of adaylar) {
+      if (tur === 'isim' && this.gecerliMi(aday)) return aday;
+      // Fiiller sözlükte mastar biçimiyle bulunur: gel → gelmek
+      if (tur === 'fiil') {
+        const mastar = aday + ekGerceklestir('mAk', aday);
+        if (this.gecerliMi(mastar)) return mastar;
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = {
+  MorfolojikCozumleyici,
+  ekGerceklestir
+};
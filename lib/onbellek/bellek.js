@@ -0,0 +1,61 @@
+const NodeCache = require("node-cache");
+
+/**
+ * Bellek içi önbellek adaptörü (NodeCache)
+ *
+ * Tüm adaptörler aynı arayüzü sunar:
+ * get(key), set(key, value, ttl), del(key), keys(), flush(), stats(), kapat()
+ * Metotların hepsi Promise döner.
+ */
+class BellekOnbellek {
+  constructor(options = {}) {
+    this.tur = 'bellek';
+    this.cache = new NodeCache({
+      stdTTL: options.stdTTL || 3600,
+      checkperiod: options.checkperiod || 600,
+      useClones: false
+    });
+    // Süresi dolduğu için silinen kayıtlar
+    this.evictions = 0;
+    this.cache.on('expired', () => { this.evictions++; });
+  }
+
+  async get(key) {
+    return this.cache.get(key);
+  }
+
+  async set(key, value, ttl) {
+    return ttl === undefined ? this.cache.set(key, value) : this.cache.set(key, value, ttl);
+  }
+
+  async del(key) {
+    return this.cache.del(key);
+  }
+
+  async keys() {
+    return this.cache.keys();
+  }
+
+  async flush() {
+    this.cache.flushAll();
+  }
+
+  async stats() {
+    const stats = this.cache.getStats();
+    return {
+      hits: stats.hits,
+      misses: stats.misses,
+      keys: stats.keys,
+      ksize: stats.ksize,
+      vsize: stats.vsize,
+      evictions: this.evictions
+    };
+  }
+
+  async kapat() {
+    this.cache.close();
+  }
+}
+
+module.exports = BellekOnbellek;
+module.exports.BellekOnbellek = BellekOnbellek;
@@ -0,0 +1,154 @@
+const fs = require("fs");
+const path = require("path");
+const { gunlukOlustur } = require("../gunluk");
+
+/**
+ * Dosya tabanlı kalıcı önbellek adaptörü
+ *
+ * Kayıtlar bellekte tutulur ve kısa bir gecikmeyle tek bir JSON dosyasına
+ * yazılır. Dosya önce geçici isimle yazılıp yeniden adlandırıldığı için
+ * yarım kalan yazma mevcut önbelleği bozmaz. Sunucu yeniden başladığında
+ * süresi dolmamış kayıtlar geri yüklenir.
+ */
+class DosyaOnbellek {
+  constructor(options = {}) {
+    this.tur = 'dosya';
+    this.logger = gunlukOlustur(options.logger);
+    this.dosya = options.dosya || path.join(process.cwd(), '.creart-tdk-cache.json');
+    this.stdTTL = options.stdTTL || 3600;
+    this.yazmaGecikmesi = options.yazmaGecikmesi ?? 1000;
+    this.kayitlar = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    this._zamanlayici = null;
+    this._hazir = this._yukle();
+  }
+
+  async get(key) {
+    await this._hazir;
+    const kayit = this.kayitlar.get(key);
+
+    if (!kayit || this._dolmus(kayit)) {
+      if (kayit) {
+        this._sil(key);
+        this.evictions++;
+      }
+      this.misses++;
+      return undefined;
+    }
+
+    this.hits++;
+    return kayit.v;
+  }
+
+  async set(key, value, ttl = this.stdTTL) {
+    await this._hazir;
+    this.kayitlar.set(key, { v: value, e: ttl > 0 ? Date.now() + ttl * 1000 : 0 });
+    this._kaydetmeyiPlanla();
+    return true;
+  }
+
+  async del(key) {
+    await this._hazir;
+    return this._sil(key) ? 1 : 0;
+  }
+
+  async keys() {
+    await this._hazir;
+    return [...this.kayitlar.entries()]
+      .filter(([, kayit]) => !this._dolmus(kayit))
+      .map(([key]) => key);
+  }
+
+  async flush() {
+    await this._hazir;
+    this.kayitlar.clear();
+    this._kaydetmeyiPlanla();
+  }
+
+  async stats() {
+    const keys = await this.keys();
+    let vsize = 0;
+    keys.forEach(key => {
+      vsize += Buffer.byteLength(JSON.stringify(this.kayitlar.get(key).v) || '');
+    });
+
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      keys: keys.length,
+      ksize: keys.reduce((toplam, key) => toplam + Buffer.byteLength(key), 0),
+      vsize: vsize,
+      evictions: this.evictions
+    };
+  }
+
+  async kapat() {
+    await this._hazir;
+    if (this._zamanlayici) {
+      clearTimeout(this._zamanlayici);
+      this._zamanlayici = null;
+    }
+    await this.kaydet();
+  }
+
+  /**
+   * Bekleyen değişiklikleri hemen dosyaya yazar
+   * @returns {Promise<void>}
+   */
+  async kaydet() {
+    const veri = {};
+    this.kayitlar.forEach((kayit, key) => {
+      if (!this._dolmus(kayit)) veri[key] = kayit;
+    });
+
+    const gecici = `${this.dosya}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.dosya), { recursive: true });
+    await fs.promises.writeFile(gecici, JSON.stringify(veri), 'utf8');
+    await fs.promises.rename(gecici, this.dosya);
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  async _yukle() {
+    try {
+      const veri = JSON.parse(await fs.promises.readFile(this.dosya, 'utf8'));
+      Object.entries(veri).forEach(([key, kayit]) => {
+        if (kayit && !this._dolmus(kayit)) this.kayitlar.set(key, kayit);
+      });
+    } catch (error) {
+      // Dosya yoksa boş önbellekle başla
+      if (error.code !== 'ENOENT') {
+        this.logger.warn({ dosya: this.dosya, err: error }, 'Önbellek dosyası okunamadı');
+      }
+    }
+  }
+
+  _dolmus(kayit) {
+    return kayit.e !== 0 && kayit.e <= Date.now();
+  }
+
+  _sil(key) {
+    const silindi = this.kayitlar.delete(key);
+    if (silindi) this._kaydetmeyiPlanla();
+    return silindi;
+  }
+
+  _kaydetmeyiPlanla() {
+    if (this._zamanlayici) return;
+
+    this._zamanlayici = setTimeout(() => {
+      this._zamanlayici = null;
+      this.kaydet().catch(error => {
+        this.logger.warn({ dosya: this.dosya, err: error }, 'Önbellek dosyası yazılamadı');
+      });
+    }, this.yazmaGecikmesi);
+
+    // Bekleyen yazma süreci açık tutmasın
+    if (this._zamanlayici.unref) this._zamanlayici.unref();
+  }
+}
+
+module.exports = DosyaOnbellek;
+module.exports.DosyaOnbellek = DosyaOnbellek;
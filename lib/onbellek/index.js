@@ -0,0 +1,39 @@
+const BellekOnbellek = require("./bellek");
+const DosyaOnbellek = require("./dosya");
+const RedisOnbellek = require("./redis");
+
+const ADAPTORLER = {
+  bellek: BellekOnbellek,
+  dosya: DosyaOnbellek,
+  redis: RedisOnbellek
+};
+
+const ARAYUZ = ['get', 'set', 'del', 'keys', 'flush', 'stats'];
+
+/**
+ * Seçeneklere göre önbellek adaptörü oluşturur
+ * @param {Object} secenek - Hazır adaptör ya da { tur: 'bellek'|'dosya'|'redis', ...ayarlar }
+ * @param {Object} varsayilanlar - Ayarlarda verilmeyen ortak değerler (örn. { logger })
+ * @returns {Object} - Önbellek adaptörü
+ */
+function onbellekOlustur(secenek = {}, varsayilanlar = {}) {
+  if (secenek && ARAYUZ.every(metot => typeof secenek[metot] === 'function')) {
+    return secenek;
+  }
+
+  const { tur = 'bellek', ...ayarlar } = secenek || {};
+  const Adaptor = ADAPTORLER[tur];
+
+  if (!Adaptor) {
+    throw new Error(`Bilinmeyen önbellek türü: "${tur}" (bellek, dosya veya redis olmalı)`);
+  }
+
+  return new Adaptor({ ...varsayilanlar, ...ayarlar });
+}
+
+module.exports = {
+  onbellekOlustur,
+  BellekOnbellek,
+  DosyaOnbellek,
+  RedisOnbellek
+};
@@ -0,0 +1,250 @@
+const net = require("net");
+
+/**
+ * Redis protokolü (RESP) konuşan önbellek adaptörü
+ *
+ * Harici bağımlılık gerektirmez; Redis, KeyDB, Valkey, Dragonfly gibi
+ * RESP uyumlu her sunucuyla çalışır. Böylece birden fazla sunucu kopyası
+ * aynı önbelleği paylaşır. Değerler JSON olarak saklanır ve tüm anahtarlar
+ * `onEk` ile başlar, `flush` sadece bu ön ekli anahtarları siler.
+ *
+ * Bağlanıp cevap vermeyi bırakan sunucu aramaları bekletmesin diye her komut
+ * `komutZamanAsimi` ms içinde cevaplanmazsa reddedilir ve bağlantı kapatılır;
+ * sonraki komut yeniden bağlanır.
+ */
+class RedisOnbellek {
+  constructor(options = {}) {
+    const url = new URL(options.url || 'redis://127.0.0.1:6379');
+
+    this.tur = 'redis';
+    this.host = options.host || url.hostname || '127.0.0.1';
+    this.port = Number(options.port || url.port || 6379);
+    this.password = options.password || decodeURIComponent(url.password || '') || null;
+    this.db = Number(options.db ?? (url.pathname.replace('/', '') || 0));
+    this.onEk = options.onEk ?? 'creart-tdk:';
+    this.stdTTL = options.stdTTL || 3600;
+    this.baglantiZamanAsimi = options.baglantiZamanAsimi || 5000;
+    this.komutZamanAsimi = options.komutZamanAsimi || 2000;
+
+    this.hits = 0;
+    this.misses = 0;
+    this._soket = null;
+    this._baglaniyor = null;
+    this._bekleyenler = [];
+    this._tampon = Buffer.alloc(0);
+  }
+
+  async get(key) {
+    const deger = await this.komut('GET', this.onEk + key);
+
+    if (deger === null) {
+      this.misses++;
+      return undefined;
+    }
+
+    this.hits++;
+    return JSON.parse(deger);
+  }
+
+  async set(key, value, ttl = this.stdTTL) {
+    const args = ['SET', this.onEk + key, JSON.stringify(value)];
+    if (ttl > 0) args.push('EX', String(Math.ceil(ttl)));
+    return (await this.komut(...args)) === 'OK';
+  }
+
+  async del(key) {
+    return this.komut('DEL', this.onEk + key);
+  }
+
+  async keys() {
+    const anahtarlar = [];
+    let imlec = '0';
+
+    // KEYS yerine SCAN: büyük veritabanlarında sunucuyu kilitlemez
+    do {
+      const [sonraki, parca] = await this.komut('SCAN', imlec, 'MATCH', `${this.onEk}*`, 'COUNT', '1000');
+      imlec = sonraki;
+      parca.forEach(key => anahtarlar.push(key.slice(this.onEk.length)));
+    } while (imlec !== '0');
+
+    return [...new Set(anahtarlar)];
+  }
+
+  async flush() {
+    const anahtarlar = await this.keys();
+    for (let i = 0; i < anahtarlar.length; i += 500) {
+      await this.komut('DEL', ...anahtarlar.slice(i, i + 500).map(key => this.onEk + key));
+    }
+  }
+
+  async stats() {
+    const anahtarlar = await this.keys();
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      keys: anahtarlar.length,
+      ksize: anahtarlar.reduce((toplam, key) => toplam + Buffer.byteLength(key), 0),
+      vsize: null,
+      // Süre dolumunu Redis yapar, bu ön eke ait sayı bilinemez
+      evictions: null
+    };
+  }
+
+  async kapat() {
+    if (!this._soket) return;
+    const soket = this._soket;
+    try {
+      await this.komut('QUIT');
+    } catch {
+      // Bağlantı zaten kopmuş olabilir
+    }
+    soket.destroy();
+  }
+
+  /**
+   * Ham Redis komutu gönderir
+   * @param {...string} args - Komut ve argümanları
+   * @returns {Promise<*>} - Çözümlenmiş RESP cevabı
+   */
+  async komut(...args) {
+    await this._baglan();
+    return this._gonder(args);
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  _baglan() {
+    if (this._soket) return Promise.resolve();
+    if (this._baglaniyor) return this._baglaniyor;
+
+    this._baglaniyor = new Promise((resolve, reject) => {
+      const soket = net.createConnection({ host: this.host, port: this.port });
+      soket.setNoDelay(true);
+      soket.setTimeout(this.baglantiZamanAsimi, () => {
+        soket.destroy(new Error(`Redis bağlantısı zaman aşımına uğradı (${this.host}:${this.port})`));
+      });
+
+      soket.once('connect', async () => {
+        soket.setTimeout(0);
+        this._soket = soket;
+        try {
+          if (this.password) await this._gonder(['AUTH', this.password]);
+          if (this.db) await this._gonder(['SELECT', String(this.db)]);
+          resolve();
+        } catch (error) {
+          soket.destroy();
+          reject(error);
+        }
+      });
+
+      soket.on('data', parca => this._veriIsle(parca));
+      soket.on('error', error => {
+        if (!this._soket) reject(error);
+        this._bagKoptu(error, soket);
+      });
+      soket.on('close', () => this._bagKoptu(new Error('Redis bağlantısı kapandı'), soket));
+    }).finally(() => {
+      this._baglaniyor = null;
+    });
+
+    return this._baglaniyor;
+  }
+
+  _gonder(args) {
+    return new Promise((resolve, reject) => {
+      let mesaj = `*${args.length}\r\n`;
+      args.forEach(arg => {
+        const metin = String(arg);
+        mesaj += `$${Buffer.byteLength(metin)}\r\n${metin}\r\n`;
+      });
+
+      const soket = this._soket;
+      const zamanlayici = setTimeout(() => {
+        // Cevaplar sırayla geldiğinden tek komut atlanamaz: bağlantı bırakılır
+        this._bagKoptu(new Error(`Redis ${args[0]} komutu ${this.komutZamanAsimi}ms içinde cevaplanmadı`), soket);
+        soket.destroy();
+      }, this.komutZamanAsimi);
+      zamanlayici.unref();
+
+      this._bekleyenler.push({ resolve, reject, zamanlayici });
+      soket.write(mesaj);
+    });
+  }
+
+  _bagKoptu(error, soket) {
+    // Eski bağlantının geç gelen olayları yeni bağlantıyı düşürmesin
+    if (soket && this._soket && this._soket !== soket) return;
+
+    this._soket = null;
+    this._tampon = Buffer.alloc(0);
+    const bekleyenler = this._bekleyenler;
+    this._bekleyenler = [];
+    bekleyenler.forEach(b => {
+      clearTimeout(b.zamanlayici);
+      b.reject(error);
+    });
+  }
+
+  _veriIsle(parca) {
+    this._tampon = Buffer.concat([this._tampon, parca]);
+
+    while (this._bekleyenler.length > 0) {
+      const sonuc = RedisOnbellek._ayristir(this._tampon, 0);
+      if (!sonuc) return;
+
+      this._tampon = this._tampon.subarray(sonuc.son);
+      const bekleyen = this._bekleyenler.shift();
+      clearTimeout(bekleyen.zamanlayici);
+      if (sonuc.deger instanceof Error) bekleyen.reject(sonuc.deger);
+      else bekleyen.resolve(sonuc.deger);
+    }
+  }
+
+  /**
+   * RESP cevabını ayrıştırır; veri eksikse null döner
+   * @param {Buffer} tampon - Gelen veri
+   * @param {number} konum - Başlangıç konumu
+   * @returns {Object|null} - { deger, son }
+   */
+  static _ayristir(tampon, konum) {
+    const satirSonu = tampon.indexOf('\r\n', konum);
+    if (satirSonu === -1) return null;
+
+    const tip = String.fromCharCode(tampon[konum]);
+    const satir = tampon.toString('utf8', konum + 1, satirSonu);
+    const sonraki = satirSonu + 2;
+
+    switch (tip) {
+      case '+':
+        return { deger: satir, son: sonraki };
+      case '-':
+        return { deger: new Error(satir), son: sonraki };
+      case ':':
+        return { deger: Number(satir), son: sonraki };
+      case '$': {
+        const uzunluk = Number(satir);
+        if (uzunluk === -1) return { deger: null, son: sonraki };
+        if (tampon.length < sonraki + uzunluk + 2) return null;
+        return { deger: tampon.toString('utf8', sonraki, sonraki + uzunluk), son: sonraki + uzunluk + 2 };
+      }
+      case '*': {
+        const adet = Number(satir);
+        if (adet === -1) return { deger: null, son: sonraki };
+        const dizi = [];
+        let son = sonraki;
+        for (let i = 0; i < adet; i++) {
+          const eleman = RedisOnbellek._ayristir(tampon, son);
+          if (!eleman) return null;
+          dizi.push(eleman.deger);
+          son = eleman.son;
+        }
+        return { deger: dizi, son };
+      }
+      default:
+        return { deger: new Error(`Bilinmeyen RESP tipi: ${tip}`), son: sonraki };
+    }
+  }
+}
+
+module.exports = RedisOnbellek;
+module.exports.RedisOnbellek = RedisOnbellek;
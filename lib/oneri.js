@@ -0,0 +1,215 @@
+const { katla } = require("./turkce");
+
+/**
+ * Türkçe'ye göre ayarlanmış yazım önerisi motoru
+ *
+ * Ağırlıklı Damerau-Levenshtein (bitişik yer değiştirmeli) mesafesi kullanır.
+ * Türkçe klavyesi olmayan kullanıcıların sık yaptığı karışıklıklar (ı/i, ş/s,
+ * ğ/g, ç/c, ö/o, ü/u) ve Türkçe Q klavyede komşu tuşlar daha ucuz sayılır.
+ */
+
+const BENZER_HARFLER = [
+  ['ı', 'i'], ['ş', 's'], ['ğ', 'g'], ['ç', 'c'], ['ö', 'o'], ['ü', 'u']
+];
+
+const KLAVYE_SATIRLARI = [
+  'qwertyuıopğü',
+  'asdfghjklşi',
+  'zxcvbnmöç'
+];
+
+const MALIYET = {
+  benzerHarf: 0.3,
+  komsuTus: 0.6,
+  degistirme: 1,
+  ekleme: 1,
+  silme: 1,
+  yerDegistirme: 0.8
+};
+
+const BENZER = new Set(BENZER_HARFLER.flatMap(([a, b]) => [a + b, b + a]));
+const KOMSU = klavyeKomsulari();
+
+function klavyeKomsulari() {
+  const komsular = new Set();
+  const ekle = (a, b) => {
+    if (a && b) {
+      komsular.add(a + b);
+      komsular.add(b + a);
+    }
+  };
+
+  KLAVYE_SATIRLARI.forEach((satir, s) => {
+    const alt = KLAVYE_SATIRLARI[s + 1] || '';
+    for (let i = 0; i < satir.length; i++) {
+      ekle(satir[i], satir[i + 1]);
+      // Alt satır yarım tuş sağa kaydırılmış kabul edilir
+      ekle(satir[i], alt[i - 1]);
+      ekle(satir[i], alt[i]);
+    }
+  });
+
+  return komsular;
+}
+
+/**
+ * İki harf arasındaki değiştirme maliyeti
+ * @param {string} a - Harf
+ * @param {string} b - Harf
+ * @returns {number}
+ */
+function degistirmeMaliyeti(a, b) {
+  if (a === b) return 0;
+  if (BENZER.has(a + b)) return MALIYET.benzerHarf;
+  if (KOMSU.has(a + b)) return MALIYET.komsuTus;
+  return MALIYET.degistirme;
+}
+
+// Sıcak döngüde string birleştirme yerine harf kodları ve hazır maliyet tablosu
+const TABLO_BOYUTU = 128;
+const HARF_KODLARI = new Map();
+const HARFLER = [];
+const MALIYET_TABLOSU = new Float64Array(TABLO_BOYUTU * TABLO_BOYUTU).fill(-1);
+
+function harfKodu(harf) {
+  let kod = HARF_KODLARI.get(harf);
+  if (kod === undefined) {
+    kod = HARFLER.length;
+    HARF_KODLARI.set(harf, kod);
+    HARFLER.push(harf);
+  }
+  return kod;
+}
+
+function kodla(metin) {
+  return Int32Array.from(Array.from(metin), harfKodu);
+}
+
+function kodMaliyeti(a, b) {
+  if (a === b) return 0;
+  if (a >= TABLO_BOYUTU || b >= TABLO_BOYUTU) return degistirmeMaliyeti(HARFLER[a], HARFLER[b]);
+
+  const index = a * TABLO_BOYUTU + b;
+  if (MALIYET_TABLOSU[index] < 0) {
+    MALIYET_TABLOSU[index] = degistirmeMaliyeti(HARFLER[a], HARFLER[b]);
+  }
+  return MALIYET_TABLOSU[index];
+}
+
+/**
+ * Ağırlıklı Damerau-Levenshtein mesafesi
+ * @param {string|Int32Array} kaynak - Yanlış yazılmış kelime (ya da harf kodları)
+ * @param {string|Int32Array} hedef - Aday kelime (ya da harf kodları)
+ * @param {number} maxMesafe - Bu değeri aşınca hesaplamayı bırak
+ * @returns {number} - Mesafe (sınır aşılırsa Infinity)
+ */
+function mesafe(kaynak, hedef, maxMesafe = Infinity) {
+  const x = typeof kaynak === 'string' ? kodla(kaynak) : kaynak;
+  const y = typeof hedef === 'string' ? kodla(hedef) : hedef;
+
+  if (Math.abs(x.length - y.length) > maxMesafe) return Infinity;
+
+  let ikiOnceki = new Float64Array(y.length + 1);
+  let onceki = new Float64Array(y.length + 1);
+  let satir = new Float64Array(y.length + 1);
+  for (let j = 0; j <= y.length; j++) onceki[j] = j * MALIYET.ekleme;
+
+  for (let i = 1; i <= x.length; i++) {
+    satir[0] = i * MALIYET.silme;
+    let satirMin = satir[0];
+
+    for (let j = 1; j <= y.length; j++) {
+      let deger = Math.min(
+        onceki[j] + MALIYET.silme,
+        satir[j - 1] + MALIYET.ekleme,
+        onceki[j - 1] + kodMaliyeti(x[i - 1], y[j - 1])
+      );
+
+      if (i > 1 && j > 1 && x[i - 1] === y[j - 2] && x[i - 2] === y[j - 1]) {
+        deger = Math.min(deger, ikiOnceki[j - 2] + MALIYET.yerDegistirme);
+      }
+
+      satir[j] = deger;
+      if (deger < satirMin) satirMin = deger;
+    }
+
+    // Satırın en iyisi bile sınırı aştıysa sonuç da aşar
+    if (satirMin > maxMesafe) return Infinity;
+
+    // Satır dizilerini yeniden kullan
+    const bos = ikiOnceki;
+    ikiOnceki = onceki;
+    onceki = satir;
+    satir = bos;
+  }
+
+  const sonuc = onceki[y.length];
+  return sonuc > maxMesafe ? Infinity : Math.round(sonuc * 100) / 100;
+}
+
+/**
+ * Madde başı listesi üzerinde öneri motoru
+ */
+class OneriMotoru {
+  /**
+   * @param {Array<string>} kelimeler - Madde başları
+   * @param {Object} options - { frekans: kelime => arama sayısı }
+   */
+  constructor(kelimeler, options = {}) {
+    this.frekans = options.frekans || (() => 0);
+    // Uzunluğa göre kovalar: sadece uzunluk farkı sınır içinde olanlar denenir
+    this.kovalar = new Map();
+
+    kelimeler.forEach(kelime => {
+      const katli = katla(kelime);
+      const kodlar = kodla(katli);
+      if (!this.kovalar.has(kodlar.length)) this.kovalar.set(kodlar.length, []);
+      this.kovalar.get(kodlar.length).push({ kelime, katli, kodlar });
+    });
+  }
+
+  /**
+   * Kelime için sıralı öneriler
+   * @param {string} kelime - Yanlış yazılmış kelime
+   * @param {Object} options - { limit, maxMesafe }
+   * @returns {Array<Object>} - [{ kelime, mesafe, skor }]
+   */
+  oner(kelime, options = {}) {
+    const limit = options.limit || 5;
+    const maxMesafe = options.maxMesafe ?? 2;
+    const katli = katla(kelime);
+    const kodlar = kodla(katli);
+    const uzunluk = kodlar.length;
+    const adaylar = [];
+
+    if (!katli) return adaylar;
+
+    for (let fark = -Math.floor(maxMesafe); fark <= maxMesafe; fark++) {
+      (this.kovalar.get(uzunluk + fark) || []).forEach(aday => {
+        if (aday.katli === katli) return;
+        const m = mesafe(kodlar, aday.kodlar, maxMesafe);
+        if (m !== Infinity) adaylar.push({ kelime: aday.kelime, katli: aday.katli, mesafe: m });
+      });
+    }
+
+    const frekanslar = adaylar.map(a => this.frekans(a.katli) || 0);
+    const enYuksek = Math.log1p(Math.max(0, ...frekanslar)) || 1;
+
+    return adaylar
+      .map((aday, i) => ({
+        kelime: aday.kelime,
+        mesafe: aday.mesafe,
+        // Mesafe belirleyici, sık aranan kelimeler eşitlikte öne geçer
+        skor: Math.round(((1 - aday.mesafe / (maxMesafe + 1)) * 0.8 +
+          (Math.log1p(frekanslar[i]) / enYuksek) * 0.2) * 1000) / 1000
+      }))
+      .sort((a, b) => b.skor - a.skor || a.mesafe - b.mesafe)
+      .slice(0, limit);
+  }
+}
+
+module.exports = {
+  OneriMotoru,
+  mesafe,
+  degistirmeMaliyeti
+};
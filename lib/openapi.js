@@ -0,0 +1,568 @@
+const SorguIstatistik = require("./sorguIstatistik");
+const { FORMATLAR } = require("./disaAktar");
+const { BESLEME_TURLERI } = require("./besleme");
+const { SEMA_SURUMU, TANIMLAR, VERI_SEMALARI } = require("./semalar");
+
+/**
+ * Sunucu rotalarının tek kaynağı
+ *
+ * Her rota tanımı hem OpenAPI 3 belgesini üretir hem de istek doğrulamasında
+ * kullanılır (bkz. lib/dogrulama.js), böylece belge ile davranış ayrışmaz.
+ *
+ * Tanım: { method, yol, ozet, etiket, params, query, govde, veri, hatalar, dosya, akis, icerikTuru, yetki, herkeseAcik }
+ * - params/query: { ad: { sema, aciklama, zorunlu } }
+ * - govde: istek gövdesi şeması
+ * - veri: başarılı cevaptaki `data` şeması (metot sonuçlarınınki lib/semalar.js'den)
+ * - hatalar: rotaya özel hata durum kodları (400/429/500 her rotada var)
+ * - dosya: ?format= ile dışa aktarım destekleniyor
+ * - akis: sonuçlar NDJSON/SSE olarak akıtılabiliyor
+ * - icerikTuru: başarılı cevap JSON zarfı yerine bu türde (RSS/Atom)
+ * - yetki: 'admin' ise yönetici rolündeki API anahtarı gerekir
+ * - herkeseAcik: API anahtarı zorunlu olsa da anahtarsız çağrılabilir
+ */
+
+const KELIME = { type: 'string', minLength: 1, maxLength: 100 };
+const SAYFA = { type: 'integer', minimum: 1, maximum: 10000, default: 1 };
+const FORMAT = {
+  sema: { type: 'string', enum: Object.keys(FORMATLAR) },
+  aciklama: 'JSON yerine dosya olarak indir (Content-Disposition: attachment)'
+};
+
+const SWAGGER_UI_CDN = 'https://unpkg.com/swagger-ui-dist@5';
+
+const HATA_CEVAPLARI = {
+  400: 'İstek doğrulanamadı (GECERSIZ_GIRDI)',
+  401: 'API anahtarı yok ya da geçersiz (YETKISIZ)',
+  403: 'Anahtarın bu işleme yetkisi yok (ERISIM_YASAK)',
+  404: 'Bulunamadı (BULUNAMADI, KELIME_BULUNAMADI)',
+  409: 'Kaynağın durumu isteğe uygun değil (CAKISMA)',
+  429: 'Hız sınırı ya da günlük kota aşıldı (COK_FAZLA_ISTEK, KOTA_ASILDI)',
+  500: 'Sunucu hatası (SUNUCU_HATASI)',
+  502: "TDK hata döndürdü ya da ulaşılamadı (UPSTREAM_HATASI)",
+  503: 'TDK devresi açık (DEVRE_ACIK)',
+  504: 'TDK zamanında cevap vermedi (UPSTREAM_ZAMAN_ASIMI)'
+};
+
+/**
+ * Sunucu rotalarının tanımları
+ * @param {Object} options - { kaynaklar: ara'nın kaynak adları, maxIsKelime: bir işteki en fazla kelime }
+ * @returns {Array<Object>} - Rota tanımları
+ */
+function rotalariOlustur(options = {}) {
+  const kaynaklar = options.kaynaklar || [];
+  const isParametresi = { id: { sema: { type: 'string', format: 'uuid', pattern: '^[0-9a-fA-F-]{36}$' }, aciklama: 'İş kimliği' } };
+
+  return [
+    {
+      method: 'get',
+      yol: '/health',
+      ozet: 'Servis durumu, önbellek istatistikleri ve devre kesiciler',
+      etiket: 'Sistem',
+      herkeseAcik: true,
+      veri: { type: 'object' }
+    },
+    {
+      method: 'get',
+      yol: '/kelime/:kelime',
+      ozet: 'Kelime arama (anlamlar, atasözleri, deyimler, etimoloji ...)',
+      etiket: 'Sözlük',
+      params: { kelime: { sema: KELIME, aciklama: 'Aranacak kelime (çekimli biçim köküne indirilir)' } },
+      query: {
+        telaffuz: { sema: { type: 'boolean', default: false }, aciklama: 'Telaffuz ve ses dosyası eklensin' },
+        cacheTTL: { sema: { type: 'integer', minimum: 1, maximum: 86400 }, aciklama: 'Önbellek süresi (saniye)' },
+        kaynaklar: {
+          sema: { type: 'array', minItems: 1, items: { type: 'string', enum: kaynaklar } },
+          aciklama: 'Virgülle ayrılmış kaynaklar (varsayılan: hepsi)'
+        },
+        format: FORMAT
+      },
+      veri: VERI_SEMALARI.ara,
+      dosya: true,
+      hatalar: [404, 502, 503, 504]
+    },
+    {
+      method: 'get',
+      yol: '/gunun-kelimesi',
+      ozet: 'Günün kelimesi',
+      etiket: 'Sözlük',
+      veri: VERI_SEMALARI.gununKelimesi,
+      hatalar: [502, 503, 504]
+    },
+    {
+      method: 'get',
+      yol: '/gunun-kelimesi/gecmis',
+      ozet: 'Arşivdeki günün kelimeleri (yeniden eskiye, sayfalı)',
+      etiket: 'Sözlük',
+      query: {
+        sayfa: { sema: SAYFA, aciklama: 'Sayfa numarası' },
+        limit: { sema: { type: 'integer', minimum: 1, maximum: 100, default: 30 }, aciklama: 'Sayfa boyutu' }
+      },
+      veri: VERI_SEMALARI.gununKelimesiGecmisi
+    },
+    ...Object.entries(BESLEME_TURLERI).map(([tur, icerikTuru]) => ({
+      method: 'get',
+      yol: `/gunun-kelimesi/${tur}`,
+      ozet: `Günün kelimesi ${tur === 'rss' ? 'RSS 2.0' : 'Atom'} beslemesi`,
+      etiket: 'Sözlük',
+      query: { limit: { sema: { type: 'integer', minimum: 1, maximum: 100, default: 30 }, aciklama: 'Kayıt sayısı' } },
+      icerikTuru: icerikTuru,
+      // Besleme okuyucuları başlık gönderemez
+      herkeseAcik: true
+    })),
+    {
+      method: 'get',
+      yol: '/gunun-kelimesi/:tarih',
+      ozet: 'Geçmiş bir günün kelimesi (arşivden)',
+      etiket: 'Sözlük',
+      params: {
+        tarih: { sema: { type: 'string', format: 'date', pattern: '^\\d{4}-\\d{2}-\\d{2}$' }, aciklama: 'YYYY-MM-DD (UTC)' }
+      },
+      veri: VERI_SEMALARI.gununKelimesi,
+      hatalar: [404, 502, 503, 504]
+    },
+    {
+      method: 'post',
+      yol: '/yazim-denetimi',
+      ozet: 'Metindeki kelimelerin yazım denetimi ve öneriler',
+      etiket: 'Yazım',
+      govde: {
+        type: 'object',
+        required: ['metin'],
+        properties: {
+          metin: { type: 'string', minLength: 1, maxLength: 10000 },
+          oneriSayisi: { type: 'integer', minimum: 1, maximum: 20, default: 5 }
+        }
+      },
+      veri: VERI_SEMALARI.yazimDenetimi,
+      hatalar: [502, 503, 504]
+    },
+    {
+      method: 'post',
+      yol: '/yabanci-kelime',
+      ozet: 'Metindeki yabancı kökenli kelimeler, köken dilleri ve Türkçe karşılıkları',
+      etiket: 'Yazım',
+      govde: {
+        type: 'object',
+        required: ['metin'],
+        properties: {
+          metin: { type: 'string', minLength: 1, maxLength: 10000 }
+        }
+      },
+      veri: VERI_SEMALARI.yabanciKelimeAnalizi,
+      hatalar: [502, 503, 504]
+    },
+    {
+      method: 'get',
+      yol: '/atasozu/:anahtar',
+      ozet: 'Atasözü ve deyim arama',
+      etiket: 'Sözlük',
+      params: { anahtar: { sema: KELIME, aciklama: 'Anahtar kelime' } },
+      veri: VERI_SEMALARI.atasozuAra,
+      hatalar: [502, 503, 504]
+    },
+    {
+      method: 'get',
+      yol: '/benzer/:kelime',
+      ozet: 'Benzer kelimeler (madde başı indeksinden)',
+      etiket: 'Kelime listeleri',
+      params: { kelime: { sema: KELIME, aciklama: 'Ana kelime' } },
+      query: { limit: { sema: { type: 'integer', minimum: 1, maximum: 100, default: 10 }, aciklama: 'Sonuç sayısı' } },
+      veri: VERI_SEMALARI.benzerKelimeler
+    },
+    {
+      method: 'get',
+      yol: '/harf/:harf',
+      ozet: 'Harfe (ya da ön eke) göre sayfalı kelime listesi',
+      etiket: 'Kelime listeleri',
+      params: { harf: { sema: { type: 'string', minLength: 1, maxLength: 20 }, aciklama: 'Harf ya da ön ek' } },
+      query: {
+        sayfa: { sema: SAYFA, aciklama: 'Sayfa numarası' },
+        limit: { sema: { type: 'integer', minimum: 1, maximum: 500, default: 50 }, aciklama: 'Sayfa boyutu' }
+      },
+      veri: VERI_SEMALARI.harfeGoreKelimeler
+    },
+    ...['/desen/:pattern', '/asterisk/:pattern'].map(yol => ({
+      method: 'get',
+      yol: yol,
+      ozet: yol.startsWith('/desen') ? 'Joker desen ile kelime arama (k?tap, k*p,5)' : 'Desen araması (/desen için eski isim)',
+      etiket: 'Kelime listeleri',
+      params: { pattern: { sema: { type: 'string', minLength: 1, maxLength: 100 }, aciklama: '? tek harf, * sıfır ya da daha fazla harf; ,N uzunluk' } },
+      query: {
+        sayfa: { sema: SAYFA, aciklama: 'Sayfa numarası' },
+        limit: { sema: { type: 'integer', minimum: 1, maximum: 500, default: 50 }, aciklama: 'Sayfa boyutu' }
+      },
+      veri: VERI_SEMALARI.desenAra
+    })),
+    {
+      method: 'get',
+      yol: '/tamamla',
+      ozet: 'Ön ek ile otomatik tamamlama',
+      etiket: 'Kelime listeleri',
+      query: {
+        q: { sema: { type: 'string', minLength: 1, maxLength: 100 }, aciklama: 'Yazılan ön ek', zorunlu: true },
+        limit: { sema: { type: 'integer', minimum: 1, maximum: 50, default: 10 }, aciklama: 'Öneri sayısı' }
+      },
+      veri: VERI_SEMALARI.otomatikTamamla
+    },
+    {
+      method: 'get',
+      yol: '/populer',
+      ozet: 'En çok aranan kelimeler',
+      etiket: 'İstatistik',
+      query: {
+        pencere: { sema: { type: 'string', enum: SorguIstatistik.pencereler, default: 'tum' }, aciklama: 'Zaman penceresi' },
+        limit: { sema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }, aciklama: 'Sonuç sayısı' }
+      },
+      veri: VERI_SEMALARI.populerAramalar
+    },
+    {
+      method: 'get',
+      yol: '/rastgele',
+      ozet: 'Rastgele kelime ve detayları',
+      etiket: 'Sözlük',
+      veri: VERI_SEMALARI.rastgeleKelime,
+      hatalar: [404]
+    },
+    {
+      method: 'get',
+      yol: '/ses/:kelime',
+      ozet: 'Telaffuz ve ses dosyası',
+      etiket: 'Sözlük',
+      params: { kelime: { sema: KELIME, aciklama: 'Kelime' } },
+      veri: VERI_SEMALARI.sesGetir,
+      hatalar: [404, 502, 503, 504]
+    },
+    {
+      method: 'delete',
+      yol: '/cache',
+      ozet: 'Önbelleği temizle',
+      etiket: 'Sistem',
+      yetki: 'admin',
+      query: { pattern: { sema: { type: 'string', minLength: 1, maxLength: 200 }, aciklama: 'Sadece bu metni içeren anahtarlar' } }
+    },
+    {
+      method: 'get',
+      yol: '/cache/stats',
+      ozet: 'Önbellek istatistikleri',
+      etiket: 'Sistem',
+      yetki: 'admin',
+      veri: VERI_SEMALARI.cacheIstatistik
+    },
+    {
+      method: 'post',
+      yol: '/batch',
+      ozet: 'Çoklu kelime arama (en fazla 50); NDJSON ya da SSE ile akış',
+      etiket: 'Sözlük',
+      query: {
+        format: FORMAT,
+        akis: {
+          sema: { type: 'string', enum: ['ndjson', 'sse'] },
+          aciklama: 'Sonuçları hazır oldukça gönder (Accept: application/x-ndjson ya da text/event-stream ile de seçilir)'
+        }
+      },
+      dosya: true,
+      akis: true,
+      hatalar: [404],
+      govde: {
+        type: 'object',
+        required: ['kelimeler'],
+        properties: {
+          kelimeler: { type: 'array', minItems: 1, maxItems: 50, items: KELIME }
+        }
+      },
+      veri: VERI_SEMALARI.topluAra
+    },
+    {
+      method: 'post',
+      yol: '/jobs',
+      ozet: 'Büyük kelime listesi için arka plan işi oluştur (202, Location başlığı)',
+      etiket: 'İşler',
+      govde: {
+        type: 'object',
+        required: ['kelimeler'],
+        properties: {
+          kelimeler: { type: 'array', minItems: 1, maxItems: options.maxIsKelime || 10000, items: KELIME }
+        }
+      },
+      veri: { $ref: '#/$defs/Is' }
+    },
+    {
+      method: 'get',
+      yol: '/jobs/:id',
+      ozet: 'İşin durumu ve ilerlemesi',
+      etiket: 'İşler',
+      params: isParametresi,
+      veri: { $ref: '#/$defs/Is' },
+      hatalar: [404]
+    },
+    {
+      method: 'get',
+      yol: '/jobs/:id/sonuclar',
+      ozet: 'Biten işin sonuçları (kelime sırasıyla)',
+      etiket: 'İşler',
+      params: isParametresi,
+      query: { format: FORMAT },
+      veri: VERI_SEMALARI.topluAra,
+      dosya: true,
+      hatalar: [404, 409]
+    },
+    {
+      method: 'delete',
+      yol: '/jobs/:id',
+      ozet: 'İşi iptal et ve sil',
+      etiket: 'İşler',
+      params: isParametresi,
+      veri: { $ref: '#/$defs/Is' },
+      hatalar: [404]
+    },
+    {
+      method: 'get',
+      yol: '/admin/kullanim',
+      ozet: 'API anahtarı başına kullanım sayaçları',
+      etiket: 'Sistem',
+      yetki: 'admin',
+      veri: {
+        type: 'object',
+        properties: {
+          anahtarlar: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                ad: { type: 'string' },
+                rol: { type: 'string', enum: ['kullanici', 'admin'] },
+                limit: { type: ['integer', 'null'] },
+                gunlukKota: { type: ['integer', 'null'] },
+                toplamIstek: { type: 'integer' },
+                bugun: {
+                  type: 'object',
+                  properties: {
+                    tarih: { type: 'string', format: 'date' },
+                    istek: { type: 'integer' },
+                    kalan: { type: ['integer', 'null'] }
+                  }
+                },
+                reddedilen: {
+                  type: 'object',
+                  properties: { hiz: { type: 'integer' }, kota: { type: 'integer' } }
+                },
+                sonIstek: { type: ['string', 'null'], format: 'date-time' }
+              }
+            }
+          }
+        }
+      }
+    },
+    {
+      method: 'get',
+      yol: '/openapi.json',
+      ozet: 'Bu OpenAPI belgesi',
+      etiket: 'Sistem',
+      herkeseAcik: true,
+      zarfsiz: true
+    }
+  ];
+}
+
+function openapiYolu(yol) {
+  return yol.replace(/:(\w+)/g, '{$1}');
+}
+
+function parametreler(tanim) {
+  return ['params', 'query'].flatMap(konum => Object.entries(tanim[konum] || {}).map(([ad, parametre]) => {
+    const sonuc = {
+      name: ad,
+      in: konum === 'params' ? 'path' : 'query',
+      required: konum === 'params' || Boolean(parametre.zorunlu),
+      description: parametre.aciklama,
+      schema: parametre.sema
+    };
+    // Liste parametreleri virgülle ayrılır: ?kaynaklar=gts,etms
+    if (parametre.sema.type === 'array') {
+      sonuc.style = 'form';
+      sonuc.explode = false;
+    }
+    return sonuc;
+  }));
+}
+
+function cevaplar(tanim, anahtarZorunlu) {
+  const sonuc = {};
+
+  sonuc['200'] = tanim.zarfsiz
+    ? { description: 'Başarılı', content: { 'application/json': { schema: { type: 'object' } } } }
+    : {
+      description: 'Başarılı',
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            required: ['success', 'metadata'],
+            properties: {
+              success: { type: 'boolean', enum: [true] },
+              data: tanim.veri || { type: 'object' },
+              metadata: { $ref: '#/$defs/Metadata' }
+            }
+          }
+        }
+      }
+    };
+
+  // JSON yerine başka türde dönen rotalar (beslemeler)
+  if (tanim.icerikTuru) {
+    sonuc['200'] = { description: 'Başarılı', content: { [tanim.icerikTuru.split(';')[0]]: { schema: { type: 'string' } } } };
+  }
+
+  // ?format= ile dönen dosyalar
+  if (tanim.dosya) {
+    Object.values(FORMATLAR).forEach(({ icerikTuru }) => {
+      sonuc['200'].content[icerikTuru.split(';')[0]] = { schema: { type: 'string' } };
+    });
+  }
+
+  if (tanim.akis) {
+    sonuc['200'].content['application/x-ndjson'] = {
+      schema: { type: 'string', description: 'Her satır { tur: "sonuc", index, kelime, sonuc }, son satır { tur: "ozet", ... }' }
+    };
+    sonuc['200'].content['text/event-stream'] = {
+      schema: { type: 'string', description: '"sonuc" olayları ve son "ozet" olayı' }
+    };
+  }
+
+  const yetkiDurumlari = tanim.yetki ? [401, 403] : (anahtarZorunlu && !tanim.herkeseAcik ? [401] : []);
+  const durumlar = new Set([
+    ...(tanim.params || tanim.query || tanim.govde ? [400] : []),
+    ...yetkiDurumlari, 429, 500, ...(tanim.hatalar || [])
+  ]);
+  [...durumlar].sort().forEach(durum => {
+    sonuc[String(durum)] = { $ref: `#/components/responses/Hata${durum}` };
+  });
+
+  return sonuc;
+}
+
+// Şemalar lib/semalar.js'deki gibi #/$defs/ ile başvurur; OpenAPI'de components altındadır
+function refleriCevir(deger) {
+  if (Array.isArray(deger)) return deger.map(refleriCevir);
+  if (!deger || typeof deger !== 'object') return deger;
+
+  return Object.fromEntries(Object.entries(deger).map(([ad, alt]) => [
+    ad,
+    ad === '$ref' && typeof alt === 'string' ? alt.replace('#/$defs/', '#/components/schemas/') : refleriCevir(alt)
+  ]));
+}
+
+/**
+ * Rota tanımlarından OpenAPI 3.1 belgesi üretir
+ * @param {Array<Object>} rotalar - rotalariOlustur() çıktısı
+ * @param {Object} options - { apiPath, surum, sunucuUrl, anahtarZorunlu, apiSurumu: 'v2' ise normalize zarf anlatılır }
+ * @returns {Object} - OpenAPI belgesi
+ */
+function openapiBelgesi(rotalar, options = {}) {
+  const apiPath = options.apiPath || '/api';
+  const anahtarZorunlu = Boolean(options.anahtarZorunlu);
+  const guvenlik = [{ bearer: [] }, { apiAnahtari: [] }];
+  const paths = {};
+
+  rotalar.forEach(tanim => {
+    const yol = apiPath + openapiYolu(tanim.yol);
+    if (!paths[yol]) paths[yol] = {};
+
+    const islem = {
+      summary: tanim.ozet,
+      tags: [tanim.etiket],
+      operationId: `${tanim.method}${tanim.yol.replace(/[^a-zA-Z0-9]+(.)?/g, (_, harf) => (harf ? harf.toUpperCase() : ''))}`,
+      parameters: parametreler(tanim),
+      responses: cevaplar(tanim, anahtarZorunlu)
+    };
+
+    if (tanim.yetki) {
+      islem.description = 'Yönetici (admin) rolündeki API anahtarı gerekir.';
+      islem.security = guvenlik;
+    } else if (tanim.herkeseAcik) {
+      islem.security = [];
+    }
+
+    if (tanim.govde) {
+      islem.requestBody = {
+        required: true,
+        content: { 'application/json': { schema: tanim.govde } }
+      };
+    }
+
+    paths[yol][tanim.method] = islem;
+  });
+
+  const responses = {};
+  Object.entries(HATA_CEVAPLARI).forEach(([durum, aciklama]) => {
+    responses[`Hata${durum}`] = {
+      description: aciklama,
+      content: { 'application/json': { schema: { $ref: '#/$defs/HataSonucu' } } }
+    };
+  });
+
+  const tanitim = 'TDK sözlük verileri için REST API. Başarılı cevaplar `{ success: true, data, metadata }`, ' +
+    'hatalar `{ success: false, error: { code, message, details }, metadata }` zarfıyla döner.';
+  const v2Aciklamasi = ' Bu /v2 belgesidir: metadata her cevapta `apiSurumu`, `surum` ve `istekId` içerir, ' +
+    'alan adları Türkçedir (searchWord → kelime, processingTime → islemSuresi, source → kaynak) ve ' +
+    'kelime sonucunun kaynak durumu `data.metadata` yerine `metadata` altındadır.';
+
+  return refleriCevir({
+    openapi: '3.1.0',
+    jsonSchemaDialect: SEMA_SURUMU,
+    info: {
+      title: 'Creart TDK API',
+      version: options.surum || '1.0.0',
+      description: tanitim + (options.apiSurumu === 'v2' ? v2Aciklamasi : '')
+    },
+    servers: [{ url: options.sunucuUrl || '/' }],
+    ...(anahtarZorunlu ? { security: guvenlik } : {}),
+    paths: paths,
+    components: {
+      schemas: TANIMLAR,
+      responses: responses,
+      securitySchemes: {
+        bearer: { type: 'http', scheme: 'bearer', description: 'Authorization: Bearer <anahtar>' },
+        apiAnahtari: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      }
+    }
+  });
+}
+
+/**
+ * Swagger UI sayfası (CDN'den yüklenir, başlatma betiği dokumanBetigi'nden)
+ * @param {string} betikUrl - Başlatma betiğinin adresi
+ * @returns {string} - HTML
+ */
+function dokumanSayfasi(betikUrl) {
+  return `<!DOCTYPE html>
+<html lang="tr">
+<head>
+  <meta charset="utf-8">
+  <title>Creart TDK API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_CDN}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI_CDN}/swagger-ui-bundle.js"></script>
+  <script src="${betikUrl}"></script>
+</body>
+</html>`;
+}
+
+/**
+ * Swagger UI başlatma betiği (satır içi betik CSP'ye takılmasın diye ayrı dosya)
+ * @param {string} belgeUrl - OpenAPI belgesinin adresi
+ * @returns {string} - JavaScript
+ */
+function dokumanBetigi(belgeUrl) {
+  return `window.ui = SwaggerUIBundle({ url: ${JSON.stringify(belgeUrl)}, dom_id: '#swagger-ui' });\n`;
+}
+
+module.exports = {
+  rotalariOlustur,
+  openapiBelgesi,
+  dokumanSayfasi,
+  dokumanBetigi,
+  SWAGGER_UI_CDN
+};
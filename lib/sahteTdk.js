@@ -0,0 +1,176 @@
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const { etkilesimAnahtari, kasetOku } = require("./kaset");
+
+const VARSAYILAN_KASETLER = path.join(__dirname, '..', 'test', 'kasetler');
+
+// Kasette olmayan isteklere TDK'nın kendi "bulunamadı" cevabı
+const BULUNAMADI_GOVDESI = { error: 'Sonuç bulunamadı' };
+
+/**
+ * Ağ olmadan test için TDK yerine geçen HTTP sunucusu
+ *
+ * Kasetlerdeki (lib/kaset.js) cevapları oynatır; kasette olmayan istekler TDK
+ * gibi 200 ve `{ error: "Sonuç bulunamadı" }` alır. `senaryo()` ile endpoint
+ * başına 5xx, gecikme (zaman aşımı) ya da kopan bağlantı taklit edilir.
+ *
+ *   const tdkSunucu = new SahteTdk();
+ *   const tdk = new TDKSozluk({ baseURL: await tdkSunucu.baslat() });
+ *   tdkSunucu.senaryo('gts', { durum: 503, kez: 1 });
+ */
+class SahteTdk {
+  /**
+   * @param {Object} options - { kasetler: kaset dosyaları ya da klasörleri (varsayılan test/kasetler) }
+   */
+  constructor(options = {}) {
+    this.etkilesimler = new Map();
+    this.istekler = [];
+    this._senaryolar = [];
+    this._zamanlayicilar = new Set();
+    this.server = null;
+    this.url = null;
+
+    const kasetler = options.kasetler ?? (fs.existsSync(VARSAYILAN_KASETLER) ? VARSAYILAN_KASETLER : []);
+    [].concat(kasetler).forEach(kaynak => this.kasetYukle(kaynak));
+  }
+
+  /**
+   * Kaset dosyasını ya da klasördeki tüm .json kasetleri yükler
+   * @param {string} kaynak - Dosya ya da klasör yolu
+   * @returns {number} - Yüklenen etkileşim sayısı
+   */
+  kasetYukle(kaynak) {
+    const dosyalar = fs.statSync(kaynak).isDirectory()
+      ? fs.readdirSync(kaynak).filter(ad => ad.endsWith('.json')).sort().map(ad => path.join(kaynak, ad))
+      : [kaynak];
+
+    let sayi = 0;
+    dosyalar.forEach(dosya => {
+      kasetOku(dosya).forEach(etkilesim => {
+        this.etkilesimEkle(etkilesim);
+        sayi++;
+      });
+    });
+    return sayi;
+  }
+
+  /**
+   * Tek bir etkileşim ekler (aynı istek varsa üzerine yazar)
+   * @param {Object} etkilesim - { istek: { method, yol, sorgu }, cevap: { durum, icerikTuru, govde } }
+   */
+  etkilesimEkle(etkilesim) {
+    const { method = 'GET', yol, sorgu } = etkilesim.istek;
+    this.etkilesimler.set(etkilesimAnahtari(method, yol, sorgu), etkilesim);
+  }
+
+  /**
+   * Endpoint için hata senaryosu ekler; en son eklenen önce uygulanır
+   * @param {string} yol - Endpoint (gts, yazim...) ya da '*' (hepsi)
+   * @param {Object} ayar - { durum, govde, gecikme (ms), kopar: bağlantıyı kes, ara: sadece bu kelime, kez: kaç istekte uygulanacak }
+   * @returns {SahteTdk}
+   */
+  senaryo(yol, ayar = {}) {
+    this._senaryolar.unshift({ yol: String(yol).replace(/^\/+/, ''), kalan: ayar.kez ?? Infinity, ...ayar });
+    return this;
+  }
+
+  /**
+   * Senaryoları ve istek kayıtlarını siler
+   */
+  sifirla() {
+    this._senaryolar = [];
+    this.istekler = [];
+  }
+
+  /**
+   * Endpoint'e gelen istek sayısı
+   * @param {string} yol - Endpoint; verilmezse tüm istekler
+   * @returns {number}
+   */
+  istekSayisi(yol) {
+    return yol ? this.istekler.filter(istek => istek.yol === yol).length : this.istekler.length;
+  }
+
+  /**
+   * Rastgele bir portta dinlemeye başlar
+   * @param {number} port - Port (varsayılan 0: boş port)
+   * @returns {Promise<string>} - TDKSozluk'a baseURL olarak verilecek adres
+   */
+  baslat(port = 0) {
+    this.server = http.createServer((req, res) => this._cevapla(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}/`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Bekleyen gecikmeli cevapları iptal edip sunucuyu kapatır
+   * @returns {Promise<void>}
+   */
+  kapat() {
+    this._zamanlayicilar.forEach(zamanlayici => clearTimeout(zamanlayici));
+    this._zamanlayicilar.clear();
+    if (!this.server) return Promise.resolve();
+
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+    });
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  _cevapla(req, res) {
+    const adres = new URL(req.url, 'http://localhost');
+    const yol = adres.pathname.replace(/^\/+/, '');
+    const ara = adres.searchParams.get('ara');
+    this.istekler.push({ method: req.method, yol, sorgu: Object.fromEntries(adres.searchParams), zaman: Date.now() });
+
+    const senaryo = this._senaryolar.find(s =>
+      s.kalan > 0 && (s.yol === '*' || s.yol === yol) && (s.ara === undefined || s.ara === ara));
+    if (senaryo) senaryo.kalan--;
+
+    const gonder = () => {
+      if (senaryo && senaryo.kopar) {
+        req.socket.destroy();
+        return;
+      }
+
+      if (senaryo && senaryo.durum) {
+        return this._yaz(res, senaryo.durum, senaryo.govde ?? { error: 'Sahte TDK hatası' });
+      }
+
+      const etkilesim = this.etkilesimler.get(etkilesimAnahtari(req.method, yol, adres.searchParams));
+      if (etkilesim) {
+        return this._yaz(res, etkilesim.cevap.durum, etkilesim.cevap.govde, etkilesim.cevap.icerikTuru);
+      }
+
+      this._yaz(res, 200, yol === 'autocomplete.json' ? [] : BULUNAMADI_GOVDESI);
+    };
+
+    if (senaryo && senaryo.gecikme) {
+      const zamanlayici = setTimeout(() => {
+        this._zamanlayicilar.delete(zamanlayici);
+        if (!res.destroyed) gonder();
+      }, senaryo.gecikme);
+      this._zamanlayicilar.add(zamanlayici);
+      return;
+    }
+
+    gonder();
+  }
+
+  _yaz(res, durum, govde, icerikTuru) {
+    const metin = typeof govde === 'string' ? govde : JSON.stringify(govde);
+    res.writeHead(durum, { 'Content-Type': icerikTuru || 'application/json; charset=utf-8' });
+    res.end(metin);
+  }
+}
+
+module.exports = SahteTdk;
+module.exports.SahteTdk = SahteTdk;
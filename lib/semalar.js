@@ -0,0 +1,587 @@
+const { semaDogrula } = require("./dogrulama");
+const { HATA_KODLARI } = require("./hatalar");
+
+/**
+ * Metot sonuçlarının ve TDK cevaplarının JSON Schema (2020-12) tanımları
+ *
+ * Her public metot `{ success: true, data, metadata }` ya da
+ * `{ success: false, error: { code, message, details }, metadata }` döndürür;
+ * `data` şemaları VERI_SEMALARI'ndadır. Aynı şemalar OpenAPI belgesini
+ * (lib/openapi.js), index.d.ts tiplerini (scripts/tipleri-uret.js) ve
+ * `semaDenetimi` açıkken çalışma anındaki denetimi besler.
+ * UPSTREAM_SEMALARI TDK'nın ham cevaplarını tarif eder; TDK cevap şeklini
+ * değiştirirse denetim bunu işaretler.
+ */
+
+const SEMA_SURUMU = 'https://json-schema.org/draft/2020-12/schema';
+const SEMA_KOKU = 'urn:creart-tdk:sonuc:';
+
+const ref = ad => ({ $ref: `#/$defs/${ad}` });
+const METIN = { type: 'string' };
+const TAM_SAYI = { type: 'integer' };
+const MANTIKSAL = { type: 'boolean' };
+const ZAMAN = { type: 'string', format: 'date-time' };
+const METIN_YA_DA_NULL = { type: ['string', 'null'] };
+const METIN_LISTESI = { type: 'array', items: METIN };
+const KAYIT_LISTESI = { type: 'array', items: ref('TdkKaydi') };
+
+const TANIMLAR = {
+  Metadata: {
+    type: 'object',
+    description: 'Her sonuçta timestamp vardır; diğer alanlar metoda göre değişir',
+    required: ['timestamp'],
+    properties: {
+      timestamp: ZAMAN,
+      apiSurumu: { type: 'string', enum: ['v2'], description: 'Sadece /v2 cevaplarında' },
+      surum: { type: 'string', description: 'Paket sürümü (sadece /v2 cevaplarında)' },
+      istekId: { type: 'string', description: 'X-Request-Id (sadece /v2 cevaplarında)' }
+    },
+    additionalProperties: true
+  },
+  HataDetayi: {
+    type: 'object',
+    required: ['code', 'message', 'details'],
+    properties: {
+      code: { type: 'string', enum: HATA_KODLARI },
+      message: METIN,
+      details: METIN_YA_DA_NULL,
+      alanlar: {
+        type: 'array',
+        description: 'Alan bazlı doğrulama hataları',
+        items: {
+          type: 'object',
+          required: ['alan', 'mesaj'],
+          properties: {
+            alan: { type: 'string', examples: ['query.limit'] },
+            mesaj: { type: 'string', examples: ['en fazla 100 olmalı'] }
+          }
+        }
+      }
+    }
+  },
+  HataSonucu: {
+    type: 'object',
+    required: ['success', 'error', 'metadata'],
+    properties: {
+      success: { const: false },
+      error: ref('HataDetayi'),
+      metadata: ref('Metadata')
+    }
+  },
+  TdkKaydi: {
+    type: 'object',
+    description: "TDK'nın ham kaydı; alanları TDK belirler",
+    additionalProperties: true
+  },
+  TemelBilgiler: {
+    type: 'object',
+    required: ['madde'],
+    properties: {
+      madde: METIN,
+      lisan: METIN_YA_DA_NULL,
+      ozel_mi: METIN_YA_DA_NULL,
+      cogul_mu: METIN_YA_DA_NULL,
+      birlesikler: METIN_YA_DA_NULL
+    }
+  },
+  Anlam: {
+    type: 'object',
+    required: ['sira', 'anlam', 'ornekler', 'kullanim', 'fiiller', 'atasozleri'],
+    properties: {
+      sira: TAM_SAYI,
+      anlam: METIN,
+      ornekler: KAYIT_LISTESI,
+      kullanim: METIN_YA_DA_NULL,
+      fiiller: KAYIT_LISTESI,
+      atasozleri: KAYIT_LISTESI
+    }
+  },
+  KaynakDurumu: {
+    type: 'object',
+    required: ['islemSuresi', 'veriKaynaklari', 'tamVeri', 'kaynaklar', 'bulunamadi'],
+    properties: {
+      islemSuresi: METIN,
+      veriKaynaklari: TAM_SAYI,
+      tamVeri: MANTIKSAL,
+      kaynaklar: {
+        type: 'object',
+        required: ['istenen', 'basarili', 'basarisiz', 'zamanAsimi', 'onbellekten'],
+        properties: {
+          istenen: METIN_LISTESI,
+          basarili: METIN_LISTESI,
+          basarisiz: METIN_LISTESI,
+          zamanAsimi: METIN_LISTESI,
+          onbellekten: METIN_LISTESI
+        }
+      },
+      bulunamadi: MANTIKSAL
+    }
+  },
+  KelimeSonucu: {
+    type: 'object',
+    required: [
+      'kelime', 'temelBilgiler', 'anlamlar', 'ornekler', 'atasozleri', 'deyimler', 'birlesikler', 'etimoloji',
+      'telaffuz', 'kullanimTuru', 'derleme', 'terimler', 'batiKarsiliklari', 'yazimKilavuzu'
+    ],
+    properties: {
+      kelime: METIN,
+      temelBilgiler: { anyOf: [ref('TemelBilgiler'), { type: 'null' }] },
+      anlamlar: { type: 'array', items: ref('Anlam') },
+      ornekler: KAYIT_LISTESI,
+      atasozleri: KAYIT_LISTESI,
+      deyimler: KAYIT_LISTESI,
+      birlesikler: METIN_LISTESI,
+      etimoloji: { anyOf: [KAYIT_LISTESI, ref('TdkKaydi'), { type: 'null' }] },
+      telaffuz: METIN_YA_DA_NULL,
+      sesDosyasi: METIN_YA_DA_NULL,
+      kullanimTuru: METIN_LISTESI,
+      derleme: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { madde: METIN_YA_DA_NULL, anlam: METIN_YA_DA_NULL, yoreler: METIN_LISTESI, ornek: METIN_YA_DA_NULL }
+        }
+      },
+      terimler: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            terim: METIN_YA_DA_NULL,
+            anlam: METIN_YA_DA_NULL,
+            alan: METIN_YA_DA_NULL,
+            kaynak: METIN_YA_DA_NULL,
+            yabanciKarsilik: METIN_YA_DA_NULL
+          }
+        }
+      },
+      batiKarsiliklari: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { kelime: METIN_YA_DA_NULL, kokenDil: METIN_YA_DA_NULL, karsiliklar: METIN_LISTESI, anlam: METIN_YA_DA_NULL }
+        }
+      },
+      yazimKilavuzu: {
+        type: 'array',
+        items: { type: 'object', properties: { yazilis: METIN_YA_DA_NULL, ek: METIN_YA_DA_NULL, karsiliklar: METIN_LISTESI } }
+      },
+      metadata: { ...ref('KaynakDurumu'), description: "Kaynak durumu (/v2'de zarfın metadata alanına taşınır)" }
+    }
+  },
+  AraSonucu: {
+    description: 'Tek kelimenin ara sonucu (başarılı ya da hata zarfı)',
+    anyOf: [basariZarfi(ref('KelimeSonucu')), ref('HataSonucu')]
+  },
+  Ek: {
+    type: 'object',
+    required: ['ek', 'ad'],
+    properties: { ek: METIN, desen: METIN, ad: METIN, tur: METIN }
+  },
+  Cozumleme: {
+    type: 'object',
+    required: ['kok', 'ekler'],
+    properties: {
+      kok: METIN,
+      govde: METIN,
+      tur: { type: 'string', enum: ['isim', 'fiil'] },
+      ekler: { type: 'array', items: ref('Ek') }
+    }
+  },
+  YazimOnerisi: {
+    type: 'object',
+    required: ['kelime', 'mesafe', 'skor'],
+    properties: { kelime: METIN, mesafe: TAM_SAYI, skor: { type: 'number' } }
+  },
+  YazimSonucu: {
+    type: 'object',
+    required: ['kelime', 'dogru', 'oneriler'],
+    properties: {
+      kelime: METIN,
+      dogru: MANTIKSAL,
+      oneriler: { type: 'array', items: ref('YazimOnerisi') },
+      kok: METIN,
+      ekler: { type: 'array', items: ref('Ek') },
+      hata: { type: 'string', enum: HATA_KODLARI, description: 'Kelime denetlenemediyse hata kodu' }
+    }
+  },
+  YabanciKelimeSonucu: {
+    type: 'object',
+    required: ['kelime', 'madde', 'yabanci', 'dil', 'koken', 'oneriler'],
+    properties: {
+      kelime: METIN,
+      madde: { ...METIN_YA_DA_NULL, description: 'Kelimenin bulunduğu madde başı (çekimli biçimlerde kök)' },
+      yabanci: { type: ['boolean', 'null'], description: 'TDK\'da bulunamadıysa null' },
+      dil: { ...METIN_YA_DA_NULL, description: 'Köken dili (örn. "Arapça")' },
+      koken: { ...METIN_YA_DA_NULL, description: 'Kaynak dildeki biçim (örn. "kitāb")' },
+      oneriler: { ...METIN_LISTESI, description: 'TDK\'nın önerdiği Türkçe karşılıklar' },
+      hata: { type: 'string', enum: HATA_KODLARI, description: 'Kelime aranamadıysa hata kodu' }
+    }
+  },
+  Is: {
+    type: 'object',
+    required: ['id', 'durum', 'toplam', 'tamamlanan', 'basarili', 'basarisiz', 'ilerleme', 'olusturulma'],
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      durum: { type: 'string', enum: ['bekliyor', 'calisiyor', 'tamamlandi', 'iptal', 'hata'] },
+      toplam: TAM_SAYI,
+      tamamlanan: TAM_SAYI,
+      basarili: TAM_SAYI,
+      basarisiz: TAM_SAYI,
+      ilerleme: { type: 'number', description: 'Yüzde' },
+      sonucBoyutu: { ...TAM_SAYI, description: 'Saklanan sonuçların JSON boyutu (bayt)' },
+      olusturulma: ZAMAN,
+      baslama: { type: ['string', 'null'], format: 'date-time' },
+      bitis: { type: ['string', 'null'], format: 'date-time' },
+      sonaErme: { type: ['string', 'null'], format: 'date-time', description: 'Bu zamandan sonra iş silinir' },
+      hata: METIN
+    }
+  },
+  GununKelimesi: {
+    type: 'object',
+    required: ['kelime', 'anlam', 'tarih', 'kaynak'],
+    properties: {
+      kelime: METIN,
+      anlam: METIN_YA_DA_NULL,
+      tarih: { type: 'string', format: 'date', description: 'UTC gün' },
+      kaynak: { type: 'string', description: "'TDK Günün Sözü' ya da TDK'ya ulaşılamadıysa 'Madde başı indeksi'" }
+    }
+  },
+  BulunamadiCevabi: {
+    type: 'object',
+    description: 'TDK sonuç olmadığında 200 ile bu nesneyi döndürür',
+    required: ['error'],
+    properties: { error: METIN }
+  }
+};
+
+// Metot adı → başarılı sonuçtaki `data` şeması; title index.d.ts'deki tip adıdır
+const VERI_SEMALARI = {
+  ara: { title: 'KelimeSonucu', ...ref('KelimeSonucu') },
+  kokBul: {
+    title: 'KokCozumu',
+    type: 'object',
+    required: ['kelime', 'kok', 'ekler', 'cozumlemeler'],
+    properties: {
+      kelime: METIN,
+      kok: METIN,
+      ekler: { type: 'array', items: ref('Ek') },
+      cozumlemeler: { type: 'array', items: ref('Cozumleme') }
+    }
+  },
+  topluAra: {
+    title: 'TopluAramaSonuclari',
+    type: 'array',
+    description: 'Kelime sırasıyla her kelimenin ara sonucu',
+    items: ref('AraSonucu')
+  },
+  otomatikTamamla: {
+    title: 'TamamlamaSonucu',
+    type: 'object',
+    required: ['onEk', 'oneriler', 'sayi', 'toplamAday'],
+    properties: {
+      onEk: METIN,
+      oneriler: {
+        type: 'array',
+        items: { type: 'object', required: ['kelime', 'skor'], properties: { kelime: METIN, skor: { type: 'number' } } }
+      },
+      sayi: TAM_SAYI,
+      toplamAday: TAM_SAYI
+    }
+  },
+  gununKelimesi: { title: 'GununKelimesi', ...ref('GununKelimesi') },
+  gununKelimesiGecmisi: {
+    title: 'GununKelimesiGecmisi',
+    type: 'object',
+    required: ['kayitlar', 'sayfa', 'sayfaBoyutu', 'toplamKayit', 'toplamSayfa'],
+    properties: {
+      kayitlar: { type: 'array', description: 'Yeniden eskiye', items: ref('GununKelimesi') },
+      sayfa: TAM_SAYI,
+      sayfaBoyutu: TAM_SAYI,
+      toplamKayit: TAM_SAYI,
+      toplamSayfa: TAM_SAYI
+    }
+  },
+  yazimDenetimi: {
+    title: 'YazimDenetimiSonucu',
+    type: 'object',
+    required: ['metin', 'sonuclar', 'istatistik'],
+    properties: {
+      metin: METIN,
+      sonuclar: { type: 'array', items: ref('YazimSonucu') },
+      istatistik: {
+        type: 'object',
+        required: ['toplamKelime', 'dogruKelime', 'hataliKelime', 'dogrulukOrani'],
+        properties: {
+          toplamKelime: TAM_SAYI,
+          dogruKelime: TAM_SAYI,
+          hataliKelime: TAM_SAYI,
+          dogrulukOrani: { type: 'string', description: 'Yüzde, iki basamak (örn. "50.00")' }
+        }
+      }
+    }
+  },
+  yabanciKelimeAnalizi: {
+    title: 'YabanciKelimeAnalizi',
+    type: 'object',
+    required: ['metin', 'sonuclar', 'istatistik'],
+    properties: {
+      metin: METIN,
+      sonuclar: { type: 'array', items: ref('YabanciKelimeSonucu') },
+      istatistik: {
+        type: 'object',
+        required: ['toplamKelime', 'yabanciKelime', 'yerliKelime', 'bilinmeyenKelime', 'yabanciOrani', 'diller'],
+        properties: {
+          toplamKelime: TAM_SAYI,
+          yabanciKelime: TAM_SAYI,
+          yerliKelime: TAM_SAYI,
+          bilinmeyenKelime: TAM_SAYI,
+          yabanciOrani: { type: 'string', description: 'Bulunan kelimeler içinde yüzde, iki basamak (örn. "25.00")' },
+          diller: { type: 'object', description: 'Köken diline göre yabancı kelime sayısı', additionalProperties: TAM_SAYI }
+        }
+      }
+    }
+  },
+  atasozuAra: {
+    title: 'AtasozuSonucu',
+    type: 'object',
+    required: ['anahtar', 'atasozleri', 'deyimler', 'toplam'],
+    properties: {
+      anahtar: METIN,
+      atasozleri: KAYIT_LISTESI,
+      deyimler: KAYIT_LISTESI,
+      toplam: TAM_SAYI
+    }
+  },
+  benzerKelimeler: {
+    title: 'BenzerKelimeler',
+    type: 'object',
+    required: ['anaKelime', 'benzerKelimeler', 'sayi'],
+    properties: { anaKelime: METIN, benzerKelimeler: METIN_LISTESI, sayi: TAM_SAYI }
+  },
+  harfeGoreKelimeler: {
+    title: 'HarfKelimeleri',
+    type: 'object',
+    required: ['harf', 'sayfa', 'sayfaBoyutu', 'kelimeler', 'toplamKelime', 'toplamSayfa'],
+    properties: {
+      harf: METIN,
+      sayfa: TAM_SAYI,
+      sayfaBoyutu: TAM_SAYI,
+      kelimeler: METIN_LISTESI,
+      toplamKelime: TAM_SAYI,
+      toplamSayfa: TAM_SAYI
+    }
+  },
+  desenAra: {
+    title: 'DesenSonucu',
+    type: 'object',
+    required: ['desen', 'uzunluk', 'sayfa', 'sayfaBoyutu', 'kelimeler', 'toplamEslesme', 'toplamSayfa'],
+    properties: {
+      desen: METIN,
+      uzunluk: { type: ['integer', 'null'] },
+      sayfa: TAM_SAYI,
+      sayfaBoyutu: TAM_SAYI,
+      kelimeler: METIN_LISTESI,
+      toplamEslesme: TAM_SAYI,
+      toplamSayfa: TAM_SAYI
+    }
+  },
+  populerAramalar: {
+    title: 'PopulerAramalar',
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['kelime', 'aramaSayisi'],
+      properties: { kelime: METIN, aramaSayisi: TAM_SAYI }
+    }
+  },
+  rastgeleKelime: {
+    title: 'RastgeleKelime',
+    type: 'object',
+    required: ['kelime', 'detay'],
+    properties: {
+      kelime: METIN,
+      detay: { anyOf: [ref('KelimeSonucu'), { type: 'null' }] }
+    }
+  },
+  sesGetir: {
+    title: 'SesBilgisi',
+    type: 'object',
+    required: ['kelime', 'sesDosyasi', 'telaffuz', 'dinlemeLinki'],
+    properties: {
+      kelime: METIN,
+      sesDosyasi: METIN_YA_DA_NULL,
+      telaffuz: METIN_YA_DA_NULL,
+      dinlemeLinki: METIN
+    }
+  },
+  disaAktar: {
+    title: 'DisaAktarim',
+    type: 'object',
+    required: ['icerik', 'icerikTuru', 'dosyaAdi'],
+    properties: { icerik: METIN, icerikTuru: METIN, dosyaAdi: METIN }
+  },
+  kelimeIndeksiniGuncelle: {
+    title: 'KelimeIndeksiBilgisi',
+    type: 'object',
+    required: ['kelimeSayisi', 'kaynak', 'sonGuncelleme'],
+    properties: { kelimeSayisi: TAM_SAYI, kaynak: METIN, sonGuncelleme: ZAMAN }
+  },
+  cacheIstatistik: {
+    title: 'OnbellekIstatistigi',
+    type: 'object',
+    required: ['hits', 'misses', 'keys', 'evictions', 'birlestirilen'],
+    properties: {
+      hits: TAM_SAYI,
+      misses: TAM_SAYI,
+      keys: TAM_SAYI,
+      ksize: TAM_SAYI,
+      vsize: TAM_SAYI,
+      evictions: { type: ['integer', 'null'] },
+      birlestirilen: {
+        type: 'object',
+        description: 'Süren aramaya bağlanan çağrılar: toplam, tür başına ve şu an süren',
+        required: ['toplam', 'suren'],
+        properties: { toplam: TAM_SAYI, suren: TAM_SAYI },
+        additionalProperties: TAM_SAYI
+      }
+    }
+  }
+};
+
+// desenAra için eski isim
+VERI_SEMALARI.asteriskAra = VERI_SEMALARI.desenAra;
+VERI_SEMALARI.tarihliGununKelimesi = VERI_SEMALARI.gununKelimesi;
+
+// Endpoint anahtarı (TDKSozluk.endpoints) → TDK'nın ham cevabı
+const UPSTREAM_SEMALARI = {
+  gts: {
+    anyOf: [
+      {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['madde'],
+          properties: {
+            madde: METIN,
+            lisan: METIN_YA_DA_NULL,
+            birlesikler: METIN_YA_DA_NULL,
+            anlamlarListe: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['anlam'],
+                properties: {
+                  anlam: METIN,
+                  orneklerListe: { type: 'array', items: { type: 'object', properties: { ornek: METIN } } },
+                  ozelliklerListe: { type: 'array', items: { type: 'object', properties: { tam_adi: METIN } } }
+                }
+              }
+            }
+          }
+        }
+      },
+      ref('BulunamadiCevabi')
+    ]
+  },
+  atasozu: { anyOf: [sozListesi(), ref('BulunamadiCevabi')] },
+  deyim: { anyOf: [sozListesi(), ref('BulunamadiCevabi')] },
+  yazim: {
+    anyOf: [
+      { type: 'array', items: { type: 'object', required: ['sozu'], properties: { sozu: METIN } } },
+      ref('BulunamadiCevabi')
+    ]
+  },
+  ses: {
+    type: 'object',
+    properties: { sesDosyasi: METIN_YA_DA_NULL, telaffuz: METIN_YA_DA_NULL, link: METIN_YA_DA_NULL, error: METIN }
+  },
+  gunun: {
+    anyOf: [
+      gununSozu(),
+      { type: 'array', minItems: 1, items: gununSozu() },
+      ref('BulunamadiCevabi')
+    ]
+  },
+  autocomplete: {
+    type: 'array',
+    items: { anyOf: [METIN, { type: 'object', required: ['madde'], properties: { madde: METIN } }] }
+  }
+};
+
+/**
+ * Metodun sonucu için tek başına kullanılabilen JSON Schema
+ * @param {string} metod - Metot adı (ara, yazimDenetimi...)
+ * @returns {Object} - $defs dahil şema
+ */
+function sonucSemasi(metod) {
+  if (!VERI_SEMALARI[metod]) throw new Error(`Şeması olmayan metot: "${metod}"`);
+
+  return {
+    $schema: SEMA_SURUMU,
+    $id: `${SEMA_KOKU}${metod}`,
+    title: `${metod} sonucu`,
+    oneOf: [basariZarfi(VERI_SEMALARI[metod]), ref('HataSonucu')],
+    $defs: TANIMLAR
+  };
+}
+
+/**
+ * Metot sonucunu şemasıyla denetler
+ * @param {string} metod - Metot adı
+ * @param {Object} sonuc - Metodun döndürdüğü sonuç
+ * @returns {Array<Object>} - [{ alan, mesaj }]; uyuyorsa boş
+ */
+function sonucDogrula(metod, sonuc) {
+  const sema = { oneOf: [basariZarfi(VERI_SEMALARI[metod]), ref('HataSonucu')] };
+  return semaDogrula(sema, sonuc, metod, { tanimlar: TANIMLAR }).hatalar;
+}
+
+/**
+ * TDK'nın ham cevabını denetler; şeması olmayan endpoint'ler denetlenmez
+ * @param {string} endpoint - Endpoint anahtarı (gts, yazim...)
+ * @param {*} govde - Cevap gövdesi
+ * @returns {Array<Object>} - [{ alan, mesaj }]
+ */
+function upstreamDogrula(endpoint, govde) {
+  const sema = UPSTREAM_SEMALARI[endpoint];
+  if (!sema) return [];
+  return semaDogrula(sema, govde, endpoint, { tanimlar: TANIMLAR }).hatalar;
+}
+
+// ========== YARDIMCILAR ==========
+
+function basariZarfi(veri) {
+  return {
+    type: 'object',
+    required: ['success', 'data', 'metadata'],
+    properties: {
+      success: { const: true },
+      data: veri,
+      metadata: ref('Metadata')
+    }
+  };
+}
+
+function sozListesi() {
+  return {
+    type: 'array',
+    items: { type: 'object', required: ['sozum'], properties: { sozum: METIN, anlami: METIN_YA_DA_NULL } }
+  };
+}
+
+function gununSozu() {
+  return { type: 'object', required: ['madde'], properties: { madde: METIN, anlam: METIN_YA_DA_NULL } };
+}
+
+module.exports = {
+  SEMA_SURUMU,
+  TANIMLAR,
+  VERI_SEMALARI,
+  UPSTREAM_SEMALARI,
+  basariZarfi,
+  sonucSemasi,
+  sonucDogrula,
+  upstreamDogrula
+};
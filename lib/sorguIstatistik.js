@@ -0,0 +1,186 @@
+const fs = require("fs");
+const path = require("path");
+const { katla } = require("./turkce");
+const { gunlukOlustur } = require("./gunluk");
+
+const SAAT = 60 * 60 * 1000;
+
+// Pencere adı → kaç saatlik kova toplanacak
+const PENCERELER = {
+  saat: 1,
+  gun: 24,
+  hafta: 24 * 7,
+  tum: Infinity
+};
+
+/**
+ * Arama istatistikleri deposu
+ *
+ * Her başarılı arama hem tüm zamanlar toplamına hem de saatlik bir kovaya
+ * yazılır. Saat/gün/hafta pencereleri son N kovanın toplamıdır; saklama
+ * süresini aşan kovalar silinir. `dosya` verilirse veriler kısa bir
+ * gecikmeyle JSON olarak yazılır ve yeniden başlatmada geri yüklenir.
+ */
+class SorguIstatistik {
+  constructor(options = {}) {
+    this.dosya = options.dosya || null;
+    this.logger = gunlukOlustur(options.logger);
+    this.saklamaSaati = options.saklamaSaati || PENCERELER.hafta;
+    this.yazmaGecikmesi = options.yazmaGecikmesi ?? 5000;
+    this.toplam = new Map();
+    this.saatlik = new Map();
+    this._zamanlayici = null;
+    this._hazir = this.dosya ? this._yukle() : Promise.resolve();
+  }
+
+  /**
+   * Pencere adları
+   * @returns {Array<string>}
+   */
+  static get pencereler() {
+    return Object.keys(PENCERELER);
+  }
+
+  /**
+   * Bir aramayı kaydeder
+   * @param {string} kelime - Aranan madde
+   * @param {number} zaman - Arama zamanı (ms)
+   */
+  ekle(kelime, zaman = Date.now()) {
+    const anahtar = katla(kelime);
+    if (!anahtar) return;
+
+    const kova = Math.floor(zaman / SAAT) * SAAT;
+    if (!this.saatlik.has(kova)) {
+      this.saatlik.set(kova, new Map());
+      this._eskileriSil(zaman);
+    }
+
+    const saatlik = this.saatlik.get(kova);
+    saatlik.set(anahtar, (saatlik.get(anahtar) || 0) + 1);
+    this.toplam.set(anahtar, (this.toplam.get(anahtar) || 0) + 1);
+    this._kaydetmeyiPlanla();
+  }
+
+  /**
+   * Kelimenin tüm zamanlardaki arama sayısı
+   * @param {string} kelime - Kelime
+   * @returns {number}
+   */
+  sayi(kelime) {
+    return this.toplam.get(katla(kelime)) || 0;
+  }
+
+  /**
+   * Ön ekle başlayan, en az bir kez aranmış kelimeler
+   * @param {string} onEk - Ön ek
+   * @returns {Array<string>} - Katlanmış kelimeler
+   */
+  onEkIle(onEk) {
+    const anahtar = katla(onEk);
+    return [...this.toplam.keys()].filter(kelime => kelime.startsWith(anahtar));
+  }
+
+  /**
+   * Pencere içinde en çok arananlar
+   * @param {string} pencere - saat | gun | hafta | tum
+   * @param {number} limit - Sonuç sayısı
+   * @param {number} zaman - Pencerenin bittiği an (ms)
+   * @returns {Array<Object>} - [{ kelime, aramaSayisi }]
+   */
+  enCok(pencere = 'tum', limit = 20, zaman = Date.now()) {
+    const saatSayisi = PENCERELER[pencere];
+    if (saatSayisi === undefined) {
+      throw new Error(`Geçersiz pencere: "${pencere}" (${SorguIstatistik.pencereler.join(', ')})`);
+    }
+
+    let sayilar = this.toplam;
+    if (saatSayisi !== Infinity) {
+      const baslangic = Math.floor(zaman / SAAT) * SAAT - (saatSayisi - 1) * SAAT;
+      sayilar = new Map();
+      this.saatlik.forEach((kova, kovaZamani) => {
+        if (kovaZamani < baslangic || kovaZamani > zaman) return;
+        kova.forEach((adet, kelime) => sayilar.set(kelime, (sayilar.get(kelime) || 0) + adet));
+      });
+    }
+
+    return [...sayilar.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], 'tr'))
+      .slice(0, limit)
+      .map(([kelime, aramaSayisi]) => ({ kelime, aramaSayisi }));
+  }
+
+  /**
+   * Verileri dosyaya yazar
+   * @returns {Promise<void>}
+   */
+  async kaydet() {
+    if (!this.dosya) return;
+    await this._hazir;
+
+    const veri = {
+      toplam: Object.fromEntries(this.toplam),
+      saatlik: Object.fromEntries([...this.saatlik].map(([kova, sayilar]) => [kova, Object.fromEntries(sayilar)]))
+    };
+
+    const gecici = `${this.dosya}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.dosya), { recursive: true });
+    await fs.promises.writeFile(gecici, JSON.stringify(veri), 'utf8');
+    await fs.promises.rename(gecici, this.dosya);
+  }
+
+  async kapat() {
+    if (this._zamanlayici) {
+      clearTimeout(this._zamanlayici);
+      this._zamanlayici = null;
+    }
+    await this.kaydet();
+  }
+
+  // ========== PRIVATE METHODS ==========
+
+  async _yukle() {
+    try {
+      const veri = JSON.parse(await fs.promises.readFile(this.dosya, 'utf8'));
+
+      // Yükleme sürerken gelen aramalar kaybolmasın: üzerine ekle
+      Object.entries(veri.toplam || {}).forEach(([kelime, adet]) => {
+        this.toplam.set(kelime, (this.toplam.get(kelime) || 0) + adet);
+      });
+      Object.entries(veri.saatlik || {}).forEach(([kova, sayilar]) => {
+        const kovaZamani = Number(kova);
+        if (!this.saatlik.has(kovaZamani)) this.saatlik.set(kovaZamani, new Map());
+        const hedef = this.saatlik.get(kovaZamani);
+        Object.entries(sayilar).forEach(([kelime, adet]) => hedef.set(kelime, (hedef.get(kelime) || 0) + adet));
+      });
+      this._eskileriSil(Date.now());
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn({ dosya: this.dosya, err: error }, 'İstatistik dosyası okunamadı');
+      }
+    }
+  }
+
+  _eskileriSil(zaman) {
+    const sinir = Math.floor(zaman / SAAT) * SAAT - this.saklamaSaati * SAAT;
+    [...this.saatlik.keys()].forEach(kova => {
+      if (kova <= sinir) this.saatlik.delete(kova);
+    });
+  }
+
+  _kaydetmeyiPlanla() {
+    if (!this.dosya || this._zamanlayici) return;
+
+    this._zamanlayici = setTimeout(() => {
+      this._zamanlayici = null;
+      this.kaydet().catch(error => {
+        this.logger.warn({ dosya: this.dosya, err: error }, 'İstatistik dosyası yazılamadı');
+      });
+    }, this.yazmaGecikmesi);
+
+    if (this._zamanlayici.unref) this._zamanlayici.unref();
+  }
+}
+
+module.exports = SorguIstatistik;
+module.exports.SorguIstatistik = SorguIstatistik;
@@ -0,0 +1,55 @@
+/**
+ * Türkçe metin yardımcıları
+ * @author Hamza Deniz Yılmaz
+ * @license MIT
+ */
+
+const SAPKALI_HARFLER = { 'â': 'a', 'î': 'i', 'û': 'u' };
+
+const ALFABE = ' -abcçdefgğhıijklmnoöpqrsştuüvwxyz';
+const ALFABE_SIRASI = new Map(Array.from(ALFABE).map((harf, index) => [harf, index]));
+
+/**
+ * Türkçe kurallarına göre küçük harfe çevirir (I → ı, İ → i)
+ * @param {string} metin - Metin
+ * @returns {string} - Küçük harfli metin
+ */
+function kucukHarf(metin) {
+  return String(metin).toLocaleLowerCase('tr-TR');
+}
+
+/**
+ * Şapkalı harfleri (â, î, û) düz karşılıklarına çevirir
+ * @param {string} metin - Metin
+ * @returns {string} - Şapkasız metin
+ */
+function sapkasizYaz(metin) {
+  return String(metin).replace(/[âîû]/g, harf => SAPKALI_HARFLER[harf]);
+}
+
+/**
+ * Karşılaştırma için metni katlar: küçük harf, NFC, şapkasız, kırpılmış
+ * @param {string} metin - Metin
+ * @returns {string} - Katlanmış metin
+ */
+function katla(metin) {
+  if (metin === null || metin === undefined) return '';
+  return sapkasizYaz(kucukHarf(metin).normalize('NFC')).trim();
+}
+
+/**
+ * Tek bir harfin Türk alfabesindeki sırası (alfabe dışı harfler sona)
+ * @param {string} harf - Harf
+ * @returns {number}
+ */
+function harfSirasi(harf) {
+  const sira = ALFABE_SIRASI.get(harf);
+  return sira === undefined ? ALFABE.length + harf.codePointAt(0) : sira;
+}
+
+module.exports = {
+  kucukHarf,
+  sapkasizYaz,
+  katla,
+  harfSirasi
+};
@@ -0,0 +1,72 @@
+const { katla, kucukHarf } = require("./turkce");
+
+/**
+ * Metindeki yabancı kökenli kelimeler için yardımcılar
+ *
+ * TDK Güncel Türkçe Sözlük'te alıntı kelimelerin `lisan` alanı köken dili ve
+ * kaynak biçimi taşır ("Arapça kitāb", "Fransızca restaurant"); yerli
+ * kelimelerde boştur. Batı Kökenli Kelimelere Karşılıklar kılavuzu ise
+ * önerilen Türkçe karşılıkları verir.
+ */
+
+// "Arapça", "Fransızca", "Ermenice", "Eski Yunanca" ...
+const DIL_DESENI = /(?:Eski |Orta |Yeni )?[A-ZÇĞİÖŞÜ][a-zçğıöşüâîû]+(?:ca|ce|ça|çe)(?=$|[\s+,;.(])/gu;
+const YERLI_DILLER = /türkçe$/i;
+
+/**
+ * Metni kelimelere ayırır; kesme işaretinden sonraki ekler atılır (Ankara'da → Ankara)
+ * @param {string} metin - Metin
+ * @returns {Array<Object>} - [{ kelime, anahtar }]; anahtar aramada kullanılan küçük harfli biçim
+ */
+function kelimelereAyir(metin) {
+  const kelimeler = String(metin).normalize('NFC').match(/[\p{L}\p{M}]+(?:['’][\p{L}\p{M}]+)?/gu) || [];
+
+  return kelimeler.map(kelime => {
+    const govde = kelime.split(/['’]/)[0];
+    return { kelime: govde, anahtar: kucukHarf(govde) };
+  });
+}
+
+/**
+ * TDK'nın lisan alanını çözer
+ * @param {string|null} lisan - Örn. "Arapça kitāb", "Fransızca restaurant"
+ * @returns {Object|null} - { dil, diller, koken }; lisan boşsa ya da Türkçeyse null
+ */
+function kokenCozumle(lisan) {
+  if (!lisan || typeof lisan !== 'string' || !lisan.trim()) return null;
+
+  const diller = [...new Set((lisan.match(DIL_DESENI) || []).map(dil => dil.trim()))]
+    .filter(dil => !YERLI_DILLER.test(dil));
+  if (diller.length === 0) return null;
+
+  const koken = lisan.replace(diller[0], '').replace(/^[\s,;:]+/, '').trim();
+  return { dil: diller[0], diller, koken: koken || null };
+}
+
+/**
+ * Batı kökenli kelimelere karşılıklar kayıtlarından maddenin Türkçe karşılıkları
+ *
+ * Sadece madde başıyla birebir eşleşen kayıtlar sayılır: kılavuz aramada
+ * kelimeyi içeren başka kayıtları da döndürür (kitap → kitap fuarı) ve bunlar
+ * yerli kelimeyi yabancı gösterir.
+ * @param {string} madde - Madde başı
+ * @param {Array<Object>} kayitlar - bati ve kilavuz kayıtları ({ kelime, karsiliklar })
+ * @returns {Array<string>} - Tekrarsız karşılıklar; eşleşen kayıt yoksa boş
+ */
+function turkceKarsiliklar(madde, kayitlar = []) {
+  const anahtar = katla(madde);
+  const eslesen = kayitlar.filter(kayit => katla(kayit.kelime) === anahtar);
+
+  const karsiliklar = new Map();
+  eslesen.flatMap(kayit => kayit.karsiliklar || []).forEach(karsilik => {
+    const temiz = String(karsilik).trim();
+    if (temiz && katla(temiz) !== anahtar && !karsiliklar.has(katla(temiz))) karsiliklar.set(katla(temiz), temiz);
+  });
+  return [...karsiliklar.values()];
+}
+
+module.exports = {
+  kelimelereAyir,
+  kokenCozumle,
+  turkceKarsiliklar
+};
@@ -0,0 +1,80 @@
+const paket = require("../package.json");
+
+/**
+ * /v2 cevap zarfı
+ *
+ * v1 cevapları metotların döndürdüğü gibidir. v2'de her cevap aynı biçimdedir:
+ *   { success: true, data, metadata }  ya da  { success: false, error: { code, message, details }, metadata }
+ * - metadata her zaman timestamp, apiSurumu ('v2'), surum (paket sürümü) ve istekId içerir
+ * - İngilizce metadata alanları Türkçe adlarıyla yazılır, sabit "version" kaldırılır
+ * - ara sonucundaki `data.metadata` (kaynak durumu) zarfın metadata'sına taşınır
+ * - `data` her başarılı cevapta vardır (mesaj dönen işlemlerde { mesaj })
+ * - İç içe sonuç zarfları (batch, iş sonuçları) da aynı biçime çevrilir
+ */
+
+const API_SURUMU = 'v2';
+
+// v1 adı → v2 adı; null olanlar v2'de yazılmaz
+const METADATA_ADLARI = {
+  source: 'kaynak',
+  searchWord: 'kelime',
+  processingTime: 'islemSuresi',
+  requestedPath: 'yol',
+  path: 'yol',
+  cacheEnabled: 'onbellekAcik',
+  adapter: 'onbellekTuru',
+  version: null
+};
+
+function zarfMi(govde) {
+  return Boolean(govde) && typeof govde === 'object' && !Array.isArray(govde) && typeof govde.success === 'boolean';
+}
+
+/**
+ * v1 zarfını v2 zarfına çevirir; zarf olmayan gövdeler (OpenAPI belgesi) olduğu gibi döner
+ * @param {Object} govde - v1 cevap gövdesi
+ * @param {Object} ek - Her metadata'ya eklenecek alanlar (örn. { istekId })
+ * @returns {Object} - v2 cevap gövdesi
+ */
+function v2Zarfi(govde, ek = {}) {
+  if (!zarfMi(govde)) return govde;
+
+  const metadata = {};
+  Object.entries(govde.metadata || {}).forEach(([ad, deger]) => {
+    const yeniAd = ad in METADATA_ADLARI ? METADATA_ADLARI[ad] : ad;
+    if (yeniAd) metadata[yeniAd] = deger;
+  });
+
+  let data = govde.data;
+  if (data && typeof data === 'object' && !Array.isArray(data) && data.metadata && typeof data.metadata === 'object') {
+    const { metadata: kaynakDurumu, ...veri } = data;
+    Object.entries(kaynakDurumu).forEach(([ad, deger]) => {
+      if (!(ad in metadata)) metadata[ad] = deger;
+    });
+    data = veri;
+  } else if (Array.isArray(data) && data.length > 0 && data.every(zarfMi)) {
+    data = data.map(alt => v2Zarfi(alt));
+  }
+
+  const zarf = { success: govde.success };
+  if (govde.success) {
+    zarf.data = data !== undefined ? data : (govde.message ? { mesaj: govde.message } : null);
+  } else {
+    zarf.error = govde.error;
+  }
+
+  zarf.metadata = {
+    timestamp: metadata.timestamp || new Date().toISOString(),
+    ...metadata,
+    apiSurumu: API_SURUMU,
+    surum: paket.version,
+    ...ek
+  };
+  return zarf;
+}
+
+module.exports = {
+  API_SURUMU,
+  METADATA_ADLARI,
+  v2Zarfi
+};
@@ -0,0 +1,48 @@
+/**
+ * Testlerin kullandığı TDK kasetini gerçek TDK cevaplarıyla kaydeder
+ *
+ * Her kelime için ara (tüm kaynaklar ve ses), yazım denetimi ve atasözü/deyim
+ * araması yapılır, günün sözü bir kez alınır. Kayıtlar mevcut kasete eklenir.
+ * Kullanım: npm run kaset:kaydet -- kitap göz [--dosya test/kasetler/tdk.json]
+ */
+const path = require("path");
+const { parseArgs } = require("util");
+const TDKSozluk = require("../index");
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: { dosya: { type: 'string', default: path.join(__dirname, '..', 'test', 'kasetler', 'tdk.json') } }
+});
+
+if (positionals.length === 0) {
+  console.error('Kullanım: npm run kaset:kaydet -- <kelime...> [--dosya kaset.json]');
+  process.exit(2);
+}
+
+(async () => {
+  const tdk = new TDKSozluk({
+    cache: false,
+    kelimeIndeksiGuncelle: false,
+    logger: false,
+    kasetKaydi: values.dosya
+  });
+
+  await tdk.gununKelimesi();
+  for (const kelime of positionals) {
+    const sonuclar = await Promise.all([
+      tdk.ara(kelime, { telaffuz: true, kokBul: false, istatistik: false }),
+      tdk.yazimDenetimi(kelime),
+      tdk.atasozuAra(kelime)
+    ]);
+    const hata = sonuclar.find(sonuc => !sonuc.success && sonuc.error.code !== 'KELIME_BULUNAMADI');
+    console.log(`${hata ? '⚠️' : '✅'} ${kelime}${hata ? `: ${hata.error.message}` : ''}`);
+  }
+
+  await tdk.kapat();
+  if (tdk.kaset.etkilesimler.size === 0) {
+    console.error(`❌ TDK'dan cevap alınamadı, ${values.dosya} değiştirilmedi`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`✅ ${tdk.kaset.etkilesimler.size} etkileşim ${values.dosya} dosyasına yazıldı`);
+})();
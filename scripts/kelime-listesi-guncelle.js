@@ -0,0 +1,33 @@
+/**
+ * data/kelimeler.txt dosyasını TDK'nın otomatik tamamlama listesinden yeniler
+ * Kullanım: npm run kelimeler:guncelle [-- hedef.txt]
+ *
+ * Hedef verilmezse paketteki liste yazılır. Günlükler sadece LOG_LEVEL
+ * verilirse stderr'e yazılır; TDK'ya ulaşılamazsa çıkış kodu 1'dir.
+ */
+const TDKSozluk = require("../index");
+const { JsonGunluk } = require("../lib/gunluk");
+
+(async () => {
+  const logger = process.env.LOG_LEVEL ? new JsonGunluk({ seviye: process.env.LOG_LEVEL, cikti: process.stderr }) : false;
+  const tdk = new TDKSozluk({ logger, kelimeIndeksiGuncelle: false });
+  const hedef = process.argv[2] || tdk.kelimeIndeksi.tohumDosyasi;
+
+  try {
+    const sonuc = await tdk.kelimeIndeksiniGuncelle();
+    if (!sonuc.success) {
+      const { message, details } = sonuc.error;
+      console.error(`❌ ${message}${details ? ` (${details})` : ''}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    await tdk.kelimeIndeksi.kaydet(hedef);
+    console.log(`✅ ${sonuc.data.kelimeSayisi} madde başı ${hedef} dosyasına yazıldı`);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await tdk.kapat({ beklemeSuresi: 0 });
+  }
+})();
@@ -0,0 +1,269 @@
+/**
+ * index.d.ts dosyasını lib/semalar.js'deki JSON Schema tanımlarından üretir
+ *
+ * Veri tipleri şemalardan çevrilir, TDKSozluk sınıfı ve sunucu fonksiyonları
+ * aşağıdaki tablolardan yazılır. Şema değişince dosya yeniden üretilmelidir;
+ * `--denetle` dosya güncel değilse 1 ile çıkar (testler de bunu denetler).
+ * Kullanım: npm run tipler:uret [-- --denetle]
+ */
+const fs = require("fs");
+const path = require("path");
+const { TANIMLAR, VERI_SEMALARI } = require("../lib/semalar");
+const { HATA_KODLARI } = require("../lib/hatalar");
+
+const DOSYA = path.join(__dirname, '..', 'index.d.ts');
+
+// Metot → [parametreler, dönüş]; dönüş verilmezse Promise<Sonuc<VERI_SEMALARI başlığı>>
+const METOTLAR = {
+  ara: ['kelime: string, options?: AraSecenekleri'],
+  kokBul: ['kelime: string'],
+  topluAra: ['kelimeler: string[], options?: TopluAraSecenekleri'],
+  topluAraAkisi: [
+    'kelimeler: string[], options?: TopluAraSecenekleri',
+    'AsyncGenerator<{ index: number; kelime: string; sonuc: Sonuc<KelimeSonucu> }>'
+  ],
+  otomatikTamamla: ['onEk: string, options?: { limit?: number }'],
+  gununKelimesi: [''],
+  tarihliGununKelimesi: ['tarih: string'],
+  gununKelimesiGecmisi: ['options?: { sayfa?: number; limit?: number }'],
+  yazimDenetimi: ['metin: string, options?: { oneriSayisi?: number }'],
+  yabanciKelimeAnalizi: ['metin: string, options?: { esZamanli?: number }'],
+  atasozuAra: ['anahtar: string, options?: Record<string, unknown>'],
+  benzerKelimeler: ['kelime: string, limit?: number'],
+  harfeGoreKelimeler: ['harf: string, sayfa?: number, limit?: number'],
+  desenAra: ['desen: string, options?: { sayfa?: number; limit?: number }'],
+  asteriskAra: ['desen: string, options?: { sayfa?: number; limit?: number }'],
+  populerAramalar: ["limit?: number, options?: { pencere?: 'saat' | 'gun' | 'hafta' | 'tum' }"],
+  rastgeleKelime: [''],
+  sesGetir: ['kelime: string'],
+  disaAktar: [
+    "sonuclar: Sonuc<KelimeSonucu> | Sonuc<KelimeSonucu>[], format: 'csv' | 'tsv' | 'markdown' | 'html' | 'anki', options?: { baslik?: string }",
+    'Sonuc<DisaAktarim>'
+  ],
+  kelimeIndeksiniGuncelle: ['options?: { kaydet?: boolean }'],
+  devreDurumu: ['', 'Record<string, Record<string, unknown>>'],
+  cacheTemizle: ['pattern?: string | null', 'Promise<number | null>'],
+  cacheIstatistik: [''],
+  kapat: ['options?: { beklemeSuresi?: number }', 'Promise<{ bosaldi: boolean }>']
+};
+
+// Yapıcı seçenekleri: ad → [tip, açıklama]
+const SECENEKLER = {
+  logger: ['false | \'sessiz\' | Gunluk', 'pino/winston uyumlu günlük; false ya da \'sessiz\' ile kapatılır'],
+  baseURL: ['string', 'TDK adresi (varsayılan https://sozluk.gov.tr/)'],
+  timeout: ['number', 'İstek zaman aşımı (ms)'],
+  retryCount: ['number', 'Yeniden deneme sayısı'],
+  retryDelay: ['number', 'İlk yeniden deneme beklemesi (ms)'],
+  maxRetryDelay: ['number', 'En uzun yeniden deneme beklemesi (ms)'],
+  cache: ['boolean', 'false ile önbellek kapatılır'],
+  cacheAdapter: ['unknown', 'bellek, dosya, redis ya da hazır bir adaptör'],
+  onbellekSureleri: ['{ ara?: number; atasozu?: number; gununKelimesi?: number; desen?: number }', 'Saniye'],
+  staleTTL: ['number', 'Süresi dolan aramaların bayat sunulacağı süre (sn)'],
+  negatifTTL: ['number', 'Bulunamayan kelimelerin önbellek süresi (sn)'],
+  kaynakZamanAsimi: ['number | Record<string, number>', 'Kaynak başına süre sınırı (ms)'],
+  veriKlasoru: ['string | false', 'Kalıcı verilerin klasörü; verilmezse dosyaya yazılmaz'],
+  kelimeDosyasi: ['string', 'Madde başı indeksi dosyası'],
+  kelimeIndeksiGuncelle: ['boolean', 'false ile indeks TDK\'dan tazelenmez'],
+  kelimeIndeksiTTL: ['number', 'İndeks tazeleme aralığı (sn)'],
+  kelimeIndeksiEnAz: ['number', 'Bundan küçük indeks tohum sayılır, ilk kullanımda TDK listesi beklenir'],
+  sorguIstatistik: ['unknown', 'Hazır bir SorguIstatistik'],
+  istatistik: ['Record<string, unknown>', 'SorguIstatistik seçenekleri'],
+  esZamanliIstek: ['number', 'Aynı anda TDK\'ya gidebilecek istek sayısı'],
+  topluEsZamanli: ['number', 'topluAra\'da aynı anda aranan kelime sayısı'],
+  devreKesici: ['{ esik?: number; beklemeSuresi?: number }', 'Endpoint devre kesici ayarları'],
+  metrikler: ['unknown', 'Prometheus MetrikKaydi'],
+  kasetKaydi: ['string', 'TDK cevaplarının yazılacağı kaset dosyası'],
+  arsiv: ['{ dosya?: string | false }', 'Günün kelimesi arşivi; dosya ya da veriKlasoru verilmezse sadece bellekte'],
+  gununKelimesiArsivi: ['unknown', 'Hazır bir GununKelimesiArsivi'],
+  semaDenetimi: ['boolean', 'Sonuçları ve TDK cevaplarını şemalarla denetler (varsayılan NODE_ENV=development)']
+};
+
+const HATA_SINIFLARI = [
+  'GecersizGirdi', 'YetkisizErisim', 'ErisimYasak', 'Bulunamadi', 'KelimeBulunamadi', 'Cakisma',
+  'IstekSiniriAsildi', 'KotaAsildi', 'UpstreamHatasi', 'DevreAcik', 'UpstreamZamanAsimi'
+];
+
+/**
+ * JSON Schema'yı TypeScript tipine çevirir
+ * @param {Object} sema - Şema
+ * @param {string} girinti - İç içe nesnelerin girintisi
+ * @returns {string}
+ */
+function tipYaz(sema, girinti = '') {
+  if (sema === true || !sema || Object.keys(sema).length === 0) return 'unknown';
+  if (sema.$ref) return sema.$ref.split('/').pop();
+  if ('const' in sema) return JSON.stringify(sema.const);
+  if (sema.enum === HATA_KODLARI) return 'HataKodu';
+  if (sema.enum) return sema.enum.map(deger => JSON.stringify(deger)).join(' | ');
+  if (sema.anyOf || sema.oneOf) return birlesim((sema.anyOf || sema.oneOf).map(alt => tipYaz(alt, girinti)));
+  if (sema.allOf) return sema.allOf.map(alt => tipYaz(alt, girinti)).join(' & ');
+
+  const turler = Array.isArray(sema.type) ? sema.type : [sema.type || 'object'];
+  return birlesim(turler.map(tur => {
+    switch (tur) {
+      case 'string': return 'string';
+      case 'integer':
+      case 'number': return 'number';
+      case 'boolean': return 'boolean';
+      case 'null': return 'null';
+      case 'array': {
+        const eleman = tipYaz(sema.items, girinti);
+        return /[|&]/.test(eleman) ? `Array<${eleman}>` : `${eleman}[]`;
+      }
+      default: return nesneYaz(sema, girinti);
+    }
+  }));
+}
+
+function nesneYaz(sema, girinti) {
+  const alanlar = Object.entries(sema.properties || {});
+  const ek = sema.additionalProperties;
+  if (alanlar.length === 0) return `Record<string, ${ek && ek !== true ? tipYaz(ek, girinti) : 'unknown'}>`;
+
+  const ic = `${girinti}  `;
+  const satirlar = [];
+  alanlar.forEach(([ad, alt]) => {
+    if (alt.description) satirlar.push(`${ic}/** ${alt.description} */`);
+    const istege = (sema.required || []).includes(ad) ? '' : '?';
+    satirlar.push(`${ic}${ad}${istege}: ${tipYaz(alt, ic)};`);
+  });
+  if (ek) satirlar.push(`${ic}[alan: string]: ${ek === true ? 'unknown' : tipYaz(ek, ic)};`);
+  return `{\n${satirlar.join('\n')}\n${girinti}}`;
+}
+
+function birlesim(tipler) {
+  return [...new Set(tipler)].join(' | ');
+}
+
+function tanimYaz(ad, sema) {
+  const aciklama = sema.description ? `/** ${sema.description} */\n` : '';
+  const tip = tipYaz(sema);
+  // Sadece düz nesne şemaları interface olur; birleşimler ve listeler type
+  const nesneMi = sema.type === 'object' && tip.startsWith('{');
+  return nesneMi
+    ? `${aciklama}export interface ${ad} ${tip}`
+    : `${aciklama}export type ${ad} = ${tip};`;
+}
+
+function dosyaUret() {
+  const bolumler = [
+    '// Bu dosya scripts/tipleri-uret.js ile lib/semalar.js şemalarından üretilir; elle düzenlemeyin.',
+    '',
+    `export type HataKodu = ${HATA_KODLARI.map(kod => `'${kod}'`).join(' | ')};`,
+    ''
+  ];
+
+  Object.entries(TANIMLAR).forEach(([ad, sema]) => {
+    bolumler.push(tanimYaz(ad, sema), '');
+  });
+
+  const yazilan = new Set(Object.keys(TANIMLAR));
+  Object.values(VERI_SEMALARI).forEach(sema => {
+    if (yazilan.has(sema.title)) return;
+    yazilan.add(sema.title);
+    const { title, ...govde } = sema;
+    bolumler.push(tanimYaz(title, govde), '');
+  });
+
+  bolumler.push(
+    'export interface Basarili<T> {',
+    '  success: true;',
+    '  data: T;',
+    '  metadata: Metadata;',
+    '}',
+    '',
+    '/** Her public metodun sonucu: başarılı zarf ya da hata zarfı */',
+    'export type Sonuc<T> = Basarili<T> | HataSonucu;',
+    '',
+    'export interface Gunluk {',
+    ...['debug', 'info', 'warn', 'error'].map(seviye => `  ${seviye}(...args: unknown[]): void;`),
+    '}',
+    '',
+    'export interface TDKSozlukSecenekleri {',
+    ...Object.entries(SECENEKLER).flatMap(([ad, [tip, aciklama]]) => [`  /** ${aciklama} */`, `  ${ad}?: ${tip};`]),
+    '}',
+    '',
+    'export interface AraSecenekleri {',
+    '  /** Bulunamayan kelimeyi köküyle arar (varsayılan true) */',
+    '  kokBul?: boolean;',
+    '  /** Aramayı popüler aramalara sayar (varsayılan true) */',
+    '  istatistik?: boolean;',
+    '  /** Sorgulanacak kaynaklar (varsayılan TDKSozluk.kaynaklar) */',
+    '  kaynaklar?: string[];',
+    '  telaffuz?: boolean;',
+    '  signal?: AbortSignal;',
+    '}',
+    '',
+    'export interface TopluAraSecenekleri extends AraSecenekleri {',
+    '  esZamanli?: number;',
+    '}',
+    '',
+    'declare class TDKSozluk {',
+    '  constructor(options?: TDKSozlukSecenekleri);',
+    '  static readonly kaynaklar: string[];',
+    '  readonly semaDenetimi: boolean;',
+    ...Object.entries(METOTLAR).map(([metod, [parametreler, donus]]) =>
+      `  ${metod}(${parametreler}): ${donus || `Promise<Sonuc<${VERI_SEMALARI[metod].title}>>`};`),
+    '}',
+    '',
+    'export interface SozlukRouter {',
+    '  (req: unknown, res: unknown, next: (err?: unknown) => void): void;',
+    '  isler: unknown;',
+    '  endpointler: string[];',
+    '  kapat(): Promise<void>;',
+    '}',
+    '',
+    'export interface Sunucu {',
+    '  app: unknown;',
+    '  router: SozlukRouter;',
+    '  server: import("http").Server;',
+    '  tdk: TDKSozluk;',
+    '  isler: unknown;',
+    '  ayarlar: Record<string, unknown>;',
+    '  kapat(): Promise<void>;',
+    '}',
+    '',
+    'export declare class SozlukHatasi extends Error {',
+    '  constructor(message?: string, options?: { code?: HataKodu; details?: string | null; alanlar?: HataDetayi["alanlar"]; cause?: unknown });',
+    '  code: HataKodu;',
+    '  details: string | null;',
+    '  readonly status: number;',
+    '  toJSON(): HataDetayi;',
+    '}',
+    ...HATA_SINIFLARI.map(ad => `export declare class ${ad} extends SozlukHatasi {}`),
+    '',
+    'export declare function createRouter(tdk: TDKSozluk, options?: Record<string, unknown>): SozlukRouter;',
+    'export declare function createServer(options?: Record<string, unknown>): Sunucu;',
+    'export declare function ayarlariYukle(options?: Record<string, unknown>, ortam?: Record<string, string | undefined>, uyar?: (bilinmeyenler: string[]) => void): Record<string, unknown>;',
+    'export declare function sonucSemasi(metod: string): Record<string, unknown>;',
+    'export declare function sonucDogrula(metod: string, sonuc: unknown): Array<{ alan: string; mesaj: string }>;',
+    'export declare function v2Zarfi<T>(govde: T, ek?: Record<string, unknown>): T;',
+    'export declare function durumKodu(kod: string): number;',
+    'export declare function hataDonustur(hata: unknown): SozlukHatasi;',
+    'export declare const HATA_KODLARI: HataKodu[];',
+    '',
+    'export { TDKSozluk };',
+    'export default TDKSozluk;',
+    ''
+  );
+
+  return bolumler.join('\n');
+}
+
+module.exports = { dosyaUret, DOSYA };
+
+if (require.main === module) {
+  const icerik = dosyaUret();
+
+  if (process.argv.includes('--denetle')) {
+    const mevcut = fs.existsSync(DOSYA) ? fs.readFileSync(DOSYA, 'utf8') : '';
+    if (mevcut !== icerik) {
+      console.error('❌ index.d.ts güncel değil: npm run tipler:uret');
+      process.exit(1);
+    }
+    console.log('✅ index.d.ts güncel');
+  } else {
+    fs.writeFileSync(DOSYA, icerik);
+    console.log(`✅ ${DOSYA} yazıldı`);
+  }
+}
@@ -0,0 +1,120 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { sahteSozluk } = require("./yardimci");
+
+describe('ara', () => {
+  let ortam;
+
+  beforeEach(async () => {
+    ortam = await sahteSozluk();
+  });
+
+  afterEach(() => ortam.kapat());
+
+  it('GTS maddesini anlamlar, örnekler ve etimolojiyle döndürür', async () => {
+    const sonuc = await ortam.tdk.ara('kitap');
+
+    assert.equal(sonuc.success, true);
+    assert.equal(sonuc.metadata.searchWord, 'kitap');
+    assert.equal(sonuc.data.temelBilgiler.madde, 'kitap');
+    assert.equal(sonuc.data.temelBilgiler.lisan, 'Arapça kitāb');
+    assert.equal(sonuc.data.anlamlar.length, 3);
+    assert.match(sonuc.data.anlamlar[0].anlam, /kâğıt yaprakların bütünü/);
+    assert.equal(sonuc.data.ornekler[0].ornek, 'Kitap okumayı çok severdi.');
+    assert.ok(sonuc.data.birlesikler.includes('kitap kurdu'));
+    assert.ok(sonuc.data.etimoloji);
+    assert.equal(sonuc.data.atasozleri.length, 1);
+  });
+
+  it('TDK\'da olmayan kelime için KELIME_BULUNAMADI döner', async () => {
+    const sonuc = await ortam.tdk.ara('qwxyz', { kokBul: false });
+
+    assert.equal(sonuc.success, false);
+    assert.equal(sonuc.error.code, 'KELIME_BULUNAMADI');
+  });
+
+  it('çekimli kelimeyi köküyle arar', async () => {
+    const sonuc = await ortam.tdk.ara('kitaplar');
+
+    assert.equal(sonuc.success, true);
+    assert.equal(sonuc.metadata.kok, 'kitap');
+    assert.equal(sonuc.metadata.arananKelime, 'kitaplar');
+  });
+
+  it('tohum listede olmayan kökü TDK\'dan kurulan indeksle bulur', async () => {
+    await ortam.kapat();
+    ortam = await sahteSozluk({ kelimeIndeksiGuncelle: true, kelimeIndeksiEnAz: 1000 });
+    ortam.tdkSunucu.senaryo('autocomplete.json', { durum: 200, govde: [{ madde: 'kavanoz' }, { madde: 'kitap' }] });
+    ortam.tdkSunucu.senaryo('gts', {
+      durum: 200,
+      govde: [{ madde: 'kavanoz', lisan: 'Rumca kavanos', anlamlarListe: [{ anlam: 'Genellikle cam ya da topraktan yapılmış kap' }] }],
+      ara: 'kavanoz'
+    });
+
+    const sonuc = await ortam.tdk.ara('kavanozlarımızda');
+    assert.equal(sonuc.success, true);
+    assert.equal(sonuc.metadata.kok, 'kavanoz');
+  });
+
+  it('ikinci aramayı önbellekten sunar', async () => {
+    await ortam.tdk.ara('kitap');
+    const istekler = ortam.tdkSunucu.istekSayisi('gts');
+
+    const sonuc = await ortam.tdk.ara('kitap');
+    assert.equal(sonuc.success, true);
+    assert.equal(ortam.tdkSunucu.istekSayisi('gts'), istekler);
+  });
+
+  it('aynı anda gelen aynı aramaları TDK\'ya tek istekle götürür', async () => {
+    const sonuclar = await Promise.all([
+      ortam.tdk.ara('masa'),
+      ortam.tdk.ara('masa'),
+      ortam.tdk.ara('masa')
+    ]);
+
+    assert.ok(sonuclar.every(sonuc => sonuc.success));
+    assert.equal(ortam.tdkSunucu.istekSayisi('gts'), 1);
+  });
+
+  it('sesGetir büyük/küçük harf farklı eş zamanlı istekleri birleştirir', async () => {
+    const sonuclar = await Promise.all([ortam.tdk.sesGetir('Kitap'), ortam.tdk.sesGetir(' KİTAP')]);
+
+    assert.deepEqual(sonuclar.map(sonuc => sonuc.data.kelime), ['Kitap', ' KİTAP']);
+    assert.ok(sonuclar.every(sonuc => sonuc.data.sesDosyasi));
+    assert.equal(ortam.tdkSunucu.istekSayisi('ses'), 1);
+  });
+
+  it('5xx cevabını yeniden dener', async () => {
+    ortam.tdkSunucu.senaryo('gts', { durum: 503, kez: 1 });
+
+    const sonuc = await ortam.tdk.ara('kitap');
+    assert.equal(sonuc.success, true);
+    assert.equal(ortam.tdkSunucu.istekSayisi('gts'), 2);
+  });
+
+  it('yeniden denemeler tükenince UPSTREAM_HATASI döner', async () => {
+    ortam.tdkSunucu.senaryo('gts', { durum: 500 });
+
+    const sonuc = await ortam.tdk.ara('kitap', { kokBul: false });
+    assert.equal(sonuc.success, false);
+    assert.equal(sonuc.error.code, 'UPSTREAM_HATASI');
+    assert.equal(ortam.tdkSunucu.istekSayisi('gts'), 2);
+  });
+
+  it('cevap vermeyen TDK için UPSTREAM_ZAMAN_ASIMI döner', async () => {
+    ortam.tdkSunucu.senaryo('gts', { gecikme: 2000 });
+
+    const sonuc = await ortam.tdk.ara('kitap', { kokBul: false });
+    assert.equal(sonuc.success, false);
+    assert.equal(sonuc.error.code, 'UPSTREAM_ZAMAN_ASIMI');
+  });
+
+  it('ek kaynak cevap vermezse eksik ama başarılı sonuç döner', async () => {
+    ortam.tdkSunucu.senaryo('etms', { durum: 500 });
+
+    const sonuc = await ortam.tdk.ara('kitap');
+    assert.equal(sonuc.success, true);
+    assert.equal(sonuc.data.metadata.tamVeri, false);
+    assert.deepEqual(sonuc.data.metadata.kaynaklar.basarisiz, ['etms']);
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { sahteSozluk } = require("./yardimci");
+
+describe('atasozuAra', () => {
+  let ortam;
+
+  beforeEach(async () => {
+    ortam = await sahteSozluk();
+  });
+
+  afterEach(() => ortam.kapat());
+
+  it('atasözlerini ve deyimleri birlikte döndürür', async () => {
+    const sonuc = await ortam.tdk.atasozuAra('göz');
+
+    assert.equal(sonuc.success, true);
+    assert.equal(sonuc.data.atasozleri.length, 1);
+    assert.equal(sonuc.data.deyimler.length, 2);
+    assert.equal(sonuc.data.toplam, 3);
+    assert.equal(sonuc.data.deyimler[0].sozum, 'göz atmak');
+  });
+
+  it('sonucu önbelleğe alır', async () => {
+    await ortam.tdk.atasozuAra('göz');
+    await ortam.tdk.atasozuAra('göz');
+
+    assert.equal(ortam.tdkSunucu.istekSayisi('atasozu'), 1);
+    assert.equal(ortam.tdkSunucu.istekSayisi('deyim'), 1);
+  });
+
+  it('büyük/küçük harf ve Unicode biçimi farklı eş zamanlı aramaları birleştirir', async () => {
+    const sonuclar = await Promise.all([
+      ortam.tdk.atasozuAra('Göz'),
+      ortam.tdk.atasozuAra('GÖZ '),
+      ortam.tdk.atasozuAra('go\u0308z')
+    ]);
+
+    assert.ok(sonuclar.every(sonuc => sonuc.success && sonuc.data.toplam === 3));
+    assert.ok(sonuclar.every(sonuc => sonuc.data.anahtar === 'göz'));
+    assert.equal(ortam.tdkSunucu.istekSayisi('atasozu'), 1);
+    assert.equal(ortam.tdkSunucu.istekSayisi('deyim'), 1);
+  });
+
+  it('kaynaklardan biri hata verirse diğerini döndürür', async () => {
+    ortam.tdkSunucu.senaryo('deyim', { durum: 500 });
+
+    const sonuc = await ortam.tdk.atasozuAra('göz');
+    assert.equal(sonuc.success, true);
+    assert.equal(sonuc.data.atasozleri.length, 1);
+    assert.deepEqual(sonuc.data.deyimler, []);
+  });
+
+  it('iki kaynak da hata verirse UPSTREAM_HATASI döner', async () => {
+    ortam.tdkSunucu.senaryo('*', { durum: 502 });
+
+    const sonuc = await ortam.tdk.atasozuAra('göz');
+    assert.equal(sonuc.success, false);
+    assert.equal(sonuc.error.code, 'UPSTREAM_HATASI');
+  });
+
+  it('cevap gelmezse UPSTREAM_ZAMAN_ASIMI döner', async () => {
+    ortam.tdkSunucu.senaryo('*', { gecikme: 2000 });
+
+    const sonuc = await ortam.tdk.atasozuAra('göz');
+    assert.equal(sonuc.success, false);
+    assert.equal(sonuc.error.code, 'UPSTREAM_ZAMAN_ASIMI');
+  });
+});
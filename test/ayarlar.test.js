@@ -0,0 +1,114 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ayarlariYukle } = require("../lib/ayarlar");
+const { GecersizGirdi } = require("../lib/hatalar");
+
+describe('ayarlariYukle', () => {
+  let klasor;
+
+  before(() => {
+    klasor = fs.mkdtempSync(path.join(os.tmpdir(), 'tdk-ayarlar-'));
+  });
+
+  after(() => fs.rmSync(klasor, { recursive: true, force: true }));
+
+  const dosyaYaz = (ad, icerik) => {
+    const dosya = path.join(klasor, ad);
+    fs.writeFileSync(dosya, typeof icerik === 'string' ? icerik : JSON.stringify(icerik));
+    return dosya;
+  };
+
+  it('varsayılanları doldurur', () => {
+    const ayarlar = ayarlariYukle({}, {});
+    assert.equal(ayarlar.port, 3000);
+    assert.equal(ayarlar.apiPath, '/api');
+    assert.deepEqual(ayarlar.corsOrigin, ['*']);
+    assert.deepEqual(ayarlar.kapanisSinyalleri, ['SIGTERM']);
+  });
+
+  it('ortam değişkenlerini şemadaki türe çevirir', () => {
+    const ayarlar = ayarlariYukle({}, {
+      PORT: '8080',
+      TDK_CORS_ORIGIN: 'https://a.com,https://b.com',
+      TDK_CACHE_TTL_ARA: '120',
+      TDK_DOCS: 'true',
+      TDK_METRICS: 'false',
+      TDK_API_KEYS_FILE: './anahtarlar.json',
+      TDK_DATA_DIR: '/var/lib/tdk',
+      TDK_ARCHIVE_FILE: '/var/lib/tdk/arsiv.json',
+      TDK_RATE_LIMIT_MAX: ''
+    });
+    assert.equal(ayarlar.port, 8080);
+    assert.deepEqual(ayarlar.corsOrigin, ['https://a.com', 'https://b.com']);
+    assert.deepEqual(ayarlar.onbellekSureleri, { ara: 120 });
+    assert.equal(ayarlar.dokumanArayuzu, true);
+    assert.equal(ayarlar.metrikler, false);
+    assert.deepEqual(ayarlar.kimlikDogrulama, { dosya: './anahtarlar.json' });
+    assert.equal(ayarlar.veriKlasoru, '/var/lib/tdk');
+    assert.deepEqual(ayarlar.arsiv, { dosya: '/var/lib/tdk/arsiv.json' });
+    assert.equal(ayarlar.rateLimitMax, 100);
+  });
+
+  it('katmanlar dosya → ortam → seçenekler sırasıyla ezilir, nesneler bir seviye birleşir', () => {
+    const dosya = dosyaYaz('ayarlar.json', {
+      port: 4000,
+      apiPath: '/sozluk',
+      rateLimitMax: 50,
+      onbellekSureleri: { ara: 60, atasozu: 70 }
+    });
+
+    const ayarlar = ayarlariYukle(
+      { ayarDosyasi: dosya, rateLimitMax: 300, onbellekSureleri: { atasozu: 90 }, apiPath: undefined },
+      { PORT: '5000', TDK_RATE_LIMIT_MAX: '200', TDK_CACHE_TTL_TOPLU: '30' }
+    );
+    assert.equal(ayarlar.port, 5000);
+    assert.equal(ayarlar.apiPath, '/sozluk');
+    assert.equal(ayarlar.rateLimitMax, 300);
+    assert.deepEqual(ayarlar.onbellekSureleri, { ara: 60, atasozu: 90, toplu: 30 });
+
+    // Dosya seçenek verilmezse TDK_CONFIG'ten okunur
+    assert.equal(ayarlariYukle({}, { TDK_CONFIG: dosya }).port, 4000);
+  });
+
+  it('okunamayan ya da nesne olmayan ayar dosyasını reddeder', () => {
+    assert.throws(() => ayarlariYukle({ ayarDosyasi: path.join(klasor, 'yok.json') }, {}), /Ayar dosyası okunamadı/);
+    assert.throws(() => ayarlariYukle({ ayarDosyasi: dosyaYaz('bozuk.json', '{ port: ') }, {}), /Ayar dosyası okunamadı/);
+    assert.throws(() => ayarlariYukle({ ayarDosyasi: dosyaYaz('dizi.json', [1]) }, {}), /Ayar dosyası okunamadı/);
+  });
+
+  it('hatalı değerleri alan alan GecersizGirdi ile bildirir', () => {
+    assert.throws(
+      () => ayarlariYukle({ port: 70000, apiPath: 'api', kapanisSinyalleri: ['SIGKILL'] }, { TDK_RATE_LIMIT_WINDOW: 'x' }),
+      error => {
+        assert.ok(error instanceof GecersizGirdi);
+        assert.equal(error.message, 'Geçersiz sunucu ayarları');
+        const alanlar = error.alanlar.map(h => h.alan).join(' ');
+        ['port', 'apiPath', 'kapanisSinyalleri', 'rateLimitWindow'].forEach(alan => assert.match(alanlar, new RegExp(alan)));
+        return true;
+      }
+    );
+  });
+
+  it('corsOrigin tek metin olarak da verilebilir', () => {
+    assert.deepEqual(ayarlariYukle({ corsOrigin: 'https://a.com' }, {}).corsOrigin, ['https://a.com']);
+    assert.throws(() => ayarlariYukle({ corsOrigin: [] }, {}), /Geçersiz sunucu ayarları/);
+  });
+
+  it('bilinmeyen alanları hata vermeden ayıklar ve uyarır', () => {
+    let uyarilan = null;
+    const ayarlar = ayarlariYukle(
+      { prot: 8080, onbellekSureleri: { ara: 60, sure: 5 }, tdk: { serbest: true } },
+      {},
+      yollar => { uyarilan = yollar; }
+    );
+    assert.deepEqual(uyarilan, ['prot', 'onbellekSureleri.sure']);
+    assert.equal(ayarlar.prot, undefined);
+    assert.deepEqual(ayarlar.onbellekSureleri, { ara: 60 });
+    assert.deepEqual(ayarlar.tdk, { serbest: true });
+
+    assert.doesNotThrow(() => ayarlariYukle({ prot: 8080 }, {}));
+  });
+});
@@ -0,0 +1,165 @@
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable, PassThrough } = require("stream");
+const { calistir, yeniSozluk, kelimeKonumlari, CIKIS_KODLARI } = require("../lib/cli");
+const { sahteSozluk } = require("./yardimci");
+const paket = require("../package.json");
+
+/**
+ * CLI'yi sahte TDK'ya bağlı sözlükle çalıştırır
+ * @returns {Promise<Object>} - { kod, stdout, stderr }
+ */
+async function cli(ortam, argv, girdi = null) {
+  const stdout = new PassThrough();
+  const stderr = new PassThrough();
+  let cikti = '';
+  let hata = '';
+  stdout.on('data', parca => { cikti += parca; });
+  stderr.on('data', parca => { hata += parca; });
+
+  const stdin = girdi === null ? { isTTY: true } : Object.assign(Readable.from([girdi]), { isTTY: false });
+  const kod = await calistir(argv, { stdin, stdout, stderr, env: {}, tdk: ortam && ortam.tdk });
+  return { kod, stdout: cikti, stderr: hata };
+}
+
+describe('creart-tdk CLI', () => {
+  let ortam;
+  let klasor;
+
+  before(async () => {
+    ortam = await sahteSozluk({ cache: false });
+    klasor = fs.mkdtempSync(path.join(os.tmpdir(), 'tdk-cli-'));
+  });
+
+  after(async () => {
+    await ortam.kapat();
+    fs.rmSync(klasor, { recursive: true, force: true });
+  });
+
+  afterEach(() => ortam.tdkSunucu.sifirla());
+
+  it('--version ve --help', async () => {
+    const surum = await cli(null, ['--version']);
+    assert.equal(surum.kod, CIKIS_KODLARI.BASARILI);
+    assert.equal(surum.stdout, `${paket.version}\n`);
+
+    const yardim = await cli(null, ['--help']);
+    assert.equal(yardim.kod, CIKIS_KODLARI.BASARILI);
+    assert.match(yardim.stdout, /^Kullanım: creart-tdk <komut>/);
+  });
+
+  it('kullanım hatalarında 2 döner ve stderr\'e yazar', async () => {
+    for (const argv of [[], ['uc'], ['ara', '--bilinmeyen'], ['ara'], ['ara', 'kitap', '--format', 'xml'], ['sunucu', '--port', 'x']]) {
+      const { kod, stdout, stderr } = await cli(ortam, argv);
+      assert.equal(kod, CIKIS_KODLARI.KULLANIM, argv.join(' '));
+      assert.equal(stdout, '');
+      assert.notEqual(stderr, '');
+    }
+  });
+
+  it('ara kelimeyi renksiz düz metin olarak yazar', async () => {
+    const { kod, stdout } = await cli(ortam, ['ara', 'kitap']);
+    assert.equal(kod, CIKIS_KODLARI.BASARILI);
+    assert.match(stdout, /^kitap {2}\(Arapça kitāb\)\n/);
+    assert.match(stdout, / {2}1\. /);
+    assert.doesNotMatch(stdout, /\x1b\[/);
+  });
+
+  it('ara --json zarfı olduğu gibi, --format csv dosya olarak yazar', async () => {
+    const json = await cli(ortam, ['ara', 'kitap', '--json']);
+    assert.equal(json.kod, CIKIS_KODLARI.BASARILI);
+    const sonuc = JSON.parse(json.stdout);
+    assert.equal(sonuc.success, true);
+    assert.equal(sonuc.data.temelBilgiler.madde, 'kitap');
+
+    const csv = await cli(ortam, ['ara', 'kitap', '--format', 'csv']);
+    assert.equal(csv.kod, CIKIS_KODLARI.BASARILI);
+    assert.match(csv.stdout.split('\n')[0], /kelime/i);
+    assert.match(csv.stdout, /kitap/);
+  });
+
+  it('ara standart girdideki her satırı arar; bulunamayan varsa 1 döner', async () => {
+    const { kod, stdout, stderr } = await cli(ortam, ['ara', '-'], 'kitap\nqwxyz\n');
+    assert.equal(kod, CIKIS_KODLARI.BULGU);
+    assert.match(stdout, /^kitap/);
+    assert.match(stderr, /qwxyz/);
+  });
+
+  it('TDK hata verirse 3 döner', async () => {
+    ortam.tdkSunucu.senaryo('gts', { durum: 503 });
+    const { kod, stderr } = await cli(ortam, ['ara', 'kitap', '--kaynaklar', 'gts']);
+    assert.equal(kod, CIKIS_KODLARI.HATA);
+    assert.match(stderr, /✖/);
+  });
+
+  it('denetle yazım hatasını konumuyla bildirir ve 1 döner', async () => {
+    const { kod, stdout } = await cli(ortam, ['denetle', '-'], 'kitap masa\nev kitpa\n');
+    assert.equal(kod, CIKIS_KODLARI.BULGU);
+    assert.match(stdout, /<stdin>:2:4 {2}kitpa/);
+    assert.match(stdout, /✖ 1 yazım hatası \(4 kelime denetlendi\)/);
+
+    const temiz = await cli(ortam, ['denetle', '-', '--json'], 'kitap masa');
+    assert.equal(temiz.kod, CIKIS_KODLARI.BASARILI);
+    assert.deepEqual(JSON.parse(temiz.stdout).data.istatistik, { toplamKelime: 2, farkliKelime: 2, hataliKelime: 0, denetlenemeyen: 0 });
+  });
+
+  it('sözlüğü TDK indeksiyle kurar, sadece TDK_DATA_DIR verilince yazar', async () => {
+    const tdk = yeniSozluk({}, new PassThrough());
+    assert.equal(tdk.kelimeIndeksiGuncelle, true);
+    assert.equal(tdk.veriKlasoru, null);
+    assert.equal(tdk.gununKelimesiArsivi.dosya, null);
+    await tdk.kapat({ beklemeSuresi: 0 });
+
+    const kalici = yeniSozluk({ TDK_DATA_DIR: klasor }, new PassThrough());
+    assert.equal(kalici.veriKlasoru, klasor);
+    assert.equal(kalici.gununKelimesiArsivi.dosya, path.join(klasor, 'gunun-kelimeleri.json'));
+    await kalici.kapat({ beklemeSuresi: 0 });
+  });
+
+  it('denetle kökü tohum listede olmayan çekimli kelimeyi TDK indeksiyle kabul eder', async () => {
+    const indeksli = await sahteSozluk({ cache: false, kelimeIndeksiGuncelle: true, kelimeIndeksiEnAz: 1000 });
+    try {
+      indeksli.tdkSunucu.senaryo('autocomplete.json', { durum: 200, govde: [{ madde: 'kavanoz' }, { madde: 'kitap' }] });
+      const { kod, stdout } = await cli(indeksli, ['denetle', '-'], 'kavanozlarımızda, kitap.\n');
+      assert.equal(kod, CIKIS_KODLARI.BASARILI, stdout);
+      assert.match(stdout, /✔ Yazım hatası bulunamadı \(2 kelime denetlendi\)/);
+    } finally {
+      await indeksli.kapat();
+    }
+  });
+
+  it('denetle markdown dosyasındaki kod bloklarını atlar', async () => {
+    const dosya = path.join(klasor, 'metin.md');
+    fs.writeFileSync(dosya, 'kitap `kitpa`\n\n```\nmasaa\n```\nmasa\n');
+
+    const { kod, stdout } = await cli(ortam, ['denetle', dosya]);
+    assert.equal(kod, CIKIS_KODLARI.BASARILI);
+    assert.match(stdout, /✔ Yazım hatası bulunamadı \(2 kelime denetlendi\)/);
+
+    const yok = await cli(ortam, ['denetle', path.join(klasor, 'yok.txt')]);
+    assert.equal(yok.kod, CIKIS_KODLARI.KULLANIM);
+    assert.match(yok.stderr, /dosya yok/);
+
+    assert.equal((await cli(ortam, ['denetle', '-', '--oneri', '0'], 'kitap')).kod, CIKIS_KODLARI.KULLANIM);
+  });
+
+  it('atasozu ve gunun-kelimesi', async () => {
+    const atasozu = await cli(ortam, ['atasozu', 'göz']);
+    assert.equal(atasozu.kod, CIKIS_KODLARI.BASARILI);
+    assert.match(atasozu.stdout, /Atasözleri:/);
+
+    const gunun = await cli(ortam, ['gunun-kelimesi', '--json']);
+    assert.equal(gunun.kod, CIKIS_KODLARI.BASARILI);
+    assert.equal(JSON.parse(gunun.stdout).data.kelime, 'ağaç');
+  });
+
+  it('kelimeKonumlari bağlantıları ve tek harfleri atlar', () => {
+    assert.deepEqual(kelimeKonumlari("Ankara'ya git: https://sozluk.gov.tr a"), [
+      { kelime: 'Ankara', satir: 1, sutun: 1 },
+      { kelime: 'git', satir: 1, sutun: 11 }
+    ]);
+  });
+});
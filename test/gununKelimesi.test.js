@@ -0,0 +1,155 @@
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const GununKelimesiArsivi = require("../lib/gununKelimesiArsivi");
+const { bugun, gecerliTarih, tarihliRastgele } = require("../lib/gununKelimesiArsivi");
+const { rssYaz, atomYaz } = require("../lib/besleme");
+const { sahteSozluk } = require("./yardimci");
+
+describe('gununKelimesi arşivi', () => {
+  let klasor;
+  let ortam;
+
+  before(() => {
+    klasor = fs.mkdtempSync(path.join(os.tmpdir(), 'tdk-arsiv-'));
+  });
+
+  after(() => fs.rmSync(klasor, { recursive: true, force: true }));
+
+  afterEach(async () => {
+    if (ortam) await ortam.kapat();
+    ortam = null;
+  });
+
+  it('günün kelimesini arşive yazar, yeniden başlatmada TDK\'ya gitmez', async () => {
+    const dosya = path.join(klasor, 'arsiv.json');
+    ortam = await sahteSozluk({ cache: false, arsiv: { dosya } });
+
+    const ilk = await ortam.tdk.gununKelimesi();
+    assert.equal(ilk.data.kelime, 'ağaç');
+    assert.equal(ilk.metadata.source, 'gunun-sozu');
+    await ortam.kapat();
+
+    const kayitli = JSON.parse(fs.readFileSync(dosya, 'utf8'));
+    assert.deepEqual(kayitli.kayitlar.map(kayit => kayit.tarih), [bugun()]);
+
+    ortam = await sahteSozluk({ cache: false, arsiv: { dosya } });
+    const ikinci = await ortam.tdk.gununKelimesi();
+    assert.equal(ikinci.data.kelime, 'ağaç');
+    assert.equal(ikinci.metadata.source, 'arsiv');
+    assert.equal(ortam.tdkSunucu.istekSayisi('gunun-sozu'), 0);
+  });
+
+  it('arşiv varsayılan olarak veri klasörüne yazılır, false ile bellekte kalır', async () => {
+    const veriKlasoru = path.join(klasor, 'veri');
+    ortam = await sahteSozluk({ cache: false, veriKlasoru });
+    assert.equal(ortam.tdk.gununKelimesiArsivi.dosya, path.join(veriKlasoru, 'gunun-kelimeleri.json'));
+    await ortam.tdk.gununKelimesi();
+    await ortam.kapat();
+
+    ortam = await sahteSozluk({ cache: false, veriKlasoru });
+    assert.equal((await ortam.tdk.gununKelimesi()).metadata.source, 'arsiv');
+    await ortam.kapat();
+
+    ortam = await sahteSozluk({ cache: false, veriKlasoru, arsiv: { dosya: false } });
+    assert.equal(ortam.tdk.gununKelimesiArsivi.dosya, null);
+    assert.equal((await ortam.tdk.gununKelimesi()).metadata.source, 'gunun-sozu');
+  });
+
+  it('kalıcılık seçeneği verilmeyen sözlük diske hiçbir şey yazmaz', async () => {
+    const calismaKlasoru = fs.mkdtempSync(path.join(klasor, 'cwd-'));
+    const oncekiKlasor = process.cwd();
+    process.chdir(calismaKlasoru);
+    try {
+      ortam = await sahteSozluk({ veriKlasoru: undefined, kelimeIndeksiGuncelle: undefined });
+      assert.equal(ortam.tdk.veriKlasoru, null);
+      assert.equal(ortam.tdk.gununKelimesiArsivi.dosya, null);
+
+      await ortam.tdk.gununKelimesi();
+      await ortam.tdk.harfeGoreKelimeler('k');
+      await ortam.tdk._indeksGuncelleniyor;
+      await ortam.kapat();
+      ortam = null;
+
+      assert.deepEqual(fs.readdirSync(calismaKlasoru), []);
+    } finally {
+      process.chdir(oncekiKlasor);
+    }
+  });
+
+  it('TDK hata verince tarihe göre aynı yedek kelimeyi seçer ve arşivlemez', async () => {
+    ortam = await sahteSozluk({ cache: false });
+    ortam.tdkSunucu.senaryo('gunun-sozu', { durum: 503 });
+
+    const ilk = await ortam.tdk.gununKelimesi();
+    const ikinci = await ortam.tdk.gununKelimesi();
+    assert.equal(ilk.success, true);
+    assert.equal(ilk.metadata.source, 'yedek');
+    assert.equal(ilk.metadata.sebep, 'UPSTREAM_HATASI');
+    assert.equal(ilk.data.kaynak, 'Madde başı indeksi');
+    assert.ok(ortam.tdk.kelimeIndeksi.icerir(ilk.data.kelime));
+    assert.equal(ikinci.data.kelime, ilk.data.kelime);
+    assert.equal(await ortam.tdk.gununKelimesiArsivi.boyut(), 0);
+  });
+
+  it('tarihliRastgele aynı tarihte aynı diziyi üretir', () => {
+    const a = tarihliRastgele('2024-05-01');
+    const b = tarihliRastgele('2024-05-01');
+    const c = tarihliRastgele('2024-05-02');
+    const dizi = [a(), a(), a()];
+    assert.deepEqual([b(), b(), b()], dizi);
+    assert.notDeepEqual([c(), c(), c()], dizi);
+    assert.ok(dizi.every(sayi => sayi >= 0 && sayi < 1));
+  });
+
+  it('geçmiş bir günü arşivden getirir', async () => {
+    ortam = await sahteSozluk();
+    await ortam.tdk.gununKelimesiArsivi.ekle({ tarih: '2024-01-15', kelime: 'kitap', anlam: null, kaynak: 'TDK Günün Sözü' });
+
+    const sonuc = await ortam.tdk.tarihliGununKelimesi('2024-01-15');
+    assert.equal(sonuc.data.kelime, 'kitap');
+    assert.equal(sonuc.metadata.source, 'arsiv');
+
+    assert.equal((await ortam.tdk.tarihliGununKelimesi('2024-01-16')).error.code, 'BULUNAMADI');
+    assert.equal((await ortam.tdk.tarihliGununKelimesi('2024-02-30')).error.code, 'GECERSIZ_GIRDI');
+    assert.equal((await ortam.tdk.tarihliGununKelimesi('2999-01-01')).error.code, 'GECERSIZ_GIRDI');
+    assert.equal((await ortam.tdk.tarihliGununKelimesi(bugun())).data.kelime, 'ağaç');
+  });
+
+  it('geçmişi yeniden eskiye sayfalar', async () => {
+    const arsiv = new GununKelimesiArsivi();
+    for (const [tarih, kelime] of [['2024-01-02', 'masa'], ['2024-01-01', 'kitap'], ['2024-01-03', 'göz']]) {
+      await arsiv.ekle({ tarih, kelime, kaynak: 'TDK Günün Sözü' });
+    }
+    ortam = await sahteSozluk({ gununKelimesiArsivi: arsiv });
+
+    const sonuc = await ortam.tdk.gununKelimesiGecmisi({ sayfa: 1, limit: 2 });
+    assert.deepEqual(sonuc.data.kayitlar.map(kayit => kayit.kelime), ['ağaç', 'göz']);
+    assert.equal(sonuc.data.toplamKayit, 4);
+    assert.equal(sonuc.data.toplamSayfa, 2);
+    assert.equal(await arsiv.ekle({ tarih: '2024-01-01', kelime: 'ev', kaynak: 'x' }), false);
+  });
+
+  it('gecerliTarih takvimde olmayan günleri reddeder', () => {
+    assert.equal(gecerliTarih('2024-02-29'), true);
+    assert.equal(gecerliTarih('2023-02-29'), false);
+    assert.equal(gecerliTarih('2024-1-01'), false);
+  });
+
+  it('RSS ve Atom beslemeleri kayıtları kaçışlı yazar', () => {
+    const kayitlar = [{ tarih: '2024-01-02', kelime: 'ağaç & dal', anlam: '<i>Gövdeli</i> bitki' }];
+    const kanal = { baslik: 'Günün Kelimesi', aciklama: 'Test', adres: 'http://x/api/gunun-kelimesi', kendi: 'http://x/api/gunun-kelimesi/rss' };
+
+    const rss = rssYaz(kayitlar, kanal);
+    assert.match(rss, /<title>ağaç &amp; dal<\/title>/);
+    assert.match(rss, /<link>http:\/\/x\/api\/gunun-kelimesi\/2024-01-02<\/link>/);
+    assert.match(rss, /<description>Gövdeli bitki<\/description>/);
+    assert.match(rss, /<pubDate>Tue, 02 Jan 2024 00:00:00 GMT<\/pubDate>/);
+
+    const atom = atomYaz(kayitlar, kanal);
+    assert.match(atom, /<feed xmlns="http:\/\/www.w3.org\/2005\/Atom"/);
+    assert.match(atom, /<updated>2024-01-02T00:00:00.000Z<\/updated>/);
+  });
+});
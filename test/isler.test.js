@@ -0,0 +1,144 @@
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { IsYoneticisi } = require("../lib/isler");
+const IstekBirlestirici = require("../lib/birlestirici");
+const { sahteSozluk } = require("./yardimci");
+
+const bekle = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function bekleKadar(kosul, sure = 2000) {
+  const bitis = Date.now() + sure;
+  while (!kosul()) {
+    if (Date.now() > bitis) throw new Error('Koşul zamanında sağlanmadı');
+    await bekle(5);
+  }
+}
+
+describe('IsYoneticisi', () => {
+  let ortam;
+
+  before(async () => {
+    ortam = await sahteSozluk({ cache: false, timeout: 10000 });
+  });
+
+  after(() => ortam.kapat());
+
+  afterEach(() => ortam.tdkSunucu.sifirla());
+
+  it('silinen işin süren TDK istekleri iptal edilir', async () => {
+    ortam.tdkSunucu.senaryo('*', { gecikme: 5000 });
+    const isler = new IsYoneticisi({ tdk: ortam.tdk });
+    const { id } = isler.olustur(['kitap', 'masa'], { kaynaklar: ['gts'] });
+
+    await bekleKadar(() => ortam.tdk.havuz.aktif === 2);
+    const baslangic = Date.now();
+    assert.equal(isler.sil(id).durum, 'iptal');
+
+    await bekleKadar(() => ortam.tdk.havuz.aktif === 0);
+    assert.ok(Date.now() - baslangic < 1000);
+    assert.equal(ortam.tdk.birlestirici.suren.size, 0);
+  });
+
+  it('kapat süren ve bekleyen işleri iptal olarak işaretler', async () => {
+    ortam.tdkSunucu.senaryo('*', { gecikme: 5000 });
+    const isler = new IsYoneticisi({ tdk: ortam.tdk });
+    const suren = isler.olustur(['kitap'], { kaynaklar: ['gts'] });
+    const bekleyen = isler.olustur(['masa'], { kaynaklar: ['gts'] });
+
+    await bekleKadar(() => ortam.tdk.havuz.aktif === 1);
+    isler.kapat();
+    await bekleKadar(() => ortam.tdk.havuz.aktif === 0);
+    await bekle(20);
+
+    [suren.id, bekleyen.id].forEach(id => {
+      const ozet = isler.getir(id);
+      assert.equal(ozet.durum, 'iptal');
+      assert.ok(ozet.bitis);
+      assert.throws(() => isler.sonuclar(id), /henüz tamamlanmadı/);
+    });
+  });
+
+  it('ara signal iptal edilince beklemeden döner', async () => {
+    ortam.tdkSunucu.senaryo('*', { gecikme: 5000 });
+    const durdur = new AbortController();
+    const arama = ortam.tdk.ara('kitap', { kaynaklar: ['gts'], signal: durdur.signal, kokBul: false });
+
+    await bekleKadar(() => ortam.tdkSunucu.istekSayisi('gts') === 1);
+    durdur.abort();
+    const sonuc = await arama;
+    assert.equal(sonuc.success, false);
+    await bekleKadar(() => ortam.tdk.havuz.aktif === 0);
+  });
+
+  it('sonuç boyutu sınırı aşılınca iş hata ile durur ve sonuçları bırakılır', async () => {
+    const isler = new IsYoneticisi({ tdk: ortam.tdk, maxSonucBoyutu: 1000 });
+    const { id } = isler.olustur(['kitap', 'masa', 'kalem'], { esZamanli: 1 });
+
+    await bekleKadar(() => isler.getir(id).durum !== 'calisiyor');
+    const ozet = isler.getir(id);
+    assert.equal(ozet.durum, 'hata');
+    assert.match(ozet.hata, /1000 bayt sınırını aştı/);
+    assert.equal(ozet.tamamlanan, 1);
+    assert.ok(ozet.sonucBoyutu > 1000);
+    assert.throws(() => isler.sonuclar(id), /henüz tamamlanmadı/);
+  });
+
+  it('sınır içindeki iş tamamlanır, sonuç boyutu özette görünür', async () => {
+    const isler = new IsYoneticisi({ tdk: ortam.tdk });
+    const { id } = isler.olustur(['kitap', 'masa']);
+
+    await bekleKadar(() => isler.getir(id).durum === 'tamamlandi');
+    const { is, sonuclar } = isler.sonuclar(id);
+    assert.equal(is.sonucBoyutu, sonuclar.reduce((t, s) => t + Buffer.byteLength(JSON.stringify(s)), 0));
+  });
+});
+
+describe('IstekBirlestirici', () => {
+  it('iptal eden çağıran ayrılır, ortak iş diğerleri için sürer', async () => {
+    const birlestirici = new IstekBirlestirici();
+    let ortakSinyal;
+    let bitir;
+    const fn = signal => {
+      ortakSinyal = signal;
+      return new Promise(resolve => { bitir = resolve; });
+    };
+
+    const birinci = new AbortController();
+    const ilk = birlestirici.calistir('ara', 'kitap', fn, birinci.signal);
+    const ikinci = birlestirici.calistir('ara', 'kitap', fn);
+
+    birinci.abort();
+    await assert.rejects(ilk, { name: 'AbortError' });
+    assert.equal(ortakSinyal.aborted, false);
+
+    bitir('sonuç');
+    assert.equal(await ikinci, 'sonuç');
+    assert.equal(birlestirici.suren.size, 0);
+  });
+
+  it('bekleyen kalmayınca ortak iş durdurulur, sonraki çağrı yeni iş başlatır', async () => {
+    const birlestirici = new IstekBirlestirici();
+    const sinyaller = [];
+    const fn = signal => {
+      sinyaller.push(signal);
+      return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      });
+    };
+
+    const a = new AbortController();
+    const b = new AbortController();
+    const ilk = birlestirici.calistir('ara', 'kitap', fn, a.signal);
+    const ikinci = birlestirici.calistir('ara', 'kitap', fn, b.signal);
+    await bekle(0);
+    a.abort();
+    assert.equal(sinyaller[0].aborted, false);
+    b.abort();
+    assert.equal(sinyaller[0].aborted, true);
+    await Promise.allSettled([ilk, ikinci]);
+
+    const yeni = birlestirici.calistir('ara', 'kitap', () => 'yeni');
+    assert.equal(await yeni, 'yeni');
+    assert.equal(sinyaller.length, 1);
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { etkilesimAnahtari, kasetOku } = require("../lib/kaset");
+const SahteTdk = require("../lib/sahteTdk");
+const { sahteSozluk } = require("./yardimci");
+
+describe('kaset', () => {
+  let klasor;
+
+  before(() => {
+    klasor = fs.mkdtempSync(path.join(os.tmpdir(), 'tdk-kaset-'));
+  });
+
+  after(() => fs.rmSync(klasor, { recursive: true, force: true }));
+
+  it('anahtar sorgu sırasından ve kodlamadan bağımsızdır', () => {
+    assert.equal(
+      etkilesimAnahtari('get', '/terim', { ara: 'göz', eser_ad: 'tümü' }),
+      etkilesimAnahtari('GET', 'terim', new URLSearchParams('eser_ad=t%C3%BCm%C3%BC&ara=g%C3%B6z'))
+    );
+  });
+
+  it('kayıt modunda TDK cevaplarını kasete yazar ve sahte sunucu onları oynatır', async () => {
+    const dosya = path.join(klasor, 'kayit.json');
+    const kaynak = await sahteSozluk({ kasetKaydi: dosya, cache: false });
+    await kaynak.tdk.ara('kitap', { kokBul: false, istatistik: false });
+    await kaynak.tdk.yazimDenetimi('kitap');
+    await kaynak.kapat();
+
+    const etkilesimler = kasetOku(dosya);
+    const gts = etkilesimler.find(e => e.istek.yol === 'gts');
+    assert.deepEqual(gts.istek, { method: 'GET', yol: 'gts', sorgu: { ara: 'kitap' } });
+    assert.equal(gts.cevap.durum, 200);
+    assert.equal(gts.cevap.govde[0].madde, 'kitap');
+    assert.ok(etkilesimler.some(e => e.istek.yol === 'yazim'));
+
+    const tdkSunucu = new SahteTdk({ kasetler: dosya });
+    const baseURL = await tdkSunucu.baslat();
+    try {
+      const cevap = await fetch(new URL('gts?ara=kitap', baseURL));
+      assert.deepEqual(await cevap.json(), gts.cevap.govde);
+
+      const yok = await fetch(new URL('gts?ara=masa', baseURL));
+      assert.deepEqual(await yok.json(), { error: 'Sonuç bulunamadı' });
+    } finally {
+      await tdkSunucu.kapat();
+    }
+  });
+
+  it('hata cevaplarını da kaydeder', async () => {
+    const dosya = path.join(klasor, 'hata.json');
+    const kaynak = await sahteSozluk({ kasetKaydi: dosya, retryCount: 0 });
+    kaynak.tdkSunucu.senaryo('atasozu', { durum: 500 });
+    await kaynak.tdk.atasozuAra('göz');
+    await kaynak.kapat();
+
+    const atasozu = kasetOku(dosya).find(e => e.istek.yol === 'atasozu');
+    assert.equal(atasozu.cevap.durum, 500);
+  });
+
+  it('elle yazılmış kasete eklemez, gerçek kayıtla değiştirir', async () => {
+    const dosya = path.join(klasor, 'elle.json');
+    const uydurma = { istek: { method: 'GET', yol: 'gts', sorgu: { ara: 'uydurma' } }, cevap: { durum: 200, icerikTuru: null, govde: [] } };
+    fs.writeFileSync(dosya, JSON.stringify({ surum: 1, kaydedildi: null, elleYazildi: true, etkilesimler: [uydurma] }));
+
+    const kaynak = await sahteSozluk({ kasetKaydi: dosya, cache: false });
+    await kaynak.tdk.yazimDenetimi('kitap');
+    await kaynak.kapat();
+
+    const kaset = JSON.parse(fs.readFileSync(dosya, 'utf8'));
+    assert.equal(kaset.elleYazildi, undefined);
+    assert.ok(kaset.kaydedildi);
+    assert.deepEqual(kaset.etkilesimler.map(e => e.istek.yol), ['yazim']);
+  });
+});
@@ -0,0 +1,110 @@
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const KelimeIndeksi = require("../lib/kelimeIndeksi");
+const { sahteSozluk } = require("./yardimci");
+
+// TDK'nın otomatik tamamlama listesi yerine geçen, tohum listeden büyük bir liste
+const TDK_LISTESI = Array.from({ length: 1500 }, (_, i) => ({ madde: `kelime${String(i).padStart(4, '0')}` }));
+
+describe('KelimeIndeksi', () => {
+  let klasor;
+  let ortam;
+
+  before(() => {
+    klasor = fs.mkdtempSync(path.join(os.tmpdir(), 'tdk-indeks-'));
+  });
+
+  after(() => fs.rmSync(klasor, { recursive: true, force: true }));
+
+  afterEach(async () => {
+    if (ortam) await ortam.kapat();
+    ortam = null;
+  });
+
+  it('dosya yoksa paketteki tohum listeden yüklenir', async () => {
+    const indeks = new KelimeIndeksi({ dosya: path.join(klasor, 'yok.txt') });
+    const sayi = await indeks.dosyadanYukle();
+    assert.ok(sayi > 0);
+    assert.equal(indeks.kaynak, 'tohum');
+    assert.equal(indeks.sonGuncelleme, null);
+  });
+
+  it('tohum listeyle cevap vermez, ilk kullanımda TDK listesini kurup veri klasörüne yazar', async () => {
+    const veriKlasoru = path.join(klasor, 'veri');
+    ortam = await sahteSozluk({ kelimeIndeksiGuncelle: true, kelimeIndeksiEnAz: 1000, veriKlasoru });
+    ortam.tdkSunucu.senaryo('autocomplete.json', { durum: 200, govde: TDK_LISTESI });
+
+    const sonuc = await ortam.tdk.harfeGoreKelimeler('k', 1, 10);
+    assert.equal(ortam.tdk.kelimeIndeksi.boyut, TDK_LISTESI.length);
+    assert.equal(sonuc.data.toplamKelime, TDK_LISTESI.length);
+    assert.equal(sonuc.metadata.kaynak, 'tdk');
+
+    // Kayıt arka planda bitsin
+    await ortam.tdk._indeksGuncelleniyor;
+    const satirlar = fs.readFileSync(path.join(veriKlasoru, 'kelimeler.txt'), 'utf8').trim().split('\n');
+    assert.equal(satirlar.length, TDK_LISTESI.length);
+    await ortam.kapat();
+
+    // Yeniden başlatmada kaydedilmiş tam liste taze sayılır, TDK'ya gidilmez
+    ortam = await sahteSozluk({ kelimeIndeksiGuncelle: true, kelimeIndeksiEnAz: 1000, veriKlasoru });
+    await ortam.tdk.harfeGoreKelimeler('k');
+    assert.equal(ortam.tdk.kelimeIndeksi.boyut, TDK_LISTESI.length);
+    assert.equal(ortam.tdk.kelimeIndeksi.kaynak, 'dosya');
+    assert.equal(ortam.tdkSunucu.istekSayisi('autocomplete.json'), 0);
+  });
+
+  it('veriKlasoru verilmezse TDK listesi sadece bellekte kurulur, tohum liste yazılmaz', async () => {
+    const tohum = new KelimeIndeksi().tohumDosyasi;
+    const onceki = fs.readFileSync(tohum, 'utf8');
+    ortam = await sahteSozluk({ kelimeIndeksiGuncelle: true, kelimeIndeksiEnAz: 1000, veriKlasoru: undefined });
+    ortam.tdkSunucu.senaryo('autocomplete.json', { durum: 200, govde: TDK_LISTESI });
+
+    await ortam.tdk.harfeGoreKelimeler('k');
+    await ortam.tdk._indeksGuncelleniyor;
+    assert.equal(ortam.tdk.kelimeIndeksi.kaynak, 'tdk');
+    assert.equal(ortam.tdk.veriKlasoru, null);
+
+    const kayit = await ortam.tdk.kelimeIndeksiniGuncelle({ kaydet: true });
+    assert.equal(kayit.success, false);
+    assert.equal(fs.readFileSync(tohum, 'utf8'), onceki);
+  });
+
+  it('kisadanUzuna seviye seviye dolaşır ve fazla seviye ekler', () => {
+    const indeks = new KelimeIndeksi();
+    indeks.yukle(['kitaplık', 'kit', 'kitap', 'kira', 'kitabevi', 'kâr']);
+
+    assert.deepEqual(indeks.kisadanUzuna('ki', { limit: 2 }), ['kit', 'kira']);
+    assert.deepEqual(indeks.kisadanUzuna('ki', { limit: 2, fazlaSeviye: 1 }), ['kit', 'kira', 'kitap']);
+    assert.deepEqual(indeks.kisadanUzuna('ki', { limit: 2, fazlaSeviye: 4 }), ['kit', 'kira', 'kitap', 'kitabevi', 'kitaplık']);
+    assert.equal(indeks.yazilis('kar'), 'kâr');
+  });
+
+  it('otomatikTamamla alfabetik ilk binlerin ötesindeki sık aranan kelimeyi de sıralar', async () => {
+    // a + üç harf: 9261 kelime; "azyzy" alfabetik olarak 8000'den sonra gelir
+    const harfler = Array.from('bcdefghjklmnoprstuvyz');
+    const kelimeler = harfler.flatMap(x => harfler.flatMap(y => harfler.map(z => `a${x}${y}${z}`)));
+    const kelimeDosyasi = path.join(klasor, 'tamamla.txt');
+    fs.writeFileSync(kelimeDosyasi, [...kelimeler, 'azyzy'].join('\n'));
+
+    ortam = await sahteSozluk({ kelimeDosyasi });
+    for (let i = 0; i < 20; i++) ortam.tdk.sorguIstatistik.ekle('azyzy');
+
+    const sonuc = await ortam.tdk.otomatikTamamla('a', { limit: 5 });
+    assert.equal(sonuc.data.oneriler[0].kelime, 'azyzy');
+    assert.deepEqual(sonuc.data.oneriler.slice(1).map(o => o.kelime), ['abbb', 'abbc', 'abbd', 'abbe']);
+    assert.equal(sonuc.data.toplamAday, kelimeler.length + 1);
+  });
+
+  it('TDK listesi alınamazsa tohum listeyle devam eder', async () => {
+    ortam = await sahteSozluk({ kelimeIndeksiGuncelle: true, kelimeIndeksiEnAz: 1000 });
+    ortam.tdkSunucu.senaryo('autocomplete.json', { durum: 503 });
+
+    const sonuc = await ortam.tdk.harfeGoreKelimeler('a');
+    assert.equal(sonuc.success, true);
+    assert.equal(ortam.tdk.kelimeIndeksi.kaynak, 'tohum');
+    assert.ok(sonuc.data.toplamKelime > 0);
+  });
+});
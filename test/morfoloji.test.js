@@ -0,0 +1,80 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { MorfolojikCozumleyici, ekGerceklestir } = require("../lib/morfoloji");
+
+const SOZLUK = new Set([
+  'kitap', 'ağaç', 'renk', 'ağız', 'burun', 'ev', 'göz', 'kale', 'kalem', 'güzel', 'güzellik',
+  'gelmek', 'okumak'
+]);
+
+const cozumleyici = new MorfolojikCozumleyici({ gecerliMi: kelime => SOZLUK.has(kelime) });
+
+const ekler = cozum => cozum.ekler.map(ek => ek.ek);
+
+describe('MorfolojikCozumleyici', () => {
+  it('ekleri ünlü ve ünsüz uyumuna göre gerçekleştirir', () => {
+    assert.equal(ekGerceklestir('lAr', 'kitap'), 'lar');
+    assert.equal(ekGerceklestir('lAr', 'ev'), 'ler');
+    assert.equal(ekGerceklestir('(I)m', 'göz'), 'üm');
+    assert.equal(ekGerceklestir('(y)I', 'kapı'), 'yı');
+    assert.equal(ekGerceklestir('DA', 'kitap'), 'ta');
+    assert.equal(ekGerceklestir('DA', 'ev'), 'de');
+    assert.equal(ekGerceklestir('CI', 'iş'), 'çi');
+    assert.equal(ekGerceklestir('(I)yor', 'oku'), 'yor');
+  });
+
+  it('ek zincirini yuva sırasıyla soyar', () => {
+    const cozum = cozumleyici.kokBul('kitaplarımızdan');
+    assert.equal(cozum.kok, 'kitap');
+    assert.equal(cozum.tur, 'isim');
+    assert.deepEqual(ekler(cozum), ['lar', 'ımız', 'dan']);
+    assert.deepEqual(cozum.ekler.map(ek => ek.tur), ['cogul', 'iyelik', 'hal']);
+
+    assert.deepEqual(ekler(cozumleyici.kokBul('gözlerimizden')), ['ler', 'imiz', 'den']);
+  });
+
+  it('ünlü uyumuna aykırı eki kabul etmez', () => {
+    assert.equal(cozumleyici.kokBul('kitapler'), null);
+    assert.equal(cozumleyici.kokBul('evda'), null);
+    assert.equal(cozumleyici.kokBul('kitapda'), null);
+  });
+
+  it('ünsüz yumuşamasını ve ünlü düşmesini geri alır', () => {
+    assert.equal(cozumleyici.kokBul('kitabı').kok, 'kitap');
+    assert.equal(cozumleyici.kokBul('ağacı').kok, 'ağaç');
+    assert.equal(cozumleyici.kokBul('rengi').kok, 'renk');
+    assert.equal(cozumleyici.kokBul('ağzı').kok, 'ağız');
+    assert.equal(cozumleyici.kokBul('burnu').kok, 'burun');
+  });
+
+  it('fiilleri mastar biçimine çözer, ek sonu yumuşamasını tanır', () => {
+    const gelecek = cozumleyici.kokBul('geleceğim');
+    assert.equal(gelecek.kok, 'gelmek');
+    assert.equal(gelecek.tur, 'fiil');
+    assert.deepEqual(ekler(gelecek), ['eceğ', 'im']);
+
+    assert.deepEqual(ekler(cozumleyici.kokBul('geliyorum')), ['iyor', 'um']);
+  });
+
+  it('belirsiz eklerde tüm çözümlemeleri en uzun kök önde verir', () => {
+    // kalem-i ya da kale-m-i
+    const kalemi = cozumleyici.cozumle('kalemi');
+    assert.deepEqual(kalemi.map(c => [c.kok, ekler(c)]), [['kalem', ['i']], ['kale', ['m', 'i']]]);
+
+    // güzellik-i ya da güzel-lik-i
+    const guzelligi = cozumleyici.cozumle('güzelliği');
+    assert.deepEqual(guzelligi.map(c => c.kok), ['güzellik', 'güzel']);
+
+    // oku-duk: sıfat-fiil -DIk ya da geçmiş zaman -DI + kişi -k; aynı kökte az ekli olan önde
+    const okuduk = cozumleyici.cozumle('okuduk');
+    assert.deepEqual(okuduk.map(c => ekler(c)), [['duk'], ['du', 'k']]);
+  });
+
+  it('sözlükte olmayan kökü kabul etmez ve maxSonuc ile sınırlar', () => {
+    assert.equal(cozumleyici.kokBul('masalarda'), null);
+    assert.deepEqual(cozumleyici.cozumle('iki kelime'), []);
+
+    const tek = new MorfolojikCozumleyici({ gecerliMi: kelime => SOZLUK.has(kelime), maxSonuc: 1 });
+    assert.equal(tek.cozumle('kalemi').length, 1);
+  });
+});
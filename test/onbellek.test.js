@@ -0,0 +1,201 @@
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { onbellekOlustur, BellekOnbellek, DosyaOnbellek, RedisOnbellek } = require("../lib/onbellek");
+const { sahteSozluk, sahteRedis } = require("./yardimci");
+
+const bekle = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('önbellek adaptörleri', () => {
+  let klasor;
+  let adaptor;
+  let ortam;
+
+  before(() => {
+    klasor = fs.mkdtempSync(path.join(os.tmpdir(), 'tdk-onbellek-'));
+  });
+
+  after(() => fs.rmSync(klasor, { recursive: true, force: true }));
+
+  afterEach(async () => {
+    if (ortam) await ortam.kapat();
+    else if (adaptor) await adaptor.kapat();
+    ortam = null;
+    adaptor = null;
+  });
+
+  const adaptorler = {
+    bellek: () => new BellekOnbellek(),
+    dosya: () => new DosyaOnbellek({ dosya: path.join(klasor, `onbellek-${Date.now()}.json`), yazmaGecikmesi: 0 })
+  };
+
+  Object.entries(adaptorler).forEach(([tur, olustur]) => {
+    it(`${tur}: get/set/del ve sayaçlar`, async () => {
+      adaptor = olustur();
+      assert.equal(await adaptor.get('yok'), undefined);
+      await adaptor.set('kelime_kitap', { kelime: 'kitap' });
+      assert.deepEqual(await adaptor.get('kelime_kitap'), { kelime: 'kitap' });
+      assert.deepEqual(await adaptor.keys(), ['kelime_kitap']);
+
+      assert.equal(await adaptor.del('kelime_kitap'), 1);
+      assert.equal(await adaptor.get('kelime_kitap'), undefined);
+
+      const stats = await adaptor.stats();
+      assert.equal(stats.hits, 1);
+      assert.equal(stats.misses, 2);
+      assert.equal(stats.keys, 0);
+    });
+
+    it(`${tur}: süresi dolan kayıt okunmaz`, async () => {
+      adaptor = olustur();
+      await adaptor.set('kisa', 1, 0.05);
+      await adaptor.set('uzun', 2, 60);
+      assert.equal(await adaptor.get('kisa'), 1);
+
+      await bekle(80);
+      assert.equal(await adaptor.get('kisa'), undefined);
+      assert.equal(await adaptor.get('uzun'), 2);
+    });
+
+    it(`${tur}: cacheTemizle desene uyan kayıtları siler`, async () => {
+      adaptor = olustur();
+      ortam = await sahteSozluk({ cacheAdapter: adaptor });
+      await adaptor.set('kelime_kitap', 1);
+      await adaptor.set('kelime_masa', 2);
+      await adaptor.set('atasozu_kitap', 3);
+
+      assert.equal(await ortam.tdk.cacheTemizle('kitap'), 2);
+      assert.deepEqual(await adaptor.keys(), ['kelime_masa']);
+      assert.equal(await ortam.tdk.cacheTemizle(), null);
+      assert.deepEqual(await adaptor.keys(), []);
+    });
+  });
+
+  it('dosya: süresi dolmamış kayıtlar yeniden başlatmada geri yüklenir', async () => {
+    const dosya = path.join(klasor, 'kalici.json');
+    adaptor = new DosyaOnbellek({ dosya });
+    await adaptor.set('kalici', { a: 1 }, 60);
+    await adaptor.set('gecici', { b: 2 }, 0.05);
+    await adaptor.kapat();
+
+    await bekle(80);
+    adaptor = new DosyaOnbellek({ dosya });
+    assert.deepEqual(await adaptor.get('kalici'), { a: 1 });
+    assert.equal(await adaptor.get('gecici'), undefined);
+    assert.deepEqual(await adaptor.keys(), ['kalici']);
+  });
+
+  it('onbellekOlustur bilinmeyen türü reddeder, hazır adaptörü olduğu gibi döner', () => {
+    const hazir = new BellekOnbellek();
+    assert.equal(onbellekOlustur(hazir), hazir);
+    assert.throws(() => onbellekOlustur({ tur: 'memcached' }), /Bilinmeyen önbellek türü/);
+    hazir.kapat();
+  });
+
+  describe('redis', () => {
+    let redis;
+
+    afterEach(async () => {
+      if (redis) await redis.kapat();
+      redis = null;
+    });
+
+    it('RESP ayrıştırıcı yarım çerçevede null döner', () => {
+      const tam = Buffer.from('*3\r\n$5\r\nkitap\r\n$-1\r\n:7\r\n');
+      for (let i = 0; i < tam.length; i++) {
+        assert.equal(RedisOnbellek._ayristir(tam.subarray(0, i), 0), null, `ilk ${i} bayt`);
+      }
+      assert.deepEqual(RedisOnbellek._ayristir(tam, 0), { deger: ['kitap', null, 7], son: tam.length });
+
+      const hata = RedisOnbellek._ayristir(Buffer.from('-ERR bozuk\r\n'), 0);
+      assert.ok(hata.deger instanceof Error);
+      assert.equal(hata.deger.message, 'ERR bozuk');
+    });
+
+    it('bölünmüş cevaplarla get/set/TTL/del, nil ve ön ek', async () => {
+      redis = await sahteRedis({ password: 'gizli' });
+      adaptor = onbellekOlustur({ tur: 'redis', url: `${redis.url.replace('//', '//:gizli@')}/2`, onEk: 'test:' });
+
+      assert.equal(await adaptor.get('yok'), undefined);
+      assert.equal(await adaptor.set('kelime_kitap', { kelime: 'kitap', anlam: 'çok baytlı ğüşıöç' }, 60), true);
+      assert.deepEqual(await adaptor.get('kelime_kitap'), { kelime: 'kitap', anlam: 'çok baytlı ğüşıöç' });
+      assert.equal(redis.veriler.has('test:kelime_kitap'), true);
+
+      await adaptor.set('kisa', 1, 0.05);
+      assert.deepEqual(redis.komutlar.find(k => k[1] === 'test:kisa'), ['SET', 'test:kisa', '1', 'EX', '1']);
+
+      assert.deepEqual((await adaptor.keys()).sort(), ['kelime_kitap', 'kisa']);
+      assert.equal(await adaptor.del('kisa'), 1);
+      await adaptor.flush();
+      assert.equal(redis.veriler.size, 0);
+
+      const stats = await adaptor.stats();
+      assert.equal(stats.hits, 1);
+      assert.equal(stats.misses, 1);
+      assert.deepEqual(redis.komutlar.slice(0, 2), [['AUTH', 'gizli'], ['SELECT', '2']]);
+    });
+
+    it('hata cevabı sadece kendi komutunu düşürür', async () => {
+      redis = await sahteRedis();
+      adaptor = new RedisOnbellek({ url: redis.url });
+
+      const [hatali, dogru] = await Promise.allSettled([adaptor.komut('BOZUK'), adaptor.set('a', 1)]);
+      assert.equal(hatali.status, 'rejected');
+      assert.match(hatali.reason.message, /unknown command 'BOZUK'/);
+      assert.equal(dogru.value, true);
+      assert.equal(await adaptor.get('a'), 1);
+    });
+
+    it('yanlış parola bağlantıyı reddeder', async () => {
+      redis = await sahteRedis({ password: 'gizli' });
+      adaptor = new RedisOnbellek({ url: redis.url, password: 'yanlis' });
+      await assert.rejects(adaptor.get('a'), /WRONGPASS/);
+      adaptor = null;
+    });
+
+    it('sunucu kapanınca bekleyen komutlar hata alır', async () => {
+      redis = await sahteRedis();
+      adaptor = new RedisOnbellek({ url: redis.url });
+      await adaptor.set('a', 1);
+
+      await redis.kapat();
+      redis = null;
+      await assert.rejects(adaptor.get('a'));
+      adaptor = null;
+    });
+
+    it('cevap gelmeyen komut zaman aşımıyla düşer, bağlantı yeniden kurulur', async () => {
+      redis = await sahteRedis({ sessiz: true });
+      adaptor = new RedisOnbellek({ url: redis.url, komutZamanAsimi: 100 });
+
+      const baslangic = Date.now();
+      await assert.rejects(adaptor.get('a'), /GET komutu 100ms içinde cevaplanmadı/);
+      assert.ok(Date.now() - baslangic < 1000);
+      assert.equal(adaptor._soket, null);
+
+      await assert.rejects(adaptor.komut('PING'), /PING komutu/);
+      assert.deepEqual(redis.komutlar, [['GET', 'creart-tdk:a'], ['PING']]);
+    });
+
+    it('cevap vermeyen Redis aramayı bekletmez, okuma hatası loglanıp kayıt yok sayılır', async () => {
+      const uyarilar = [];
+      const logger = {
+        debug() {},
+        info() {},
+        warn: (baglam, mesaj) => uyarilar.push(mesaj),
+        error() {}
+      };
+      redis = await sahteRedis({ sessiz: true });
+      adaptor = new RedisOnbellek({ url: redis.url, komutZamanAsimi: 100 });
+      ortam = await sahteSozluk({ cacheAdapter: adaptor, logger });
+
+      const baslangic = Date.now();
+      const sonuc = await ortam.tdk.ara('kitap', { kaynaklar: ['gts'], kokBul: false });
+      assert.equal(sonuc.success, true);
+      assert.ok(Date.now() - baslangic < 2000);
+      assert.ok(uyarilar.includes('Önbellek okunamadı'));
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { OneriMotoru, mesafe, degistirmeMaliyeti } = require("../lib/oneri");
+
+const sirala = (kelimeler, kelime) => new OneriMotoru(kelimeler).oner(kelime).map(oneri => oneri.kelime);
+
+describe('degistirmeMaliyeti', () => {
+  it('Türkçe karakter karışıklıkları 0.3 tutar, iki yönde de', () => {
+    ['ıi', 'sş', 'gğ', 'cç', 'oö', 'uü'].forEach(([a, b]) => {
+      assert.equal(degistirmeMaliyeti(a, b), 0.3, `${a}/${b}`);
+      assert.equal(degistirmeMaliyeti(b, a), 0.3, `${b}/${a}`);
+    });
+  });
+
+  it('Türkçe Q klavyede komşu tuşlar 0.6, diğerleri 1 tutar', () => {
+    assert.equal(degistirmeMaliyeti('o', 'p'), 0.6);
+    assert.equal(degistirmeMaliyeti('ı', 'u'), 0.6);
+    assert.equal(degistirmeMaliyeti('a', 's'), 0.6);
+    assert.equal(degistirmeMaliyeti('ş', 'i'), 0.6);
+    // Alt satır yarım tuş kaydırılmış: a'nın altı z'dir
+    assert.equal(degistirmeMaliyeti('a', 'z'), 0.6);
+    assert.equal(degistirmeMaliyeti('a', 'e'), 1);
+    assert.equal(degistirmeMaliyeti('k', 'k'), 0);
+  });
+});
+
+describe('mesafe', () => {
+  it('ağırlıklı değiştirme, ekleme ve silme maliyetlerini toplar', () => {
+    assert.equal(mesafe('kitap', 'kitap'), 0);
+    assert.equal(mesafe('kıtap', 'kitap'), 0.3);
+    assert.equal(mesafe('kac', 'kaç'), 0.3);
+    assert.equal(mesafe('agac', 'ağaç'), 0.6);
+    assert.equal(mesafe('kitao', 'kitap'), 0.6);
+    assert.equal(mesafe('kitab', 'kitap'), 1);
+    assert.equal(mesafe('kitapp', 'kitap'), 1);
+    assert.equal(mesafe('kitp', 'kitap'), 1);
+  });
+
+  it('bitişik harflerin yer değiştirmesi tek düzenlemedir, iki değiştirme sayılmaz', () => {
+    // Düz değiştirmeden (1) ucuz ki yer değiştirmiş yazım mesafesi 1 olan adayların önüne geçsin
+    assert.equal(mesafe('kitpa', 'kitap'), 0.8);
+    assert.equal(mesafe('iktap', 'kitap'), 0.8);
+    assert.ok(mesafe('kitpa', 'kitap') < mesafe('kitpe', 'kitpa'));
+  });
+
+  it('sınırı aşan mesafede Infinity döner', () => {
+    assert.equal(mesafe('kitap', 'masa', 2), Infinity);
+    assert.equal(mesafe('a', 'abcd', 2), Infinity);
+    assert.equal(mesafe('kitab', 'kitap', 1), 1);
+  });
+});
+
+describe('OneriMotoru', () => {
+  it('öneri sırası maliyet ağırlıklarını izler', () => {
+    const [ilk, ...digerleri] = sirala(['kitpaz', 'kitpe', 'masa', 'kitap'], 'kitpa');
+    assert.equal(ilk, 'kitap');
+    assert.deepEqual(digerleri.sort(), ['kitpaz', 'kitpe']);
+    assert.deepEqual(sirala(['katap', 'kutap', 'kitap'], 'kıtap'), ['kitap', 'kutap', 'katap']);
+    assert.deepEqual(sirala(['kitab', 'kitap'], 'kitao'), ['kitap', 'kitab']);
+  });
+
+  it('eşit mesafede sık aranan kelime öne geçer', () => {
+    const motor = new OneriMotoru(['kitpe', 'kitpaz'], { frekans: kelime => (kelime === 'kitpaz' ? 10 : 0) });
+    const oneriler = motor.oner('kitpa');
+    assert.deepEqual(oneriler.map(oneri => oneri.kelime), ['kitpaz', 'kitpe']);
+    assert.ok(oneriler[0].skor > oneriler[1].skor);
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { sonucSemasi, sonucDogrula, upstreamDogrula } = require("../lib/semalar");
+const { dosyaUret, DOSYA } = require("../scripts/tipleri-uret");
+const MetrikKaydi = require("../lib/metrikler");
+const { sahteSozluk } = require("./yardimci");
+const fs = require("fs");
+
+describe('sonuç şemaları', () => {
+  let ortam;
+
+  afterEach(async () => {
+    if (ortam) await ortam.kapat();
+    ortam = null;
+  });
+
+  it('metotların gerçek sonuçları şemalarına uyar', async () => {
+    ortam = await sahteSozluk();
+    const { tdk } = ortam;
+
+    const sonuclar = {
+      ara: await tdk.ara('kitap'),
+      kokBul: await tdk.kokBul('kitaplar'),
+      topluAra: await tdk.topluAra(['kitap', 'qwxyz']),
+      gununKelimesi: await tdk.gununKelimesi(),
+      yazimDenetimi: await tdk.yazimDenetimi('kitap masa'),
+      atasozuAra: await tdk.atasozuAra('göz'),
+      desenAra: await tdk.desenAra('k?tap'),
+      populerAramalar: await tdk.populerAramalar(),
+      sesGetir: await tdk.sesGetir('kitap'),
+      cacheIstatistik: await tdk.cacheIstatistik()
+    };
+    sonuclar.disaAktar = tdk.disaAktar(sonuclar.ara, 'csv');
+
+    Object.entries(sonuclar).forEach(([metod, sonuc]) => {
+      assert.equal(sonuc.success, true, metod);
+      assert.deepEqual(sonucDogrula(metod, sonuc), [], metod);
+    });
+  });
+
+  it('hata sonuçları da şemaya uyar', async () => {
+    ortam = await sahteSozluk();
+    ortam.tdkSunucu.senaryo('gts', { durum: 500 });
+
+    const sonuc = await ortam.tdk.ara('kitap');
+    assert.equal(sonuc.error.code, 'UPSTREAM_HATASI');
+    assert.deepEqual(sonucDogrula('ara', sonuc), []);
+  });
+
+  it('sonucSemasi tek başına kullanılabilir bir JSON Schema döndürür', () => {
+    const sema = sonucSemasi('yazimDenetimi');
+    assert.equal(sema.$schema, 'https://json-schema.org/draft/2020-12/schema');
+    assert.ok(sema.$defs.HataSonucu);
+    assert.throws(() => sonucSemasi('yok'), /Şeması olmayan/);
+  });
+
+  it('TDK cevap şeklini değiştirince sapmayı yakalar', () => {
+    assert.deepEqual(upstreamDogrula('gts', [{ madde: 'kitap', anlamlarListe: [] }]), []);
+    assert.deepEqual(upstreamDogrula('gts', { error: 'Sonuç bulunamadı' }), []);
+    assert.ok(upstreamDogrula('gts', [{ kelime: 'kitap' }]).length > 0);
+  });
+
+  it('semaDenetimi açıkken uymayan TDK cevabını uyarı ve metrikle bildirir', async () => {
+    const uyarilar = [];
+    const logger = {
+      debug() {},
+      info() {},
+      warn: (baglam, mesaj) => uyarilar.push({ ...baglam, mesaj }),
+      error() {}
+    };
+    const metrikler = new MetrikKaydi();
+    ortam = await sahteSozluk({ logger, metrikler, semaDenetimi: true });
+    ortam.tdkSunucu.senaryo('gunun-sozu', { durum: 200, govde: [{ soz: 'ağaç' }] });
+
+    // Kelime alınamadı; indeksten yedek seçilir
+    const sonuc = await ortam.tdk.gununKelimesi();
+    assert.equal(sonuc.metadata.source, 'yedek');
+    assert.equal(sonuc.metadata.sebep, 'UPSTREAM_HATASI');
+
+    const uyari = uyarilar.find(u => u.tur === 'upstream' && u.ad === 'gunun');
+    assert.ok(uyari, 'upstream uyarısı yazılmadı');
+    assert.match(await metrikler.metin(), /tdk_schema_violations_total\{kind="upstream",name="gunun"\} 1/);
+  });
+
+  it('semaDenetimi kapalıyken denetlemez', async () => {
+    ortam = await sahteSozluk({ semaDenetimi: false });
+    assert.equal(ortam.tdk.semaDenetimi, false);
+    assert.equal(Object.hasOwn(ortam.tdk, 'ara'), false);
+  });
+
+  it('index.d.ts şemalarla güncel', () => {
+    assert.equal(fs.readFileSync(DOSYA, 'utf8'), dosyaUret(), 'npm run tipler:uret çalıştırın');
+  });
+});
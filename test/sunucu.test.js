@@ -0,0 +1,419 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const SahteTdk = require("../lib/sahteTdk");
+const { createServer, createRouter } = require("../index");
+const { sahteSozluk } = require("./yardimci");
+
+const KULLANICI = 'test-kullanici-anahtari';
+const ADMIN = 'test-admin-anahtari';
+
+describe('Express rotaları', () => {
+  let tdkSunucu;
+  let sunucu;
+  let adres;
+
+  before(async () => {
+    tdkSunucu = new SahteTdk();
+    const baseURL = await tdkSunucu.baslat();
+
+    sunucu = createServer({
+      port: 0,
+      logger: false,
+      kapanisSinyalleri: [],
+      kapanisSuresi: 0,
+      rateLimitMax: 10000,
+      dokumanArayuzu: true,
+      metrikler: true,
+      kimlikDogrulama: {
+        anahtarlar: [
+          { ad: 'kullanici', anahtar: KULLANICI, gunlukKota: 1000 },
+          { ad: 'admin', anahtar: ADMIN, rol: 'admin' }
+        ]
+      },
+      tdk: { baseURL, timeout: 500, retryCount: 1, retryDelay: 10, kelimeIndeksiGuncelle: false, veriKlasoru: false }
+    });
+
+    await new Promise(resolve => sunucu.server.once('listening', resolve));
+    adres = `http://127.0.0.1:${sunucu.server.address().port}`;
+  });
+
+  after(async () => {
+    await sunucu.kapat();
+    await tdkSunucu.kapat();
+  });
+
+  beforeEach(async () => {
+    tdkSunucu.sifirla();
+    await sunucu.tdk.cacheTemizle();
+  });
+
+  const istek = async (yol, { method = 'GET', govde, basliklar = {} } = {}) => {
+    const cevap = await fetch(adres + yol, {
+      method,
+      headers: { ...(govde ? { 'Content-Type': 'application/json' } : {}), ...basliklar },
+      body: govde ? JSON.stringify(govde) : undefined
+    });
+    const tur = cevap.headers.get('content-type') || '';
+    const icerik = tur.includes('application/json') ? await cevap.json() : await cevap.text();
+    return { durum: cevap.status, basliklar: cevap.headers, icerik };
+  };
+
+  it('GET /api/health', async () => {
+    const { durum, icerik } = await istek('/api/health');
+    assert.equal(durum, 200);
+    assert.equal(icerik.data.status, 'operational');
+  });
+
+  it('GET /api/kelime/:kelime', async () => {
+    const { durum, basliklar, icerik } = await istek('/api/kelime/kitap');
+    assert.equal(durum, 200);
+    assert.equal(icerik.data.temelBilgiler.madde, 'kitap');
+    assert.ok(basliklar.get('x-request-id'));
+  });
+
+  it('GET /api/kelime/:kelime bulunamayınca 404', async () => {
+    const { durum, icerik } = await istek('/api/kelime/qwxyz');
+    assert.equal(durum, 404);
+    assert.equal(icerik.error.code, 'KELIME_BULUNAMADI');
+  });
+
+  it('GET /api/kelime/:kelime TDK 5xx verince 502', async () => {
+    tdkSunucu.senaryo('gts', { durum: 500 });
+    const { durum, icerik } = await istek('/api/kelime/kitap');
+    assert.equal(durum, 502);
+    assert.equal(icerik.error.code, 'UPSTREAM_HATASI');
+  });
+
+  it('GET /api/kelime/:kelime TDK cevap vermeyince 504', async () => {
+    tdkSunucu.senaryo('gts', { gecikme: 2000 });
+    const { durum, icerik } = await istek('/api/kelime/kitap');
+    assert.equal(durum, 504);
+    assert.equal(icerik.error.code, 'UPSTREAM_ZAMAN_ASIMI');
+  });
+
+  it('GET /api/kelime/:kelime geçersiz parametreyi 400 ile reddeder', async () => {
+    const { durum, icerik } = await istek('/api/kelime/kitap?kaynaklar=yok');
+    assert.equal(durum, 400);
+    assert.equal(icerik.error.code, 'GECERSIZ_GIRDI');
+  });
+
+  it('GET /api/kelime/:kelime?format=csv dosya olarak döner', async () => {
+    const { durum, basliklar, icerik } = await istek('/api/kelime/kitap?format=csv');
+    assert.equal(durum, 200);
+    assert.match(basliklar.get('content-type'), /text\/csv/);
+    assert.match(icerik, /kitap/);
+  });
+
+  it('GET /api/gunun-kelimesi', async () => {
+    const { durum, icerik } = await istek('/api/gunun-kelimesi');
+    assert.equal(durum, 200);
+    assert.equal(icerik.data.kelime, 'ağaç');
+  });
+
+  it('GET /api/gunun-kelimesi/gecmis ve /:tarih', async () => {
+    const gecmis = await istek('/api/gunun-kelimesi/gecmis?limit=5');
+    assert.equal(gecmis.durum, 200);
+    assert.equal(gecmis.icerik.data.kayitlar[0].kelime, 'ağaç');
+
+    const tarih = gecmis.icerik.data.kayitlar[0].tarih;
+    assert.equal((await istek(`/api/gunun-kelimesi/${tarih}`)).icerik.data.kelime, 'ağaç');
+    assert.equal((await istek('/api/gunun-kelimesi/2000-01-01')).durum, 404);
+    assert.equal((await istek('/api/gunun-kelimesi/dun')).durum, 400);
+  });
+
+  it('GET /api/gunun-kelimesi/rss ve /atom', async () => {
+    const rss = await istek('/api/gunun-kelimesi/rss');
+    assert.equal(rss.durum, 200);
+    assert.match(rss.basliklar.get('content-type'), /application\/rss\+xml/);
+    assert.match(rss.icerik, /<title>ağaç<\/title>/);
+    assert.ok(rss.icerik.includes(`${adres}/api/gunun-kelimesi/rss`));
+
+    const atom = await istek('/api/gunun-kelimesi/atom');
+    assert.match(atom.basliklar.get('content-type'), /application\/atom\+xml/);
+    assert.match(atom.icerik, /<entry>/);
+  });
+
+  it('POST /api/yazim-denetimi', async () => {
+    const { durum, icerik } = await istek('/api/yazim-denetimi', { method: 'POST', govde: { metin: 'kitap masa' } });
+    assert.equal(durum, 200);
+    assert.equal(icerik.data.istatistik.dogruKelime, 2);
+  });
+
+  it('POST /api/yazim-denetimi metinsiz 400', async () => {
+    const { durum } = await istek('/api/yazim-denetimi', { method: 'POST', govde: {} });
+    assert.equal(durum, 400);
+  });
+
+  it('POST /api/yabanci-kelime', async () => {
+    const { durum, icerik } = await istek('/api/yabanci-kelime', { method: 'POST', govde: { metin: 'Kitap göz masa' } });
+    assert.equal(durum, 200);
+    assert.equal(icerik.data.istatistik.yabanciKelime, 2);
+    assert.equal(icerik.data.istatistik.yabanciOrani, '66.67');
+    assert.deepEqual(icerik.data.istatistik.diller, { 'Arapça': 1, 'İtalyanca': 1 });
+  });
+
+  it('GET /api/atasozu/:anahtar', async () => {
+    const { durum, icerik } = await istek(`/api/atasozu/${encodeURIComponent('göz')}`);
+    assert.equal(durum, 200);
+    assert.equal(icerik.data.toplam, 3);
+  });
+
+  it('GET /api/benzer/:kelime', async () => {
+    const { durum, icerik } = await istek('/api/benzer/kitab');
+    assert.equal(durum, 200);
+    assert.equal(icerik.success, true);
+  });
+
+  it('GET /api/harf/:harf', async () => {
+    const { durum, icerik } = await istek('/api/harf/k');
+    assert.equal(durum, 200);
+    assert.equal(icerik.success, true);
+  });
+
+  it('GET /api/desen/:pattern ve /api/asterisk/:pattern', async () => {
+    const desen = await istek('/api/desen/k%3Ftap');
+    const asterisk = await istek('/api/asterisk/k%3Ftap');
+    assert.equal(desen.durum, 200);
+    assert.deepEqual(asterisk.icerik.data, desen.icerik.data);
+  });
+
+  it('GET /api/tamamla', async () => {
+    const { durum, icerik } = await istek('/api/tamamla?q=ki');
+    assert.equal(durum, 200);
+    assert.ok(icerik.data.oneriler.some(oneri => oneri.kelime === 'kitap'));
+  });
+
+  it('GET /api/populer', async () => {
+    await istek('/api/kelime/masa');
+    const { durum, icerik } = await istek('/api/populer');
+    assert.equal(durum, 200);
+    assert.equal(icerik.success, true);
+  });
+
+  it('GET /api/rastgele', async () => {
+    const { durum, icerik } = await istek('/api/rastgele');
+    assert.equal(durum, 200);
+    assert.equal(icerik.success, true);
+  });
+
+  it('GET /api/ses/:kelime', async () => {
+    const { durum, icerik } = await istek('/api/ses/kitap');
+    assert.equal(durum, 200);
+    assert.equal(icerik.success, true);
+  });
+
+  it('DELETE /api/cache yönetici anahtarı ister', async () => {
+    assert.equal((await istek('/api/cache', { method: 'DELETE' })).durum, 401);
+
+    const kullanici = await istek('/api/cache', { method: 'DELETE', basliklar: { 'X-API-Key': KULLANICI } });
+    assert.equal(kullanici.durum, 403);
+
+    const admin = await istek('/api/cache', { method: 'DELETE', basliklar: { Authorization: `Bearer ${ADMIN}` } });
+    assert.equal(admin.durum, 200);
+    assert.equal(admin.icerik.success, true);
+  });
+
+  it('geçersiz API anahtarı 401', async () => {
+    const { durum, basliklar } = await istek('/api/health', { basliklar: { 'X-API-Key': 'yanlis' } });
+    assert.equal(durum, 401);
+    assert.ok(basliklar.get('www-authenticate'));
+  });
+
+  it('GET /api/cache/stats yönetici anahtarı ister', async () => {
+    assert.equal((await istek('/api/cache/stats')).durum, 401);
+    assert.equal((await istek('/api/cache/stats', { basliklar: { 'X-API-Key': KULLANICI } })).durum, 403);
+
+    const { durum, icerik } = await istek('/api/cache/stats', { basliklar: { 'X-API-Key': ADMIN } });
+    assert.equal(durum, 200);
+    assert.equal(icerik.success, true);
+  });
+
+  it('POST /api/batch', async () => {
+    const { durum, icerik } = await istek('/api/batch', { method: 'POST', govde: { kelimeler: ['kitap', 'qwxyz'] } });
+    assert.equal(durum, 200);
+    assert.deepEqual(icerik.data.map(sonuc => sonuc.success), [true, false]);
+  });
+
+  it('POST /api/batch?akis=ndjson her kelime için bir satır gönderir', async () => {
+    const { durum, icerik } = await istek('/api/batch?akis=ndjson', { method: 'POST', govde: { kelimeler: ['kitap', 'masa'] } });
+    assert.equal(durum, 200);
+    const satirlar = icerik.trim().split('\n').map(satir => JSON.parse(satir));
+    assert.ok(satirlar.length >= 2);
+  });
+
+  it('POST /api/jobs, GET /api/jobs/:id, /sonuclar ve DELETE', async () => {
+    const olustur = await istek('/api/jobs', { method: 'POST', govde: { kelimeler: ['kitap', 'masa'] } });
+    assert.equal(olustur.durum, 202);
+    const id = olustur.icerik.data.id;
+    assert.equal(olustur.basliklar.get('location'), `/api/jobs/${id}`);
+
+    let durum;
+    for (let deneme = 0; deneme < 50; deneme++) {
+      durum = (await istek(`/api/jobs/${id}`)).icerik.data.durum;
+      if (durum === 'tamamlandi') break;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.equal(durum, 'tamamlandi');
+
+    const sonuclar = await istek(`/api/jobs/${id}/sonuclar`);
+    assert.equal(sonuclar.durum, 200);
+    assert.equal(sonuclar.icerik.data.length, 2);
+
+    assert.equal((await istek(`/api/jobs/${id}`, { method: 'DELETE' })).durum, 200);
+    assert.equal((await istek(`/api/jobs/${id}`)).durum, 404);
+  });
+
+  it('GET /api/admin/kullanim', async () => {
+    const { durum, icerik } = await istek('/api/admin/kullanim', { basliklar: { 'X-API-Key': ADMIN } });
+    assert.equal(durum, 200);
+    assert.deepEqual(icerik.data.anahtarlar.map(anahtar => anahtar.ad), ['kullanici', 'admin']);
+  });
+
+  it('GET /api/openapi.json', async () => {
+    const { durum, icerik } = await istek('/api/openapi.json');
+    assert.equal(durum, 200);
+    assert.ok(icerik.paths['/api/kelime/{kelime}']);
+
+    const istatistik = icerik.paths['/api/cache/stats'].get;
+    assert.ok(istatistik.security.length > 0);
+    assert.ok(istatistik.responses['403']);
+  });
+
+  it('GET /api/docs', async () => {
+    const sayfa = await istek('/api/docs');
+    assert.equal(sayfa.durum, 200);
+    assert.match(sayfa.icerik, /swagger-ui/);
+    assert.equal((await istek('/api/docs/baslat.js')).durum, 200);
+  });
+
+  it('GET /metrics', async () => {
+    const { durum, icerik } = await istek('/metrics');
+    assert.equal(durum, 200);
+    assert.match(icerik, /tdk_upstream_requests_total/);
+  });
+
+  it('bilinmeyen endpoint 404', async () => {
+    const { durum, icerik } = await istek('/api/yok');
+    assert.equal(durum, 404);
+    assert.equal(icerik.error.code, 'BULUNAMADI');
+  });
+
+  describe('/api/v2', () => {
+    it('GET /api/v2/kelime/:kelime normalize zarf döndürür', async () => {
+      const { durum, basliklar, icerik } = await istek('/api/v2/kelime/kitap');
+      assert.equal(durum, 200);
+      assert.equal(icerik.data.temelBilgiler.madde, 'kitap');
+      assert.equal(icerik.data.metadata, undefined);
+      assert.equal(icerik.metadata.apiSurumu, 'v2');
+      assert.equal(icerik.metadata.surum, require('../package.json').version);
+      assert.equal(icerik.metadata.istekId, basliklar.get('x-request-id'));
+      assert.equal(icerik.metadata.kelime, 'kitap');
+      assert.ok(icerik.metadata.kaynaklar.basarili.includes('gts'));
+      assert.equal(icerik.metadata.searchWord, undefined);
+      assert.equal(icerik.metadata.version, undefined);
+    });
+
+    it('v1 cevapları değişmez', async () => {
+      const { icerik } = await istek('/api/kelime/kitap');
+      assert.equal(icerik.metadata.searchWord, 'kitap');
+      assert.equal(icerik.metadata.apiSurumu, undefined);
+      assert.ok(icerik.data.metadata);
+    });
+
+    it('hatalar ve 404 de v2 zarfındadır', async () => {
+      const bulunamadi = await istek('/api/v2/kelime/qwxyz');
+      assert.equal(bulunamadi.durum, 404);
+      assert.equal(bulunamadi.icerik.error.code, 'KELIME_BULUNAMADI');
+      assert.equal(bulunamadi.icerik.metadata.apiSurumu, 'v2');
+
+      const gecersiz = await istek('/api/v2/kelime/kitap?kaynaklar=yok');
+      assert.equal(gecersiz.durum, 400);
+      assert.equal(gecersiz.icerik.metadata.apiSurumu, 'v2');
+
+      const yok = await istek('/api/v2/yok');
+      assert.equal(yok.durum, 404);
+      assert.equal(yok.icerik.metadata.yol, '/api/v2/yok');
+    });
+
+    it('mesaj dönen işlemlerde data.mesaj vardır', async () => {
+      const { durum, icerik } = await istek('/api/v2/cache', { method: 'DELETE', basliklar: { 'X-API-Key': ADMIN } });
+      assert.equal(durum, 200);
+      assert.equal(typeof icerik.data.mesaj, 'string');
+    });
+
+    it('POST /api/v2/batch iç sonuçları da normalize eder', async () => {
+      const { icerik } = await istek('/api/v2/batch', { method: 'POST', govde: { kelimeler: ['kitap', 'qwxyz'] } });
+      assert.equal(icerik.data[0].data.metadata, undefined);
+      assert.equal(icerik.data[0].metadata.apiSurumu, 'v2');
+      assert.equal(icerik.data[1].error.code, 'KELIME_BULUNAMADI');
+    });
+
+    it('GET /api/v2/openapi.json v2 yollarını yazar', async () => {
+      const { durum, icerik } = await istek('/api/v2/openapi.json');
+      assert.equal(durum, 200);
+      assert.ok(icerik.paths['/api/v2/kelime/{kelime}']);
+      assert.ok(icerik.components.schemas.KelimeSonucu);
+      assert.equal(JSON.stringify(icerik).includes('#/$defs/'), false);
+    });
+  });
+});
+
+describe('createRouter var olan uygulamaya bağlanınca', () => {
+  let ortam;
+  let router;
+  let server;
+  let adres;
+
+  before(async () => {
+    ortam = await sahteSozluk();
+    router = createRouter(ortam.tdk, { dokumanArayuzu: true, rateLimitMax: 10000 });
+
+    const app = express();
+    app.get('/', (req, res) => res.send('ana uygulama'));
+    app.use('/sozluk', router);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    adres = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    router.kapat();
+    await new Promise(resolve => server.close(resolve));
+    await ortam.kapat();
+  });
+
+  it('uygulamanın kendi rotaları çalışmaya devam eder', async () => {
+    const cevap = await fetch(`${adres}/`);
+    assert.equal(await cevap.text(), 'ana uygulama');
+    assert.equal((await fetch(`${adres}/sozluk/health`)).status, 200);
+  });
+
+  it('OpenAPI belgesi ve Swagger UI bağlanılan yolu kullanır', async () => {
+    const v1 = await (await fetch(`${adres}/sozluk/openapi.json`)).json();
+    assert.ok(v1.paths['/sozluk/kelime/{kelime}']);
+    assert.equal(Object.keys(v1.paths).some(yol => yol.startsWith('/api/')), false);
+
+    const v2 = await (await fetch(`${adres}/sozluk/v2/openapi.json`)).json();
+    assert.ok(v2.paths['/sozluk/v2/kelime/{kelime}']);
+
+    const betik = await (await fetch(`${adres}/sozluk/docs/baslat.js`)).text();
+    assert.match(betik, /\/sozluk\/openapi\.json/);
+  });
+
+  it('iş oluşturunca Location bağlanılan yolu içerir ve takip edilebilir', async () => {
+    for (const onEk of ['/sozluk', '/sozluk/v2']) {
+      const cevap = await fetch(`${adres}${onEk}/jobs`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ kelimeler: ['kitap'] })
+      });
+      assert.equal(cevap.status, 202);
+      const { data } = await cevap.json();
+      assert.equal(cevap.headers.get('location'), `${onEk}/jobs/${data.id}`);
+
+      const takip = await fetch(adres + cevap.headers.get('location'));
+      assert.equal(takip.status, 200);
+    }
+  });
+});
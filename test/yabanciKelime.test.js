@@ -0,0 +1,134 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { kelimelereAyir, kokenCozumle, turkceKarsiliklar } = require("../lib/yabanciKelime");
+const { sahteSozluk } = require("./yardimci");
+
+describe('yabanciKelimeAnalizi', () => {
+  let ortam;
+
+  afterEach(async () => {
+    if (ortam) await ortam.kapat();
+    ortam = null;
+  });
+
+  it('kelimelereAyir kesme işaretinden sonraki eki atar', () => {
+    assert.deepEqual(kelimelereAyir("İstanbul'da 3 KİTAP, göz."), [
+      { kelime: 'İstanbul', anahtar: 'istanbul' },
+      { kelime: 'KİTAP', anahtar: 'kitap' },
+      { kelime: 'göz', anahtar: 'göz' }
+    ]);
+  });
+
+  it('kokenCozumle lisan alanından köken dilini ve biçimi ayırır', () => {
+    assert.deepEqual(kokenCozumle('Arapça kitāb'), { dil: 'Arapça', diller: ['Arapça'], koken: 'kitāb' });
+    assert.equal(kokenCozumle('Eski Yunanca biblíon').dil, 'Eski Yunanca');
+    assert.equal(kokenCozumle(''), null);
+    assert.equal(kokenCozumle('Türkçe'), null);
+  });
+
+  it('turkceKarsiliklar kelimenin kendisini ve tekrarları atar', () => {
+    const kayitlar = [
+      { kelime: 'restoran', karsiliklar: ['lokanta', 'aşevi', 'Lokanta'] },
+      { kelime: 'restoran işletmecisi', karsiliklar: ['lokantacı'] }
+    ];
+    assert.deepEqual(turkceKarsiliklar('restoran', kayitlar), ['lokanta', 'aşevi']);
+    assert.deepEqual(turkceKarsiliklar('kitap', []), []);
+  });
+
+  it('turkceKarsiliklar birebir eşleşen kayıt yoksa boş döner', () => {
+    const kayitlar = [{ kelime: 'kitap fuarı', karsiliklar: ['kitap şenliği'] }];
+    assert.deepEqual(turkceKarsiliklar('kitap', kayitlar), []);
+    assert.deepEqual(turkceKarsiliklar('KİTAP FUARI', kayitlar), ['kitap şenliği']);
+  });
+
+  it('kılavuzda sadece geçtiği kayıtlar olan yerli kelime yabancı sayılmaz', async () => {
+    ortam = await sahteSozluk({ cache: false });
+    ortam.tdkSunucu.senaryo('bati', {
+      durum: 200,
+      govde: [{ kelime: 'göz bandı', karsilik: 'göz örtüsü', dil: 'İngilizce' }],
+      ara: 'göz'
+    });
+
+    const [goz] = (await ortam.tdk.yabanciKelimeAnalizi('göz')).data.sonuclar;
+    assert.equal(goz.yabanci, false);
+    assert.equal(goz.dil, null);
+    assert.deepEqual(goz.oneriler, []);
+  });
+
+  it('yabancı kelimeleri köken diliyle işaretler ve oranı hesaplar', async () => {
+    ortam = await sahteSozluk({ cache: false });
+    ortam.tdkSunucu.senaryo('gts', {
+      durum: 200,
+      govde: [{ madde: 'restoran', lisan: 'Fransızca restaurant', anlamlarListe: [{ anlam: 'Lokanta' }] }],
+      ara: 'restoran'
+    });
+    ortam.tdkSunucu.senaryo('bati', {
+      durum: 200,
+      govde: [{ kelime: 'restoran', karsilik: 'lokanta, aşevi', dil: 'Fransızca' }],
+      ara: 'restoran'
+    });
+
+    const sonuc = await ortam.tdk.yabanciKelimeAnalizi("Kitap göz restoran'da qwxz göz");
+    assert.equal(sonuc.success, true);
+
+    const [kitap, goz, restoran, bilinmeyen] = sonuc.data.sonuclar;
+    assert.equal(kitap.yabanci, true);
+    assert.equal(kitap.dil, 'Arapça');
+    assert.equal(kitap.koken, 'kitāb');
+    assert.equal(goz.yabanci, false);
+    assert.deepEqual(restoran, {
+      kelime: 'restoran', madde: 'restoran', yabanci: true, dil: 'Fransızca', koken: 'restaurant', oneriler: ['lokanta', 'aşevi']
+    });
+    assert.equal(bilinmeyen.yabanci, null);
+
+    assert.deepEqual(sonuc.data.istatistik, {
+      toplamKelime: 5,
+      yabanciKelime: 2,
+      yerliKelime: 2,
+      bilinmeyenKelime: 1,
+      yabanciOrani: '50.00',
+      diller: { 'Arapça': 1, 'Fransızca': 1 }
+    });
+    // Tekrarlanan kelime bir kez aranır
+    assert.equal(sonuc.metadata.farkliKelime, 4);
+  });
+
+  it('kılavuzdaki karşılıkları önerilere katar', async () => {
+    ortam = await sahteSozluk({ cache: false });
+    ortam.tdkSunucu.senaryo('gts', {
+      durum: 200,
+      govde: [{ madde: 'restoran', lisan: 'Fransızca restaurant', anlamlarListe: [{ anlam: 'Lokanta' }] }],
+      ara: 'restoran'
+    });
+    ortam.tdkSunucu.senaryo('bati', {
+      durum: 200,
+      govde: [{ kelime: 'restoran', karsilik: 'lokanta', dil: 'Fransızca' }],
+      ara: 'restoran'
+    });
+    ortam.tdkSunucu.senaryo('kilavuz', {
+      durum: 200,
+      govde: [{ sozu: 'restoran', karsilik: 'aşevi, Lokanta' }, { sozu: 'restoran zinciri', karsilik: 'lokanta zinciri' }],
+      ara: 'restoran'
+    });
+    ortam.tdkSunucu.senaryo('gts', { durum: 200, govde: [{ madde: 'online', anlamlarListe: [{ anlam: 'Çevrim içi' }] }], ara: 'online' });
+    ortam.tdkSunucu.senaryo('kilavuz', { durum: 200, govde: [{ sozu: 'online', karsilik: 'çevrim içi' }], ara: 'online' });
+
+    const [restoran, online] = (await ortam.tdk.yabanciKelimeAnalizi('restoran online')).data.sonuclar;
+    assert.deepEqual(restoran.oneriler, ['lokanta', 'aşevi']);
+    assert.equal(online.yabanci, true);
+    assert.equal(online.dil, null);
+    assert.deepEqual(online.oneriler, ['çevrim içi']);
+    assert.equal(ortam.tdkSunucu.istekSayisi('kilavuz'), 2);
+  });
+
+  it('hiçbir kelime aranamazsa TDK hatasını döndürür', async () => {
+    ortam = await sahteSozluk({ cache: false });
+    ortam.tdkSunucu.senaryo('gts', { durum: 503 });
+    ortam.tdkSunucu.senaryo('bati', { durum: 503 });
+
+    const sonuc = await ortam.tdk.yabanciKelimeAnalizi('kitap');
+    assert.equal(sonuc.success, false);
+    assert.equal(sonuc.error.code, 'UPSTREAM_HATASI');
+    assert.equal((await ortam.tdk.yabanciKelimeAnalizi('  ')).error.code, 'GECERSIZ_GIRDI');
+  });
+});
@@ -0,0 +1,121 @@
+const net = require("net");
+const SahteTdk = require("../lib/sahteTdk");
+const RedisOnbellek = require("../lib/onbellek/redis");
+const TDKSozluk = require("../index");
+
+/**
+ * Testler için sahte TDK sunucusu ve ona bağlı sözlük
+ *
+ * Yeniden denemeler ve zaman aşımı kısa tutulur ki 5xx ve gecikme
+ * senaryoları testleri yavaşlatmasın.
+ * @param {Object} options - TDKSozluk seçenekleri (varsayılanları ezer)
+ * @returns {Promise<Object>} - { tdkSunucu, tdk, kapat }
+ */
+async function sahteSozluk(options = {}) {
+  const tdkSunucu = new SahteTdk();
+  const baseURL = await tdkSunucu.baslat();
+
+  const tdk = new TDKSozluk({
+    baseURL,
+    logger: false,
+    timeout: 500,
+    retryCount: 1,
+    retryDelay: 10,
+    kelimeIndeksiGuncelle: false,
+    veriKlasoru: false,
+    ...options
+  });
+
+  const kapat = async () => {
+    await tdk.kapat({ beklemeSuresi: 0 });
+    await tdkSunucu.kapat();
+  };
+
+  return { tdkSunucu, tdk, kapat };
+}
+
+/**
+ * Testler için RESP konuşan küçük Redis taklidi
+ *
+ * GET, SET (EX), DEL, SCAN, AUTH, SELECT ve QUIT'i bilir; bilinmeyen komutlara
+ * Redis gibi hata döner. Cevaplar bilerek birkaç parçaya bölünüp ayrı ayrı
+ * yazılır ki istemcinin yarım kalan çerçeveleri birleştirmesi sınansın.
+ * `sessiz: true` ile bağlantıyı kabul eder ama hiçbir komuta cevap vermez.
+ * @param {Object} options - { password, sessiz }
+ * @returns {Promise<Object>} - { url, veriler, komutlar, kapat }
+ */
+async function sahteRedis(options = {}) {
+  const veriler = new Map();
+  const komutlar = [];
+  const soketler = new Set();
+
+  const cevap = args => {
+    const [komut, ...arglar] = args;
+    komutlar.push(args);
+
+    switch (String(komut).toUpperCase()) {
+      case 'AUTH':
+        return arglar[0] === options.password ? '+OK\r\n' : '-WRONGPASS invalid password\r\n';
+      case 'SELECT':
+      case 'QUIT':
+        return '+OK\r\n';
+      case 'GET': {
+        const kayit = veriler.get(arglar[0]);
+        if (!kayit || (kayit.bitis && kayit.bitis <= Date.now())) return '$-1\r\n';
+        return `$${Buffer.byteLength(kayit.deger)}\r\n${kayit.deger}\r\n`;
+      }
+      case 'SET': {
+        const ex = arglar.indexOf('EX');
+        veriler.set(arglar[0], { deger: arglar[1], bitis: ex === -1 ? 0 : Date.now() + Number(arglar[ex + 1]) * 1000 });
+        return '+OK\r\n';
+      }
+      case 'DEL':
+        return `:${arglar.filter(key => veriler.delete(key)).length}\r\n`;
+      case 'SCAN': {
+        const onEk = arglar[arglar.indexOf('MATCH') + 1].replace(/\*$/, '');
+        const anahtarlar = [...veriler.keys()].filter(key => key.startsWith(onEk));
+        return `*2\r\n$1\r\n0\r\n*${anahtarlar.length}\r\n` +
+          anahtarlar.map(key => `$${Buffer.byteLength(key)}\r\n${key}\r\n`).join('');
+      }
+      default:
+        return `-ERR unknown command '${komut}'\r\n`;
+    }
+  };
+
+  const server = net.createServer(soket => {
+    soketler.add(soket);
+    soket.on('close', () => soketler.delete(soket));
+    let tampon = Buffer.alloc(0);
+
+    soket.on('data', parca => {
+      tampon = Buffer.concat([tampon, parca]);
+      let metin = '';
+      let sonuc;
+      while ((sonuc = RedisOnbellek._ayristir(tampon, 0))) {
+        tampon = tampon.subarray(sonuc.son);
+        if (options.sessiz) komutlar.push(sonuc.deger);
+        else metin += cevap(sonuc.deger);
+      }
+      if (!metin) return;
+
+      // Cevabı üç parçada, ayrı olay döngüsü turlarında yaz
+      const veri = Buffer.from(metin);
+      const kesitler = [0, Math.floor(veri.length / 3), Math.floor(veri.length * 2 / 3), veri.length];
+      kesitler.slice(1).forEach((son, i) => {
+        setImmediate(() => { if (!soket.destroyed) soket.write(veri.subarray(kesitler[i], son)); });
+      });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `redis://127.0.0.1:${server.address().port}`;
+
+  const kapat = () => new Promise(resolve => {
+    soketler.forEach(soket => soket.destroy());
+    server.close(() => resolve());
+  });
+
+  return { url, veriler, komutlar, kapat };
+}
+
+module.exports = { sahteSozluk, sahteRedis };
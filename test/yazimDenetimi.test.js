@@ -0,0 +1,77 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { sahteSozluk } = require("./yardimci");
+
+describe('yazimDenetimi', () => {
+  let ortam;
+
+  beforeEach(async () => {
+    ortam = await sahteSozluk();
+  });
+
+  afterEach(() => ortam.kapat());
+
+  it('doğru ve hatalı kelimeleri ayırır, hatalılara öneri verir', async () => {
+    const sonuc = await ortam.tdk.yazimDenetimi('kitap kitab');
+
+    assert.equal(sonuc.success, true);
+    const [dogru, hatali] = sonuc.data.sonuclar;
+    assert.deepEqual(dogru, { kelime: 'kitap', dogru: true, oneriler: [] });
+    assert.equal(hatali.dogru, false);
+    assert.ok(hatali.oneriler.some(oneri => oneri.kelime === 'kitap'));
+    assert.equal(sonuc.data.istatistik.dogrulukOrani, '50.00');
+  });
+
+  it('çekimli kelimeyi köküyle doğru sayar', async () => {
+    const sonuc = await ortam.tdk.yazimDenetimi('masalar');
+
+    const [kelime] = sonuc.data.sonuclar;
+    assert.equal(kelime.dogru, true);
+    assert.equal(kelime.kok, 'masa');
+  });
+
+  it('noktalamayı ve kesme işaretinden sonraki eki TDK\'ya göndermez', async () => {
+    const sonuc = await ortam.tdk.yazimDenetimi("kitap, masa'da göz.");
+
+    assert.deepEqual(sonuc.data.sonuclar.map(s => [s.kelime, s.dogru]), [['kitap', true], ['masa', true], ['göz', true]]);
+    assert.deepEqual(ortam.tdkSunucu.istekler.filter(i => i.yol === 'yazim').map(i => i.sorgu.ara), ['kitap', 'masa', 'göz']);
+    assert.equal((await ortam.tdk.yazimDenetimi('... !')).error.code, 'GECERSIZ_GIRDI');
+  });
+
+  it('büyük/küçük harf farklı eş zamanlı denetimler TDK\'ya tek istekle gider', async () => {
+    const sonuclar = await Promise.all([
+      ortam.tdk.yazimDenetimi('Kitap'),
+      ortam.tdk.yazimDenetimi('KİTAP'),
+      ortam.tdk.yazimDenetimi('kitap')
+    ]);
+
+    assert.deepEqual(sonuclar.map(sonuc => sonuc.data.sonuclar[0].kelime), ['Kitap', 'KİTAP', 'kitap']);
+    assert.ok(sonuclar.every(sonuc => sonuc.data.sonuclar[0].dogru));
+    assert.deepEqual(ortam.tdkSunucu.istekler.filter(i => i.yol === 'yazim').map(i => i.sorgu.ara), ['kitap']);
+  });
+
+  it('boş metni GECERSIZ_GIRDI ile reddeder', async () => {
+    const sonuc = await ortam.tdk.yazimDenetimi('   ');
+
+    assert.equal(sonuc.success, false);
+    assert.equal(sonuc.error.code, 'GECERSIZ_GIRDI');
+    assert.equal(ortam.tdkSunucu.istekSayisi(), 0);
+  });
+
+  it('denetlenemeyen kelimeyi hata koduyla işaretler', async () => {
+    ortam.tdkSunucu.senaryo('yazim', { durum: 500, ara: 'masa' });
+
+    const sonuc = await ortam.tdk.yazimDenetimi('kitap masa');
+    assert.equal(sonuc.success, true);
+    assert.equal(sonuc.data.sonuclar[0].dogru, true);
+    assert.equal(sonuc.data.sonuclar[1].hata, 'UPSTREAM_HATASI');
+  });
+
+  it('hiçbir kelime denetlenemezse TDK hatasını döndürür', async () => {
+    ortam.tdkSunucu.senaryo('yazim', { gecikme: 2000 });
+
+    const sonuc = await ortam.tdk.yazimDenetimi('kitap');
+    assert.equal(sonuc.success, false);
+    assert.equal(sonuc.error.code, 'UPSTREAM_ZAMAN_ASIMI');
+  });
+});